@@ -0,0 +1,154 @@
+import React from "react";
+import ExceptionBadge from "./ExceptionBadge";
+import SortableHeader from "./SortableHeader";
+import ProviderCell from "./ProviderCell";
+import ExtraColumnCells from "./ExtraColumnCells";
+import { useI18n } from "./i18n";
+
+const AmountMismatchTable = ({
+  matches,
+  exceptionKeys,
+  resolutions,
+  formatCurrency,
+  onEditException,
+  sort,
+  onSort,
+  showProvider = false,
+  extraColumns = [],
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <table className="w-full">
+      <caption className="sr-only">{t("categories.amount")}</caption>
+      <thead>
+        <tr className="border-b border-gray-200">
+          <SortableHeader
+            label={t("columns.reference")}
+            field="reference"
+            sort={sort}
+            onSort={onSort}
+          />
+          {showProvider && (
+            <SortableHeader
+              label={t("columns.provider")}
+              field="provider"
+              sort={sort}
+              onSort={onSort}
+            />
+          )}
+          <SortableHeader
+            label={t("columns.internalAmount")}
+            field="amount"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.providerAmount")}
+            field="providerAmount"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.fee")}
+            field="fee"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.variance")}
+            field="variance"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.resolution")}
+          </th>
+          {extraColumns.map((column) => (
+            <th
+              key={column}
+              scope="col"
+              className="text-left py-3 px-4 font-medium text-gray-700"
+            >
+              {column}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {matches.map((match, index) => (
+          <tr
+            key={exceptionKeys[index]}
+            className="border-b border-gray-100 hover:bg-gray-50"
+          >
+            <td className="py-3 px-4 font-mono text-sm">
+              {match.transaction_reference}
+              {match.provider.transaction_reference !==
+                match.transaction_reference && (
+                <div className="text-xs text-gray-500">
+                  <span aria-hidden="true">↔</span>
+                  <span className="sr-only">
+                    {t("table.providerReference")}
+                  </span>{" "}
+                  {match.provider.transaction_reference}
+                </div>
+              )}
+            </td>
+            {showProvider && <ProviderCell item={match} />}
+            <td className="py-3 px-4">
+              {formatCurrency(match.internal.amount, match.internal.currency)}
+            </td>
+            <td className="py-3 px-4">
+              {formatCurrency(match.provider.amount, match.provider.currency)}
+              {match.comparedProviderAmount !== null &&
+                match.comparedProviderAmount !== match.provider.amount && (
+                  <div className="text-xs text-gray-500">
+                    {t("table.comparedAs", {
+                      amount: formatCurrency(
+                        match.comparedProviderAmount,
+                        match.internal.currency
+                      ),
+                    })}
+                  </div>
+                )}
+            </td>
+            <td className="py-3 px-4 text-sm">
+              {match.provider.fee
+                ? formatCurrency(match.provider.fee, match.provider.currency)
+                : "-"}
+            </td>
+            <td
+              className={`py-3 px-4 font-mono text-sm ${
+                match.variance < 0 ? "text-red-700" : "text-gray-900"
+              }`}
+            >
+              {match.variance === null
+                ? t("table.noFxRate")
+                : `${match.variance > 0 ? "+" : ""}${formatCurrency(
+                    match.variance,
+                    match.internal.currency
+                  )}`}
+            </td>
+            <td className="py-3 px-4">
+              <ExceptionBadge
+                resolution={resolutions[exceptionKeys[index]]}
+                onEdit={() =>
+                  onEditException(
+                    exceptionKeys[index],
+                    `${t("flags.amount")} – ${match.transaction_reference}`
+                  )
+                }
+              />
+            </td>
+            <ExtraColumnCells item={match} columns={extraColumns} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default AmountMismatchTable;
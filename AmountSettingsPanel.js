@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { DollarSign, Plus, Trash2, Upload } from "lucide-react";
+import Papa from "papaparse";
+import { normalizeHeader } from "./columnMapping";
+import { parseFxRates } from "./amountComparison";
+import { useI18n } from "./i18n";
+
+const AmountSettingsPanel = ({
+  settings,
+  onChange,
+  fxRates,
+  onFxRatesChange,
+  onError,
+}) => {
+  const { t } = useI18n();
+  const [newCurrency, setNewCurrency] = useState("");
+
+  const updateTolerance = (currency, changes) =>
+    onChange({
+      ...settings,
+      tolerances: {
+        ...settings.tolerances,
+        [currency]: { ...settings.tolerances[currency], ...changes },
+      },
+    });
+
+  const addCurrency = () => {
+    const currency = newCurrency.trim().toUpperCase();
+    if (!currency || settings.tolerances[currency]) return;
+    updateTolerance(currency, { absolute: 0, percent: 0 });
+    setNewCurrency("");
+  };
+
+  const removeCurrency = (currency) => {
+    const { [currency]: removed, ...tolerances } = settings.tolerances;
+    onChange({ ...settings, tolerances });
+  };
+
+  // Load an FX rate table (from_currency, to_currency, rate)
+  const handleFxUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: normalizeHeader,
+      complete: (results) => {
+        try {
+          onFxRatesChange(parseFxRates(results.data));
+          onError("");
+        } catch (err) {
+          onError(err.message);
+        }
+      },
+      error: (error) =>
+        onError(t("amounts.fxParseError", { message: error.message })),
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <DollarSign className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("amounts.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">{t("amounts.description")}</p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Tolerances */}
+        <div>
+          <table className="w-full">
+            <caption className="sr-only">{t("amounts.tolerances")}</caption>
+            <thead>
+              <tr className="border-b border-gray-200">
+                {["currency", "absolute", "percent"].map((column) => (
+                  <th
+                    key={column}
+                    scope="col"
+                    className="text-left py-2 px-2 font-medium text-gray-700"
+                  >
+                    {t(`amounts.${column}`)}
+                  </th>
+                ))}
+                <td />
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(settings.tolerances).map(
+                ([currency, tolerance]) => (
+                  <tr key={currency} className="border-b border-gray-100">
+                    <td className="py-2 px-2 font-mono text-sm">
+                      {currency === "default"
+                        ? t("amounts.allOthers")
+                        : currency}
+                    </td>
+                    {["absolute", "percent"].map((kind) => (
+                      <td key={kind} className="py-2 px-2">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={tolerance[kind]}
+                          onChange={(e) =>
+                            updateTolerance(currency, {
+                              [kind]: parseFloat(e.target.value) || 0,
+                            })
+                          }
+                          aria-label={`${t(`amounts.${kind}`)} – ${
+                            currency === "default"
+                              ? t("amounts.allOthers")
+                              : currency
+                          }`}
+                          className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-2 px-2">
+                      {currency !== "default" && (
+                        <button
+                          onClick={() => removeCurrency(currency)}
+                          className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                          title={t("amounts.removeTolerance")}
+                          aria-label={`${t(
+                            "amounts.removeTolerance"
+                          )}: ${currency}`}
+                        >
+                          <Trash2 className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+          <div className="flex items-center mt-2 space-x-2">
+            <input
+              type="text"
+              value={newCurrency}
+              onChange={(e) => setNewCurrency(e.target.value)}
+              placeholder={t("amounts.currencyPlaceholder")}
+              aria-label={t("amounts.currency")}
+              maxLength={3}
+              className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+            <button
+              onClick={addCurrency}
+              className="flex items-center text-sm text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+              {t("amounts.addCurrency")}
+            </button>
+          </div>
+        </div>
+
+        {/* Fees and FX */}
+        <div className="space-y-4">
+          <label className="flex items-start text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={settings.feeInclusive}
+              onChange={(e) =>
+                onChange({ ...settings, feeInclusive: e.target.checked })
+              }
+              className="mr-2 mt-1"
+            />
+            <span>
+              {t("amounts.feeInclusive")}
+              <span className="block text-gray-400">
+                {t("amounts.feeInclusiveHint")}
+              </span>
+            </span>
+          </label>
+
+          <div>
+            <input
+              type="file"
+              accept=".csv"
+              onChange={handleFxUpload}
+              className="hidden"
+              id="fx-upload"
+            />
+            <label
+              htmlFor="fx-upload"
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 cursor-pointer transition-colors"
+            >
+              <Upload className="w-4 h-4 mr-2" aria-hidden="true" />
+              {t("amounts.uploadFx")}
+            </label>
+            <p className="text-sm text-gray-400 mt-2">{t("amounts.fxHint")}</p>
+            {fxRates.length > 0 && (
+              <div className="mt-2 flex items-center text-sm text-green-800">
+                <span aria-hidden="true">✅&nbsp;</span>
+                {t("amounts.fxLoaded", { count: fxRates.length })}
+                <button
+                  onClick={() => onFxRatesChange([])}
+                  className="ml-2 p-1 text-gray-500 hover:text-red-600 transition-colors"
+                  title={t("amounts.clearFx")}
+                  aria-label={t("amounts.clearFx")}
+                >
+                  <Trash2 className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AmountSettingsPanel;
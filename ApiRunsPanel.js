@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+import { FolderOpen, RefreshCw, Server } from "lucide-react";
+import { listApiRuns, loadApiUrl, saveApiUrl } from "./apiRuns";
+import { getProviderFiles } from "./runStorage";
+import { useI18n } from "./i18n";
+
+// Runs submitted to the HTTP service. Opening one copies it into this
+// browser's run history.
+const ApiRunsPanel = ({ onOpen, onError }) => {
+  const { t, formatDateTime } = useI18n();
+  const [url, setUrl] = useState(loadApiUrl);
+  const [runs, setRuns] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const refresh = async () => {
+    const baseUrl = url.trim();
+    if (!baseUrl) return;
+
+    setLoading(true);
+    try {
+      setRuns(await listApiRuns(baseUrl));
+      saveApiUrl(baseUrl);
+    } catch (err) {
+      onError(t("apiRuns.listError", { message: err.message }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Server className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("apiRuns.title")}
+      </h2>
+      <div className="flex items-center gap-2 mb-4">
+        <input
+          type="url"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && refresh()}
+          placeholder="http://127.0.0.1:8787"
+          aria-label={t("apiRuns.url")}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-72"
+        />
+        <button
+          onClick={refresh}
+          disabled={!url.trim() || loading}
+          className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`w-4 h-4 mr-1 ${loading ? "animate-spin" : ""}`}
+            aria-hidden="true"
+          />
+          {t("apiRuns.load")}
+        </button>
+      </div>
+
+      {runs && runs.length === 0 && (
+        <p className="text-sm text-gray-500">{t("apiRuns.empty")}</p>
+      )}
+      {runs && runs.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <caption className="sr-only">{t("apiRuns.title")}</caption>
+            <thead>
+              <tr className="border-b border-gray-200">
+                {["run", "files", "matched", "unmatched"].map((column) => (
+                  <th
+                    key={column}
+                    scope="col"
+                    className="text-left py-2 px-2 font-medium text-gray-700"
+                  >
+                    {t(`history.columns.${column}`)}
+                  </th>
+                ))}
+                <td />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr
+                  key={run.id}
+                  className="border-b border-gray-100 hover:bg-gray-50"
+                >
+                  <td className="py-2 px-2 text-sm">
+                    {formatDateTime(run.createdAt)}
+                  </td>
+                  <td className="py-2 px-2 text-sm font-mono">
+                    {[run.files.internal, ...getProviderFiles(run.files)]
+                      .map((file) => file.name)
+                      .join(", ")}
+                  </td>
+                  <td className="py-2 px-2 text-sm">
+                    {run.summary.counts.matched}
+                  </td>
+                  <td className="py-2 px-2 text-sm">{run.summary.unmatched}</td>
+                  <td className="py-2 px-2">
+                    <button
+                      onClick={() => onOpen(url.trim(), run.id)}
+                      className="flex items-center px-2 py-1 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                    >
+                      <FolderOpen className="w-4 h-4 mr-1" aria-hidden="true" />
+                      {t("common.open")}
+                      <span className="sr-only">
+                        {" "}
+                        {formatDateTime(run.createdAt)}
+                      </span>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiRunsPanel;
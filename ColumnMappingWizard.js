@@ -0,0 +1,205 @@
+import React, { useState } from "react";
+import { Columns, Save, X } from "lucide-react";
+import { MAPPING_FIELDS, getMissingFields } from "./columnMapping";
+import { AMOUNT_FORMATS } from "./amountParsing";
+import { useI18n } from "./i18n";
+import { useMask } from "./privacyView";
+
+const PREVIEW_ROWS = 5;
+
+const ColumnMappingWizard = ({
+  title,
+  fileName,
+  headers,
+  rows,
+  rowCount,
+  initialMapping,
+  onConfirm,
+  onCancel,
+}) => {
+  const { t } = useI18n();
+  const mask = useMask(rows);
+  const [mapping, setMapping] = useState(initialMapping);
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState(
+    fileName.replace(/\.\w+$/, "")
+  );
+
+  const missingFields = getMissingFields(mapping);
+
+  // Field currently mapped onto a given column, if any
+  const fieldForHeader = (header) =>
+    MAPPING_FIELDS.find((field) => mapping[field.id] === header);
+
+  const handleConfirm = () => {
+    if (missingFields.length > 0) return;
+    onConfirm(mapping, saveProfile ? profileName.trim() || fileName : null);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <Columns className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+          {t("mapping.title", { source: title })}
+        </h2>
+        <button
+          onClick={onCancel}
+          className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+          title={t("common.cancel")}
+          aria-label={t("common.cancel")}
+        >
+          <X className="w-5 h-5" aria-hidden="true" />
+        </button>
+      </div>
+      <p className="text-gray-600 mb-4">
+        {t("mapping.description", { file: fileName })}
+      </p>
+
+      {/* Field Assignment */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        {MAPPING_FIELDS.map((field) => (
+          <label key={field.id} className="block">
+            <span className="text-sm font-medium text-gray-700">
+              {t(`fields.${field.id}`)}
+              {field.required && (
+                <span className="text-red-600" title={t("mapping.required")}>
+                  {" "}
+                  *
+                </span>
+              )}
+            </span>
+            <select
+              value={mapping[field.id]}
+              onChange={(e) =>
+                setMapping({ ...mapping, [field.id]: e.target.value })
+              }
+              aria-required={field.required || undefined}
+              className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">{t("mapping.notMapped")}</option>
+              {headers.map((header) => (
+                <option key={header} value={header}>
+                  {header}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">
+            {t("mapping.amountFormat")}
+          </span>
+          <select
+            value={mapping.amountFormat || "auto"}
+            onChange={(e) =>
+              setMapping({ ...mapping, amountFormat: e.target.value })
+            }
+            className="mt-1 block w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            {AMOUNT_FORMATS.map((format) => (
+              <option key={format.id} value={format.id}>
+                {format.id === "auto"
+                  ? t("mapping.detectFormat")
+                  : format.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Preview */}
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full">
+          <caption className="sr-only">
+            {t("mapping.preview", { file: fileName })}
+          </caption>
+          <thead>
+            <tr className="border-b border-gray-200">
+              {headers.map((header) => (
+                <th
+                  key={header}
+                  scope="col"
+                  className="text-left py-3 px-4 font-medium text-gray-700"
+                >
+                  <div className="font-mono text-sm">{header}</div>
+                  {fieldForHeader(header) && (
+                    <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs">
+                      {t(`fields.${fieldForHeader(header).id}`)}
+                    </span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+              <tr key={index} className="border-b border-gray-100">
+                {headers.map((header) => (
+                  <td key={header} className="py-2 px-4 text-sm">
+                    {String(mask(header, row[header]) ?? "")}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-sm text-gray-400 mt-2">
+          {t("mapping.showing", {
+            shown: Math.min(rows.length, PREVIEW_ROWS),
+            count: rowCount,
+          })}
+        </p>
+      </div>
+
+      {missingFields.length > 0 && (
+        <div
+          role="alert"
+          className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4"
+        >
+          {t("mapping.missing", {
+            fields: MAPPING_FIELDS.filter((field) =>
+              missingFields.includes(field.label)
+            )
+              .map((field) => t(`fields.${field.id}`))
+              .join(", "),
+          })}
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+              className="mr-2"
+            />
+            {t("mapping.saveProfile")}
+          </label>
+          {saveProfile && (
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder={t("mapping.profileName")}
+              aria-label={t("mapping.profileName")}
+              className="border border-gray-300 rounded-lg px-3 py-1 text-sm"
+            />
+          )}
+        </div>
+        <button
+          onClick={handleConfirm}
+          disabled={missingFields.length > 0}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-2" aria-hidden="true" />
+          {t("mapping.apply")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import {
+  Download,
+  Save,
+  SlidersHorizontal,
+  Trash2,
+  Upload,
+} from "lucide-react";
+import { EXPORT_DELIMITERS } from "./configProfiles";
+import { useI18n } from "./i18n";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1 text-sm";
+
+// Saved configuration profiles plus the display and export settings that
+// only profiles carry
+const ConfigProfilesPanel = ({
+  profiles,
+  activeProfile,
+  onApply,
+  onSave,
+  onDelete,
+  onImport,
+  onExport,
+  locale,
+  onLocaleChange,
+  exportLayout,
+  onExportLayoutChange,
+  categories,
+}) => {
+  const { t } = useI18n();
+  const [selected, setSelected] = useState(activeProfile || "");
+  const [newName, setNewName] = useState("");
+  const [localeInput, setLocaleInput] = useState(locale);
+
+  // Follow locale changes made with the switcher in the header
+  useEffect(() => setLocaleInput(locale), [locale]);
+
+  const saveAs = () => {
+    const name = newName.trim();
+    if (!name) return;
+    onSave(name);
+    setSelected(name);
+    setNewName("");
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const name = onImport(reader.result);
+      if (name) setSelected(name);
+    };
+    reader.readAsText(file);
+  };
+
+  const updateColumns = (categoryId, value) =>
+    onExportLayoutChange({
+      ...exportLayout,
+      columns: {
+        ...exportLayout.columns,
+        [categoryId]: value
+          .split(",")
+          .map((column) => column.trim())
+          .filter(Boolean),
+      },
+    });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <SlidersHorizontal
+            className="w-5 h-5 mr-2 text-blue-600"
+            aria-hidden="true"
+          />
+          {t("profiles.title")}
+          {activeProfile && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {activeProfile}
+            </span>
+          )}
+        </h2>
+        <div className="flex space-x-2">
+          <input
+            type="file"
+            accept=".json"
+            onChange={handleImport}
+            className="hidden"
+            id="config-profile-upload"
+          />
+          <label
+            htmlFor="config-profile-upload"
+            className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors cursor-pointer"
+          >
+            <Upload className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("common.import")}
+          </label>
+          <button
+            onClick={() => onExport(selected)}
+            disabled={!selected}
+            className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("common.export")}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">{t("profiles.description")}</p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <select
+          value={selected}
+          onChange={(e) => setSelected(e.target.value)}
+          className={inputClass}
+          aria-label={t("profiles.choose")}
+        >
+          <option value="">{t("profiles.choose")}</option>
+          {profiles.map((profile) => (
+            <option key={profile.name} value={profile.name}>
+              {profile.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => onApply(selected)}
+          disabled={!selected}
+          className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {t("profiles.apply")}
+        </button>
+        <button
+          onClick={() => {
+            onDelete(selected);
+            setSelected("");
+          }}
+          disabled={!selected}
+          className="p-1 text-gray-500 hover:text-red-600 transition-colors disabled:opacity-50"
+          title={t("profiles.delete")}
+          aria-label={t("profiles.delete")}
+        >
+          <Trash2 className="w-4 h-4" aria-hidden="true" />
+        </button>
+        <span className="mx-2 text-gray-300" aria-hidden="true">
+          |
+        </span>
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder={t("profiles.name")}
+          aria-label={t("profiles.name")}
+          className={inputClass}
+        />
+        <button
+          onClick={saveAs}
+          disabled={!newName.trim()}
+          className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors disabled:opacity-50"
+        >
+          <Save className="w-4 h-4 mr-1" aria-hidden="true" />
+          {t("profiles.save")}
+        </button>
+      </div>
+
+      <details className="text-sm text-gray-700">
+        <summary className="cursor-pointer text-blue-600">
+          {t("profiles.displayAndExport")}
+        </summary>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-3">
+          <div className="space-y-3">
+            <label className="block">
+              {t("profiles.locale")}
+              <input
+                type="text"
+                value={localeInput}
+                onChange={(e) => setLocaleInput(e.target.value)}
+                onBlur={() => onLocaleChange(localeInput.trim())}
+                placeholder={t("profiles.localePlaceholder")}
+                className={`${inputClass} mt-1 w-full`}
+              />
+            </label>
+            <label className="block">
+              {t("profiles.delimiter")}
+              <select
+                value={exportLayout.delimiter}
+                onChange={(e) =>
+                  onExportLayoutChange({
+                    ...exportLayout,
+                    delimiter: e.target.value,
+                  })
+                }
+                className={`${inputClass} mt-1 w-full`}
+              >
+                {EXPORT_DELIMITERS.map((delimiter) => (
+                  <option key={delimiter.label} value={delimiter.id}>
+                    {t(`profiles.delimiters.${delimiter.label.toLowerCase()}`)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <div className="space-y-2">
+            <p>{t("profiles.exportColumns")}</p>
+            {categories.map((category) => (
+              <label key={category.id} className="block">
+                <span className="text-gray-600">
+                  {t(`categories.${category.id}`)}
+                </span>
+                <input
+                  type="text"
+                  defaultValue={(exportLayout.columns[category.id] || []).join(
+                    ", "
+                  )}
+                  onBlur={(e) => updateColumns(category.id, e.target.value)}
+                  className={`${inputClass} w-full font-mono`}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default ConfigProfilesPanel;
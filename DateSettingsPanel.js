@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import { Calendar } from "lucide-react";
+import { DATE_FORMATS, isValidTimeZone } from "./dateHandling";
+import { useI18n } from "./i18n";
+
+const FORMAT_FIELDS = [
+  { id: "internalFormat" },
+  { id: "providerFormat" },
+  { id: "bankFormat", bank: true },
+];
+
+const DateSettingsPanel = ({ settings, onChange, showBankFormat = false }) => {
+  const { t } = useI18n();
+  const [timeZone, setTimeZone] = useState(settings.timeZone);
+  const validTimeZone = isValidTimeZone(timeZone);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  // Only pass on complete zone names, not every keystroke
+  const updateTimeZone = (value) => {
+    setTimeZone(value);
+    if (isValidTimeZone(value)) update({ timeZone: value });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <Calendar className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("dates.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">{t("dates.description")}</p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Parsing */}
+        <div className="space-y-3">
+          {FORMAT_FIELDS.filter((field) => showBankFormat || !field.bank).map(
+            (field) => (
+              <label key={field.id} className="block text-sm text-gray-700">
+                {t(`dates.${field.id}`)}
+                <select
+                  value={settings[field.id]}
+                  onChange={(e) => update({ [field.id]: e.target.value })}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+                >
+                  {DATE_FORMATS.map((format) => (
+                    <option key={format} value={format}>
+                      {format === "auto" ? t("dates.autoFormat") : format}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )
+          )}
+          <label className="block text-sm text-gray-700">
+            {t("dates.timeZone")}
+            <input
+              type="text"
+              value={timeZone}
+              onChange={(e) => updateTimeZone(e.target.value)}
+              placeholder={t("dates.timeZonePlaceholder")}
+              aria-invalid={!validTimeZone}
+              className={`mt-1 w-full border rounded-lg px-3 py-2 text-sm ${
+                validTimeZone ? "border-gray-300" : "border-red-400"
+              }`}
+            />
+            <span
+              className={`block ${
+                validTimeZone ? "text-gray-400" : "text-red-700"
+              }`}
+            >
+              {validTimeZone
+                ? t("dates.timeZoneHint")
+                : t("dates.unknownTimeZone")}
+            </span>
+          </label>
+        </div>
+
+        {/* Period and timing */}
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block text-sm text-gray-700">
+              {t("dates.periodStart")}
+              <input
+                type="date"
+                value={settings.periodStart}
+                onChange={(e) => update({ periodStart: e.target.value })}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              {t("dates.periodEnd")}
+              <input
+                type="date"
+                value={settings.periodEnd}
+                onChange={(e) => update({ periodEnd: e.target.value })}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+            </label>
+          </div>
+          <label className="block text-sm text-gray-700">
+            {t("dates.cutoffDays")}
+            <input
+              type="number"
+              min="0"
+              value={settings.cutoffDays}
+              onChange={(e) =>
+                update({ cutoffDays: parseInt(e.target.value, 10) || 0 })
+              }
+              className="mt-1 w-24 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+            <span className="block text-gray-400">
+              {t("dates.cutoffDaysHint")}
+            </span>
+          </label>
+          <label className="block text-sm text-gray-700">
+            {t("dates.settlementSla")}
+            <input
+              type="number"
+              min="0"
+              value={settings.settlementSlaDays}
+              onChange={(e) =>
+                update({
+                  settlementSlaDays: parseInt(e.target.value, 10) || 0,
+                })
+              }
+              className="mt-1 w-24 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+            <span className="block text-gray-400">
+              {t("dates.settlementSlaHint")}
+            </span>
+          </label>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DateSettingsPanel;
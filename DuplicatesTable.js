@@ -0,0 +1,122 @@
+import React from "react";
+import SortableHeader from "./SortableHeader";
+import ProviderCell from "./ProviderCell";
+import { useI18n } from "./i18n";
+
+// Describe how a duplicated reference was resolved by the matching pass
+const getOutcome = (duplicate) => {
+  if (!duplicate.internalRows.length) {
+    return { id: "providerOnly", className: "bg-red-100 text-red-700" };
+  }
+  if (!duplicate.providerRows.length) {
+    return {
+      id: "internalOnly",
+      className: "bg-yellow-100 text-yellow-700",
+    };
+  }
+  if (Math.abs(duplicate.internalTotal - duplicate.providerTotal) < 0.01) {
+    return { id: "totalsAgree", className: "bg-green-100 text-green-700" };
+  }
+  return { id: "totalsDiffer", className: "bg-red-100 text-red-700" };
+};
+
+const DuplicatesTable = ({
+  duplicates,
+  formatCurrency,
+  sort,
+  onSort,
+  showProvider = false,
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <table className="w-full">
+      <caption className="sr-only">{t("categories.duplicates")}</caption>
+      <thead>
+        <tr className="border-b border-gray-200">
+          <SortableHeader
+            label={t("columns.reference")}
+            field="reference"
+            sort={sort}
+            onSort={onSort}
+          />
+          {showProvider && (
+            <SortableHeader
+              label={t("columns.provider")}
+              field="provider"
+              sort={sort}
+              onSort={onSort}
+            />
+          )}
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.internalRows")}
+          </th>
+          <SortableHeader
+            label={t("columns.internalTotal")}
+            field="internalTotal"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.providerRows")}
+          </th>
+          <SortableHeader
+            label={t("columns.providerTotal")}
+            field="providerTotal"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.outcome")}
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {duplicates.map((duplicate) => {
+          const outcome = getOutcome(duplicate);
+          const currency = (
+            duplicate.internalRows[0] || duplicate.providerRows[0]
+          ).currency;
+
+          return (
+            <tr
+              key={duplicate.transaction_reference}
+              className="border-b border-gray-100 hover:bg-gray-50"
+            >
+              <td className="py-3 px-4 font-mono text-sm">
+                {duplicate.transaction_reference}
+              </td>
+              {showProvider && <ProviderCell item={duplicate} />}
+              <td className="py-3 px-4">{duplicate.internalRows.length}</td>
+              <td className="py-3 px-4">
+                {formatCurrency(duplicate.internalTotal, currency)}
+              </td>
+              <td className="py-3 px-4">{duplicate.providerRows.length}</td>
+              <td className="py-3 px-4">
+                {formatCurrency(duplicate.providerTotal, currency)}
+              </td>
+              <td className="py-3 px-4">
+                <span
+                  className={`px-2 py-1 rounded text-xs ${outcome.className}`}
+                >
+                  {t(`duplicates.${outcome.id}`)}
+                </span>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default DuplicatesTable;
@@ -0,0 +1,27 @@
+import React from "react";
+import { EXCEPTION_STATES } from "./exceptions";
+import { useI18n } from "./i18n";
+
+// Workflow state of one exception; click to edit it
+const ExceptionBadge = ({ resolution, label, onEdit }) => {
+  const { t } = useI18n();
+  const state = EXCEPTION_STATES.find(
+    (candidate) => candidate.id === (resolution?.state || "open")
+  );
+
+  return (
+    <button
+      onClick={onEdit}
+      className={`px-2 py-1 rounded text-xs text-left hover:ring-2 hover:ring-blue-300 transition-all ${state.className}`}
+      title={resolution?.notes || t("exceptions.editResolution")}
+    >
+      {label && `${label}: `}
+      {t(`exceptionStates.${state.id}`)}
+      {resolution?.assignee && (
+        <span className="block opacity-75">{resolution.assignee}</span>
+      )}
+    </button>
+  );
+};
+
+export default ExceptionBadge;
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { ClipboardCheck } from "lucide-react";
+import { EXCEPTION_STATES, REASON_CODES } from "./exceptions";
+import { useI18n } from "./i18n";
+
+const EMPTY_RESOLUTION = {
+  state: "open",
+  assignee: "",
+  reasonCode: "",
+  notes: "",
+};
+
+const ExceptionEditor = ({ title, resolution, onSave, onCancel }) => {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState({ ...EMPTY_RESOLUTION, ...resolution });
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  return (
+    <div
+      role="group"
+      aria-labelledby="exception-editor-title"
+      className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-4"
+    >
+      <h3
+        id="exception-editor-title"
+        className="font-semibold text-gray-900 mb-3 flex items-center"
+      >
+        <ClipboardCheck
+          className="w-5 h-5 mr-2 text-blue-600"
+          aria-hidden="true"
+        />
+        {title}
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+        <label className="block text-sm text-gray-700">
+          {t("exceptions.state")}
+          <select
+            value={draft.state}
+            onChange={(e) => update({ state: e.target.value })}
+            className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"
+          >
+            {EXCEPTION_STATES.map((state) => (
+              <option key={state.id} value={state.id}>
+                {t(`exceptionStates.${state.id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="block text-sm text-gray-700">
+          {t("exceptions.assignee")}
+          <input
+            type="text"
+            value={draft.assignee}
+            onChange={(e) => update({ assignee: e.target.value })}
+            placeholder={t("exceptions.assigneePlaceholder")}
+            className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        </label>
+        <label className="block text-sm text-gray-700">
+          {t("exceptions.reasonCode")}
+          <select
+            value={draft.reasonCode}
+            onChange={(e) => update({ reasonCode: e.target.value })}
+            className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm bg-white"
+          >
+            {REASON_CODES.map((reason) => (
+              <option key={reason.id} value={reason.id}>
+                {t(`reasonCodes.${reason.id || "none"}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-700 mb-3">
+        {t("exceptions.notes")}
+        <textarea
+          value={draft.notes}
+          onChange={(e) => update({ notes: e.target.value })}
+          rows={3}
+          className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+      </label>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          {t("common.cancel")}
+        </button>
+        <button
+          onClick={() =>
+            onSave({ ...draft, updatedAt: new Date().toISOString() })
+          }
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+        >
+          {t("common.save")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ExceptionEditor;
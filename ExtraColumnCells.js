@@ -0,0 +1,28 @@
+import React from "react";
+import { getItemRows } from "./resultView";
+import { useMask } from "./privacyView";
+
+// Cells for source columns picked in the column picker. Paired rows show
+// both sides' values when they differ; personal data is masked.
+const ExtraColumnCells = ({ item, columns }) => {
+  const mask = useMask();
+
+  return columns.map((column) => {
+    const values = [
+      ...new Set(
+        getItemRows(item)
+          .map((row) => row[column])
+          .filter((value) => value !== undefined && value !== null)
+          .map((value) => String(mask(column, value)))
+      ),
+    ];
+
+    return (
+      <td key={column} className="py-3 px-4 text-sm text-gray-600">
+        {values.length ? values.join(" / ") : "-"}
+      </td>
+    );
+  });
+};
+
+export default ExtraColumnCells;
@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { AlertTriangle, FileText, Upload } from "lucide-react";
+import { SUPPORTED_EXTENSIONS } from "./parsers";
+import { useI18n } from "./i18n";
+
+const ROLES = ["internal", "provider", "bank"];
+
+// One uploaded file: the source it was sorted into and why, with anything
+// it shares with earlier runs
+const FileCheck = ({ check, onReassign }) => {
+  const { t, formatDateTime } = useI18n();
+  const { detection } = check;
+  const roleTitle = ({ role, providerName }) =>
+    role === "provider" && providerName
+      ? `${t("sources.provider")} – ${providerName}`
+      : t(`sources.${role}`);
+
+  const warnings = [
+    ...check.reconciledRuns.map(({ run, ...source }) =>
+      t("upload.reconciledFile", {
+        date: formatDateTime(run.createdAt),
+        source: roleTitle(source),
+      })
+    ),
+    ...check.overlaps.map(({ run, count }) =>
+      t("upload.reconciledReferences", {
+        count,
+        date: formatDateTime(run.createdAt),
+      })
+    ),
+    ...(check.roleHint
+      ? [t("upload.roleHint", { source: roleTitle(check.roleHint) })]
+      : []),
+  ];
+
+  return (
+    <li
+      className={`p-3 border rounded-lg ${
+        warnings.length
+          ? "bg-yellow-50 border-yellow-200"
+          : "bg-gray-50 border-gray-200"
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-800">
+          <span className="font-medium">{check.fileName}</span>
+          {" → "}
+          {check.title}
+          {detection && (
+            <span className="text-gray-500">
+              {` (${t(`upload.reasons.${detection.reason}`, {
+                name: detection.profileName,
+                date: detection.runDate && formatDateTime(detection.runDate),
+              })})`}
+            </span>
+          )}
+        </p>
+        {detection && (
+          <label className="flex items-center text-sm text-gray-600">
+            {t("upload.useAs")}
+            <select
+              value={detection.role}
+              onChange={(e) => onReassign(e.target.value)}
+              className="ml-2 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            >
+              {ROLES.map((role) => (
+                <option key={role} value={role}>
+                  {t(`sources.${role}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </div>
+      {warnings.map((warning) => (
+        <p
+          key={warning}
+          className="mt-1 text-xs text-yellow-800 flex items-start"
+        >
+          <AlertTriangle
+            className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0"
+            aria-hidden="true"
+          />
+          {warning}
+        </p>
+      ))}
+    </li>
+  );
+};
+
+// Drop area taking several statements at once. Each file is sorted into
+// the internal, provider or bank source by its columns and can be moved
+// to another one.
+const FileDropZone = ({ checks, onFiles, onReassign }) => {
+  const { t } = useI18n();
+  const [dragging, setDragging] = useState(false);
+  const shown = checks.filter(
+    (check) =>
+      check.detection ||
+      check.reconciledRuns.length ||
+      check.overlaps.length ||
+      check.roleHint
+  );
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    if (event.dataTransfer.files.length) onFiles([...event.dataTransfer.files]);
+  };
+
+  const handleChange = (event) => {
+    const files = [...event.target.files];
+    event.target.value = ""; // Allow re-uploading the same files
+    if (files.length) onFiles(files);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Upload className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("upload.dropTitle")}
+      </h2>
+
+      <input
+        type="file"
+        multiple
+        accept={SUPPORTED_EXTENSIONS.join(",")}
+        onChange={handleChange}
+        className="sr-only peer"
+        id="files-upload"
+      />
+      <label
+        htmlFor="files-upload"
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`block cursor-pointer border-2 border-dashed rounded-lg p-6 text-center transition-colors peer-focus:ring-2 peer-focus:ring-blue-400 ${
+          dragging
+            ? "border-blue-400 bg-blue-50"
+            : "border-gray-300 hover:border-blue-400"
+        }`}
+      >
+        <FileText
+          className="w-12 h-12 text-gray-400 mx-auto mb-4"
+          aria-hidden="true"
+        />
+        <p className="text-gray-600 mb-2">{t("upload.drop")}</p>
+        <p className="text-sm text-gray-400">{t("upload.dropHint")}</p>
+      </label>
+
+      {shown.length > 0 && (
+        <ul className="mt-4 space-y-2" aria-live="polite">
+          {shown.map((check) => (
+            <FileCheck
+              key={check.fileType}
+              check={check}
+              onReassign={(role) => onReassign(check.fileType, role)}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FileDropZone;
@@ -0,0 +1,292 @@
+import React, { useMemo } from "react";
+import { BookOpen, CheckCircle, Download, XCircle } from "lucide-react";
+import { downloadFile } from "./download";
+import {
+  ACCOUNT_ROLES,
+  checkJournalBalance,
+  exportJournal,
+  proposeJournalEntries,
+} from "./journalEntries";
+import { useI18n } from "./i18n";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1 text-sm";
+
+const AccountInputs = ({ account, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <>
+      <input
+        type="text"
+        value={account.code}
+        onChange={(e) => onChange({ ...account, code: e.target.value })}
+        placeholder={t("journal.code")}
+        aria-label={t("journal.code")}
+        className={`${inputClass} w-24 font-mono`}
+      />
+      <input
+        type="text"
+        value={account.name}
+        onChange={(e) => onChange({ ...account, name: e.target.value })}
+        placeholder={t("journal.accountName")}
+        aria-label={t("journal.accountName")}
+        className={`${inputClass} flex-1`}
+      />
+    </>
+  );
+};
+
+// Adjusting entries proposed from the results, with the chart of accounts
+// they post to and a balanced journal export
+const JournalPanel = ({
+  results,
+  resolutions,
+  feeInclusive,
+  settings,
+  onSettingsChange,
+  formatCurrency,
+  onError,
+}) => {
+  const { t, formatDate } = useI18n();
+  const { entries, skipped } = useMemo(
+    () =>
+      proposeJournalEntries(results, settings, { resolutions, feeInclusive }),
+    [results, settings, resolutions, feeInclusive]
+  );
+  const balance = useMemo(() => checkJournalBalance(entries), [entries]);
+  const clearingFallback = settings.accounts.clearing;
+
+  const updateAccount = (role, account) =>
+    onSettingsChange({
+      ...settings,
+      accounts: { ...settings.accounts, [role]: account },
+    });
+
+  const updateProviderClearing = (provider, account) =>
+    onSettingsChange({
+      ...settings,
+      providerClearing: { ...settings.providerClearing, [provider]: account },
+    });
+
+  const download = (format) => {
+    try {
+      downloadFile(
+        exportJournal(entries, format),
+        `journal_entries.${format}`,
+        format === "json" ? "application/json" : "text/csv;charset=utf-8;"
+      );
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <BookOpen className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+          {t("journal.title", { count: entries.length })}
+        </h2>
+        <div className="flex space-x-2">
+          {["csv", "json"].map((format) => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={entries.length === 0 || !balance.balanced}
+              className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4 mr-1" aria-hidden="true" />
+              {t("common.exportFormat", { format: format.toUpperCase() })}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">{t("journal.description")}</p>
+
+      {entries.length > 0 &&
+        (balance.balanced ? (
+          <p className="flex items-center text-sm text-green-700 mb-4">
+            <CheckCircle className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t("journal.balanced")}
+            {balance.totals.map((total) => (
+              <span key={total.currency} className="ml-3 text-gray-600">
+                {formatCurrency(total.debit, total.currency)}
+              </span>
+            ))}
+          </p>
+        ) : (
+          <p className="flex items-center text-sm text-red-700 mb-4">
+            <XCircle className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t("journal.unbalanced", {
+              currencies: balance.unbalanced.join(", "),
+            })}
+          </p>
+        ))}
+
+      <details className="text-sm text-gray-700 mb-4">
+        <summary className="cursor-pointer text-blue-600">
+          {t("journal.accounts")}
+        </summary>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-3">
+          <div className="space-y-2">
+            {ACCOUNT_ROLES.map((role) => (
+              <label key={role.id} className="block">
+                <span className="text-gray-600">
+                  {t(`journal.roles.${role.id}`)}
+                </span>
+                <div className="flex gap-2 mt-1">
+                  <AccountInputs
+                    account={settings.accounts[role.id]}
+                    onChange={(account) => updateAccount(role.id, account)}
+                  />
+                </div>
+              </label>
+            ))}
+          </div>
+          <div className="space-y-2">
+            <label className="block">
+              {t("journal.writeOffThreshold")}
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={settings.writeOffThreshold}
+                onChange={(e) =>
+                  onSettingsChange({
+                    ...settings,
+                    writeOffThreshold: parseFloat(e.target.value) || 0,
+                  })
+                }
+                className={`${inputClass} ml-2 w-24`}
+              />
+            </label>
+            {results.providers.length > 1 && (
+              <>
+                <p className="text-gray-600">{t("journal.providerClearing")}</p>
+                {results.providers.map((provider) => (
+                  <label key={provider} className="block">
+                    <span className="text-gray-600">{provider}</span>
+                    <div className="flex gap-2 mt-1">
+                      <AccountInputs
+                        account={
+                          settings.providerClearing[provider] || {
+                            code: "",
+                            name: "",
+                          }
+                        }
+                        onChange={(account) =>
+                          updateProviderClearing(
+                            provider,
+                            account.code || account.name ? account : undefined
+                          )
+                        }
+                      />
+                    </div>
+                    {!settings.providerClearing[provider] && (
+                      <span className="text-xs text-gray-400">
+                        {t("journal.usesFallback", {
+                          account: `${clearingFallback.code} ${clearingFallback.name}`,
+                        })}
+                      </span>
+                    )}
+                  </label>
+                ))}
+              </>
+            )}
+          </div>
+        </div>
+      </details>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">{t("journal.empty")}</p>
+      ) : (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full text-sm">
+            <caption className="sr-only">
+              {t("journal.title", { count: entries.length })}
+            </caption>
+            <thead>
+              <tr className="border-b border-gray-200">
+                {["entry", "date", "type", "account", "debit", "credit"].map(
+                  (column) => (
+                    <th
+                      key={column}
+                      scope="col"
+                      className="text-left py-2 px-2 font-medium text-gray-700"
+                    >
+                      {t(`journal.columns.${column}`)}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.flatMap((entry) =>
+                entry.lines.map((entryLine, index) => (
+                  <tr
+                    key={`${entry.id}-${index}`}
+                    className={
+                      index === entry.lines.length - 1
+                        ? "border-b border-gray-200"
+                        : ""
+                    }
+                  >
+                    <td className="py-1 px-2 font-mono">
+                      {index === 0 && entry.id}
+                    </td>
+                    <td className="py-1 px-2">
+                      {index === 0 && formatDate(entry.date)}
+                    </td>
+                    <td className="py-1 px-2">
+                      {index === 0 && (
+                        <>
+                          {t(`journal.types.${entry.type}`)}
+                          <span className="block text-xs text-gray-500">
+                            {entry.reference}
+                            {entry.provider && ` · ${entry.provider}`}
+                          </span>
+                        </>
+                      )}
+                    </td>
+                    <td className="py-1 px-2">
+                      <span className="font-mono">{entryLine.account}</span>{" "}
+                      {entryLine.accountName}
+                    </td>
+                    <td className="py-1 px-2">
+                      {entryLine.debit
+                        ? formatCurrency(entryLine.debit, entry.currency)
+                        : ""}
+                    </td>
+                    <td className="py-1 px-2">
+                      {entryLine.credit
+                        ? formatCurrency(entryLine.credit, entry.currency)
+                        : ""}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {skipped.length > 0 && (
+        <div className="mt-4 text-sm">
+          <p className="font-medium text-orange-700 mb-1">
+            {t("journal.skipped", { count: skipped.length })}
+          </p>
+          <ul className="text-gray-600 max-h-32 overflow-y-auto">
+            {skipped.map((item) => (
+              <li key={item.key}>
+                <span className="font-mono">{item.reference}</span> –{" "}
+                {item.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JournalPanel;
@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { Link2, X } from "lucide-react";
+import { useI18n } from "./i18n";
+
+// Link the rows selected in the Internal Only and Provider Only tables
+const ManualMatchBar = ({
+  selection,
+  internalTotal,
+  providerTotal,
+  onConfirm,
+  onClear,
+}) => {
+  const { t } = useI18n();
+  const [comment, setComment] = useState("");
+  const canLink =
+    selection.internal.length > 0 &&
+    selection.provider.length > 0 &&
+    comment.trim() !== "";
+
+  const confirm = () => {
+    onConfirm(comment.trim());
+    setComment("");
+  };
+
+  return (
+    <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <p className="text-sm text-blue-800" aria-live="polite">
+          <span className="font-semibold">{t("manualMatch.title")}</span>{" "}
+          {t("manualMatch.selection", {
+            internal: t("manualMatch.internalReferences", {
+              count: selection.internal.length,
+              total: internalTotal,
+            }),
+            provider: t("manualMatch.providerReferences", {
+              count: selection.provider.length,
+              total: providerTotal,
+            }),
+          })}
+        </p>
+        <button
+          onClick={onClear}
+          className="flex items-center text-sm text-gray-600 hover:text-gray-900 transition-colors"
+        >
+          <X className="w-4 h-4 mr-1" aria-hidden="true" />
+          {t("manualMatch.clear")}
+        </button>
+      </div>
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder={t("manualMatch.commentPlaceholder")}
+          aria-label={t("manualMatch.comment")}
+          aria-required="true"
+          className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        />
+        <button
+          onClick={confirm}
+          disabled={!canLink}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Link2 className="w-4 h-4 mr-2" aria-hidden="true" />
+          {t("manualMatch.link")}
+        </button>
+      </div>
+      {(selection.internal.length === 0 || selection.provider.length === 0) && (
+        <p className="text-xs text-blue-600 mt-2">{t("manualMatch.hint")}</p>
+      )}
+    </div>
+  );
+};
+
+export default ManualMatchBar;
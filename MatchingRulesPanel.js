@@ -0,0 +1,140 @@
+import React from "react";
+import { Settings } from "lucide-react";
+import { useI18n } from "./i18n";
+
+const NumberInput = ({ label, value, step, onChange }) => (
+  <label className="flex items-center text-sm text-gray-600 mt-2">
+    <span className="w-40">{label}</span>
+    <input
+      type="number"
+      min="0"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value) || 0)}
+      className="w-24 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+    />
+  </label>
+);
+
+const MatchingRulesPanel = ({ rules, onChange }) => {
+  const { t } = useI18n();
+  const updateRule = (ruleId, changes) =>
+    onChange({ ...rules, [ruleId]: { ...rules[ruleId], ...changes } });
+
+  const ruleToggle = (ruleId) => (
+    <label className="flex items-center font-medium text-gray-900">
+      <input
+        type="checkbox"
+        checked={rules[ruleId].enabled}
+        onChange={(e) => updateRule(ruleId, { enabled: e.target.checked })}
+        className="mr-2"
+      />
+      {t(`rules.${ruleId}`)}
+    </label>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <Settings className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("matchingRules.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t("matchingRules.description")}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="border border-gray-200 rounded-lg p-4">
+          {ruleToggle("normalizedReference")}
+          <label className="block text-sm text-gray-600 mt-2">
+            {t("matchingRules.stripPrefixes")}
+            <input
+              type="text"
+              value={rules.normalizedReference.stripPrefixes.join(", ")}
+              onChange={(e) =>
+                updateRule("normalizedReference", {
+                  stripPrefixes: e.target.value
+                    .split(",")
+                    .map((prefix) => prefix.trim())
+                    .filter(Boolean),
+                })
+              }
+              className="mt-1 block w-full border border-gray-300 rounded-lg px-2 py-1 text-sm"
+            />
+          </label>
+          <NumberInput
+            label={t("matchingRules.minLength")}
+            value={rules.normalizedReference.minLength}
+            step="1"
+            onChange={(minLength) =>
+              updateRule("normalizedReference", { minLength })
+            }
+          />
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4">
+          {ruleToggle("amountDate")}
+          <NumberInput
+            label={t("matchingRules.amountTolerance")}
+            value={rules.amountDate.amountTolerance}
+            step="0.01"
+            onChange={(amountTolerance) =>
+              updateRule("amountDate", { amountTolerance })
+            }
+          />
+          <NumberInput
+            label={t("matchingRules.maxDaysApart")}
+            value={rules.amountDate.maxDaysApart}
+            step="1"
+            onChange={(maxDaysApart) =>
+              updateRule("amountDate", { maxDaysApart })
+            }
+          />
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4">
+          {ruleToggle("descriptionTokens")}
+          <NumberInput
+            label={t("matchingRules.minSharedTokens")}
+            value={rules.descriptionTokens.minSharedTokens}
+            step="1"
+            onChange={(minSharedTokens) =>
+              updateRule("descriptionTokens", { minSharedTokens })
+            }
+          />
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-4">
+          {ruleToggle("groupTotal")}
+          <p className="text-xs text-gray-500 mt-1">
+            {t("matchingRules.groupTotalHint")}
+          </p>
+          <NumberInput
+            label={t("matchingRules.amountTolerance")}
+            value={rules.groupTotal.amountTolerance}
+            step="0.01"
+            onChange={(amountTolerance) =>
+              updateRule("groupTotal", { amountTolerance })
+            }
+          />
+          <NumberInput
+            label={t("matchingRules.maxDaysApart")}
+            value={rules.groupTotal.maxDaysApart}
+            step="1"
+            onChange={(maxDaysApart) =>
+              updateRule("groupTotal", { maxDaysApart })
+            }
+          />
+          <NumberInput
+            label={t("matchingRules.maxGroupRows")}
+            value={rules.groupTotal.maxRows}
+            step="1"
+            onChange={(maxRows) => updateRule("groupTotal", { maxRows })}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MatchingRulesPanel;
@@ -0,0 +1,13 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+
+// Marks a cell that disagrees with the other side, so the state is carried
+// by an icon and text as well as the cell colour
+const MismatchNote = ({ label }) => (
+  <span title={label} className="inline-flex items-center ml-1 align-middle">
+    <AlertTriangle className="w-3 h-3" aria-hidden="true" />
+    <span className="sr-only">{label}</span>
+  </span>
+);
+
+export default MismatchNote;
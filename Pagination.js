@@ -0,0 +1,51 @@
+import React from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { useI18n } from "./i18n";
+
+const Pagination = ({ page, pageCount, pageSize, totalRows, onChange }) => {
+  const { t } = useI18n();
+  if (pageCount <= 1) return null;
+
+  const firstRow = page * pageSize + 1;
+  const lastRow = Math.min((page + 1) * pageSize, totalRows);
+
+  return (
+    <nav
+      aria-label={t("pagination.label")}
+      className="flex justify-between items-center mt-4 text-sm text-gray-600"
+    >
+      <span>
+        {t("pagination.showing", {
+          first: firstRow,
+          last: lastRow,
+          total: totalRows,
+        })}
+      </span>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onChange(page - 1)}
+          disabled={page === 0}
+          className="p-1 rounded hover:bg-gray-100 transition-colors disabled:opacity-50"
+          title={t("pagination.previous")}
+          aria-label={t("pagination.previous")}
+        >
+          <ChevronLeft className="w-4 h-4" aria-hidden="true" />
+        </button>
+        <span aria-current="page">
+          {t("pagination.page", { page: page + 1, count: pageCount })}
+        </span>
+        <button
+          onClick={() => onChange(page + 1)}
+          disabled={page >= pageCount - 1}
+          className="p-1 rounded hover:bg-gray-100 transition-colors disabled:opacity-50"
+          title={t("pagination.next")}
+          aria-label={t("pagination.next")}
+        >
+          <ChevronRight className="w-4 h-4" aria-hidden="true" />
+        </button>
+      </div>
+    </nav>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,181 @@
+import React from "react";
+import ExceptionBadge from "./ExceptionBadge";
+import SortableHeader from "./SortableHeader";
+import ProviderCell from "./ProviderCell";
+import { dayNumberToIsoDate } from "./dateHandling";
+import { useI18n } from "./i18n";
+
+const STATUS_CLASSES = {
+  received: "bg-green-100 text-green-700",
+  short: "bg-red-100 text-red-700",
+  over: "bg-orange-100 text-orange-700",
+  not_received: "bg-red-100 text-red-700",
+};
+
+// Provider payouts and the bank deposits they were matched to. Resolutions
+// are only shown when `onEditException` is given.
+const PayoutsTable = ({
+  payouts,
+  exceptionKeys,
+  resolutions,
+  formatCurrency,
+  onEditException,
+  title,
+  sort,
+  onSort,
+  showProvider = false,
+}) => {
+  const { t, formatDate } = useI18n();
+
+  return (
+    <table className="w-full">
+      <caption className="sr-only">{title}</caption>
+      <thead>
+        <tr className="border-b border-gray-200">
+          <SortableHeader
+            label={t("columns.payoutId")}
+            field="reference"
+            sort={sort}
+            onSort={onSort}
+          />
+          {showProvider && (
+            <SortableHeader
+              label={t("columns.provider")}
+              field="provider"
+              sort={sort}
+              onSort={onSort}
+            />
+          )}
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.transactions")}
+          </th>
+          <SortableHeader
+            label={t("columns.payoutDate")}
+            field="payoutDate"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.expected")}
+            field="expected"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.received")}
+            field="received"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.difference")}
+            field="difference"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.deposit")}
+          </th>
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.status")}
+          </th>
+          {onEditException && (
+            <th
+              scope="col"
+              className="text-left py-3 px-4 font-medium text-gray-700"
+            >
+              {t("columns.resolution")}
+            </th>
+          )}
+        </tr>
+      </thead>
+      <tbody>
+        {payouts.map((payout, index) => {
+          const deposit = payout.bankRows[0];
+
+          return (
+            <tr
+              key={payout.payoutId}
+              className="border-b border-gray-100 hover:bg-gray-50"
+            >
+              <td className="py-3 px-4 font-mono text-sm">{payout.payoutId}</td>
+              {showProvider && <ProviderCell item={payout} />}
+              <td className="py-3 px-4 text-sm">
+                {payout.providerRows.length}
+              </td>
+              <td className="py-3 px-4 text-sm">
+                {payout.payoutDay === null
+                  ? "-"
+                  : formatDate(dayNumberToIsoDate(payout.payoutDay))}
+              </td>
+              <td className="py-3 px-4">
+                {formatCurrency(payout.expected, payout.currency)}
+              </td>
+              <td className="py-3 px-4">
+                {deposit
+                  ? formatCurrency(payout.received, payout.currency)
+                  : "-"}
+              </td>
+              <td
+                className={`py-3 px-4 font-mono text-sm ${
+                  payout.difference < 0 ? "text-red-700" : "text-gray-900"
+                }`}
+              >
+                {payout.difference > 0 ? "+" : ""}
+                {formatCurrency(payout.difference, payout.currency)}
+              </td>
+              <td className="py-3 px-4 text-sm">
+                {deposit ? (
+                  <>
+                    <span className="font-mono">
+                      {deposit.transaction_reference}
+                    </span>
+                    <div className="text-xs text-gray-500">
+                      {formatDate(deposit.date)} ·{" "}
+                      {t(`payouts.matchedBy.${payout.matchedBy}`)}
+                    </div>
+                  </>
+                ) : (
+                  "-"
+                )}
+              </td>
+              <td className="py-3 px-4">
+                <span
+                  className={`px-2 py-1 rounded text-xs ${
+                    STATUS_CLASSES[payout.payoutStatus]
+                  }`}
+                >
+                  {t(`payouts.status.${payout.payoutStatus}`)}
+                </span>
+              </td>
+              {onEditException && (
+                <td className="py-3 px-4">
+                  <ExceptionBadge
+                    resolution={resolutions[exceptionKeys[index]]}
+                    onEdit={() =>
+                      onEditException(
+                        exceptionKeys[index],
+                        `${title} – ${payout.payoutId}`
+                      )
+                    }
+                  />
+                </td>
+              )}
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+};
+
+export default PayoutsTable;
@@ -0,0 +1,234 @@
+import React, { useState } from "react";
+import { AlertTriangle, Plus, ShieldCheck, Trash2 } from "lucide-react";
+import { normalizeHeader } from "./columnMapping";
+import { EXPORT_MODES, SENSITIVE_TYPES, getSensitiveColumns } from "./privacy";
+import { useI18n } from "./i18n";
+
+// Columns holding personal data in the loaded files, how they are shown and
+// what exports do with them. `files` lists { title, columns } with the
+// columns detected in each file.
+const PrivacySettingsPanel = ({ settings, onChange, files }) => {
+  const { t } = useI18n();
+  const [newColumn, setNewColumn] = useState("");
+  const [newType, setNewType] = useState(SENSITIVE_TYPES[0].id);
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const configured = Object.fromEntries(
+    Object.entries(settings.columns).map(([column, type]) => [
+      normalizeHeader(column),
+      type,
+    ])
+  );
+
+  const setColumnType = (column, type) =>
+    update({ columns: { ...configured, [column]: type } });
+
+  const removeColumn = (column) => {
+    const { [column]: removed, ...columns } = configured;
+    update({ columns });
+  };
+
+  const addColumn = () => {
+    const column = normalizeHeader(newColumn);
+    if (!column) return;
+    setColumnType(column, newType);
+    setNewColumn("");
+  };
+
+  // Detected columns per file, typed as configured, and every column with
+  // the files it was found in
+  const effective = files.map((file) => ({
+    ...file,
+    columns: Object.fromEntries(
+      Object.entries(getSensitiveColumns(file.columns, configured)).filter(
+        ([column]) =>
+          Object.keys(file.columns).some(
+            (detected) => normalizeHeader(detected) === column
+          )
+      )
+    ),
+  }));
+  const rows = [
+    ...new Set([
+      ...effective.flatMap((file) => Object.keys(file.columns)),
+      ...Object.keys(configured),
+    ]),
+  ]
+    .sort()
+    .map((column) => ({
+      column,
+      type:
+        configured[column] ??
+        effective.find((file) => file.columns[column])?.columns[column],
+      files: effective.filter((file) => file.columns[column]),
+    }));
+  const cardFiles = effective.filter((file) =>
+    Object.values(file.columns).includes("pan")
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <ShieldCheck
+          className="w-5 h-5 mr-2 text-blue-600"
+          aria-hidden="true"
+        />
+        {t("privacy.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">{t("privacy.description")}</p>
+
+      {cardFiles.length > 0 && (
+        <div
+          role="alert"
+          className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800 flex items-start"
+        >
+          <AlertTriangle
+            className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0"
+            aria-hidden="true"
+          />
+          {t("privacy.panWarning", {
+            files: cardFiles.map((file) => file.title).join(", "),
+          })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-4">
+        <label className="flex items-start text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.maskDisplay}
+            onChange={(e) => update({ maskDisplay: e.target.checked })}
+            className="mr-2 mt-1"
+          />
+          <span>
+            {t("privacy.maskDisplay")}
+            <span className="block text-gray-400">
+              {t("privacy.maskDisplayHint")}
+            </span>
+          </span>
+        </label>
+        <label className="block text-sm text-gray-700">
+          {t("privacy.exportMode")}
+          <select
+            value={settings.exportMode}
+            onChange={(e) => update({ exportMode: e.target.value })}
+            className="mt-1 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          >
+            {EXPORT_MODES.map(({ id }) => (
+              <option key={id} value={id}>
+                {t(`privacy.exportModes.${id}`)}
+              </option>
+            ))}
+          </select>
+          <span className="block text-gray-400">
+            {t(`privacy.exportModeHints.${settings.exportMode}`)}
+          </span>
+        </label>
+      </div>
+
+      {rows.length > 0 ? (
+        <table className="w-full mb-4">
+          <caption className="sr-only">{t("privacy.columnsCaption")}</caption>
+          <thead>
+            <tr className="border-b border-gray-200">
+              <th
+                scope="col"
+                className="text-left py-2 px-3 text-sm font-medium text-gray-700"
+              >
+                {t("privacy.columns.column")}
+              </th>
+              <th
+                scope="col"
+                className="text-left py-2 px-3 text-sm font-medium text-gray-700"
+              >
+                {t("privacy.columns.foundIn")}
+              </th>
+              <th
+                scope="col"
+                className="text-left py-2 px-3 text-sm font-medium text-gray-700"
+              >
+                {t("privacy.columns.type")}
+              </th>
+              <th scope="col" className="py-2 px-3">
+                <span className="sr-only">{t("privacy.columns.remove")}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ column, type, files: foundIn }) => (
+              <tr key={column} className="border-b border-gray-100">
+                <td className="py-2 px-3 font-mono text-sm">{column}</td>
+                <td className="py-2 px-3 text-sm text-gray-600">
+                  {foundIn.length
+                    ? foundIn.map((file) => file.title).join(", ")
+                    : "-"}
+                </td>
+                <td className="py-2 px-3">
+                  <select
+                    value={type || ""}
+                    onChange={(e) => setColumnType(column, e.target.value)}
+                    aria-label={t("privacy.typeFor", { column })}
+                    className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                  >
+                    <option value="">{t("privacy.notSensitive")}</option>
+                    {SENSITIVE_TYPES.map(({ id }) => (
+                      <option key={id} value={id}>
+                        {t(`privacy.types.${id}`)}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-2 px-3 text-right">
+                  {column in configured && (
+                    <button
+                      onClick={() => removeColumn(column)}
+                      className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                      title={t("privacy.useDetection")}
+                      aria-label={`${t("privacy.useDetection")}: ${column}`}
+                    >
+                      <Trash2 className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-sm text-gray-500 mb-4">{t("privacy.noneFound")}</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={newColumn}
+          onChange={(e) => setNewColumn(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addColumn()}
+          placeholder={t("privacy.newColumn")}
+          aria-label={t("privacy.newColumn")}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm w-48"
+        />
+        <select
+          value={newType}
+          onChange={(e) => setNewType(e.target.value)}
+          aria-label={t("privacy.columns.type")}
+          className="border border-gray-300 rounded-lg px-2 py-1 text-sm"
+        >
+          {SENSITIVE_TYPES.map(({ id }) => (
+            <option key={id} value={id}>
+              {t(`privacy.types.${id}`)}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={addColumn}
+          className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+        >
+          <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+          {t("privacy.addColumn")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PrivacySettingsPanel;
@@ -0,0 +1,11 @@
+import React from "react";
+import { getItemProviders } from "./resultView";
+
+// Provider of a result row, for runs with several provider statements
+const ProviderCell = ({ item }) => (
+  <td className="py-3 px-4 text-sm">
+    {getItemProviders(item).join(" / ") || "-"}
+  </td>
+);
+
+export default ProviderCell;
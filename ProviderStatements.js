@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { Upload, FileText, Columns, Trash2 } from "lucide-react";
+import { SUPPORTED_EXTENSIONS } from "./parsers";
+import { useI18n } from "./i18n";
+
+// One uploaded statement; the provider name is applied when the field loses
+// focus so a re-run does not start on every keystroke
+const StatementRow = ({
+  statement,
+  source,
+  count,
+  duplicateName,
+  onRename,
+  onRemove,
+  onEditMapping,
+}) => {
+  const { t } = useI18n();
+  const [name, setName] = useState(statement.name);
+  const invalidName = !name.trim() || duplicateName;
+
+  return (
+    <div
+      className={`mt-4 p-3 border rounded-lg ${
+        source
+          ? "bg-green-50 border-green-200"
+          : "bg-yellow-50 border-yellow-200"
+      }`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onBlur={() => onRename(name.trim())}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          placeholder={t("providers.name")}
+          aria-label={t("providers.name")}
+          aria-invalid={invalidName}
+          aria-describedby={
+            duplicateName ? `${statement.id}-name-error` : undefined
+          }
+          className={`border rounded-lg px-2 py-1 text-sm w-40 ${
+            invalidName ? "border-red-400" : "border-gray-300"
+          }`}
+          title={t("providers.nameHint")}
+        />
+        <div className="flex items-center space-x-2">
+          {source && (
+            <button
+              onClick={onEditMapping}
+              className="flex items-center text-sm text-green-800 hover:text-blue-600 transition-colors"
+            >
+              <Columns className="w-4 h-4 mr-1" aria-hidden="true" />
+              {t("upload.editMapping")}
+            </button>
+          )}
+          <button
+            onClick={onRemove}
+            className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+            title={t("providers.remove")}
+            aria-label={`${t("providers.remove")}: ${statement.file.name}`}
+          >
+            <Trash2 className="w-4 h-4" aria-hidden="true" />
+          </button>
+        </div>
+      </div>
+      {source ? (
+        <p className="text-green-800 text-sm mt-2">
+          <span aria-hidden="true">✅ </span>
+          {statement.file.name} ({t("common.transactions", { count })})
+          {` · ${source.format}`}
+          {source.sheetName && ` (${source.sheetName})`}
+          {source.profileName &&
+            ` · ${t("upload.mapping", { name: source.profileName })}`}
+        </p>
+      ) : (
+        <p className="text-yellow-800 text-sm mt-2">
+          {statement.file.name} – {t("upload.awaitingMapping")}
+        </p>
+      )}
+      {duplicateName && (
+        <p
+          id={`${statement.id}-name-error`}
+          className="text-red-700 text-xs mt-1"
+        >
+          {t("providers.duplicateName")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Provider statements reconciled together, each with its own name and
+// column mapping
+const ProviderStatements = ({
+  statements,
+  sources,
+  transactionCounts,
+  onUpload,
+  onRename,
+  onRemove,
+  onEditMapping,
+}) => {
+  const { t } = useI18n();
+  const isDuplicate = (statement) =>
+    statements.some(
+      (other) => other.id !== statement.id && other.name === statement.name
+    );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <Upload className="w-5 h-5 mr-2 text-purple-600" aria-hidden="true" />
+        {t("providers.title")}
+      </h2>
+
+      <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-purple-400 transition-colors">
+        <input
+          type="file"
+          accept={SUPPORTED_EXTENSIONS.join(",")}
+          onChange={onUpload}
+          className="hidden"
+          id="provider-upload"
+        />
+        <label htmlFor="provider-upload" className="cursor-pointer">
+          <FileText
+            className="w-12 h-12 text-gray-400 mx-auto mb-4"
+            aria-hidden="true"
+          />
+          <p className="text-gray-600 mb-2">
+            {statements.length
+              ? t("providers.addAnother")
+              : t("providers.upload")}
+          </p>
+          <p className="text-sm text-gray-400">{t("providers.formats")}</p>
+        </label>
+      </div>
+
+      {statements.map((statement) => (
+        <StatementRow
+          key={statement.id}
+          statement={statement}
+          source={sources[statement.id]}
+          count={transactionCounts[statement.id]}
+          duplicateName={isDuplicate(statement)}
+          onRename={(name) => onRename(statement.id, name)}
+          onRemove={() => onRemove(statement.id)}
+          onEditMapping={() => onEditMapping(statement.id)}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default ProviderStatements;
@@ -0,0 +1,191 @@
+import React, { useState } from "react";
+import { Search, Filter, Columns, X } from "lucide-react";
+import { EMPTY_FILTERS, FLAG_FILTERS } from "./resultView";
+import { useI18n } from "./i18n";
+
+const inputClass = "border border-gray-300 rounded-lg px-2 py-1 text-sm";
+
+const ResultFilters = ({
+  filters,
+  onChange,
+  options,
+  showFlags,
+  extraColumns,
+  selectedColumns,
+  onColumnsChange,
+}) => {
+  const { t } = useI18n();
+  const [showColumns, setShowColumns] = useState(false);
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const isFiltered = Object.keys(EMPTY_FILTERS).some(
+    (key) => filters[key] !== EMPTY_FILTERS[key]
+  );
+
+  const toggleColumn = (column) =>
+    onColumnsChange(
+      selectedColumns.includes(column)
+        ? selectedColumns.filter((selected) => selected !== column)
+        : [...selectedColumns, column]
+    );
+
+  return (
+    <div
+      role="search"
+      aria-label={t("filters.label")}
+      className="border border-gray-200 rounded-lg p-3 mb-4"
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative">
+          <Search
+            className="w-4 h-4 text-gray-400 absolute left-2 top-2"
+            aria-hidden="true"
+          />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={(e) => update({ search: e.target.value })}
+            placeholder={t("filters.search")}
+            aria-label={t("filters.search")}
+            className={`${inputClass} pl-8 w-64`}
+          />
+        </div>
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className={inputClass}
+          aria-label={t("columns.status")}
+        >
+          <option value="">{t("filters.allStatuses")}</option>
+          {options.statuses.map((status) => (
+            <option key={status} value={status}>
+              {status}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.currency}
+          onChange={(e) => update({ currency: e.target.value })}
+          className={inputClass}
+          aria-label={t("columns.currency")}
+        >
+          <option value="">{t("filters.allCurrencies")}</option>
+          {options.currencies.map((currency) => (
+            <option key={currency} value={currency}>
+              {currency}
+            </option>
+          ))}
+        </select>
+        {options.providers.length > 1 && (
+          <select
+            value={filters.provider}
+            onChange={(e) => update({ provider: e.target.value })}
+            className={inputClass}
+            aria-label={t("columns.provider")}
+          >
+            <option value="">{t("filters.allProviders")}</option>
+            {options.providers.map((provider) => (
+              <option key={provider} value={provider}>
+                {provider}
+              </option>
+            ))}
+          </select>
+        )}
+        {showFlags && (
+          <select
+            value={filters.flag}
+            onChange={(e) => update({ flag: e.target.value })}
+            className={inputClass}
+            aria-label={t("columns.flags")}
+          >
+            <option value="">{t("filters.allFlags")}</option>
+            {FLAG_FILTERS.map((flag) => (
+              <option key={flag.id} value={flag.id}>
+                {t(`flags.${flag.id}`)}
+              </option>
+            ))}
+          </select>
+        )}
+        <span className="flex items-center text-sm text-gray-600">
+          <Filter className="w-4 h-4 mr-1" aria-hidden="true" />
+          {t("columns.amount")}
+        </span>
+        <input
+          type="number"
+          value={filters.minAmount}
+          onChange={(e) => update({ minAmount: e.target.value })}
+          placeholder={t("filters.min")}
+          aria-label={t("filters.minAmount")}
+          className={`${inputClass} w-24`}
+        />
+        <input
+          type="number"
+          value={filters.maxAmount}
+          onChange={(e) => update({ maxAmount: e.target.value })}
+          placeholder={t("filters.max")}
+          aria-label={t("filters.maxAmount")}
+          className={`${inputClass} w-24`}
+        />
+        <span className="text-sm text-gray-600">{t("columns.date")}</span>
+        <input
+          type="date"
+          value={filters.dateFrom}
+          onChange={(e) => update({ dateFrom: e.target.value })}
+          className={inputClass}
+          aria-label={t("filters.dateFrom")}
+        />
+        <input
+          type="date"
+          value={filters.dateTo}
+          onChange={(e) => update({ dateTo: e.target.value })}
+          className={inputClass}
+          aria-label={t("filters.dateTo")}
+        />
+        {isFiltered && (
+          <button
+            onClick={() => onChange(EMPTY_FILTERS)}
+            className="flex items-center text-sm text-gray-600 hover:text-red-600 transition-colors"
+          >
+            <X className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("filters.clear")}
+          </button>
+        )}
+        {extraColumns.length > 0 && (
+          <button
+            onClick={() => setShowColumns(!showColumns)}
+            aria-expanded={showColumns}
+            aria-controls="result-columns"
+            className="flex items-center text-sm text-gray-600 hover:text-blue-600 transition-colors ml-auto"
+          >
+            <Columns className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("filters.columns", { count: selectedColumns.length })}
+          </button>
+        )}
+      </div>
+
+      {/* Extra source columns */}
+      {showColumns && extraColumns.length > 0 && (
+        <div
+          id="result-columns"
+          className="flex flex-wrap gap-3 mt-3 pt-3 border-t border-gray-100"
+        >
+          {extraColumns.map((column) => (
+            <label
+              key={column}
+              className="flex items-center text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={selectedColumns.includes(column)}
+                onChange={() => toggleColumn(column)}
+                className="mr-1"
+              />
+              <span className="font-mono">{column}</span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultFilters;
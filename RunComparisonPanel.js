@@ -0,0 +1,436 @@
+import React, { useMemo, useState } from "react";
+import { GitCompare, Upload, X } from "lucide-react";
+import { loadRun } from "./runStorage";
+import {
+  ageBreaks,
+  compareSnapshots,
+  readExportedRun,
+  snapshotFromResults,
+} from "./runComparison";
+import { useI18n } from "./i18n";
+
+const DEFAULT_MIN_RUNS = 3;
+
+const bucketLabel = (bucket, t) =>
+  bucket.max === Infinity
+    ? t("comparison.bucketOpen", { min: bucket.min })
+    : bucket.min === bucket.max
+    ? t("comparison.runs", { count: bucket.min })
+    : t("comparison.bucketRange", { min: bucket.min, max: bucket.max });
+
+const BreakList = ({ title, breaks, formatCurrency, className, extra }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <h3 className={`font-semibold mb-3 ${className}`}>
+        {title} ({breaks.length})
+      </h3>
+      {breaks.length === 0 ? (
+        <p className="text-sm text-gray-500">{t("comparison.none")}</p>
+      ) : (
+        <div className="max-h-80 overflow-y-auto">
+          <table className="w-full text-sm">
+            <caption className="sr-only">{title}</caption>
+            <tbody>
+              {breaks.map((entry) => (
+                <tr key={entry.key} className="border-b border-gray-100">
+                  <td className="py-1 pr-2 font-mono">{entry.reference}</td>
+                  <td className="py-1 pr-2 text-gray-600">
+                    {t(`categories.${entry.kind}`)}
+                    {entry.provider && ` · ${entry.provider}`}
+                  </td>
+                  <td className="py-1 pr-2 text-right">
+                    {entry.amount === null
+                      ? "-"
+                      : formatCurrency(entry.amount, entry.currency)}
+                  </td>
+                  {extra && (
+                    <td className="py-1 text-right text-gray-600">
+                      {extra(entry)}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Compare saved runs and uploaded result exports: breaks that appeared or
+// cleared between two runs, how long breaks have been open, and trends
+const RunComparisonPanel = ({ runs, formatCurrency, onError, onClose }) => {
+  const { t, formatDateTime, formatPercent } = useI18n();
+  const [snapshots, setSnapshots] = useState([]);
+  const [previousId, setPreviousId] = useState("");
+  const [currentId, setCurrentId] = useState("");
+  const [minRuns, setMinRuns] = useState(DEFAULT_MIN_RUNS);
+
+  // Oldest first; the two latest runs are compared unless others are chosen
+  const addSnapshot = (snapshot) =>
+    setSnapshots((prev) =>
+      [...prev.filter((entry) => entry.id !== snapshot.id), snapshot].sort(
+        (a, b) => a.createdAt.localeCompare(b.createdAt)
+      )
+    );
+
+  const toggleRun = async (run) => {
+    const id = `run:${run.id}`;
+    if (snapshots.some((snapshot) => snapshot.id === id)) {
+      setSnapshots((prev) => prev.filter((snapshot) => snapshot.id !== id));
+      return;
+    }
+
+    try {
+      const saved = await loadRun(run.id);
+      if (!saved) {
+        onError(t("comparison.runMissing"));
+        return;
+      }
+      addSnapshot(
+        snapshotFromResults(saved.results, {
+          id,
+          label: formatDateTime(saved.createdAt),
+          createdAt: saved.createdAt,
+          resolutions: saved.resolutions,
+        })
+      );
+    } catch (err) {
+      onError(t("comparison.openError", { message: err.message }));
+    }
+  };
+
+  const handleUpload = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    try {
+      addSnapshot(await readExportedRun(files));
+    } catch (err) {
+      onError(
+        typeof err === "string"
+          ? err
+          : t("comparison.readError", { message: err.message })
+      );
+    }
+  };
+
+  const byId = (id) => snapshots.find((snapshot) => snapshot.id === id);
+  const current = byId(currentId) || snapshots[snapshots.length - 1];
+  const currentIndex = snapshots.indexOf(current);
+  const previous =
+    byId(previousId) || (currentIndex > 0 ? snapshots[currentIndex - 1] : null);
+
+  const comparison = useMemo(
+    () =>
+      previous && current && previous !== current
+        ? compareSnapshots(previous, current)
+        : null,
+    [previous, current]
+  );
+  const aging = useMemo(
+    () =>
+      current ? ageBreaks(snapshots.slice(0, currentIndex + 1), minRuns) : null,
+    [snapshots, current, currentIndex, minRuns]
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <GitCompare
+            className="w-5 h-5 mr-2 text-blue-600"
+            aria-hidden="true"
+          />
+          {t("comparison.title")}
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-800 transition-colors"
+          title={t("comparison.close")}
+          aria-label={t("comparison.close")}
+        >
+          <X className="w-5 h-5" aria-hidden="true" />
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {t("comparison.description")}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div>
+          <h3 className="font-semibold text-gray-900 mb-2">
+            {t("comparison.savedRuns")}
+          </h3>
+          {runs.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("comparison.noRuns")}</p>
+          ) : (
+            <div className="max-h-48 overflow-y-auto space-y-1">
+              {runs.map((run) => (
+                <label key={run.id} className="flex items-center text-sm">
+                  <input
+                    type="checkbox"
+                    checked={snapshots.some(
+                      (snapshot) => snapshot.id === `run:${run.id}`
+                    )}
+                    onChange={() => toggleRun(run)}
+                    className="mr-2"
+                  />
+                  {formatDateTime(run.createdAt)}
+                  <span className="ml-2 text-gray-500 font-mono truncate">
+                    {run.files.internal.name}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+        <div>
+          <h3 className="font-semibold text-gray-900 mb-2">
+            {t("comparison.exports")}
+          </h3>
+          <input
+            type="file"
+            accept=".xlsx,.csv"
+            multiple
+            onChange={handleUpload}
+            className="hidden"
+            id="comparison-upload"
+          />
+          <label
+            htmlFor="comparison-upload"
+            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors cursor-pointer"
+          >
+            <Upload className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("comparison.upload")}
+          </label>
+          {snapshots
+            .filter((snapshot) => snapshot.id.startsWith("export:"))
+            .map((snapshot) => (
+              <div
+                key={snapshot.id}
+                className="flex items-center text-sm mt-2 text-gray-700"
+              >
+                <span className="font-mono truncate">{snapshot.label}</span>
+                <button
+                  onClick={() =>
+                    setSnapshots((prev) =>
+                      prev.filter((entry) => entry.id !== snapshot.id)
+                    )
+                  }
+                  className="ml-2 p-1 text-gray-500 hover:text-red-600 transition-colors"
+                  title={t("comparison.removeExport")}
+                  aria-label={`${t("comparison.removeExport")}: ${
+                    snapshot.label
+                  }`}
+                >
+                  <X className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </div>
+            ))}
+        </div>
+      </div>
+
+      {snapshots.length < 2 ? (
+        <p className="text-sm text-gray-500">{t("comparison.needTwo")}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+            <label>
+              {t("comparison.previous")}
+              <select
+                value={previous ? previous.id : ""}
+                onChange={(e) => setPreviousId(e.target.value)}
+                className="ml-2 border border-gray-300 rounded-lg px-2 py-1"
+              >
+                {snapshots.map((snapshot) => (
+                  <option key={snapshot.id} value={snapshot.id}>
+                    {snapshot.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              {t("comparison.current")}
+              <select
+                value={current.id}
+                onChange={(e) => setCurrentId(e.target.value)}
+                className="ml-2 border border-gray-300 rounded-lg px-2 py-1"
+              >
+                {snapshots.map((snapshot) => (
+                  <option key={snapshot.id} value={snapshot.id}>
+                    {snapshot.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {comparison && (
+              <span>
+                {t("comparison.summary", {
+                  count: comparison.continuing,
+                  previous: formatPercent(previous.matchRate, 1),
+                  current: formatPercent(current.matchRate, 1),
+                })}
+              </span>
+            )}
+          </div>
+
+          {comparison && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+              <BreakList
+                title={t("comparison.newBreaks")}
+                breaks={comparison.newBreaks}
+                formatCurrency={formatCurrency}
+                className="text-red-700"
+              />
+              <BreakList
+                title={t("comparison.clearedBreaks")}
+                breaks={comparison.clearedBreaks}
+                formatCurrency={formatCurrency}
+                className="text-green-700"
+              />
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="border border-gray-200 rounded-lg p-4">
+              <h3 className="font-semibold text-gray-900 mb-3">
+                {t("comparison.byAge")}
+              </h3>
+              {aging.buckets.map((bucket) => (
+                <div
+                  key={bucket.min}
+                  className="flex justify-between text-sm mb-1"
+                >
+                  <span className="text-gray-600">
+                    {bucketLabel(bucket, t)}
+                  </span>
+                  <span className="font-medium">{bucket.count}</span>
+                </div>
+              ))}
+              <p className="text-xs text-gray-400 mt-2">
+                {t("comparison.ageHint", { count: currentIndex + 1 })}
+              </p>
+            </div>
+            <div className="lg:col-span-2">
+              <label className="block text-sm text-gray-700 mb-2">
+                {t("comparison.minRunsBefore")}
+                <input
+                  type="number"
+                  min="1"
+                  value={minRuns}
+                  onChange={(e) =>
+                    setMinRuns(parseInt(e.target.value, 10) || 1)
+                  }
+                  className="mx-2 w-16 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                />
+                {t("comparison.minRunsAfter")}
+              </label>
+              <BreakList
+                title={t("comparison.longOpen")}
+                breaks={aging.aged}
+                formatCurrency={formatCurrency}
+                className="text-orange-700"
+                extra={(entry) => t("comparison.runs", { count: entry.runs })}
+              />
+            </div>
+          </div>
+
+          <h3
+            id="comparison-trend"
+            className="font-semibold text-gray-900 mt-6 mb-3"
+          >
+            {t("comparison.trend")}
+          </h3>
+          <div className="overflow-x-auto">
+            <table
+              className="w-full text-sm"
+              aria-labelledby="comparison-trend"
+            >
+              <thead>
+                <tr className="border-b border-gray-200">
+                  {["run", "matchRate", "openBreaks", "netVariance"].map(
+                    (column) => (
+                      <th
+                        key={column}
+                        scope="col"
+                        className="text-left py-2 px-2 font-medium text-gray-700"
+                      >
+                        {t(`comparison.columns.${column}`)}
+                      </th>
+                    )
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map((snapshot) => (
+                  <tr
+                    key={snapshot.id}
+                    aria-current={snapshot === current || undefined}
+                    className={`border-b border-gray-100 ${
+                      snapshot === current ? "bg-blue-50" : ""
+                    }`}
+                  >
+                    <td className="py-2 px-2">
+                      {snapshot.label}
+                      {snapshot === current && (
+                        <span className="sr-only">
+                          {" "}
+                          ({t("comparison.current")})
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 px-2">
+                      <div className="flex items-center">
+                        <div
+                          className="w-24 bg-gray-100 rounded h-2 mr-2"
+                          aria-hidden="true"
+                        >
+                          <div
+                            className="bg-green-500 h-2 rounded"
+                            style={{
+                              width: `${(snapshot.matchRate || 0) * 100}%`,
+                            }}
+                          />
+                        </div>
+                        {formatPercent(snapshot.matchRate, 1)}
+                      </div>
+                    </td>
+                    <td className="py-2 px-2">
+                      {Object.keys(snapshot.breaks).length}
+                    </td>
+                    <td className="py-2 px-2">
+                      {snapshot.netVariance.length === 0
+                        ? "-"
+                        : snapshot.netVariance.map((total) => (
+                            <span
+                              key={total.currency}
+                              className={`block ${
+                                total.netVariance < 0
+                                  ? "text-red-700"
+                                  : "text-gray-900"
+                              }`}
+                            >
+                              {formatCurrency(
+                                total.netVariance,
+                                total.currency
+                              )}
+                            </span>
+                          ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RunComparisonPanel;
@@ -0,0 +1,133 @@
+import React from "react";
+import { History, FolderOpen, Trash2, X } from "lucide-react";
+import { getProviderFiles } from "./runStorage";
+import { useI18n } from "./i18n";
+
+const RunHistory = ({ runs, currentRunId, onOpen, onDelete, onClose }) => {
+  const { t, formatDateTime } = useI18n();
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <History className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+          {t("history.title")}
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-800 transition-colors"
+          title={t("history.close")}
+          aria-label={t("history.close")}
+        >
+          <X className="w-5 h-5" aria-hidden="true" />
+        </button>
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="text-sm text-gray-500">{t("history.empty")}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <caption className="sr-only">{t("history.title")}</caption>
+            <thead>
+              <tr className="border-b border-gray-200">
+                {["run", "internal", "provider", "matched", "unmatched"].map(
+                  (column) => (
+                    <th
+                      key={column}
+                      scope="col"
+                      className="text-left py-2 px-2 font-medium text-gray-700"
+                    >
+                      {t(`history.columns.${column}`)}
+                    </th>
+                  )
+                )}
+                <td />
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <tr
+                  key={run.id}
+                  aria-current={run.id === currentRunId || undefined}
+                  className={`border-b border-gray-100 ${
+                    run.id === currentRunId ? "bg-blue-50" : "hover:bg-gray-50"
+                  }`}
+                >
+                  <td className="py-2 px-2 text-sm">
+                    {formatDateTime(run.createdAt)}
+                    {run.id === currentRunId && (
+                      <span className="block text-xs text-blue-700">
+                        {t("history.current")}
+                      </span>
+                    )}
+                    {run.apiRun && (
+                      <span className="block text-xs text-gray-500">
+                        {t("history.fromApi")}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 px-2 text-sm">
+                    <span className="font-mono">{run.files.internal.name}</span>
+                    <span className="block text-xs text-gray-500">
+                      {t("common.transactions", {
+                        count: run.files.internal.transactionCount,
+                      })}
+                    </span>
+                  </td>
+                  <td className="py-2 px-2 text-sm">
+                    {getProviderFiles(run.files).map((file) => (
+                      <div key={file.name}>
+                        <span className="font-mono">{file.name}</span>
+                        <span className="block text-xs text-gray-500">
+                          {file.provider && `${file.provider} · `}
+                          {t("common.transactions", {
+                            count: file.transactionCount,
+                          })}
+                        </span>
+                      </div>
+                    ))}
+                  </td>
+                  <td className="py-2 px-2 text-sm">
+                    {run.summary.counts.matched}
+                  </td>
+                  <td className="py-2 px-2 text-sm">{run.summary.unmatched}</td>
+                  <td className="py-2 px-2">
+                    <div className="flex space-x-1">
+                      <button
+                        onClick={() => onOpen(run.id)}
+                        className="flex items-center px-2 py-1 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+                      >
+                        <FolderOpen
+                          className="w-4 h-4 mr-1"
+                          aria-hidden="true"
+                        />
+                        {t("common.open")}
+                        <span className="sr-only">
+                          {" "}
+                          {formatDateTime(run.createdAt)}
+                        </span>
+                      </button>
+                      <button
+                        onClick={() => onDelete(run.id)}
+                        className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                        title={t("history.delete")}
+                        aria-label={`${t("history.delete")}: ${formatDateTime(
+                          run.createdAt
+                        )}`}
+                      >
+                        <Trash2 className="w-4 h-4" aria-hidden="true" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,87 @@
+import React from "react";
+import { Landmark } from "lucide-react";
+import { useI18n } from "./i18n";
+
+const SettlementSettingsPanel = ({ settings, onChange }) => {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <Landmark className="w-5 h-5 mr-2 text-blue-600" aria-hidden="true" />
+        {t("settlement.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {t("settlement.description")}
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <label className="block text-sm text-gray-700">
+          {t("settlement.maxDaysApart")}
+          <input
+            type="number"
+            min="0"
+            value={settings.maxDaysApart}
+            onChange={(e) =>
+              update({ maxDaysApart: parseInt(e.target.value, 10) || 0 })
+            }
+            className="mt-1 w-24 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <span className="block text-gray-400">
+            {t("settlement.maxDaysApartHint")}
+          </span>
+        </label>
+        <label className="block text-sm text-gray-700">
+          {t("settlement.tolerance")}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={settings.tolerance}
+            onChange={(e) =>
+              update({ tolerance: parseFloat(e.target.value) || 0 })
+            }
+            className="mt-1 w-24 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <span className="block text-gray-400">
+            {t("settlement.toleranceHint")}
+          </span>
+        </label>
+        <label className="block text-sm text-gray-700">
+          {t("settlement.maxShortPercent")}
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={settings.maxShortPercent}
+            onChange={(e) =>
+              update({ maxShortPercent: parseFloat(e.target.value) || 0 })
+            }
+            className="mt-1 w-24 block border border-gray-300 rounded-lg px-2 py-1 text-sm"
+          />
+          <span className="block text-gray-400">
+            {t("settlement.maxShortPercentHint")}
+          </span>
+        </label>
+        <label className="flex items-start text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={settings.feesDeducted}
+            onChange={(e) => update({ feesDeducted: e.target.checked })}
+            className="mr-2 mt-1"
+          />
+          <span>
+            {t("settlement.feesDeducted")}
+            <span className="block text-gray-400">
+              {t("settlement.feesDeductedHint")}
+            </span>
+          </span>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default SettlementSettingsPanel;
@@ -0,0 +1,42 @@
+import React from "react";
+import { ArrowDown, ArrowUp, ArrowUpDown } from "lucide-react";
+import { useI18n } from "./i18n";
+
+// Column header that sorts by `field`; a second click reverses the order.
+// Screen readers hear the current order through aria-sort.
+const SortableHeader = ({ label, field, sort, onSort }) => {
+  const { t } = useI18n();
+  const active = sort && sort.field === field;
+  const Icon = !active
+    ? ArrowUpDown
+    : sort.direction === "asc"
+    ? ArrowUp
+    : ArrowDown;
+  const nextDirection = active && sort.direction === "asc" ? "desc" : "asc";
+
+  return (
+    <th
+      scope="col"
+      aria-sort={
+        !active ? "none" : sort.direction === "asc" ? "ascending" : "descending"
+      }
+      className="text-left py-3 px-4 font-medium text-gray-700"
+    >
+      <button
+        onClick={() => onSort({ field, direction: nextDirection })}
+        className="flex items-center hover:text-blue-600 transition-colors"
+        title={t(`table.sort.${nextDirection}`, { column: label })}
+      >
+        {label}
+        <Icon
+          aria-hidden="true"
+          className={`w-3 h-3 ml-1 ${
+            active ? "text-blue-600" : "text-gray-400"
+          }`}
+        />
+      </button>
+    </th>
+  );
+};
+
+export default SortableHeader;
@@ -0,0 +1,290 @@
+import React from "react";
+import { Download, ListChecks, Plus, Trash2, Upload } from "lucide-react";
+import { SEVERITY_LEVELS, parseStatusMapping } from "./statusMapping";
+import { downloadFile } from "./download";
+import { useI18n } from "./i18n";
+
+const SIDES = ["any", "internal", "provider"];
+
+const inputClass = "w-full border border-gray-300 rounded-lg px-2 py-1 text-sm";
+
+const StatusMappingEditor = ({ mapping, onChange, onError }) => {
+  const { t } = useI18n();
+  const updateList = (list, index, changes) =>
+    onChange({
+      ...mapping,
+      [list]: mapping[list].map((entry, i) =>
+        i === index ? { ...entry, ...changes } : entry
+      ),
+    });
+
+  const addEntry = (list, entry) =>
+    onChange({ ...mapping, [list]: [...mapping[list], entry] });
+
+  const removeEntry = (list, index) =>
+    onChange({
+      ...mapping,
+      [list]: mapping[list].filter((entry, i) => i !== index),
+    });
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        onChange(parseStatusMapping(reader.result));
+        onError("");
+      } catch (err) {
+        onError(t("statusMapping.invalidFile", { message: err.message }));
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () =>
+    downloadFile(
+      JSON.stringify(mapping, null, 2),
+      "status_mapping.json",
+      "application/json"
+    );
+
+  const severitySelect = (value, onSelect) => (
+    <select
+      value={value}
+      onChange={(e) => onSelect(e.target.value)}
+      className={inputClass}
+      aria-label={t("columns.severity")}
+    >
+      {SEVERITY_LEVELS.map((level) => (
+        <option key={level} value={level}>
+          {t(`severity.${level}`)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <ListChecks
+            className="w-5 h-5 mr-2 text-blue-600"
+            aria-hidden="true"
+          />
+          {t("statusMapping.title")}
+        </h2>
+        <div className="flex space-x-2">
+          <input
+            type="file"
+            accept=".json"
+            onChange={handleImport}
+            className="hidden"
+            id="status-mapping-upload"
+          />
+          <label
+            htmlFor="status-mapping-upload"
+            className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 cursor-pointer transition-colors"
+          >
+            <Upload className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("common.importJson")}
+          </label>
+          <button
+            onClick={handleExport}
+            className="flex items-center px-3 py-1 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("common.exportJson")}
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        {t("statusMapping.description")}{" "}
+        <label>
+          {t("statusMapping.defaultSeverity")}{" "}
+          <select
+            value={mapping.defaultSeverity}
+            onChange={(e) =>
+              onChange({ ...mapping, defaultSeverity: e.target.value })
+            }
+            className="border border-gray-300 rounded px-1 text-sm"
+          >
+            {SEVERITY_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {t(`severity.${level}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </p>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Equivalences */}
+        <div>
+          <h3
+            id="status-equivalences"
+            className="font-semibold text-gray-900 mb-2"
+          >
+            {t("statusMapping.equivalences")}
+          </h3>
+          <div className="max-h-64 overflow-y-auto">
+            <table className="w-full" aria-labelledby="status-equivalences">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  {["source", "status", "canonical"].map((column) => (
+                    <th
+                      key={column}
+                      scope="col"
+                      className="text-left py-2 px-2 font-medium text-gray-700"
+                    >
+                      {t(`statusMapping.${column}`)}
+                    </th>
+                  ))}
+                  <td />
+                </tr>
+              </thead>
+              <tbody>
+                {mapping.equivalences.map((entry, index) => (
+                  <tr key={index} className="border-b border-gray-100">
+                    <td className="py-1 px-2">
+                      <select
+                        value={entry.side}
+                        onChange={(e) =>
+                          updateList("equivalences", index, {
+                            side: e.target.value,
+                          })
+                        }
+                        className={inputClass}
+                        aria-label={t("statusMapping.source")}
+                      >
+                        {SIDES.map((side) => (
+                          <option key={side} value={side}>
+                            {t(`statusMapping.sides.${side}`)}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    {["status", "canonical"].map((field) => (
+                      <td key={field} className="py-1 px-2">
+                        <input
+                          type="text"
+                          value={entry[field]}
+                          onChange={(e) =>
+                            updateList("equivalences", index, {
+                              [field]: e.target.value.trim().toLowerCase(),
+                            })
+                          }
+                          className={inputClass}
+                          aria-label={t(`statusMapping.${field}`)}
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 px-2">
+                      <button
+                        onClick={() => removeEntry("equivalences", index)}
+                        className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                        title={t("statusMapping.removeEquivalence")}
+                        aria-label={t("statusMapping.removeEquivalence")}
+                      >
+                        <Trash2 className="w-4 h-4" aria-hidden="true" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={() =>
+              addEntry("equivalences", {
+                side: "any",
+                status: "",
+                canonical: "",
+              })
+            }
+            className="flex items-center mt-2 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("statusMapping.addEquivalence")}
+          </button>
+        </div>
+
+        {/* Severity Rules */}
+        <div>
+          <h3 id="severity-rules" className="font-semibold text-gray-900 mb-2">
+            {t("statusMapping.severityRules")}
+          </h3>
+          <table className="w-full" aria-labelledby="severity-rules">
+            <thead>
+              <tr className="border-b border-gray-200">
+                {["internal", "provider", "severity"].map((column) => (
+                  <th
+                    key={column}
+                    scope="col"
+                    className="text-left py-2 px-2 font-medium text-gray-700"
+                  >
+                    {t(`statusMapping.${column}`)}
+                  </th>
+                ))}
+                <td />
+              </tr>
+            </thead>
+            <tbody>
+              {mapping.severities.map((rule, index) => (
+                <tr key={index} className="border-b border-gray-100">
+                  {["internal", "provider"].map((field) => (
+                    <td key={field} className="py-1 px-2">
+                      <input
+                        type="text"
+                        value={rule[field]}
+                        onChange={(e) =>
+                          updateList("severities", index, {
+                            [field]: e.target.value.trim().toLowerCase(),
+                          })
+                        }
+                        className={inputClass}
+                        aria-label={t(`statusMapping.${field}`)}
+                      />
+                    </td>
+                  ))}
+                  <td className="py-1 px-2">
+                    {severitySelect(rule.severity, (severity) =>
+                      updateList("severities", index, { severity })
+                    )}
+                  </td>
+                  <td className="py-1 px-2">
+                    <button
+                      onClick={() => removeEntry("severities", index)}
+                      className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                      title={t("statusMapping.removeRule")}
+                      aria-label={t("statusMapping.removeRule")}
+                    >
+                      <Trash2 className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            onClick={() =>
+              addEntry("severities", {
+                internal: "",
+                provider: "",
+                severity: "warning",
+              })
+            }
+            className="flex items-center mt-2 text-sm text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("statusMapping.addRule")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatusMappingEditor;
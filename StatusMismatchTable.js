@@ -0,0 +1,148 @@
+import React from "react";
+import ExceptionBadge from "./ExceptionBadge";
+import SortableHeader from "./SortableHeader";
+import ProviderCell from "./ProviderCell";
+import ExtraColumnCells from "./ExtraColumnCells";
+import { useI18n } from "./i18n";
+
+export const SEVERITY_CLASSES = {
+  info: "bg-blue-100 text-blue-700",
+  warning: "bg-yellow-100 text-yellow-700",
+  critical: "bg-red-100 text-red-700",
+};
+
+const StatusMismatchTable = ({
+  matches,
+  exceptionKeys,
+  resolutions,
+  onEditException,
+  sort,
+  onSort,
+  showProvider = false,
+  extraColumns = [],
+}) => {
+  const { t } = useI18n();
+
+  return (
+    <table className="w-full">
+      <caption className="sr-only">{t("categories.status")}</caption>
+      <thead>
+        <tr className="border-b border-gray-200">
+          <SortableHeader
+            label={t("columns.reference")}
+            field="reference"
+            sort={sort}
+            onSort={onSort}
+          />
+          {showProvider && (
+            <SortableHeader
+              label={t("columns.provider")}
+              field="provider"
+              sort={sort}
+              onSort={onSort}
+            />
+          )}
+          <SortableHeader
+            label={t("columns.internalStatus")}
+            field="status"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.providerStatus")}
+            field="providerStatus"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.severity")}
+            field="severity"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.resolution")}
+          </th>
+          {extraColumns.map((column) => (
+            <th
+              key={column}
+              scope="col"
+              className="text-left py-3 px-4 font-medium text-gray-700"
+            >
+              {column}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {matches.map((match, index) => (
+          <tr
+            key={exceptionKeys[index]}
+            className="border-b border-gray-100 hover:bg-gray-50"
+          >
+            <td className="py-3 px-4 font-mono text-sm">
+              {match.transaction_reference}
+              {match.provider.transaction_reference !==
+                match.transaction_reference && (
+                <div className="text-xs text-gray-500">
+                  <span aria-hidden="true">↔</span>
+                  <span className="sr-only">
+                    {t("table.providerReference")}
+                  </span>{" "}
+                  {match.provider.transaction_reference}
+                </div>
+              )}
+            </td>
+            {showProvider && <ProviderCell item={match} />}
+            {[
+              [match.internal.status, match.internalCanonical],
+              [match.provider.status, match.providerCanonical],
+            ].map(([status, canonical], side) => (
+              <td key={side} className="py-3 px-4">
+                <span className="px-2 py-1 bg-gray-100 rounded text-xs">
+                  {status}
+                </span>
+                {canonical !== status && (
+                  <span className="text-xs text-gray-500">
+                    {" "}
+                    <span aria-hidden="true">→</span>
+                    <span className="sr-only">
+                      {t("table.canonicalStatus")}
+                    </span>{" "}
+                    {canonical}
+                  </span>
+                )}
+              </td>
+            ))}
+            <td className="py-3 px-4">
+              <span
+                className={`px-2 py-1 rounded text-xs ${
+                  SEVERITY_CLASSES[match.statusSeverity]
+                }`}
+              >
+                {t(`severity.${match.statusSeverity}`)}
+              </span>
+            </td>
+            <td className="py-3 px-4">
+              <ExceptionBadge
+                resolution={resolutions[exceptionKeys[index]]}
+                onEdit={() =>
+                  onEditException(
+                    exceptionKeys[index],
+                    `${t("flags.status")} – ${match.transaction_reference}`
+                  )
+                }
+              />
+            </td>
+            <ExtraColumnCells item={match} columns={extraColumns} />
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default StatusMismatchTable;
@@ -0,0 +1,151 @@
+import React from "react";
+import { Check, X } from "lucide-react";
+import SortableHeader from "./SortableHeader";
+import ProviderCell from "./ProviderCell";
+import { useI18n } from "./i18n";
+
+const SuggestedMatchesTable = ({
+  suggestions,
+  formatCurrency,
+  onDecide,
+  sort,
+  onSort,
+  showProvider = false,
+}) => {
+  const { t, formatDate, formatPercent } = useI18n();
+
+  return (
+    <table className="w-full">
+      <caption className="sr-only">{t("categories.suggested")}</caption>
+      <thead>
+        <tr className="border-b border-gray-200">
+          <SortableHeader
+            label={t("columns.internalReference")}
+            field="reference"
+            sort={sort}
+            onSort={onSort}
+          />
+          {showProvider && (
+            <SortableHeader
+              label={t("columns.provider")}
+              field="provider"
+              sort={sort}
+              onSort={onSort}
+            />
+          )}
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.providerReference")}
+          </th>
+          <SortableHeader
+            label={t("columns.internalAmount")}
+            field="amount"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.providerAmount")}
+            field="providerAmount"
+            sort={sort}
+            onSort={onSort}
+          />
+          <SortableHeader
+            label={t("columns.dates")}
+            field="date"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.rule")}
+          </th>
+          <SortableHeader
+            label={t("columns.confidence")}
+            field="confidence"
+            sort={sort}
+            onSort={onSort}
+          />
+          <th
+            scope="col"
+            className="text-left py-3 px-4 font-medium text-gray-700"
+          >
+            {t("columns.actions")}
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {suggestions.map((suggestion) => (
+          <tr
+            key={suggestion.key}
+            className="border-b border-gray-100 hover:bg-gray-50"
+          >
+            <td className="py-3 px-4 font-mono text-sm">
+              {suggestion.internal.transaction_reference}
+            </td>
+            {showProvider && <ProviderCell item={suggestion} />}
+            <td className="py-3 px-4 font-mono text-sm">
+              {suggestion.provider.transaction_reference}
+            </td>
+            <td className="py-3 px-4">
+              {formatCurrency(
+                suggestion.internal.amount,
+                suggestion.internal.currency
+              )}
+            </td>
+            <td className="py-3 px-4">
+              {formatCurrency(
+                suggestion.provider.amount,
+                suggestion.provider.currency
+              )}
+            </td>
+            <td className="py-3 px-4 text-sm">
+              {formatDate(suggestion.internal.date)} /{" "}
+              {formatDate(suggestion.provider.date)}
+            </td>
+            <td className="py-3 px-4">
+              <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs">
+                {t(`rules.${suggestion.rule}`)}
+              </span>
+            </td>
+            <td className="py-3 px-4 text-sm">
+              {formatPercent(suggestion.confidence)}
+            </td>
+            <td className="py-3 px-4">
+              {/* Saved runs are read-only */}
+              {onDecide && (
+                <div className="flex space-x-1">
+                  <button
+                    onClick={() => onDecide(suggestion.key, "accepted")}
+                    className="p-1 text-green-600 hover:bg-green-50 rounded transition-colors"
+                    title={t("suggestions.accept")}
+                    aria-label={`${t("suggestions.accept")}: ${
+                      suggestion.internal.transaction_reference
+                    }`}
+                  >
+                    <Check className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                  <button
+                    onClick={() => onDecide(suggestion.key, "rejected")}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+                    title={t("suggestions.reject")}
+                    aria-label={`${t("suggestions.reject")}: ${
+                      suggestion.internal.transaction_reference
+                    }`}
+                  >
+                    <X className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                </div>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default SuggestedMatchesTable;
@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { ClipboardCheck, Download } from "lucide-react";
+import Pagination from "./Pagination";
+import { useI18n } from "./i18n";
+
+const PAGE_SIZE = 50;
+
+const ACTION_CLASSES = {
+  rejected: "bg-red-100 text-red-700",
+  coerced: "bg-orange-100 text-orange-700",
+  warning: "bg-yellow-100 text-yellow-700",
+};
+
+// Issues found while cleaning one file
+const FileIssues = ({ report, onDownload }) => {
+  const { t } = useI18n();
+  const [page, setPage] = useState(0);
+  const { summary, issues } = report;
+  const pageCount = Math.max(1, Math.ceil(issues.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="font-medium text-gray-900">
+          {report.title}{" "}
+          <span className="font-mono text-sm text-gray-500">
+            {report.fileName}
+          </span>
+        </h3>
+        {issues.length > 0 && (
+          <button
+            onClick={onDownload}
+            className="flex items-center text-sm text-blue-600 hover:text-blue-800 transition-colors"
+          >
+            <Download className="w-4 h-4 mr-1" aria-hidden="true" />
+            {t("validation.download")}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-3">
+        {t("validation.read", { count: summary.rows })},{" "}
+        {t("validation.accepted", { count: summary.accepted })},{" "}
+        <span className={summary.rejected ? "text-red-700 font-medium" : ""}>
+          {t("validation.rejected", { count: summary.rejected })}
+        </span>
+        ,{" "}
+        <span className={summary.coerced ? "text-orange-700 font-medium" : ""}>
+          {t("validation.coerced", { count: summary.coerced })}
+        </span>
+        , {t("validation.warnings", { count: summary.warnings })}
+      </p>
+
+      {issues.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <caption className="sr-only">
+              {t("validation.caption", { file: report.fileName })}
+            </caption>
+            <thead>
+              <tr className="border-b border-gray-200">
+                {[
+                  "line",
+                  "reference",
+                  "field",
+                  "value",
+                  "action",
+                  "reason",
+                ].map((column) => (
+                  <th
+                    key={column}
+                    scope="col"
+                    className="text-left py-2 px-3 font-medium text-gray-700"
+                  >
+                    {t(`columns.${column}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {issues
+                .slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE)
+                .map((issue, index) => (
+                  <tr key={index} className="border-b border-gray-100">
+                    <td className="py-2 px-3 text-sm">{issue.line ?? "-"}</td>
+                    <td className="py-2 px-3 font-mono text-sm">
+                      {issue.reference || "-"}
+                    </td>
+                    <td className="py-2 px-3 text-sm">{issue.field || "-"}</td>
+                    <td className="py-2 px-3 font-mono text-sm">
+                      {issue.value || "-"}
+                    </td>
+                    <td className="py-2 px-3">
+                      <span
+                        className={`px-2 py-1 rounded text-xs ${
+                          ACTION_CLASSES[issue.action]
+                        }`}
+                      >
+                        {t(`validation.actions.${issue.action}`)}
+                      </span>
+                    </td>
+                    <td className="py-2 px-3 text-sm text-gray-600">
+                      {issue.reason}
+                    </td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          <Pagination
+            page={currentPage}
+            pageCount={pageCount}
+            pageSize={PAGE_SIZE}
+            totalRows={issues.length}
+            onChange={setPage}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Row-level data quality report, reviewed before reconciliation starts
+const ValidationReport = ({
+  reports,
+  reviewed,
+  onReviewedChange,
+  onDownload,
+}) => {
+  const { t } = useI18n();
+  const hasIssues = reports.some((report) => report.issues.length > 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <ClipboardCheck
+          className="w-5 h-5 mr-2 text-blue-600"
+          aria-hidden="true"
+        />
+        {t("validation.title")}
+      </h2>
+
+      {reports.map((report) => (
+        <FileIssues
+          key={report.fileType}
+          report={report}
+          onDownload={() => onDownload(report)}
+        />
+      ))}
+
+      {hasIssues ? (
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={reviewed}
+            onChange={(e) => onReviewedChange(e.target.checked)}
+            className="mr-2"
+          />
+          {t("validation.reviewed")}
+        </label>
+      ) : (
+        <p className="text-sm text-green-700">{t("validation.clean")}</p>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
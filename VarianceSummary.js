@@ -0,0 +1,116 @@
+import React from "react";
+import { BarChart3 } from "lucide-react";
+import { summarizeVariances } from "./amountComparison";
+import { useI18n } from "./i18n";
+
+const bucketLabel = (bucket, formatNumber) =>
+  bucket.max === Infinity
+    ? `≥ ${formatNumber(bucket.min)}`
+    : bucket.min === 0
+    ? `< ${formatNumber(bucket.max)}`
+    : `${formatNumber(bucket.min)} – ${formatNumber(bucket.max)}`;
+
+// Net variance per currency, variance sizes and recurring differences
+const VarianceSummary = ({ matches, formatCurrency }) => {
+  const { t, formatNumber } = useI18n();
+  const { byCurrency, histogram, recurring, unconverted } =
+    summarizeVariances(matches);
+  const largestBucket = Math.max(1, ...histogram.map((bucket) => bucket.count));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+      {/* Net variance */}
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="font-semibold text-gray-900 mb-3">
+          {t("variance.net")}
+        </h3>
+        {byCurrency.length === 0 && (
+          <p className="text-sm text-gray-500">{t("variance.none")}</p>
+        )}
+        {byCurrency.map((totals) => (
+          <div key={totals.currency} className="mb-2">
+            <p
+              className={`text-xl font-bold ${
+                totals.netVariance < 0 ? "text-red-700" : "text-gray-900"
+              }`}
+            >
+              {formatCurrency(totals.netVariance, totals.currency)}
+            </p>
+            <p className="text-xs text-gray-500">
+              {t("variance.rows", { count: totals.count })} ·{" "}
+              {t("variance.absolute", {
+                amount: formatCurrency(
+                  totals.absoluteVariance,
+                  totals.currency
+                ),
+              })}
+            </p>
+          </div>
+        ))}
+        {unconverted > 0 && (
+          <p className="text-xs text-orange-700 mt-2">
+            {t("variance.unconverted", { count: unconverted })}
+          </p>
+        )}
+        <p className="text-xs text-gray-400 mt-2">{t("variance.netHint")}</p>
+      </div>
+
+      {/* Histogram */}
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="font-semibold text-gray-900 mb-3 flex items-center">
+          <BarChart3
+            className="w-4 h-4 mr-2 text-blue-600"
+            aria-hidden="true"
+          />
+          {t("variance.size")}
+        </h3>
+        {histogram.map((bucket) => (
+          <div key={bucket.max} className="flex items-center text-xs mb-1">
+            <span className="w-20 text-gray-600">
+              {bucketLabel(bucket, formatNumber)}
+            </span>
+            <div
+              className="flex-1 bg-gray-100 rounded h-3 mr-2"
+              aria-hidden="true"
+            >
+              <div
+                className="bg-blue-500 h-3 rounded"
+                style={{ width: `${(bucket.count / largestBucket) * 100}%` }}
+              />
+            </div>
+            <span className="w-10 text-right text-gray-700">
+              {bucket.count}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Recurring variances */}
+      <div className="border border-gray-200 rounded-lg p-4">
+        <h3 className="font-semibold text-gray-900 mb-3">
+          {t("variance.recurring")}
+        </h3>
+        {recurring.length === 0 ? (
+          <p className="text-sm text-gray-500">{t("variance.noRecurring")}</p>
+        ) : (
+          recurring.map((entry) => (
+            <p
+              key={`${entry.currency} ${entry.variance}`}
+              className="text-sm text-gray-700 mb-1"
+            >
+              <span className="font-mono">
+                {formatCurrency(entry.variance, entry.currency)}
+              </span>{" "}
+              × {formatNumber(entry.count)}
+            </p>
+          ))
+        )}
+        <p className="text-xs text-gray-400 mt-2">
+          {t("variance.recurringHint")}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VarianceSummary;
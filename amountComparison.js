@@ -0,0 +1,191 @@
+// Tolerances are the largest difference still treated as a match, after
+// rounding both amounts to the currency's minor unit. `percent` is relative
+// to the internal amount; whichever allowance is larger applies.
+export const DEFAULT_AMOUNT_SETTINGS = {
+  tolerances: {
+    default: { absolute: 0, percent: 0 },
+  },
+  feeInclusive: false, // Add the provider fee back to net amounts
+};
+
+const FLOAT_EPSILON = 1e-9;
+
+const normalizeCurrency = (currency) =>
+  String(currency || "")
+    .trim()
+    .toUpperCase();
+
+// Number of decimals used by a currency (2 when unknown)
+export const getMinorUnits = (currency) => {
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: normalizeCurrency(currency) || "USD",
+    }).resolvedOptions().maximumFractionDigits;
+  } catch (err) {
+    return 2;
+  }
+};
+
+const roundTo = (amount, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+};
+
+// Round an amount to its currency's minor unit (0 decimals for JPY, 3 for
+// BHD)
+export const roundToMinorUnits = (amount, currency) =>
+  roundTo(amount, getMinorUnits(currency));
+
+export const getTolerance = (settings, currency) =>
+  settings.tolerances[normalizeCurrency(currency)] ||
+  settings.tolerances.default;
+
+// Build a rate lookup from FX rows with from/to/rate columns
+export const parseFxRates = (rows) => {
+  const rates = [];
+
+  rows.forEach((row) => {
+    const from = normalizeCurrency(row.from || row.from_currency || row.base);
+    const to = normalizeCurrency(row.to || row.to_currency || row.quote);
+    const rate = parseFloat(row.rate);
+    if (from && to && rate > 0) rates.push({ from, to, rate });
+  });
+
+  if (rows.length > 0 && rates.length === 0) {
+    throw new Error(
+      "FX rate table needs from_currency, to_currency and rate columns"
+    );
+  }
+
+  return rates;
+};
+
+// Rate converting `from` into `to`, using the inverse pair if needed
+export const findFxRate = (fxRates, from, to) => {
+  if (from === to) return 1;
+  const direct = fxRates.find((r) => r.from === from && r.to === to);
+  if (direct) return direct.rate;
+  const inverse = fxRates.find((r) => r.from === to && r.to === from);
+  return inverse ? 1 / inverse.rate : null;
+};
+
+// Compare a matched pair's amounts in the internal currency
+export const compareAmounts = (internalTx, providerTx, settings, fxRates) => {
+  const internalCurrency = normalizeCurrency(internalTx.currency);
+  const providerCurrency = normalizeCurrency(providerTx.currency);
+  const currencyMatch =
+    !internalCurrency ||
+    !providerCurrency ||
+    internalCurrency === providerCurrency;
+
+  let providerAmount = providerTx.amount;
+  if (settings.feeInclusive) {
+    providerAmount += providerTx.fee || 0;
+  }
+
+  const fxRate = currencyMatch
+    ? 1
+    : findFxRate(fxRates, providerCurrency, internalCurrency);
+  if (fxRate === null) {
+    return {
+      amountMatch: false,
+      currencyMatch,
+      fxRate: null,
+      comparedProviderAmount: null,
+      variance: null,
+    };
+  }
+
+  const decimals = getMinorUnits(internalCurrency || providerCurrency);
+  const comparedProviderAmount = roundTo(providerAmount * fxRate, decimals);
+  const variance = roundTo(
+    roundTo(internalTx.amount, decimals) - comparedProviderAmount,
+    decimals
+  );
+
+  const tolerance = getTolerance(settings, internalCurrency);
+  const allowed = Math.max(
+    tolerance.absolute || 0,
+    (Math.abs(internalTx.amount) * (tolerance.percent || 0)) / 100
+  );
+
+  return {
+    amountMatch: Math.abs(variance) <= allowed + FLOAT_EPSILON,
+    currencyMatch,
+    fxRate,
+    comparedProviderAmount,
+    variance,
+  };
+};
+
+// Upper bounds of the variance size buckets, in the internal currency
+const VARIANCE_BUCKETS = [1, 5, 10, 50, 100, 500, 1000, Infinity];
+
+/**
+ * Summarize the variances of amount-mismatched pairs. Pairs without a
+ * variance (no FX rate for their currencies) are only counted.
+ *
+ * @param {Object[]} matches - Matches from reconcile()
+ * @returns {{byCurrency: Object[], histogram: Object[],
+ *   recurring: Object[], unconverted: number}} Net and absolute variance per
+ *   internal currency, counts per size bucket, and variances seen more than
+ *   once (a fixed fee deduction shows up here)
+ */
+export const summarizeVariances = (matches) => {
+  const byCurrency = new Map();
+  const histogram = VARIANCE_BUCKETS.map((max, index) => ({
+    min: index === 0 ? 0 : VARIANCE_BUCKETS[index - 1],
+    max,
+    count: 0,
+  }));
+  const occurrences = new Map();
+  let unconverted = 0;
+
+  matches.forEach((match) => {
+    if (match.variance === null) {
+      unconverted += 1;
+      return;
+    }
+
+    const currency = normalizeCurrency(match.internal.currency);
+    if (!byCurrency.has(currency)) {
+      byCurrency.set(currency, {
+        currency,
+        count: 0,
+        netVariance: 0,
+        absoluteVariance: 0,
+      });
+    }
+    const totals = byCurrency.get(currency);
+    const decimals = getMinorUnits(currency);
+    totals.count += 1;
+    totals.netVariance = roundTo(totals.netVariance + match.variance, decimals);
+    totals.absoluteVariance = roundTo(
+      totals.absoluteVariance + Math.abs(match.variance),
+      decimals
+    );
+
+    const size = Math.abs(match.variance);
+    histogram.find((bucket) => size < bucket.max).count += 1;
+
+    const key = `${currency} ${match.variance}`;
+    const seen = occurrences.get(key) || {
+      currency,
+      variance: match.variance,
+      count: 0,
+    };
+    seen.count += 1;
+    occurrences.set(key, seen);
+  });
+
+  return {
+    byCurrency: [...byCurrency.values()],
+    histogram,
+    recurring: [...occurrences.values()]
+      .filter((entry) => entry.count > 1)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 5),
+    unconverted,
+  };
+};
@@ -0,0 +1,135 @@
+// How a file writes its amounts. "auto" reads the decimal separator from each
+// value and flags the ones it cannot tell apart, like "1,234".
+export const AMOUNT_FORMATS = [
+  { id: "auto", label: "Detect automatically" },
+  { id: "dot", label: "1,234.56" },
+  { id: "comma", label: "1.234,56" },
+];
+
+const SEPARATORS = {
+  dot: { decimal: ".", group: "," },
+  comma: { decimal: ",", group: "." },
+};
+
+// Debit and credit markers set the sign: "50.00 DR" is money out. They are
+// taken off before currency marks, which would otherwise swallow them.
+const DEBIT_CREDIT_MARKS = [
+  /(?<!\p{L})(DR|CR)\.?$/iu,
+  /^(DR|CR)\.?(?!\p{L})/iu,
+];
+// Currency symbols and codes (USD, KSh, Rs.) before or after the number
+const LEADING_MARKS = /^(?:[\p{Sc}\p{L}]+\.?\s*)+/u;
+const TRAILING_MARKS = /(?:\s*[\p{Sc}\p{L}]+)+$/u;
+const SIGN = /^[-−+]\s*/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+// Spaces and apostrophes used to group thousands (1 234,50 or 1'234.50)
+const GROUP_SPACES = /[\s'’]/g;
+
+// Pick separators for a value written in an unknown format
+const detectSeparators = (text) => {
+  const lastDot = text.lastIndexOf(".");
+  const lastComma = text.lastIndexOf(",");
+  if (lastDot !== -1 && lastComma !== -1) {
+    return {
+      separators: lastDot > lastComma ? SEPARATORS.dot : SEPARATORS.comma,
+      ambiguous: false,
+    };
+  }
+
+  const mark = lastDot !== -1 ? "." : ",";
+  const format = mark === "." ? SEPARATORS.dot : SEPARATORS.comma;
+  const grouping = mark === "." ? SEPARATORS.comma : SEPARATORS.dot;
+  const count = text.split(mark).length - 1;
+  if (count === 0) return { separators: SEPARATORS.dot, ambiguous: false };
+  if (count > 1) return { separators: grouping, ambiguous: false };
+
+  // One separator followed by exactly three digits could be either; read it
+  // as "." decimal and "," thousands unless the whole part is zero
+  const [whole, fraction] = text.split(mark);
+  if (fraction.length !== 3 || /^0*$/.test(whole)) {
+    return { separators: format, ambiguous: false };
+  }
+  return { separators: SEPARATORS.dot, ambiguous: true };
+};
+
+// Groups after the first hold three digits (two are allowed before the last
+// group, for 12,34,567)
+const hasValidGroups = (whole, group) => {
+  if (!whole.includes(group)) return true;
+  const groups = whole.split(group);
+  return (
+    groups[0].length > 0 &&
+    groups[groups.length - 1].length === 3 &&
+    groups.slice(1, -1).every((part) => part.length === 2 || part.length === 3)
+  );
+};
+
+/**
+ * Read an amount written with thousand separators, comma decimals,
+ * parenthesized or trailing negatives, DR/CR markers and currency symbols.
+ *
+ * @param {string|number} value - Raw cell value
+ * @param {string} [format] - One of the {@link AMOUNT_FORMATS} ids
+ * @returns {?{amount: number, ambiguous: boolean}} null when the value is
+ *   empty or not an amount; `ambiguous` when "auto" had to guess the
+ *   decimal separator
+ */
+export const parseAmount = (value, format = "auto") => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? { amount: value, ambiguous: false } : null;
+  }
+
+  let text = String(value ?? "").trim();
+  if (PLAIN_NUMBER.test(text)) {
+    return { amount: parseFloat(text), ambiguous: false };
+  }
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  DEBIT_CREDIT_MARKS.some((pattern) => {
+    const match = pattern.exec(text);
+    if (!match) return false;
+    negative = negative || match[1].toUpperCase() === "DR";
+    text = (
+      text.slice(0, match.index) + text.slice(match.index + match[0].length)
+    ).trim();
+    return true;
+  });
+  // The sign may sit on either side of a currency symbol: -$5 or $-5
+  const takeSign = () => {
+    const match = SIGN.exec(text);
+    if (!match) return;
+    negative = negative || match[0][0] !== "+";
+    text = text.slice(match[0].length);
+  };
+  text = text.replace(TRAILING_MARKS, "");
+  takeSign();
+  text = text.replace(LEADING_MARKS, "");
+  takeSign();
+  if (/[-−]$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+  text = text.replace(GROUP_SPACES, "");
+  if (!/^[\d.,]*\d[\d.,]*$/.test(text)) return null;
+
+  const { separators, ambiguous } =
+    format === "auto"
+      ? detectSeparators(text)
+      : { separators: SEPARATORS[format], ambiguous: false };
+  const [whole, fraction, ...extra] = text.split(separators.decimal);
+  if (
+    extra.length > 0 ||
+    (fraction !== undefined && !/^\d*$/.test(fraction)) ||
+    !hasValidGroups(whole, separators.group)
+  ) {
+    return null;
+  }
+
+  const digits = `${whole.split(separators.group).join("")}.${fraction || ""}`;
+  const amount = parseFloat(digits);
+  if (Number.isNaN(amount)) return null;
+  return { amount: negative ? -amount : amount, ambiguous };
+};
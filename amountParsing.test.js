@@ -0,0 +1,35 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount } from "./amountParsing.js";
+
+const amountOf = (value, format) => parseAmount(value, format)?.amount;
+
+describe("parseAmount", () => {
+  it("reads separators, negatives and currency marks", () => {
+    assert.equal(amountOf("1,234.50"), 1234.5);
+    assert.equal(amountOf("1.234,50"), 1234.5);
+    assert.equal(amountOf("(12.00)"), -12);
+    assert.equal(amountOf("12.00-"), -12);
+    assert.equal(amountOf("KSh 1,500"), 1500);
+    assert.equal(amountOf("-$5.25"), -5.25);
+  });
+
+  it("reads DR as negative and CR as positive", () => {
+    assert.equal(amountOf("50 DR"), -50);
+    assert.equal(amountOf("50.00Dr"), -50);
+    assert.equal(amountOf("DR 1,234.50"), -1234.5);
+    assert.equal(amountOf("50 CR"), 50);
+    assert.equal(amountOf("USD 50.00 DR"), -50);
+  });
+
+  it("does not take currency codes for markers", () => {
+    assert.equal(amountOf("CRC 5,000"), 5000);
+    assert.equal(amountOf("5,000 CRC"), 5000);
+  });
+
+  it("returns null for values that are not amounts", () => {
+    assert.equal(parseAmount("N/A"), null);
+    assert.equal(parseAmount("12..5"), null);
+    assert.equal(parseAmount(""), null);
+  });
+});
@@ -0,0 +1,35 @@
+// Runs created through the HTTP service (bin/server.js), read so the web
+// tool can open them
+const API_URL_KEY = "reconciliation:apiUrl";
+
+export const loadApiUrl = () => {
+  try {
+    return localStorage.getItem(API_URL_KEY) || "";
+  } catch (err) {
+    return "";
+  }
+};
+
+export const saveApiUrl = (url) => {
+  try {
+    localStorage.setItem(API_URL_KEY, url);
+  } catch (err) {
+    console.warn("Could not save API server address:", err);
+  }
+};
+
+const request = async (baseUrl, pathname) => {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, "")}${pathname}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return response.json();
+};
+
+// Runs without their results, newest first
+export const listApiRuns = (baseUrl) => request(baseUrl, "/runs");
+
+// A run with its full results
+export const loadApiRun = (baseUrl, id) =>
+  request(baseUrl, `/runs/${encodeURIComponent(id)}`);
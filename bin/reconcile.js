@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+import { mkdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import Papa from "papaparse";
+import { applyExportLayout } from "../configProfiles.js";
+import {
+  CATEGORIES,
+  summarizeResults,
+  toExportRows,
+} from "../reconciliationEngine.js";
+import { createHashKey, protectRows } from "../privacy.js";
+import {
+  getRunSensitiveColumns,
+  reconcileStatements,
+  resolveSettings,
+} from "./statements.js";
+
+const USAGE = `Usage: reconcile <internal-file> <provider-file>... [options]
+
+Files may be CSV, Excel, OFX/QFX, MT940, CAMT.053 or JSON. Give several
+provider files to reconcile against all of them; write a file as
+<name>=<file> to set its provider name (default: the file name).
+
+Options:
+  --out <dir>            Output directory (default: reconciliation-output)
+  --bank <file>          Bank statement for a three-way match of provider
+                         payouts against bank deposits
+  --profile <file>       Configuration profile exported from the web tool:
+                         column mappings, rules, tolerances and export
+                         layout. Settings in --config take precedence
+  --config <file>        JSON file with internalMapping, providerMapping,
+                         bankMapping, internalSheet, providerSheet,
+                         bankSheet, providerMappings and providerSheets
+                         (by provider name), engine options (matchingRules,
+                         amountSettings, fxRates, statusMapping,
+                         settlementSettings) and privacySettings for
+                         card number, email, phone and IBAN columns
+  --max-unmatched <n>    Fail when internal-only plus provider-only rows
+                         exceed n
+  --max-mismatched <n>   Fail when matched rows with an amount, status or
+                         currency mismatch exceed n
+  -h, --help             Show this help
+
+Exit codes: 0 within thresholds, 1 threshold exceeded, 2 usage or input error`;
+
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+
+const readFile = (filePath) =>
+  new File([readFileSync(filePath)], path.basename(filePath));
+
+// "name=path" or a plain path, named after the file
+const parseProviderArg = (arg) => {
+  const separator = arg.indexOf("=");
+  if (separator > 0) {
+    return {
+      name: arg.slice(0, separator),
+      filePath: arg.slice(separator + 1),
+    };
+  }
+  return {
+    name: path.basename(arg).replace(/\.[^.]+$/, ""),
+    filePath: arg,
+  };
+};
+
+const parseThreshold = (value, name) => {
+  if (value === undefined) return null;
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw `--${name} must be a non-negative integer`;
+  }
+  return threshold;
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", default: "reconciliation-output" },
+      bank: { type: "string" },
+      profile: { type: "string" },
+      config: { type: "string" },
+      "max-unmatched": { type: "string" },
+      "max-mismatched": { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length < 2) {
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const [internalPath, ...providerArgs] = positionals;
+  const providerFiles = providerArgs.map(parseProviderArg);
+  const names = providerFiles.map(({ name }) => name);
+  if (new Set(names).size !== names.length) {
+    throw "Provider names must be unique; name files as <name>=<file>";
+  }
+  const maxUnmatched = parseThreshold(values["max-unmatched"], "max-unmatched");
+  const maxMismatched = parseThreshold(
+    values["max-mismatched"],
+    "max-mismatched"
+  );
+  const settings = resolveSettings(
+    values.config && JSON.parse(readFileSync(values.config, "utf8")),
+    values.profile && readFileSync(values.profile, "utf8")
+  );
+  const { exportLayout, privacySettings } = settings;
+
+  const { internal, providers, bank, results } = await reconcileStatements(
+    {
+      internal: readFile(internalPath),
+      providers: providerFiles.map(({ name, filePath }) => ({
+        name,
+        file: readFile(filePath),
+      })),
+      bank: values.bank && readFile(values.bank),
+    },
+    settings
+  );
+  const summary = summarizeResults(results);
+
+  const failures = [];
+  if (maxUnmatched !== null && summary.unmatched > maxUnmatched) {
+    failures.push(`${summary.unmatched} unmatched (max ${maxUnmatched})`);
+  }
+  if (maxMismatched !== null && summary.mismatched > maxMismatched) {
+    failures.push(`${summary.mismatched} mismatched (max ${maxMismatched})`);
+  }
+
+  // Write one CSV per category plus the JSON summary, and the rows that
+  // needed fixing in each input
+  mkdirSync(values.out, { recursive: true });
+  [
+    ["internal", internal],
+    ...providers.map((provider) => [`provider_${provider.name}`, provider]),
+    ["bank", bank],
+  ].forEach(([side, validation]) => {
+    if (!validation || validation.issues.length === 0) return;
+    writeFileSync(
+      path.join(values.out, `${side}_validation_issues.csv`),
+      Papa.unparse(validation.issues)
+    );
+  });
+  // Payout categories only apply to three-way runs
+  const categories = CATEGORIES.filter(
+    (category) => !category.threeWay || results.threeWay
+  );
+  const sensitiveColumns = getRunSensitiveColumns(
+    {
+      internal: internal.file,
+      providers: providers.map((provider) => provider.file),
+      bank: bank?.file,
+    },
+    privacySettings
+  );
+  const hashKey = await createHashKey();
+  for (const category of categories) {
+    const rows = await protectRows(
+      toExportRows(category.id, results[category.key]),
+      sensitiveColumns,
+      privacySettings,
+      hashKey
+    );
+    writeFileSync(
+      path.join(values.out, `${category.id}_transactions.csv`),
+      Papa.unparse(applyExportLayout(rows, exportLayout, category.id), {
+        delimiter: exportLayout.delimiter,
+      })
+    );
+  }
+  writeFileSync(
+    path.join(values.out, "summary.json"),
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        inputs: {
+          internal: {
+            file: internalPath,
+            rows: internal.transactions.length,
+            validation: internal.summary,
+          },
+          providers: providers.map((provider, index) => ({
+            name: provider.name,
+            file: providerFiles[index].filePath,
+            rows: provider.transactions.length,
+            validation: provider.summary,
+          })),
+          ...(bank && {
+            bank: {
+              file: values.bank,
+              rows: bank.transactions.length,
+              validation: bank.summary,
+            },
+          }),
+        },
+        ...summary,
+        thresholds: { maxUnmatched, maxMismatched },
+        passed: failures.length === 0,
+      },
+      null,
+      2
+    )
+  );
+
+  categories.forEach((category) => {
+    console.log(`${category.label}: ${summary.counts[category.id]}`);
+  });
+  console.log(`Results written to ${values.out}`);
+
+  if (failures.length > 0) {
+    console.error(`Thresholds exceeded: ${failures.join(", ")}`);
+    return EXIT_THRESHOLD;
+  }
+  return EXIT_OK;
+};
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err instanceof Error ? err.message : err);
+    process.exitCode = EXIT_ERROR;
+  });
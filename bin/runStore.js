@@ -0,0 +1,71 @@
+// Runs saved by the HTTP service, one JSON file per run. Run details and
+// results live in separate directories so listing runs never reads full
+// result sets, as in the browser's run history.
+import { randomUUID } from "crypto";
+import { mkdir, readFile, readdir, writeFile } from "fs/promises";
+import path from "path";
+
+const RUN_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export const createRunStore = (directory) => {
+  const runsDir = path.join(directory, "runs");
+  const resultsDir = path.join(directory, "results");
+  const fileFor = (dir, id) => path.join(dir, `${id}.json`);
+
+  const readJson = async (file) => {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return undefined;
+      throw err;
+    }
+  };
+
+  return {
+    /**
+     * Save a new run with its results.
+     *
+     * @param {Object} run - Files, config, summary and resolutions, shaped
+     *   like a run saved in the browser
+     * @param {Object} results - The full reconcile() results
+     * @returns {Promise<Object>} The saved run details, including its id
+     */
+    saveRun: async (run, results) => {
+      await mkdir(runsDir, { recursive: true });
+      await mkdir(resultsDir, { recursive: true });
+      const now = new Date().toISOString();
+      const record = { ...run, id: randomUUID(), createdAt: now, savedAt: now };
+      await writeFile(fileFor(resultsDir, record.id), JSON.stringify(results));
+      await writeFile(fileFor(runsDir, record.id), JSON.stringify(record));
+      return record;
+    },
+
+    // Saved runs without their results, newest first
+    listRuns: async () => {
+      let names;
+      try {
+        names = await readdir(runsDir);
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const runs = await Promise.all(
+        names
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => readJson(path.join(runsDir, name)))
+      );
+      return runs
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // A saved run with its results, or undefined when there is no such run
+    loadRun: async (id) => {
+      if (!RUN_ID.test(id)) return undefined;
+      const run = await readJson(fileFor(runsDir, id));
+      return (
+        run && { ...run, results: await readJson(fileFor(resultsDir, id)) }
+      );
+    },
+  };
+};
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+import { createServer } from "http";
+import { readFileSync } from "fs";
+import { parseArgs } from "util";
+import Papa from "papaparse";
+import { applyExportLayout } from "../configProfiles.js";
+import { addExportResolutions } from "../exceptions.js";
+import { createHashKey, protectResults, protectRows } from "../privacy.js";
+import {
+  CATEGORIES,
+  summarizeResults,
+  toExportRows,
+} from "../reconciliationEngine.js";
+import {
+  buildReport,
+  createReportPdf,
+  createReportWorkbook,
+} from "../report.js";
+import { createRunStore } from "./runStore.js";
+import {
+  getRunSensitiveColumns,
+  reconcileStatements,
+  resolveSettings,
+} from "./statements.js";
+
+const USAGE = `Usage: reconcile-server [options]
+
+Runs the reconciliation engine behind a small HTTP API. Runs are saved as
+JSON files and can be opened in the web tool's run history.
+
+Options:
+  --port <n>              Port to listen on (default: 8787)
+  --host <host>           Address to listen on (default: 127.0.0.1)
+  --data <dir>            Directory runs are saved in
+                          (default: reconciliation-runs)
+  --profile <file>        Configuration profile used for every run
+  --config <file>         Mappings and engine options used for every run, as
+                          for the reconcile command
+  --allow-origin <origin> Origin allowed to call the API from a browser
+                          (default: none, browsers on other origins are
+                          refused)
+  --max-upload-mb <n>     Largest request body accepted (default: 100)
+  -h, --help              Show this help
+
+Endpoints:
+  POST /runs                             Multipart form: internal, provider
+                                         (repeatable), providerName
+                                         (repeatable, in provider order),
+                                         bank, config (JSON), profile (file)
+  GET  /runs                             Saved runs, newest first
+  GET  /runs/<id>                        A run with its full results
+  GET  /runs/<id>/categories/<category>  One category's export rows as JSON
+  GET  /runs/<id>/exports/<category>.csv One category as CSV
+  GET  /runs/<id>/report.xlsx            Sign-off report workbook
+  GET  /runs/<id>/report.pdf             Sign-off report PDF`;
+
+const MB = 1024 * 1024;
+const UPLOAD_TOO_LARGE = "Upload too large";
+
+// Input problems are thrown as message strings and answered with 400
+const isInputError = (err) => typeof err === "string";
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const sendFile = (res, contents, filename, type) => {
+  res.writeHead(200, {
+    "Content-Type": type,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+  res.end(Buffer.from(contents));
+};
+
+// Category list with the URLs a client follows for each
+const describeCategories = (run) =>
+  CATEGORIES.filter((category) => !category.threeWay || run.files.bank).map(
+    (category) => ({
+      id: category.id,
+      label: category.label,
+      count: run.summary.counts[category.id],
+      url: `/runs/${run.id}/categories/${category.id}`,
+      csv: `/runs/${run.id}/exports/${category.id}.csv`,
+    })
+  );
+
+const fileName = (file) => file.name.replace(/\.[^.]+$/, "");
+
+// Collect a request body, counting bytes as they arrive so chunked uploads
+// cannot get past the limit. The rest of an oversized body is drained so the
+// 413 answer can still be sent.
+const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size <= maxBytes) {
+        chunks.push(chunk);
+        return;
+      }
+      req.off("data", onData);
+      req.resume();
+      reject(UPLOAD_TOO_LARGE);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Read the multipart body of a POST /runs request into statement files and
+// per-run settings
+const readRunRequest = async (req, defaults, maxUploadBytes) => {
+  const body = await readBody(req, maxUploadBytes);
+  let form;
+  try {
+    form = await new Request(`http://localhost${req.url}`, {
+      method: req.method,
+      headers: { "Content-Type": req.headers["content-type"] ?? "" },
+      body,
+    }).formData();
+  } catch (err) {
+    throw `Expected a multipart form: ${err.message}`;
+  }
+
+  const isFile = (value) => value && typeof value !== "string";
+  const internal = form.get("internal");
+  const providerFiles = form.getAll("provider");
+  const bank = form.get("bank");
+  if (!isFile(internal) || providerFiles.length === 0) {
+    throw "Send an internal file and at least one provider file";
+  }
+  if (!providerFiles.every(isFile) || (bank && !isFile(bank))) {
+    throw "provider and bank must be files";
+  }
+  const providerNames = form.getAll("providerName");
+
+  let config = defaults.config;
+  if (form.has("config")) {
+    const value = form.get("config");
+    let submitted;
+    try {
+      submitted = JSON.parse(isFile(value) ? await value.text() : value);
+    } catch (err) {
+      throw `Invalid config: ${err.message}`;
+    }
+    if (
+      !submitted ||
+      typeof submitted !== "object" ||
+      Array.isArray(submitted)
+    ) {
+      throw "Invalid config: expected a JSON object";
+    }
+    config = { ...config, ...submitted };
+  }
+  let profile = defaults.profile;
+  if (form.has("profile")) {
+    const value = form.get("profile");
+    profile = isFile(value) ? await value.text() : value;
+  }
+
+  let settings;
+  try {
+    settings = resolveSettings(config, profile);
+  } catch (err) {
+    throw `Invalid configuration: ${err.message}`;
+  }
+
+  return {
+    sources: {
+      internal,
+      providers: providerFiles.map((file, index) => ({
+        name: providerNames[index] || fileName(file),
+        file,
+      })),
+      bank: bank || undefined,
+    },
+    settings,
+  };
+};
+
+const createRun = async (req, res, store, defaults, maxUploadBytes) => {
+  const { sources, settings } = await readRunRequest(
+    req,
+    defaults,
+    maxUploadBytes
+  );
+  const warnings = [];
+  const { internal, providers, bank, results, config } =
+    await reconcileStatements(sources, settings, (warning) =>
+      warnings.push(warning)
+    );
+
+  const run = await store.saveRun(
+    {
+      source: "api",
+      files: {
+        internal: internal.file,
+        providers: providers.map((provider) => ({
+          ...provider.file,
+          provider: provider.name,
+        })),
+        ...(bank && { bank: bank.file }),
+      },
+      config,
+      summary: summarizeResults(results),
+      resolutions: {},
+    },
+    results
+  );
+  sendJson(res, 201, {
+    ...run,
+    warnings,
+    categories: describeCategories(run),
+  });
+};
+
+// Export rows with resolution columns and sensitive columns protected, as
+// the web tool exports them
+const categoryRows = async (run, category, hashKey) => {
+  const items = run.results[category.key];
+  return protectRows(
+    addExportResolutions(
+      category.id,
+      toExportRows(category.id, items),
+      items,
+      run.resolutions || {}
+    ),
+    getRunSensitiveColumns(run.files, run.config.privacySettings),
+    run.config.privacySettings,
+    await hashKey
+  );
+};
+
+const ROUTES = [
+  {
+    method: "POST",
+    pattern: /^\/runs$/,
+    handle: ({ req, res, store, defaults, maxUploadBytes }) =>
+      createRun(req, res, store, defaults, maxUploadBytes),
+  },
+  {
+    method: "GET",
+    pattern: /^\/runs$/,
+    handle: async ({ res, store }) =>
+      sendJson(res, 200, await store.listRuns()),
+  },
+  {
+    method: "GET",
+    pattern: /^\/runs\/([^/]+)$/,
+    withRun: true,
+    // Results with sensitive columns protected as in exports, so card
+    // numbers do not leave the service in clear
+    handle: async ({ res, run, hashKey }) =>
+      sendJson(res, 200, {
+        ...run,
+        results: await protectResults(
+          run.results,
+          getRunSensitiveColumns(run.files, run.config.privacySettings),
+          run.config.privacySettings,
+          await hashKey
+        ),
+        categories: describeCategories(run),
+      }),
+  },
+  {
+    method: "GET",
+    pattern: /^\/runs\/([^/]+)\/categories\/([^/]+)$/,
+    withRun: true,
+    withCategory: true,
+    handle: async ({ res, run, category, hashKey }) => {
+      const rows = await categoryRows(run, category, hashKey);
+      sendJson(res, 200, {
+        id: category.id,
+        label: category.label,
+        count: rows.length,
+        rows,
+      });
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/runs\/([^/]+)\/exports\/([^/]+)\.csv$/,
+    withRun: true,
+    withCategory: true,
+    handle: async ({ res, run, category, hashKey }) => {
+      const layout = run.config.exportLayout;
+      const rows = applyExportLayout(
+        await categoryRows(run, category, hashKey),
+        layout,
+        category.id
+      );
+      sendFile(
+        res,
+        Papa.unparse(rows, { delimiter: layout.delimiter }),
+        `${category.id}_transactions.csv`,
+        "text/csv"
+      );
+    },
+  },
+  {
+    method: "GET",
+    pattern: /^\/runs\/([^/]+)\/report\.(xlsx|pdf)$/,
+    withRun: true,
+    handle: async ({ res, run, params, hashKey }) => {
+      const resolutions = run.resolutions || {};
+      const report = buildReport(run.results, {
+        files: run.files,
+        config: run.config,
+        resolutions,
+      });
+      if (params[1] === "pdf") {
+        sendFile(
+          res,
+          createReportPdf(report),
+          "reconciliation_report.pdf",
+          "application/pdf"
+        );
+      } else {
+        sendFile(
+          res,
+          await createReportWorkbook(report, run.results, resolutions, {
+            columns: getRunSensitiveColumns(
+              run.files,
+              run.config.privacySettings
+            ),
+            settings: run.config.privacySettings,
+            hashKey: await hashKey,
+          }),
+          "reconciliation_report.xlsx",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+      }
+    },
+  },
+];
+
+const handleRequest = async (req, res, context) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  const matches = ROUTES.map((route) => ({
+    route,
+    params: pathname.match(route.pattern)?.slice(1),
+  })).filter(({ params }) => params);
+  const match = matches.find(({ route }) => route.method === req.method);
+
+  if (!match) {
+    sendJson(res, matches.length ? 405 : 404, {
+      error: matches.length ? "Method not allowed" : "Not found",
+    });
+    return;
+  }
+
+  const { route, params } = match;
+  // Refuse a declared oversized body before reading any of it
+  if (
+    route.method === "POST" &&
+    Number(req.headers["content-length"]) > context.maxUploadBytes
+  ) {
+    throw UPLOAD_TOO_LARGE;
+  }
+
+  const run = route.withRun
+    ? await context.store.loadRun(params[0])
+    : undefined;
+  if (route.withRun && !run) {
+    sendJson(res, 404, { error: "No such run" });
+    return;
+  }
+  const category = route.withCategory
+    ? CATEGORIES.find(({ id }) => id === params[1])
+    : undefined;
+  if (route.withCategory && !category) {
+    sendJson(res, 404, { error: `Unknown category "${params[1]}"` });
+    return;
+  }
+
+  await route.handle({ ...context, req, res, params, run, category });
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "8787" },
+      host: { type: "string", default: "127.0.0.1" },
+      data: { type: "string", default: "reconciliation-runs" },
+      profile: { type: "string" },
+      config: { type: "string" },
+      "allow-origin": { type: "string" },
+      "max-upload-mb": { type: "string", default: "100" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const defaults = {
+    config: values.config
+      ? JSON.parse(readFileSync(values.config, "utf8"))
+      : {},
+    profile: values.profile ? readFileSync(values.profile, "utf8") : undefined,
+  };
+  // Fail on start rather than on every run
+  resolveSettings(defaults.config, defaults.profile);
+
+  const context = {
+    store: createRunStore(values.data),
+    defaults,
+    maxUploadBytes: Number(values["max-upload-mb"]) * MB,
+    // One key per process, so hashed values agree across its exports
+    hashKey: createHashKey(),
+  };
+
+  const allowOrigin = values["allow-origin"];
+  const server = createServer((req, res) => {
+    // Cross-origin browser calls only when an origin is allowed explicitly
+    if (allowOrigin) {
+      res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+    }
+    if (allowOrigin && req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Methods": "GET, POST",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+      return;
+    }
+
+    handleRequest(req, res, context).catch((err) => {
+      if (err === UPLOAD_TOO_LARGE) {
+        // The rest of the body is not read, so the connection is not reused
+        res.setHeader("Connection", "close");
+        sendJson(res, 413, { error: err });
+        return;
+      }
+      if (isInputError(err)) {
+        sendJson(res, 400, { error: err });
+        return;
+      }
+      console.error(err);
+      sendJson(res, 500, { error: "Reconciliation failed" });
+    });
+  });
+
+  server.listen(Number(values.port), values.host, () => {
+    console.log(
+      `Reconciliation API listening on http://${values.host}:${values.port}`
+    );
+  });
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(err instanceof Error ? err.message : err);
+  process.exitCode = 2;
+}
@@ -0,0 +1,367 @@
+// Statement loading and run settings shared by the command-line tool and the
+// HTTP service.
+import {
+  getHeaderSignature,
+  getMissingFields,
+  guessColumnMapping,
+  validateRows,
+} from "../columnMapping.js";
+import {
+  DEFAULT_EXPORT_LAYOUT,
+  DEFAULT_LOCALE,
+  parseConfigProfile,
+} from "../configProfiles.js";
+import {
+  dayNumberToIsoDate,
+  isValidTimeZone,
+  isoDateToDayNumber,
+} from "../dateHandling.js";
+import { DEFAULT_MATCHING_RULES } from "../fuzzyMatching.js";
+import { hashFile } from "../fileHash.js";
+import { parseStatement } from "../parsers/index.js";
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  detectSensitiveColumns,
+  getSensitiveColumns,
+} from "../privacy.js";
+import {
+  DEFAULT_OPTIONS,
+  combineProviderStatements,
+  reconcile,
+} from "../reconciliationEngine.js";
+
+/**
+ * Parse and clean one statement, using the given mapping, else a profile
+ * mapping saved for the same headers, else a guessed one, and reading the
+ * first sheet of a workbook unless one is named.
+ *
+ * @param {File} file - Needs name, size, slice(), text() and arrayBuffer()
+ * @param {string} dataType - Source name used in messages
+ * @param {Object} [options]
+ * @param {Object} [options.mapping]
+ * @param {string} [options.sheetName]
+ * @param {Object[]} [options.mappingProfiles] - From a configuration profile
+ * @param {function(string): void} [options.onWarning]
+ * @returns {Promise<Object>} The validation result (transactions, issues,
+ *   summary) plus a `file` description shaped like a saved run's files.
+ *   Rejects with a message string when required fields cannot be mapped
+ */
+export const loadStatement = async (
+  file,
+  dataType,
+  { mapping, sheetName, mappingProfiles = [], onWarning = console.warn } = {}
+) => {
+  let sheet = sheetName;
+  let parsed = await parseStatement(file, { dataType, sheetName: sheet });
+  if (parsed.needsSheet) {
+    sheet = parsed.sheetNames[0];
+    onWarning(`${file.name} has several sheets, using "${sheet}"`);
+    parsed = await parseStatement(file, { dataType, sheetName: sheet });
+  }
+
+  const { headers, rows, errors, lines } = parsed;
+  const signature = getHeaderSignature(headers);
+  const columnMapping =
+    mapping ||
+    mappingProfiles.find((profile) => profile.signature === signature)
+      ?.mapping ||
+    guessColumnMapping(headers);
+
+  const missingFields = getMissingFields(columnMapping);
+  if (missingFields.length > 0) {
+    throw `Cannot map ${missingFields.join(", ")} in ${dataType} (${
+      file.name
+    })`;
+  }
+
+  const validation = validateRows(rows, columnMapping, errors, lines);
+  const { rejected, coerced, warnings } = validation.summary;
+  if (validation.issues.length > 0) {
+    onWarning(
+      `${file.name}: ${rejected} rows rejected, ${coerced} coerced, ${warnings} with warnings`
+    );
+  }
+  const sensitiveColumns = detectSensitiveColumns(validation.transactions);
+  const cardColumns = Object.keys(sensitiveColumns).filter(
+    (column) => sensitiveColumns[column] === "pan"
+  );
+  if (cardColumns.length > 0) {
+    onWarning(`${file.name}: card numbers found in ${cardColumns.join(", ")}`);
+  }
+  return {
+    ...validation,
+    file: {
+      name: file.name,
+      size: file.size,
+      format: parsed.format,
+      sheetName: sheet || null,
+      rowCount: rows.length,
+      transactionCount: validation.transactions.length,
+      sha256: await hashFile(file),
+      validation: validation.summary,
+      mapping: columnMapping,
+      sensitiveColumns,
+    },
+  };
+};
+
+/**
+ * Sensitive columns of every file of a run, with the configured types
+ * applied, for protecting its exports.
+ *
+ * @param {Object} files - { internal, providers, bank } file descriptions,
+ *   as loadStatement() returns them
+ * @param {Object} privacySettings - See DEFAULT_PRIVACY_SETTINGS
+ * @returns {Object<string, string>} As getSensitiveColumns() returns
+ */
+export const getRunSensitiveColumns = (files, privacySettings) =>
+  getSensitiveColumns(
+    Object.assign(
+      {},
+      ...[files.internal, ...files.providers, files.bank]
+        .filter(Boolean)
+        .map((file) => file.sensitiveColumns || {})
+    ),
+    privacySettings.columns
+  );
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isAmount = (value) => Number.isFinite(value) && value >= 0;
+
+// Each rule is an object whose settings have the type of their defaults
+const checkMatchingRules = (rules) => {
+  if (!isObject(rules)) throw new Error("matchingRules must be an object");
+  Object.entries(rules).forEach(([ruleId, rule]) => {
+    const defaults = DEFAULT_MATCHING_RULES[ruleId];
+    if (!defaults) throw new Error(`Unknown matching rule "${ruleId}"`);
+    if (!isObject(rule)) {
+      throw new Error(`Matching rule "${ruleId}" must be an object`);
+    }
+    Object.entries(rule).forEach(([setting, value]) => {
+      const expected = defaults[setting];
+      if (expected === undefined) {
+        throw new Error(`Unknown matching rule setting ${ruleId}.${setting}`);
+      }
+      const valid = Array.isArray(expected)
+        ? Array.isArray(value) && value.every((v) => typeof v === "string")
+        : typeof expected === "number"
+        ? isAmount(value)
+        : typeof value === typeof expected;
+      if (!valid) {
+        throw new Error(`Invalid matching rule setting ${ruleId}.${setting}`);
+      }
+    });
+  });
+};
+
+const checkAmountSettings = (settings) => {
+  if (!isObject(settings)) throw new Error("amountSettings must be an object");
+  const { tolerances, feeInclusive } = settings;
+  if (tolerances !== undefined) {
+    if (!isObject(tolerances)) {
+      throw new Error("amountSettings.tolerances must be an object");
+    }
+    Object.entries(tolerances).forEach(([currency, tolerance]) => {
+      if (
+        !isObject(tolerance) ||
+        !["absolute", "percent"].every(
+          (key) => tolerance[key] === undefined || isAmount(tolerance[key])
+        )
+      ) {
+        throw new Error(
+          `Tolerance for ${currency} needs non-negative absolute and percent amounts`
+        );
+      }
+    });
+  }
+  if (feeInclusive !== undefined && typeof feeInclusive !== "boolean") {
+    throw new Error("amountSettings.feeInclusive must be true or false");
+  }
+};
+
+// YYYY-MM-DD of a real calendar day
+const isIsoDate = (value) =>
+  typeof value === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  dayNumberToIsoDate(isoDateToDayNumber(value)) === value;
+
+const checkDateSettings = (settings) => {
+  if (!isObject(settings)) throw new Error("dateSettings must be an object");
+  const { timeZone, periodStart, periodEnd } = settings;
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone "${timeZone}"`);
+  }
+  [
+    ["periodStart", periodStart],
+    ["periodEnd", periodEnd],
+  ].forEach(([name, value]) => {
+    if (value && !isIsoDate(value)) {
+      throw new Error(`${name} must be a date written as YYYY-MM-DD`);
+    }
+  });
+  if (periodStart && periodEnd && periodStart > periodEnd) {
+    throw new Error("periodStart is after periodEnd");
+  }
+};
+
+// Engine options that would otherwise fail inside reconcile() or quietly
+// exclude every row
+const checkOptions = (options) => {
+  if (options.matchingRules !== undefined) {
+    checkMatchingRules(options.matchingRules);
+  }
+  if (options.amountSettings !== undefined) {
+    checkAmountSettings(options.amountSettings);
+  }
+  if (options.dateSettings !== undefined) {
+    checkDateSettings(options.dateSettings);
+  }
+};
+
+/**
+ * Split a --config file and a configuration profile into mappings, engine
+ * options and export settings. Config values take precedence.
+ *
+ * @param {Object} [config] - Parsed --config JSON
+ * @param {string} [profileJson] - Configuration profile file contents
+ * @returns {Object} { mappings, options, mappingProfiles, exportLayout,
+ *   locale, privacySettings, profileName }, where `mappings` holds the
+ *   config's mapping and sheet settings
+ * @throws {Error} When the profile or an engine option (matching rules,
+ *   amount settings, time zone or period dates) is invalid
+ */
+export const resolveSettings = (config = {}, profileJson) => {
+  if (!isObject(config)) throw new Error("The config must be a JSON object");
+  const {
+    internalMapping,
+    providerMapping,
+    bankMapping,
+    internalSheet,
+    providerSheet,
+    bankSheet,
+    providerMappings = {},
+    providerSheets = {},
+    privacySettings: configPrivacy,
+    ...configOptions
+  } = config;
+  const {
+    mappingProfiles = [],
+    exportLayout = DEFAULT_EXPORT_LAYOUT,
+    locale = DEFAULT_LOCALE,
+    privacySettings: profilePrivacy = DEFAULT_PRIVACY_SETTINGS,
+    name: profileName = null,
+    version,
+    ...profileOptions
+  } = profileJson ? parseConfigProfile(profileJson) : {};
+  const options = { ...profileOptions, ...configOptions };
+  checkOptions(options);
+
+  return {
+    mappings: {
+      internalMapping,
+      providerMapping,
+      bankMapping,
+      internalSheet,
+      providerSheet,
+      bankSheet,
+      providerMappings,
+      providerSheets,
+    },
+    options,
+    mappingProfiles,
+    exportLayout,
+    locale,
+    privacySettings: { ...profilePrivacy, ...configPrivacy },
+    profileName,
+  };
+};
+
+/**
+ * Load every statement of a run and reconcile them.
+ *
+ * @param {Object} sources
+ * @param {File} sources.internal
+ * @param {{name: string, file: File}[]} sources.providers - Names must be
+ *   unique
+ * @param {File} [sources.bank]
+ * @param {Object} settings - Output of {@link resolveSettings}
+ * @param {function(string): void} [onWarning]
+ * @returns {Promise<Object>} { internal, providers, bank, results, config },
+ *   where the statements are {@link loadStatement} results (providers also
+ *   carry their name) and `config` holds every engine option the run used
+ */
+export const reconcileStatements = async (
+  { internal: internalFile, providers: providerFiles, bank: bankFile },
+  {
+    mappings,
+    options,
+    mappingProfiles,
+    exportLayout,
+    locale,
+    privacySettings,
+    profileName,
+  },
+  onWarning
+) => {
+  const names = providerFiles.map(({ name }) => name);
+  if (new Set(names).size !== names.length) {
+    throw "Provider names must be unique";
+  }
+
+  const internal = await loadStatement(internalFile, "Internal System Export", {
+    mapping: mappings.internalMapping,
+    sheetName: mappings.internalSheet,
+    mappingProfiles,
+    onWarning,
+  });
+  const providers = [];
+  for (const { name, file } of providerFiles) {
+    providers.push({
+      name,
+      ...(await loadStatement(file, `Provider Statement (${name})`, {
+        mapping: mappings.providerMappings[name] || mappings.providerMapping,
+        sheetName: mappings.providerSheets[name] || mappings.providerSheet,
+        mappingProfiles,
+        onWarning,
+      })),
+    });
+  }
+  const bank = bankFile
+    ? await loadStatement(bankFile, "Bank Statement", {
+        mapping: mappings.bankMapping,
+        sheetName: mappings.bankSheet,
+        mappingProfiles,
+        onWarning,
+      })
+    : null;
+
+  const results = reconcile(
+    internal.transactions,
+    combineProviderStatements(
+      providers.map(({ name, transactions }) => ({
+        provider: name,
+        transactions,
+      }))
+    ),
+    { ...options, bankData: bank && bank.transactions }
+  );
+
+  // Saved with the run so it reopens with the settings it was made with
+  const { bankData, onProgress, ...engineDefaults } = DEFAULT_OPTIONS;
+  return {
+    internal,
+    providers,
+    bank,
+    results,
+    config: {
+      ...engineDefaults,
+      ...options,
+      locale,
+      exportLayout,
+      privacySettings,
+      profile: profileName,
+    },
+  };
+};
@@ -0,0 +1,64 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { resolveSettings } from "./statements.js";
+
+describe("resolveSettings", () => {
+  it("splits a config into mappings and engine options", () => {
+    const { mappings, options } = resolveSettings({
+      internalSheet: "Orders",
+      matchingRules: { amountDate: { maxDaysApart: 3 } },
+      dateSettings: { periodStart: "2024-03-01", periodEnd: "2024-03-31" },
+    });
+    assert.equal(mappings.internalSheet, "Orders");
+    assert.deepEqual(options.matchingRules, {
+      amountDate: { maxDaysApart: 3 },
+    });
+    assert.equal(options.dateSettings.periodEnd, "2024-03-31");
+  });
+
+  it("rejects matching rules the engine cannot use", () => {
+    [
+      [{ matchingRules: null }, /matchingRules must be an object/],
+      [{ matchingRules: { fuzzy: {} } }, /Unknown matching rule "fuzzy"/],
+      [{ matchingRules: { amountDate: true } }, /must be an object/],
+      [
+        { matchingRules: { amountDate: { maxDaysApart: "2" } } },
+        /amountDate\.maxDaysApart/,
+      ],
+      [
+        { matchingRules: { amountDate: { dayWindow: 2 } } },
+        /Unknown matching rule setting amountDate\.dayWindow/,
+      ],
+    ].forEach(([config, message]) =>
+      assert.throws(() => resolveSettings(config), message)
+    );
+  });
+
+  it("rejects invalid amount settings", () => {
+    assert.throws(
+      () => resolveSettings({ amountSettings: "strict" }),
+      /amountSettings must be an object/
+    );
+    assert.throws(
+      () =>
+        resolveSettings({
+          amountSettings: { tolerances: { USD: { absolute: -1 } } },
+        }),
+      /Tolerance for USD/
+    );
+  });
+
+  it("rejects invalid time zones and period dates", () => {
+    [
+      [{ timeZone: "Mars/Base" }, /Unknown time zone "Mars\/Base"/],
+      [{ periodStart: "03/01/2024" }, /periodStart must be a date/],
+      [{ periodEnd: "2024-02-30" }, /periodEnd must be a date/],
+      [
+        { periodStart: "2024-04-01", periodEnd: "2024-03-31" },
+        /periodStart is after periodEnd/,
+      ],
+    ].forEach(([dateSettings, message]) =>
+      assert.throws(() => resolveSettings({ dateSettings }), message)
+    );
+  });
+});
@@ -0,0 +1,256 @@
+import { parseAmount } from "./amountParsing.js";
+
+// Fields a source column can be mapped onto, in display order
+export const MAPPING_FIELDS = [
+  { id: "transaction_reference", label: "Reference", required: true },
+  { id: "amount", label: "Amount" },
+  { id: "status", label: "Status" },
+  { id: "date", label: "Date" },
+  { id: "currency", label: "Currency" },
+  { id: "description", label: "Description" },
+  { id: "fee", label: "Fee" },
+  { id: "payout_id", label: "Payout / Batch ID" },
+];
+
+// Common header names used by providers for each field
+const FIELD_ALIASES = {
+  transaction_reference: [
+    "transaction_reference",
+    "reference",
+    "ref",
+    "txn_id",
+    "transaction_id",
+    "reference_no",
+    "reference_number",
+    "merchant_ref",
+    "merchant_reference",
+    "payment_reference",
+    "order_id",
+    "id",
+  ],
+  amount: [
+    "amount",
+    "transaction_amount",
+    "gross_amount",
+    "gross",
+    "net_amount",
+    "total",
+    "value",
+    "amt",
+  ],
+  status: ["status", "transaction_status", "payment_status", "state", "result"],
+  date: [
+    "date",
+    "transaction_date",
+    "created_at",
+    "created",
+    "value_date",
+    "settlement_date",
+    "posted_at",
+    "timestamp",
+  ],
+  currency: ["currency", "currency_code", "ccy", "cur"],
+  description: [
+    "description",
+    "narrative",
+    "details",
+    "memo",
+    "notes",
+    "note",
+    "desc",
+  ],
+  fee: ["fee", "fees", "processing_fee", "fee_amount", "commission", "charges"],
+  payout_id: [
+    "payout_id",
+    "payout",
+    "payout_reference",
+    "batch_id",
+    "batch",
+    "settlement_id",
+    "settlement_batch",
+    "transfer_id",
+  ],
+};
+
+const PROFILES_STORAGE_KEY = "reconciliation:mappingProfiles";
+
+// Normalize a raw CSV header the same way for every file
+export const normalizeHeader = (header) =>
+  header.trim().toLowerCase().replace(/\s+/g, "_");
+
+const compactKey = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Order-independent fingerprint of a file's columns
+export const getHeaderSignature = (headers) =>
+  [...headers].map(compactKey).sort().join("|");
+
+// Suggest a column for each field based on known header aliases
+export const guessColumnMapping = (headers) => {
+  const used = new Set();
+  const mapping = {};
+
+  MAPPING_FIELDS.forEach((field) => {
+    const aliases = FIELD_ALIASES[field.id].map(compactKey);
+    const header = aliases
+      .map((alias) => headers.find((h) => compactKey(h) === alias))
+      .find((h) => h && !used.has(h));
+
+    mapping[field.id] = header || "";
+    if (header) used.add(header);
+  });
+
+  return mapping;
+};
+
+// Return the labels of required fields that have no column assigned
+export const getMissingFields = (mapping) =>
+  MAPPING_FIELDS.filter((field) => field.required && !mapping[field.id]).map(
+    (field) => field.label
+  );
+
+// Data rows start on line 2, below the header
+const FIRST_DATA_LINE = 2;
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Clean raw rows into transactions and report every row that was rejected
+ * or had a value replaced. Amounts are read with the mapping's
+ * `amountFormat` (see AMOUNT_FORMATS), defaulting to "auto".
+ *
+ * @param {Object[]} rows - Raw parsed rows
+ * @param {Object<string, string>} mapping - Field id to source column
+ * @param {Object[]} [parseErrors] - { row, message } from the parser, where
+ *   row is the index of the affected data row or null for the whole file
+ * @param {number[]} [lines] - Source line of each row, from parsers that
+ *   know it (CSV); otherwise rows are taken to follow the header one per line
+ * @returns {{transactions: Object[], issues: Object[], summary: Object}}
+ *   `issues` hold { line, reference, field, value, action, reason } with
+ *   action "rejected", "coerced" or "warning"; `summary` counts rows per
+ *   action
+ */
+export const validateRows = (rows, mapping, parseErrors = [], lines) => {
+  const format = mapping.amountFormat || "auto";
+  const lineOf = (index) => (lines ? lines[index] : index + FIRST_DATA_LINE);
+  const transactions = [];
+  const issues = parseErrors.map((error) => ({
+    line: error.row === null ? null : lineOf(error.row),
+    reference: "",
+    field: "",
+    value: "",
+    action: "warning",
+    reason: error.message,
+  }));
+
+  rows.forEach((row, index) => {
+    const line = lineOf(index);
+    const value = (field) => (mapping[field] ? row[mapping[field]] : "");
+    const reference = String(value("transaction_reference") ?? "").trim();
+    const report = (field, action, reason) =>
+      issues.push({
+        line,
+        reference,
+        field,
+        value: String(value(field) ?? ""),
+        action,
+        reason,
+      });
+
+    if (!reference) {
+      report("transaction_reference", "rejected", "Missing reference");
+      return;
+    }
+
+    // Unreadable amounts become 0 so the row still takes part, flagged
+    const readAmount = (field, label) => {
+      const raw = value(field);
+      if (isBlank(raw)) {
+        if (field === "amount" && mapping.amount) {
+          report(field, "coerced", `Missing ${label}, used 0`);
+        }
+        return 0;
+      }
+      const parsed = parseAmount(raw, format);
+      if (!parsed) {
+        report(field, "coerced", `Unreadable ${label}, used 0`);
+        return 0;
+      }
+      if (parsed.ambiguous) {
+        report(
+          field,
+          "warning",
+          `Ambiguous separator, read as ${parsed.amount}; choose an amount format to be sure`
+        );
+      }
+      return parsed.amount;
+    };
+
+    // Raw columns are kept, but the cleaned fields win. Object.assign is
+    // much faster than spreading the row first on large files.
+    transactions.push(
+      Object.assign({}, row, {
+        transaction_reference: reference,
+        amount: readAmount("amount", "amount"),
+        status: String(value("status") ?? "")
+          .trim()
+          .toLowerCase(),
+        date: value("date") ?? "",
+        description: value("description") ?? "",
+        currency: value("currency") ?? "",
+        fee: readAmount("fee", "fee"),
+        payout_id: String(value("payout_id") ?? "").trim(),
+      })
+    );
+  });
+
+  issues.sort((a, b) => a.line - b.line);
+
+  const linesWith = (action) =>
+    new Set(
+      issues.filter((issue) => issue.action === action).map(({ line }) => line)
+    ).size;
+  return {
+    transactions,
+    issues,
+    summary: {
+      rows: rows.length,
+      accepted: transactions.length,
+      rejected: linesWith("rejected"),
+      coerced: linesWith("coerced"),
+      warnings: linesWith("warning"),
+    },
+  };
+};
+
+// Turn raw parsed rows into the standard transaction shape
+export const applyColumnMapping = (rows, mapping) =>
+  validateRows(rows, mapping).transactions;
+
+export const loadMappingProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn("Could not read saved mapping profiles:", err);
+    return [];
+  }
+};
+
+// Save a profile, replacing any existing one for the same header signature
+export const saveMappingProfile = (profile) => {
+  const profiles = loadMappingProfiles().filter(
+    (existing) => existing.signature !== profile.signature
+  );
+  profiles.push({ ...profile, savedAt: new Date().toISOString() });
+
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.warn("Could not save mapping profile:", err);
+  }
+
+  return profiles;
+};
+
+export const findMappingProfile = (signature) =>
+  loadMappingProfiles().find((profile) => profile.signature === signature);
@@ -0,0 +1,45 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { guessColumnMapping, validateRows } from "./columnMapping.js";
+import { parseCSV } from "./reconciliationEngine.js";
+
+const CSV = [
+  "reference,amount,description",
+  'TX1,10.00,"Two-line',
+  'description"',
+  "",
+  ",5.00,No reference",
+  "TX3,abc,Unreadable amount",
+  "",
+].join("\n");
+
+describe("validateRows", () => {
+  it("reports the file line of each row", async () => {
+    const { headers, rows, errors, lines } = await parseCSV(CSV, "test");
+    assert.equal(rows.length, 3);
+    assert.deepEqual(lines, [2, 5, 6]);
+    assert.deepEqual(errors, []);
+
+    const { issues, summary } = validateRows(
+      rows,
+      guessColumnMapping(headers),
+      errors,
+      lines
+    );
+    assert.deepEqual(
+      issues.map(({ line, action }) => ({ line, action })),
+      [
+        { line: 5, action: "rejected" },
+        { line: 6, action: "coerced" },
+      ]
+    );
+    assert.equal(summary.accepted, 2);
+  });
+
+  it("counts rows one per line without parser lines", () => {
+    const { issues } = validateRows([{ reference: "" }, { reference: "TX2" }], {
+      transaction_reference: "reference",
+    });
+    assert.equal(issues[0].line, 2);
+  });
+});
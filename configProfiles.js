@@ -0,0 +1,220 @@
+// Named configuration profiles: everything a run is set up with, saved in
+// the browser and shared as JSON files.
+import { mergeMatchingRules } from "./fuzzyMatching.js";
+import { DEFAULT_AMOUNT_SETTINGS } from "./amountComparison.js";
+import { DEFAULT_STATUS_MAPPING, parseStatusMapping } from "./statusMapping.js";
+import { DEFAULT_DATE_SETTINGS } from "./dateHandling.js";
+import { DEFAULT_SETTLEMENT_SETTINGS } from "./settlementMatching.js";
+import { DEFAULT_JOURNAL_SETTINGS } from "./journalEntries.js";
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  EXPORT_MODES,
+  SENSITIVE_TYPES,
+} from "./privacy.js";
+
+const PROFILES_STORAGE_KEY = "reconciliation:configProfiles";
+const PROFILE_VERSION = 1;
+
+export const DEFAULT_LOCALE = "en-US";
+
+export const EXPORT_DELIMITERS = [
+  { id: ",", label: "Comma" },
+  { id: ";", label: "Semicolon" },
+  { id: "\t", label: "Tab" },
+];
+
+// Columns per category id; a missing or empty list exports every column
+export const DEFAULT_EXPORT_LAYOUT = {
+  delimiter: ",",
+  columns: {},
+};
+
+// Date settings that belong to one period rather than to a profile
+const PERIOD_FIELDS = ["periodStart", "periodEnd"];
+
+/**
+ * Collect the current settings into a profile.
+ *
+ * @param {string} name - Profile name, unique among saved profiles
+ * @param {Object} settings - { mappingProfiles, matchingRules,
+ *   amountSettings, fxRates, statusMapping, dateSettings,
+ *   settlementSettings, journalSettings, locale, exportLayout,
+ *   privacySettings }
+ * @returns {Object}
+ */
+export const createConfigProfile = (name, settings) => {
+  const dateSettings = { ...settings.dateSettings };
+  PERIOD_FIELDS.forEach((field) => delete dateSettings[field]);
+
+  return {
+    name,
+    version: PROFILE_VERSION,
+    mappingProfiles: settings.mappingProfiles.map(
+      ({ name: mappingName, signature, mapping, source, providerName }) => ({
+        name: mappingName,
+        signature,
+        mapping,
+        // The source files with these columns are sorted into on upload
+        ...(source && { source }),
+        ...(providerName && { providerName }),
+      })
+    ),
+    matchingRules: settings.matchingRules,
+    amountSettings: settings.amountSettings,
+    fxRates: settings.fxRates,
+    statusMapping: settings.statusMapping,
+    dateSettings,
+    settlementSettings: settings.settlementSettings,
+    journalSettings: settings.journalSettings,
+    locale: settings.locale,
+    exportLayout: settings.exportLayout,
+    privacySettings: settings.privacySettings,
+  };
+};
+
+const isValidLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Read a profile from JSON, filling settings it leaves out with defaults.
+ *
+ * @param {string} json - Profile file contents
+ * @returns {Object} A profile shaped like {@link createConfigProfile}'s
+ * @throws {Error} When the file is not a profile or a setting is invalid
+ */
+export const parseConfigProfile = (json) => {
+  const profile = JSON.parse(json);
+
+  if (!profile || typeof profile !== "object" || !profile.name) {
+    throw new Error("Profile must be a JSON object with a name");
+  }
+  if (profile.version > PROFILE_VERSION) {
+    throw new Error(
+      `Profile version ${profile.version} is newer than this tool supports`
+    );
+  }
+  if (
+    profile.mappingProfiles &&
+    !profile.mappingProfiles.every(
+      (entry) => entry.signature && entry.mapping?.transaction_reference
+    )
+  ) {
+    throw new Error(
+      "Each column mapping needs a header signature and a reference column"
+    );
+  }
+  const locale = profile.locale || DEFAULT_LOCALE;
+  if (!isValidLocale(locale)) {
+    throw new Error(`Unknown locale "${locale}"`);
+  }
+  const exportLayout = { ...DEFAULT_EXPORT_LAYOUT, ...profile.exportLayout };
+  if (!EXPORT_DELIMITERS.some(({ id }) => id === exportLayout.delimiter)) {
+    throw new Error("Export delimiter must be a comma, semicolon or tab");
+  }
+  const privacySettings = {
+    ...DEFAULT_PRIVACY_SETTINGS,
+    ...profile.privacySettings,
+  };
+  if (!EXPORT_MODES.some(({ id }) => id === privacySettings.exportMode)) {
+    throw new Error(
+      `Unknown export mode for sensitive columns "${privacySettings.exportMode}"`
+    );
+  }
+  const unknownType = Object.values(privacySettings.columns).find(
+    (type) => type && !SENSITIVE_TYPES.some(({ id }) => id === type)
+  );
+  if (unknownType !== undefined) {
+    throw new Error(`Unknown sensitive column type "${unknownType}"`);
+  }
+
+  return {
+    name: String(profile.name).trim(),
+    version: PROFILE_VERSION,
+    mappingProfiles: profile.mappingProfiles || [],
+    // Per rule, so a rule given in part keeps its other defaults
+    matchingRules: mergeMatchingRules(profile.matchingRules),
+    amountSettings: { ...DEFAULT_AMOUNT_SETTINGS, ...profile.amountSettings },
+    fxRates: profile.fxRates || [],
+    statusMapping: profile.statusMapping
+      ? parseStatusMapping(JSON.stringify(profile.statusMapping))
+      : DEFAULT_STATUS_MAPPING,
+    dateSettings: { ...DEFAULT_DATE_SETTINGS, ...profile.dateSettings },
+    settlementSettings: {
+      ...DEFAULT_SETTLEMENT_SETTINGS,
+      ...profile.settlementSettings,
+    },
+    journalSettings: {
+      ...DEFAULT_JOURNAL_SETTINGS,
+      ...profile.journalSettings,
+      accounts: {
+        ...DEFAULT_JOURNAL_SETTINGS.accounts,
+        ...profile.journalSettings?.accounts,
+      },
+    },
+    locale,
+    exportLayout,
+    privacySettings,
+  };
+};
+
+export const serializeConfigProfile = (profile) =>
+  JSON.stringify(profile, null, 2);
+
+/**
+ * Keep and order the export columns a layout lists for a category.
+ *
+ * @param {Object[]} rows - Rows from toExportRows, with resolution columns
+ * @param {Object} layout - Shaped like {@link DEFAULT_EXPORT_LAYOUT}
+ * @param {string} categoryId - One of the CATEGORIES ids
+ * @returns {Object[]} Listed columns that the rows do not have are left
+ *   empty
+ */
+export const applyExportLayout = (rows, layout, categoryId) => {
+  const columns = layout.columns[categoryId];
+  if (!columns || columns.length === 0) return rows;
+
+  return rows.map((row) => {
+    const picked = {};
+    columns.forEach((column) => {
+      picked[column] = row[column] ?? "";
+    });
+    return picked;
+  });
+};
+
+export const loadConfigProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+  } catch (err) {
+    console.warn("Could not read saved configuration profiles:", err);
+    return [];
+  }
+};
+
+const storeConfigProfiles = (profiles) => {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.warn("Could not save configuration profiles:", err);
+  }
+  return profiles;
+};
+
+// Save a profile, replacing any existing one with the same name
+export const saveConfigProfile = (profile) =>
+  storeConfigProfiles([
+    ...loadConfigProfiles().filter(
+      (existing) => existing.name !== profile.name
+    ),
+    { ...profile, savedAt: new Date().toISOString() },
+  ]);
+
+export const deleteConfigProfile = (name) =>
+  storeConfigProfiles(
+    loadConfigProfiles().filter((profile) => profile.name !== name)
+  );
@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_MATCHING_RULES } from "./fuzzyMatching.js";
+import { parseConfigProfile } from "./configProfiles.js";
+
+const parse = (profile) =>
+  parseConfigProfile(JSON.stringify({ name: "Acme", ...profile }));
+
+describe("parseConfigProfile", () => {
+  it("fills settings a profile leaves out with defaults", () => {
+    const profile = parse({});
+    assert.equal(profile.name, "Acme");
+    assert.deepEqual(profile.matchingRules, DEFAULT_MATCHING_RULES);
+  });
+
+  it("keeps the defaults of a rule given in part", () => {
+    const { matchingRules } = parse({
+      matchingRules: { amountDate: { maxDaysApart: 5 } },
+    });
+    assert.deepEqual(matchingRules.amountDate, {
+      ...DEFAULT_MATCHING_RULES.amountDate,
+      maxDaysApart: 5,
+    });
+    assert.equal(matchingRules.amountDate.enabled, true);
+    assert.deepEqual(
+      matchingRules.normalizedReference,
+      DEFAULT_MATCHING_RULES.normalizedReference
+    );
+  });
+
+  it("rejects a file without a name", () => {
+    assert.throws(
+      () => parseConfigProfile("{}"),
+      /Profile must be a JSON object with a name/
+    );
+  });
+});
@@ -0,0 +1,191 @@
+// Date formats a source column can be read with. "auto" accepts ISO 8601
+// and falls back to the JavaScript Date parser.
+export const DATE_FORMATS = [
+  "auto",
+  "YYYY-MM-DD",
+  "DD/MM/YYYY",
+  "MM/DD/YYYY",
+  "DD.MM.YYYY",
+  "DD-MM-YYYY",
+  "YYYYMMDD",
+];
+
+// Period dates are inclusive calendar days (YYYY-MM-DD) in `timeZone`, which
+// is also the zone assumed for timestamps without an explicit offset
+export const DEFAULT_DATE_SETTINGS = {
+  internalFormat: "auto",
+  providerFormat: "auto",
+  bankFormat: "auto",
+  timeZone: "UTC",
+  periodStart: "",
+  periodEnd: "",
+  cutoffDays: 2, // Internal-only items this close to periodEnd are timing
+  settlementSlaDays: 3,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORMAT_PATTERNS = {
+  "YYYY-MM-DD": /^(?<y>\d{4})-(?<m>\d{1,2})-(?<d>\d{1,2})/,
+  "DD/MM/YYYY": /^(?<d>\d{1,2})\/(?<m>\d{1,2})\/(?<y>\d{4})/,
+  "MM/DD/YYYY": /^(?<m>\d{1,2})\/(?<d>\d{1,2})\/(?<y>\d{4})/,
+  "DD.MM.YYYY": /^(?<d>\d{1,2})\.(?<m>\d{1,2})\.(?<y>\d{4})/,
+  "DD-MM-YYYY": /^(?<d>\d{1,2})-(?<m>\d{1,2})-(?<y>\d{4})/,
+  YYYYMMDD: /^(?<y>\d{4})(?<m>\d{2})(?<d>\d{2})/,
+};
+
+const TIME_PATTERN = /[T\s](\d{1,2}):(\d{2})(?::(\d{2}))?/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/;
+
+// Creating formatters is slow, so keep one per zone
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+// Read the zone's wall-clock time back from Intl and diff it with UTC
+const computeZoneOffset = (instant, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(instant));
+  const value = (type) =>
+    Number(parts.find((part) => part.type === type).value);
+
+  const asUtc = Date.UTC(
+    value("year"),
+    value("month") - 1,
+    value("day"),
+    value("hour"),
+    value("minute"),
+    value("second")
+  );
+  return asUtc - (instant - (instant % 1000));
+};
+
+// Zone transitions fall on quarter hours, so offsets are cached per quarter
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const offsets = new Map();
+
+// Offset of a time zone from UTC, in ms, at a given instant
+const getZoneOffset = (instant, timeZone) => {
+  if (timeZone === "UTC") return 0;
+
+  const key = `${timeZone}@${Math.floor(instant / QUARTER_HOUR_MS)}`;
+  if (!offsets.has(key)) {
+    offsets.set(key, computeZoneOffset(instant, timeZone));
+  }
+  return offsets.get(key);
+};
+
+// Instant of a wall-clock time in a time zone
+const zonedTimeToInstant = (components, timeZone) => {
+  const wallClock = Date.UTC(
+    components.y,
+    components.m - 1,
+    components.d,
+    components.h || 0,
+    components.mi || 0,
+    components.s || 0
+  );
+  const offset = getZoneOffset(wallClock, timeZone);
+  return wallClock - getZoneOffset(wallClock - offset, timeZone);
+};
+
+/**
+ * Parse a date value into a timestamp (ms since epoch).
+ *
+ * @param {string|number|Date} value - Raw date from a source row
+ * @param {string} format - One of {@link DATE_FORMATS}
+ * @param {string} timeZone - IANA zone for values without an offset
+ * @returns {number|null} null when the value is empty or unparseable
+ */
+export const parseDate = (value, format, timeZone) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) return value.getTime();
+
+  const text = String(value).trim();
+  const pattern =
+    format === "auto" ? FORMAT_PATTERNS["YYYY-MM-DD"] : FORMAT_PATTERNS[format];
+  const match = pattern && text.match(pattern);
+
+  if (!match) {
+    if (format !== "auto") return null;
+    const time = new Date(text).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+
+  const { y, m, d } = match.groups;
+  if (Number(m) < 1 || Number(m) > 12 || Number(d) < 1 || Number(d) > 31) {
+    return null;
+  }
+
+  const time = text.match(TIME_PATTERN);
+  const components = {
+    y: Number(y),
+    m: Number(m),
+    d: Number(d),
+    h: time ? Number(time[1]) : 0,
+    mi: time ? Number(time[2]) : 0,
+    s: time && time[3] ? Number(time[3]) : 0,
+  };
+
+  // An explicit offset wins over the configured zone
+  const offset = time && text.match(OFFSET_PATTERN);
+  if (offset) {
+    const sign = offset[1] === "Z" ? 0 : offset[1][0] === "-" ? -1 : 1;
+    const digits = offset[1].replace(/\D/g, "");
+    const offsetMinutes =
+      sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2) || 0));
+    return (
+      Date.UTC(
+        components.y,
+        components.m - 1,
+        components.d,
+        components.h,
+        components.mi,
+        components.s
+      ) -
+      offsetMinutes * 60 * 1000
+    );
+  }
+
+  return zonedTimeToInstant(components, timeZone);
+};
+
+// Calendar day number (days since epoch) of an instant in a time zone
+export const toDayNumber = (instant, timeZone) =>
+  instant === null
+    ? null
+    : Math.floor((instant + getZoneOffset(instant, timeZone)) / DAY_MS);
+
+// "YYYY-MM-DD" -> day number, or null when empty
+export const isoDateToDayNumber = (isoDate) => {
+  if (!isoDate) return null;
+  const [y, m, d] = isoDate.split("-").map(Number);
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+};
+
+export const dayNumberToIsoDate = (dayNumber) =>
+  new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
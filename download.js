@@ -0,0 +1,12 @@
+// Trigger a browser download for generated file contents
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement("a");
+  const url = URL.createObjectURL(blob);
+  link.setAttribute("href", url);
+  link.setAttribute("download", filename);
+  link.style.visibility = "hidden";
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
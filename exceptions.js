@@ -0,0 +1,139 @@
+// Workflow states an exception moves through. Closed states no longer count
+// as open breaks.
+export const EXCEPTION_STATES = [
+  { id: "open", label: "Open", className: "bg-red-100 text-red-700" },
+  {
+    id: "investigating",
+    label: "Investigating",
+    className: "bg-yellow-100 text-yellow-700",
+  },
+  {
+    id: "resolved",
+    label: "Resolved",
+    className: "bg-green-100 text-green-700",
+  },
+  {
+    id: "written_off",
+    label: "Written off",
+    className: "bg-gray-100 text-gray-700",
+  },
+];
+
+const CLOSED_STATES = ["resolved", "written_off"];
+
+export const REASON_CODES = [
+  { id: "", label: "No reason" },
+  { id: "timing", label: "Timing difference" },
+  { id: "missing_provider", label: "Missing from provider" },
+  { id: "missing_internal", label: "Missing internally" },
+  { id: "fee", label: "Fee or charge" },
+  { id: "fx", label: "FX difference" },
+  { id: "duplicate", label: "Duplicate" },
+  { id: "data_entry", label: "Data entry error" },
+  { id: "refund", label: "Refund or reversal" },
+  { id: "other", label: "Other" },
+];
+
+// Exception kinds and the result lists they come from. Amount and status
+// breaks are recorded separately on the same matched pair.
+export const EXCEPTION_KINDS = {
+  internal: "internalOnly",
+  provider: "providerOnly",
+  timing: "timingDifferences",
+  amount: "amountMismatches",
+  status: "statusMismatches",
+  shortPayouts: "payoutDifferences",
+  missingPayouts: "missingPayouts",
+  deposits: "unmatchedDeposits",
+};
+
+export const isOpen = (resolution) =>
+  !resolution || !CLOSED_STATES.includes(resolution.state);
+
+export const getStateLabel = (resolution) =>
+  EXCEPTION_STATES.find((state) => state.id === (resolution?.state || "open"))
+    .label;
+
+/**
+ * Stable keys for a list of exception rows, so a resolution survives
+ * re-runs. Rows sharing a reference are told apart by their position.
+ *
+ * @param {string} kind - One of the {@link EXCEPTION_KINDS} ids
+ * @param {Object[]} items - Transactions, or matches for amount/status
+ * @returns {string[]}
+ */
+export const getExceptionKeys = (kind, items) => {
+  const seen = new Map();
+  return items.map((item) => {
+    const reference = item.provider
+      ? `${item.transaction_reference}::${item.provider.transaction_reference}`
+      : item.transaction_reference;
+    const base = `${kind}:${reference}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}#${count}` : base;
+  });
+};
+
+// Key of a matched pair's amount or status break, or null when it agrees
+export const getMatchExceptionKey = (kind, match) =>
+  (kind === "amount" ? match.amountMatch : match.statusMatch)
+    ? null
+    : getExceptionKeys(kind, [match])[0];
+
+// Number of items in a list that are still open
+export const countOpen = (kind, items, resolutions) =>
+  getExceptionKeys(kind, items).filter((key) => isOpen(resolutions[key]))
+    .length;
+
+/**
+ * Append resolution columns to export rows. A null key means the row is not
+ * an exception of this kind and gets empty columns.
+ *
+ * @param {Object[]} rows - Rows from toExportRows
+ * @param {(string|null)[]} keys - Exception key per row
+ * @param {Object<string, Object>} resolutions - Resolutions by key
+ * @param {string} [prefix] - Column name prefix, e.g. "amount_"
+ * @returns {Object[]}
+ */
+export const addResolutionColumns = (rows, keys, resolutions, prefix = "") =>
+  rows.map((row, index) => {
+    const key = keys[index];
+    const resolution = (key && resolutions[key]) || {};
+
+    return {
+      ...row,
+      [`${prefix}exception_state`]: key ? getStateLabel(resolution) : "",
+      [`${prefix}assignee`]: resolution.assignee || "",
+      [`${prefix}reason_code`]: resolution.reasonCode || "",
+      [`${prefix}notes`]: resolution.notes || "",
+      [`${prefix}resolved_at`]: isOpen(resolution)
+        ? ""
+        : resolution.updatedAt || "",
+    };
+  });
+
+// Resolution columns for a category's export rows. Matched pairs carry
+// separate amount_ and status_ columns; `keys` lets a filtered view pass the
+// keys numbered over its whole category.
+export const addExportResolutions = (
+  type,
+  rows,
+  items,
+  resolutions,
+  keys = EXCEPTION_KINDS[type] ? getExceptionKeys(type, items) : null
+) => {
+  if (type === "matched") {
+    return ["amount", "status"].reduce(
+      (withColumns, kind) =>
+        addResolutionColumns(
+          withColumns,
+          items.map((match) => getMatchExceptionKey(kind, match)),
+          resolutions,
+          `${kind}_`
+        ),
+      rows
+    );
+  }
+  return keys ? addResolutionColumns(rows, keys, resolutions) : rows;
+};
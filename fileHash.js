@@ -0,0 +1,16 @@
+/**
+ * SHA-256 of a file's contents as lowercase hex, so a report or saved run can
+ * be tied back to the exact input it was built from.
+ *
+ * @param {File|Blob} source
+ * @returns {Promise<string>}
+ */
+export const hashFile = async (source) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await source.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
@@ -0,0 +1,395 @@
+// Rules used for the second matching pass over unmatched transactions
+export const DEFAULT_MATCHING_RULES = {
+  normalizedReference: {
+    enabled: true,
+    stripPrefixes: ["TXN", "REF", "PAY", "INV"],
+    minLength: 6, // Shortest truncated reference still considered
+  },
+  amountDate: {
+    enabled: true,
+    amountTolerance: 0.01,
+    maxDaysApart: 2,
+  },
+  descriptionTokens: {
+    enabled: false,
+    minSharedTokens: 2,
+  },
+  // Several rows on one side adding up to one row on the other. Off by
+  // default: among many leftovers some sums agree by chance.
+  groupTotal: {
+    enabled: false,
+    amountTolerance: 0.01,
+    maxDaysApart: 2,
+    maxRows: 5,
+  },
+};
+
+export const RULE_LABELS = {
+  exact: "Exact reference",
+  normalizedReference: "Normalized reference",
+  amountDate: "Amount + date",
+  descriptionTokens: "Description tokens",
+  groupTotal: "Group total",
+  manual: "Manual",
+};
+
+// Rules with every setting a saved or partial rule set leaves out taken
+// from the defaults, so an added rule or setting never reads as undefined
+export const mergeMatchingRules = (rules = {}) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_MATCHING_RULES).map(([ruleId, defaults]) => [
+      ruleId,
+      { ...defaults, ...rules[ruleId] },
+    ])
+  );
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Uppercase, drop whitespace/punctuation and any known prefix
+export const normalizeReference = (reference, stripPrefixes = []) => {
+  let normalized = String(reference || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+  const prefix = stripPrefixes
+    .map((p) => p.toUpperCase().replace(/[^A-Z0-9]/g, ""))
+    .find((p) => p && normalized.startsWith(p) && normalized.length > p.length);
+  if (prefix) normalized = normalized.slice(prefix.length);
+
+  return normalized;
+};
+
+// Whole days since epoch, or null when the value is not a date
+const toDayNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / DAY_MS);
+};
+
+// Rows without a currency are taken to be in the other row's currency
+const sameCurrency = (a, b) => {
+  const currencyA = String(a.currency || "")
+    .trim()
+    .toUpperCase();
+  const currencyB = String(b.currency || "")
+    .trim()
+    .toUpperCase();
+  return !currencyA || !currencyB || currencyA === currencyB;
+};
+
+const tokenize = (text) =>
+  new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length >= 3)
+  );
+
+const addToIndex = (index, key, value) => {
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(value);
+};
+
+const normalizedReferenceCandidates = (internalRows, providerRows, rule) => {
+  const candidates = [];
+  const minLength = Math.max(rule.minLength, 1);
+  const providerRefs = providerRows.map((row) =>
+    normalizeReference(row.transaction_reference, rule.stripPrefixes)
+  );
+
+  // Index provider references by their full value and by their leading and
+  // trailing characters, so each internal reference only visits plausible
+  // truncations instead of every provider row
+  const byReference = new Map();
+  const byStart = new Map();
+  const byEnd = new Map();
+  providerRefs.forEach((providerRef, p) => {
+    if (!providerRef) return;
+    addToIndex(byReference, providerRef, p);
+    if (providerRef.length >= minLength) {
+      addToIndex(byStart, providerRef.slice(0, minLength), p);
+      addToIndex(byEnd, providerRef.slice(-minLength), p);
+    }
+  });
+
+  internalRows.forEach((internalTx, i) => {
+    const internalRef = normalizeReference(
+      internalTx.transaction_reference,
+      rule.stripPrefixes
+    );
+    if (!internalRef) return;
+
+    (byReference.get(internalRef) || []).forEach((p) =>
+      candidates.push({ i, p, confidence: 0.95 })
+    );
+    if (internalRef.length < minLength) return;
+
+    // One side truncated the other
+    const nearby = new Set([
+      ...(byStart.get(internalRef.slice(0, minLength)) || []),
+      ...(byEnd.get(internalRef.slice(-minLength)) || []),
+    ]);
+    nearby.forEach((p) => {
+      const providerRef = providerRefs[p];
+      if (providerRef === internalRef) return;
+
+      const [shorter, longer] =
+        providerRef.length < internalRef.length
+          ? [providerRef, internalRef]
+          : [internalRef, providerRef];
+      if (longer.startsWith(shorter) || longer.endsWith(shorter)) {
+        candidates.push({
+          i,
+          p,
+          confidence: 0.6 + 0.3 * (shorter.length / longer.length),
+        });
+      }
+    });
+  });
+
+  return candidates;
+};
+
+const amountDateCandidates = (internalRows, providerRows, rule, getDay) => {
+  const candidates = [];
+  const sortedProvider = providerRows
+    .map((row, p) => ({ p, amount: row.amount, day: getDay(row) }))
+    .filter((entry) => entry.day !== null)
+    .sort((a, b) => a.amount - b.amount);
+
+  internalRows.forEach((internalTx, i) => {
+    const day = getDay(internalTx);
+    if (day === null) return;
+
+    // Binary search for the first provider row inside the amount tolerance
+    const lowest = internalTx.amount - rule.amountTolerance;
+    let low = 0;
+    let high = sortedProvider.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sortedProvider[mid].amount < lowest) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let k = low; k < sortedProvider.length; k++) {
+      const entry = sortedProvider[k];
+      if (entry.amount > internalTx.amount + rule.amountTolerance) break;
+      // Equal amounts in different currencies are not the same payment
+      if (!sameCurrency(internalTx, providerRows[entry.p])) continue;
+
+      const daysApart = Math.abs(entry.day - day);
+      if (daysApart <= rule.maxDaysApart) {
+        candidates.push({
+          i,
+          p: entry.p,
+          confidence: 0.75 - (0.25 * daysApart) / (rule.maxDaysApart + 1),
+        });
+      }
+    }
+  });
+
+  return candidates;
+};
+
+const descriptionTokenCandidates = (internalRows, providerRows, rule) => {
+  const candidates = [];
+  const providerTokens = providerRows.map((row) => tokenize(row.description));
+
+  // Inverted index so each internal row only visits providers sharing a token
+  const index = new Map();
+  providerTokens.forEach((tokens, p) => {
+    tokens.forEach((token) => addToIndex(index, token, p));
+  });
+
+  internalRows.forEach((internalTx, i) => {
+    const tokens = tokenize(internalTx.description);
+    const shared = new Map();
+    tokens.forEach((token) => {
+      (index.get(token) || []).forEach((p) =>
+        shared.set(p, (shared.get(p) || 0) + 1)
+      );
+    });
+
+    shared.forEach((count, p) => {
+      if (count < rule.minSharedTokens) return;
+      const union = tokens.size + providerTokens[p].size - count;
+      candidates.push({ i, p, confidence: 0.5 + 0.3 * (count / union) });
+    });
+  });
+
+  return candidates;
+};
+
+// Bounds on the grouped total search for each target row: the rows closest
+// in date that are tried, and the subsets visited
+const MAX_GROUP_CANDIDATES = 20;
+const MAX_GROUP_STEPS = 5000;
+const AMOUNT_EPSILON = 1e-9;
+
+// Smallest set of 2 to `maxRows` candidates whose amounts add up to the
+// target within the tolerance, or null. Candidates come sorted by amount,
+// largest first, all with the target's sign.
+const findSubsetSum = (target, candidates, rule) => {
+  const tolerance = rule.amountTolerance + AMOUNT_EPSILON;
+  const amounts = candidates.map((row) => Math.abs(row.amount));
+  const remainingTotals = amounts.reduceRight(
+    (totals, amount) => [amount + (totals[0] || 0), ...totals],
+    []
+  );
+  let steps = 0;
+
+  const search = (start, remaining, size, chosen) => {
+    if (chosen.length === size) {
+      return Math.abs(remaining) <= tolerance ? chosen : null;
+    }
+    for (let k = start; k < amounts.length; k++) {
+      steps += 1;
+      if (steps > MAX_GROUP_STEPS) return null;
+      // The rest cannot reach the remaining amount any more
+      if (remainingTotals[k] < remaining - tolerance) return null;
+      if (amounts[k] > remaining + tolerance) continue;
+      const found = search(k + 1, remaining - amounts[k], size, [
+        ...chosen,
+        candidates[k],
+      ]);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const total = Math.abs(target.amount);
+  for (let size = 2; size <= rule.maxRows; size++) {
+    const found = search(0, total, size, []);
+    if (found) return found;
+    if (steps > MAX_GROUP_STEPS) return null;
+  }
+  return null;
+};
+
+/**
+ * Find rows on one side whose amounts add up to a single row on the other,
+ * such as several orders settled in one provider row (many-to-one) or one
+ * order paid in instalments (one-to-many). Grouped rows share the target's
+ * currency and sign and lie within `rule.maxDaysApart` days of it; at most
+ * `rule.maxRows` rows are grouped and the search per target is bounded.
+ *
+ * @param {Object[]} internalRows - Unmatched internal rows
+ * @param {Object[]} providerRows - Unmatched provider rows
+ * @param {Object} rule - DEFAULT_MATCHING_RULES.groupTotal settings
+ * @param {Function} getDay - Row to calendar day number, or null
+ * @returns {{internalRows: Object[], providerRows: Object[]}[]} Each row
+ *   appears in at most one group
+ */
+export const findGroupMatches = (internalRows, providerRows, rule, getDay) => {
+  const groups = [];
+  const used = new Set();
+
+  const searchSide = (targets, others, toGroup) => {
+    // Index the other side by day so each target only visits its window
+    const byDay = new Map();
+    others.forEach((row) => {
+      const day = getDay(row);
+      if (day !== null && row.amount) addToIndex(byDay, day, row);
+    });
+
+    targets.forEach((target) => {
+      const day = getDay(target);
+      if (used.has(target) || day === null || !target.amount) return;
+
+      // Walk out from the target's day until enough candidates are found
+      const candidates = [];
+      for (
+        let offset = 0;
+        offset <= rule.maxDaysApart && candidates.length < MAX_GROUP_CANDIDATES;
+        offset++
+      ) {
+        const rows = [
+          ...(byDay.get(day - offset) || []),
+          ...(offset ? byDay.get(day + offset) || [] : []),
+        ];
+        for (const row of rows) {
+          if (candidates.length === MAX_GROUP_CANDIDATES) break;
+          if (
+            !used.has(row) &&
+            Math.sign(row.amount) === Math.sign(target.amount) &&
+            Math.abs(row.amount) < Math.abs(target.amount) &&
+            sameCurrency(row, target)
+          ) {
+            candidates.push(row);
+          }
+        }
+      }
+      candidates.sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+
+      const rows = findSubsetSum(target, candidates, rule);
+      if (!rows) return;
+      used.add(target);
+      rows.forEach((row) => used.add(row));
+      groups.push(toGroup(target, rows));
+    });
+  };
+
+  // Many internal rows settled in one provider row, then the reverse
+  searchSide(providerRows, internalRows, (providerTx, rows) => ({
+    internalRows: rows,
+    providerRows: [providerTx],
+  }));
+  searchSide(internalRows, providerRows, (internalTx, rows) => ({
+    internalRows: [internalTx],
+    providerRows: rows,
+  }));
+
+  return groups;
+};
+
+const CANDIDATE_FINDERS = {
+  normalizedReference: normalizedReferenceCandidates,
+  amountDate: amountDateCandidates,
+  descriptionTokens: descriptionTokenCandidates,
+};
+
+export const getSuggestionKey = (internalTx, providerTx) =>
+  `${internalTx.transaction_reference}::${providerTx.transaction_reference}`;
+
+// Pair unmatched rows using the enabled rules, best confidence first.
+// Each row appears in at most one suggestion. `getDay` returns a row's
+// calendar day number, so callers can apply their own date formats.
+export const findSuggestedMatches = (
+  internalRows,
+  providerRows,
+  rules,
+  getDay = (row) => toDayNumber(row.date)
+) => {
+  const candidates = [];
+
+  Object.entries(CANDIDATE_FINDERS).forEach(([ruleId, finder]) => {
+    const rule = rules[ruleId];
+    if (!rule || !rule.enabled) return;
+
+    finder(internalRows, providerRows, rule, getDay).forEach((candidate) =>
+      candidates.push({ ...candidate, rule: ruleId })
+    );
+  });
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const usedInternal = new Set();
+  const usedProvider = new Set();
+  const suggestions = [];
+
+  candidates.forEach(({ i, p, rule, confidence }) => {
+    if (usedInternal.has(i) || usedProvider.has(p)) return;
+    usedInternal.add(i);
+    usedProvider.add(p);
+
+    suggestions.push({
+      key: getSuggestionKey(internalRows[i], providerRows[p]),
+      internal: internalRows[i],
+      provider: providerRows[p],
+      rule,
+      confidence: Math.round(confidence * 100) / 100,
+    });
+  });
+
+  return suggestions;
+};
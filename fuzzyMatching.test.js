@@ -0,0 +1,114 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_MATCHING_RULES,
+  findGroupMatches,
+  findSuggestedMatches,
+} from "./fuzzyMatching.js";
+
+const row = (reference, amount, currency, date = "2024-03-01") => ({
+  transaction_reference: reference,
+  amount,
+  currency,
+  date,
+});
+
+describe("findSuggestedMatches", () => {
+  it("pairs rows by amount and date", () => {
+    const [suggestion] = findSuggestedMatches(
+      [row("A1", 100, "USD")],
+      [row("B1", 100, "USD", "2024-03-02")],
+      DEFAULT_MATCHING_RULES
+    );
+    assert.equal(suggestion.rule, "amountDate");
+    assert.equal(suggestion.provider.transaction_reference, "B1");
+  });
+
+  it("does not pair equal amounts in different currencies", () => {
+    const suggestions = findSuggestedMatches(
+      [row("A1", 100, "USD")],
+      [row("B1", 100, "KES"), row("B2", 100, "usd")],
+      DEFAULT_MATCHING_RULES
+    );
+    assert.deepEqual(
+      suggestions.map(
+        (suggestion) => suggestion.provider.transaction_reference
+      ),
+      ["B2"]
+    );
+  });
+
+  it("pairs rows when one side has no currency", () => {
+    const suggestions = findSuggestedMatches(
+      [row("A1", 100, "")],
+      [row("B1", 100, "KES")],
+      DEFAULT_MATCHING_RULES
+    );
+    assert.equal(suggestions.length, 1);
+  });
+});
+
+describe("findGroupMatches", () => {
+  const rule = DEFAULT_MATCHING_RULES.groupTotal;
+  const getDay = (entry) => Math.floor(new Date(entry.date).getTime() / 864e5);
+  const referencesOf = (rows) =>
+    rows.map((entry) => entry.transaction_reference);
+
+  it("groups internal rows adding up to one provider row", () => {
+    const [group] = findGroupMatches(
+      [row("A1", 40, "USD"), row("A2", 25.5, "USD"), row("A3", 9, "USD")],
+      [row("S1", 65.5, "USD", "2024-03-02")],
+      rule,
+      getDay
+    );
+    assert.deepEqual(referencesOf(group.internalRows), ["A1", "A2"]);
+    assert.deepEqual(referencesOf(group.providerRows), ["S1"]);
+  });
+
+  it("groups provider rows adding up to one internal row", () => {
+    const [group] = findGroupMatches(
+      [row("A1", -90, "USD")],
+      [row("R1", -30, "USD"), row("R2", -30, "USD"), row("R3", -30, "USD")],
+      rule,
+      getDay
+    );
+    assert.deepEqual(referencesOf(group.internalRows), ["A1"]);
+    assert.deepEqual(referencesOf(group.providerRows), ["R1", "R2", "R3"]);
+  });
+
+  it("keeps to one currency, the date window and the row limit", () => {
+    const internal = [row("A1", 40, "USD"), row("A2", 25.5, "KES")];
+    assert.deepEqual(
+      findGroupMatches(internal, [row("S1", 65.5, "USD")], rule, getDay),
+      []
+    );
+    assert.deepEqual(
+      findGroupMatches(
+        [row("A1", 40, "USD"), row("A2", 25.5, "USD", "2024-03-10")],
+        [row("S1", 65.5, "USD")],
+        rule,
+        getDay
+      ),
+      []
+    );
+    assert.deepEqual(
+      findGroupMatches(
+        [row("A1", 10, "USD"), row("A2", 10, "USD"), row("A3", 10, "USD")],
+        [row("S1", 30, "USD")],
+        { ...rule, maxRows: 2 },
+        getDay
+      ),
+      []
+    );
+  });
+
+  it("uses each row in one group at most", () => {
+    const groups = findGroupMatches(
+      [row("A1", 10, "USD"), row("A2", 20, "USD")],
+      [row("S1", 30, "USD"), row("S2", 30, "USD")],
+      rule,
+      getDay
+    );
+    assert.equal(groups.length, 1);
+  });
+});
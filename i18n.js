@@ -0,0 +1,127 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE } from "./configProfiles";
+import en from "./locales/en";
+import fr from "./locales/fr";
+import sw from "./locales/sw";
+
+// UI messages by language; missing keys fall back to English
+export const MESSAGES = { en, fr, sw };
+
+// Locales offered by the switcher. Profiles can still set any locale the
+// browser knows; its language falls back to English when untranslated.
+export const LOCALE_OPTIONS = [
+  { id: "en-US", label: "English (United States)" },
+  { id: "en-GB", label: "English (United Kingdom)" },
+  { id: "en-KE", label: "English (Kenya)" },
+  { id: "fr-FR", label: "Français (France)" },
+  { id: "fr-BE", label: "Français (Belgique)" },
+  { id: "sw-KE", label: "Kiswahili (Kenya)" },
+  { id: "sw-TZ", label: "Kiswahili (Tanzania)" },
+];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Language of a locale tag such as "fr-BE", if there are messages for it
+export const getLanguage = (locale) => {
+  const language = String(locale || "")
+    .split("-")[0]
+    .toLowerCase();
+  return MESSAGES[language] ? language : "en";
+};
+
+const lookup = (messages, key) =>
+  key
+    .split(".")
+    .reduce((node, part) => (node === undefined ? node : node[part]), messages);
+
+/**
+ * Create the translator and formatters for a locale.
+ *
+ * Messages are looked up by dotted key and `{name}` placeholders replaced
+ * with `params`, numbers formatted for the locale. A message given as
+ * { one, other, ... } is picked by the plural rules of the locale for
+ * `params.count`.
+ *
+ * @param {string} locale - BCP 47 tag, e.g. "sw-KE"
+ * @returns {Object} { locale, language, t, formatNumber, formatCurrency,
+ *   formatPercent, formatDate, formatDateTime }
+ */
+export const createI18n = (locale = DEFAULT_LOCALE) => {
+  const language = getLanguage(locale);
+  const pluralRules = new Intl.PluralRules(locale);
+
+  const formatNumber = (value, options) =>
+    new Intl.NumberFormat(locale, options).format(value);
+
+  const t = (key, params = {}) => {
+    let message = lookup(MESSAGES[language], key);
+    if (message === undefined) message = lookup(MESSAGES.en, key);
+    if (message === undefined) return key;
+    if (typeof message === "object") {
+      message =
+        message[pluralRules.select(Number(params.count) || 0)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    });
+  };
+
+  const formatCurrency = (amount, currency) => {
+    try {
+      return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: String(currency || "USD").toUpperCase(),
+      }).format(amount);
+    } catch (err) {
+      // Unknown currency code: show the plain number with the raw code
+      return `${formatNumber(amount, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ${currency}`;
+    }
+  };
+
+  const formatPercent = (fraction, digits = 0) =>
+    fraction === null
+      ? "-"
+      : formatNumber(fraction, {
+          style: "percent",
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits,
+        });
+
+  // Calendar dates (YYYY-MM-DD) are shown in the locale's format; dates in
+  // any other shape are shown as they appear in the source file
+  const formatDate = (value) => {
+    const match = ISO_DATE.exec(value || "");
+    if (!match) return value || "-";
+    return new Intl.DateTimeFormat(locale, {
+      dateStyle: "medium",
+      timeZone: "UTC",
+    }).format(Date.UTC(match[1], match[2] - 1, match[3]));
+  };
+
+  const formatDateTime = (value) =>
+    new Intl.DateTimeFormat(locale, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    }).format(new Date(value));
+
+  return {
+    locale,
+    language,
+    t,
+    formatNumber,
+    formatCurrency,
+    formatPercent,
+    formatDate,
+    formatDateTime,
+  };
+};
+
+export const I18nContext = createContext(createI18n());
+
+// Translator and formatters for the locale chosen in the tool
+export const useI18n = () => useContext(I18nContext);
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import {
   Upload,
   FileText,
@@ -8,654 +8,2776 @@ import {
   Download,
   RefreshCw,
   Eye,
+  Columns,
+  Link2,
+  Copy,
+  Sheet,
+  Clock,
+  History,
+  Plus,
+  Unlink,
+  Scale,
+  Activity,
+  FileSpreadsheet,
+  Landmark,
+  TrendingDown,
+  Banknote,
+  PiggyBank,
+  GitCompare,
+  Globe,
 } from "lucide-react";
 import Papa from "papaparse";
+import ColumnMappingWizard from "./ColumnMappingWizard";
+import MatchingRulesPanel from "./MatchingRulesPanel";
+import SuggestedMatchesTable from "./SuggestedMatchesTable";
+import DuplicatesTable from "./DuplicatesTable";
+import Pagination from "./Pagination";
+import AmountSettingsPanel from "./AmountSettingsPanel";
+import StatusMappingEditor from "./StatusMappingEditor";
+import DateSettingsPanel from "./DateSettingsPanel";
+import SettlementSettingsPanel from "./SettlementSettingsPanel";
+import PrivacySettingsPanel from "./PrivacySettingsPanel";
+import PayoutsTable from "./PayoutsTable";
+import ProviderStatements from "./ProviderStatements";
+import FileDropZone from "./FileDropZone";
+import ProviderCell from "./ProviderCell";
+import ConfigProfilesPanel from "./ConfigProfilesPanel";
+import RunHistory from "./RunHistory";
+import RunComparisonPanel from "./RunComparisonPanel";
+import ApiRunsPanel from "./ApiRunsPanel";
+import JournalPanel from "./JournalPanel";
+import ValidationReport from "./ValidationReport";
+import ExceptionBadge from "./ExceptionBadge";
+import ExceptionEditor from "./ExceptionEditor";
+import ManualMatchBar from "./ManualMatchBar";
+import VarianceSummary from "./VarianceSummary";
+import AmountMismatchTable from "./AmountMismatchTable";
+import StatusMismatchTable, { SEVERITY_CLASSES } from "./StatusMismatchTable";
+import ResultFilters from "./ResultFilters";
+import SortableHeader from "./SortableHeader";
+import ExtraColumnCells from "./ExtraColumnCells";
+import MismatchNote from "./MismatchNote";
+import { I18nContext, LOCALE_OPTIONS, createI18n } from "./i18n";
+import {
+  findMappingProfile,
+  getHeaderSignature,
+  guessColumnMapping,
+  loadMappingProfiles,
+  saveMappingProfile,
+} from "./columnMapping";
+import { detectSources, findRunsWithFile } from "./sourceDetection";
+import {
+  DEFAULT_MATCHING_RULES,
+  getSuggestionKey,
+  mergeMatchingRules,
+} from "./fuzzyMatching";
+import { DEFAULT_AMOUNT_SETTINGS } from "./amountComparison";
+import { DEFAULT_STATUS_MAPPING, SEVERITY_LEVELS } from "./statusMapping";
+import { DEFAULT_DATE_SETTINGS, parseDate, toDayNumber } from "./dateHandling";
+import { DEFAULT_SETTLEMENT_SETTINGS } from "./settlementMatching";
+import { DEFAULT_JOURNAL_SETTINGS } from "./journalEntries";
+import {
+  DEFAULT_PRIVACY_SETTINGS,
+  createHashKey,
+  getSensitiveColumns,
+  getSensitiveType,
+  maskValue,
+  protectRows,
+} from "./privacy";
+import { PrivacyContext } from "./privacyView";
+import {
+  CATEGORIES,
+  EMPTY_RESULTS,
+  summarizeResults,
+  toExportRows,
+} from "./reconciliationEngine";
+import { createReconciliationWorker } from "./reconciliationWorkerClient";
+import { SUPPORTED_EXTENSIONS } from "./parsers";
+import { downloadFile } from "./download";
+import {
+  DEFAULT_EXPORT_LAYOUT,
+  DEFAULT_LOCALE,
+  applyExportLayout,
+  createConfigProfile,
+  deleteConfigProfile,
+  loadConfigProfiles,
+  parseConfigProfile,
+  saveConfigProfile,
+  serializeConfigProfile,
+} from "./configProfiles";
+import { buildReport, createReportPdf, createReportWorkbook } from "./report";
+import {
+  deleteRun,
+  findReconciledReferences,
+  findRunForFiles,
+  getProviderFiles,
+  listRuns,
+  loadRun,
+  saveRun,
+} from "./runStorage";
+import { loadApiRun } from "./apiRuns";
+import {
+  EMPTY_FILTERS,
+  countByProvider,
+  filterItems,
+  getExtraColumns,
+  getFilterOptions,
+  sortItems,
+} from "./resultView";
+import {
+  EXCEPTION_KINDS,
+  addExportResolutions,
+  countOpen,
+  getExceptionKeys,
+  getMatchExceptionKey,
+} from "./exceptions";
+
+// Source names passed to the parsers, whose messages stay in English
+const SOURCE_LABELS = {
+  internal: "Internal System Export",
+  provider: "Provider Statement",
+  bank: "Bank Statement",
+  upload: "Uploaded File",
+};
+
+// Provider statements are sources "provider-1", "provider-2", ...
+const isProviderSource = (fileType) => fileType.startsWith("provider-");
+
+// Default provider name: the file name without its extension
+const nameFromFile = (file) => file.name.replace(/\.[^.]+$/, "");
+
+const PAGE_SIZE = 100;
+
+// Message keys of the worker's progress phases
+const PROGRESS_LABELS = {
+  exact: "progress.exact",
+  suggestions: "progress.suggestions",
+};
+
+const CATEGORY_STYLES = {
+  matched: { icon: CheckCircle, color: "green" },
+  internal: { icon: AlertTriangle, color: "yellow" },
+  provider: { icon: XCircle, color: "red" },
+  timing: { icon: Clock, color: "gray" },
+  amount: { icon: Scale, color: "orange" },
+  status: { icon: Activity, color: "orange" },
+  suggested: { icon: Link2, color: "blue" },
+  duplicates: { icon: Copy, color: "purple" },
+  payouts: { icon: Landmark, color: "green" },
+  shortPayouts: { icon: TrendingDown, color: "orange" },
+  missingPayouts: { icon: Banknote, color: "red" },
+  deposits: { icon: PiggyBank, color: "yellow" },
+};
+
+// Which side rows in each unmatched category can be manually linked from
+const SELECTION_SIDES = {
+  internal: "internal",
+  timing: "internal",
+  provider: "provider",
+};
+
+const EMPTY_SELECTION = { internal: [], provider: [] };
+
+// Categories whose tables are pairs of rows and can be filtered by flag
+const MATCH_CATEGORIES = ["matched", "amount", "status"];
+
+// Categories listing provider payouts rather than single rows
+const PAYOUT_CATEGORIES = ["payouts", "shortPayouts", "missingPayouts"];
+
+// Translations and privacy settings for everything the tool renders
+const ToolProviders = ({ i18n, privacy, children }) => (
+  <I18nContext.Provider value={i18n}>
+    <PrivacyContext.Provider value={privacy}>
+      {children}
+    </PrivacyContext.Provider>
+  </I18nContext.Provider>
+);
 
 const ReconciliationTool = () => {
   const [internalFile, setInternalFile] = useState(null);
-  const [providerFile, setProviderFile] = useState(null);
-  const [internalData, setInternalData] = useState([]);
-  const [providerData, setProviderData] = useState([]);
+  const [providerStatements, setProviderStatements] = useState([]);
+  const [bankFile, setBankFile] = useState(null);
+  const [transactionCounts, setTransactionCounts] = useState({
+    internal: 0,
+    bank: 0,
+  });
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [reconciliationResults, setReconciliationResults] =
+    useState(EMPTY_RESULTS);
+  const [page, setPage] = useState(0);
   const [reconciliationComplete, setReconciliationComplete] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState("matched");
   const [error, setError] = useState("");
+  const [sources, setSources] = useState({});
+  const [validation, setValidation] = useState({});
+  const [validationReviewed, setValidationReviewed] = useState(false);
+  // Files waiting for a column mapping or a worksheet, asked one at a time
+  const [mappingQueue, setMappingQueue] = useState([]);
+  const [pendingSheets, setPendingSheets] = useState([]);
+  const [fileChecks, setFileChecks] = useState({});
+  const [matchingRules, setMatchingRules] = useState(DEFAULT_MATCHING_RULES);
+  const [suggestionDecisions, setSuggestionDecisions] = useState({});
+  const [amountSettings, setAmountSettings] = useState(DEFAULT_AMOUNT_SETTINGS);
+  const [fxRates, setFxRates] = useState([]);
+  const [statusMapping, setStatusMapping] = useState(DEFAULT_STATUS_MAPPING);
+  const [dateSettings, setDateSettings] = useState(DEFAULT_DATE_SETTINGS);
+  const [settlementSettings, setSettlementSettings] = useState(
+    DEFAULT_SETTLEMENT_SETTINGS
+  );
+  const [journalSettings, setJournalSettings] = useState(
+    DEFAULT_JOURNAL_SETTINGS
+  );
+  const [privacySettings, setPrivacySettings] = useState(
+    DEFAULT_PRIVACY_SETTINGS
+  );
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const [exportLayout, setExportLayout] = useState(DEFAULT_EXPORT_LAYOUT);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t, formatDate, formatDateTime, formatCurrency } = i18n;
+  const [configProfiles, setConfigProfiles] = useState(loadConfigProfiles);
+  const [activeProfile, setActiveProfile] = useState("");
+  const [showHistory, setShowHistory] = useState(false);
+  const [showComparison, setShowComparison] = useState(false);
+  const [savedRuns, setSavedRuns] = useState([]);
+  const [viewingRun, setViewingRun] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [editingException, setEditingException] = useState(null);
+  const [manualMatches, setManualMatches] = useState([]);
+  const [unmatchedPairs, setUnmatchedPairs] = useState([]);
+  const [manualSelection, setManualSelection] = useState(EMPTY_SELECTION);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState(null);
+  const [visibleColumns, setVisibleColumns] = useState([]);
+  const workerRef = useRef(null);
+  const latestRunRef = useRef(0);
+  const savedRunRef = useRef(null); // Resolves to the history id of this run
+  const nextProviderRef = useRef(1);
+  const nextUploadRef = useRef(1);
+  // Content hash per loaded source, current while several files load
+  const fileHashesRef = useRef({});
+  // Key for hashed exports, kept for the session so hashes stay comparable
+  const hashKeyRef = useRef(null);
+  // Read by runs started from an upload, before the new statement renders
+  const providerStatementsRef = useRef(providerStatements);
+  providerStatementsRef.current = providerStatements;
 
-  // Parse CSV file
-  const parseCSV = (file, setData, dataType) => {
-    return new Promise((resolve, reject) => {
-      Papa.parse(file, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        transformHeader: (header) =>
-          header.trim().toLowerCase().replace(/\s+/g, "_"),
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            console.warn(
-              `CSV parsing warnings for ${dataType}:`,
-              results.errors
-            );
-          }
+  const pendingMapping = mappingQueue[0] || null;
+  const pendingSheet = pendingSheets[0] || null;
 
-          // Validate required columns
-          const requiredColumns = ["transaction_reference"];
-          const headers = Object.keys(results.data[0] || {});
-          const missingColumns = requiredColumns.filter(
-            (col) => !headers.includes(col)
-          );
-
-          if (missingColumns.length > 0) {
-            reject(
-              `Missing required columns in ${dataType}: ${missingColumns.join(
-                ", "
-              )}`
-            );
-            return;
-          }
+  const files = { internal: internalFile, bank: bankFile };
+  providerStatements.forEach(({ id, file }) => {
+    files[id] = file;
+  });
 
-          // Clean and standardize data
-          const cleanedData = results.data
-            .map((row) => ({
-              transaction_reference: String(
-                row.transaction_reference || ""
-              ).trim(),
-              amount: parseFloat(row.amount) || 0,
-              status: String(row.status || "")
-                .trim()
-                .toLowerCase(),
-              date: row.date || "",
-              description: row.description || "",
-              currency: row.currency || "",
-              ...row,
-            }))
-            .filter((row) => row.transaction_reference); // Remove rows without reference
-
-          setData(cleanedData);
-          resolve(cleanedData);
-        },
-        error: (error) => reject(`Error parsing ${dataType}: ${error.message}`),
-      });
+  const sourceLabel = (fileType) => {
+    const statement = providerStatements.find(({ id }) => id === fileType);
+    if (statement) return `${SOURCE_LABELS.provider} – ${statement.name}`;
+    return SOURCE_LABELS[fileType] || SOURCE_LABELS.provider;
+  };
+
+  // Translated name of a source, for headings
+  const sourceTitle = (fileType, providerName) => {
+    const statement = providerStatements.find(({ id }) => id === fileType);
+    const name = statement ? statement.name : providerName;
+    if (name) return `${t("sources.provider")} – ${name}`;
+    return t(`sources.${isProviderSource(fileType) ? "provider" : fileType}`);
+  };
+
+  // Columns holding personal data per file, of the loaded files or of the
+  // saved run being viewed, and all of them with the configured ones applied
+  const privacyFiles = viewingRun
+    ? [
+        [sourceTitle("internal"), viewingRun.files.internal],
+        ...getProviderFiles(viewingRun.files).map((file) => [
+          sourceTitle("provider", file.provider),
+          file,
+        ]),
+        ...(viewingRun.files.bank
+          ? [[sourceTitle("bank"), viewingRun.files.bank]]
+          : []),
+      ].map(([title, file]) => ({
+        title,
+        columns: file.sensitiveColumns || {},
+      }))
+    : Object.keys(files)
+        .filter((fileType) => sources[fileType])
+        .map((fileType) => ({
+          title: sourceTitle(fileType),
+          columns: sources[fileType].sensitiveColumns || {},
+        }));
+  const sensitiveColumns = getSensitiveColumns(
+    Object.assign({}, ...privacyFiles.map(({ columns }) => columns)),
+    privacySettings.columns
+  );
+  const displayValue = (column, value) => {
+    const type = getSensitiveType(sensitiveColumns, column);
+    return privacySettings.maskDisplay && type ? maskValue(value, type) : value;
+  };
+
+  // Parsing and matching run in a worker so large files keep the page responsive
+  useEffect(() => {
+    workerRef.current = createReconciliationWorker();
+    return () => workerRef.current.terminate();
+  }, []);
+
+  const reportProgress = (label) => (phase, fraction) =>
+    setProgress({
+      label: PROGRESS_LABELS[phase] ? t(PROGRESS_LABELS[phase]) : label,
+      fraction,
     });
+
+  // Clean a parsed source with a column mapping and store its transactions
+  const applyMapping = async (fileType, source, mapping, profileName) => {
+    const { count, summary, issues, sensitiveColumns } =
+      await workerRef.current.clean(fileType, mapping);
+
+    setSources((prev) => ({
+      ...prev,
+      [fileType]: {
+        ...source,
+        mapping,
+        profileName,
+        validation: summary,
+        sensitiveColumns,
+      },
+    }));
+    setTransactionCounts((prev) => ({ ...prev, [fileType]: count }));
+    setValidation((prev) => ({ ...prev, [fileType]: { summary, issues } }));
+    setValidationReviewed(false);
+    if (fileType !== "bank") checkReconciledReferences(fileType, source.sha256);
+
+    if (reconciliationComplete) runReconciliation();
+  };
+
+  const queueMapping = (next) =>
+    setMappingQueue((prev) => [
+      ...prev.filter(({ fileType }) => fileType !== next.fileType),
+      next,
+    ]);
+
+  const dropMapping = (fileType) =>
+    setMappingQueue((prev) =>
+      prev.filter((entry) => entry.fileType !== fileType)
+    );
+
+  const updateFileCheck = (fileType, sha256, changes) =>
+    setFileChecks((prev) =>
+      prev[fileType]?.sha256 === sha256
+        ? {
+            ...prev,
+            [fileType]: { ...prev[fileType], ...changes(prev[fileType]) },
+          }
+        : prev
+    );
+
+  // Saved runs, only read for upload warnings, so a failure is not fatal
+  const readRuns = async () => {
+    try {
+      return await listRuns();
+    } catch (err) {
+      console.warn("Could not read run history:", err);
+      return [];
+    }
+  };
+
+  // Warn when a cleaned file holds references that earlier runs already
+  // reconciled. Runs that used this very file are reported already.
+  const checkReconciledReferences = async (fileType, sha256) => {
+    try {
+      const references = await workerRef.current.references(fileType);
+      const current = await savedRunRef.current;
+      const overlaps = await findReconciledReferences(
+        fileType === "internal" ? "internal" : "provider",
+        references,
+        current?.id
+      );
+      updateFileCheck(fileType, sha256, (check) => ({
+        overlaps: overlaps.filter(
+          ({ run }) =>
+            !check.reconciledRuns.some((same) => same.run.id === run.id)
+        ),
+      }));
+    } catch (err) {
+      console.warn("Could not check run history:", err);
+    }
   };
 
   // Handle file upload
-  const handleFileUpload = async (event, fileType) => {
+  const handleFileUpload = (event, fileType) => {
     const file = event.target.files[0];
+    event.target.value = ""; // Allow re-uploading the same file
     if (!file) return;
 
-    if (!file.name.toLowerCase().endsWith(".csv")) {
-      setError("Please upload CSV files only");
-      return;
+    setError("");
+    if (fileType === "provider") {
+      loadFile(`provider-${nextProviderRef.current++}`, file);
+    } else {
+      loadFile(fileType, file);
     }
+  };
 
-    setError("");
+  // Parse a statement in any supported format into the worker under `side`.
+  // Excel workbooks with several sheets are queued to ask which sheet to
+  // use first and resolve to null.
+  const parseSource = async (side, file, dataType, sheetName, fileType) => {
+    setPendingSheets((prev) => prev.filter((entry) => entry.file !== file));
+    const label = t("progress.reading", { file: file.name });
+    setProgress({ label, fraction: 0 });
+    try {
+      const parsed = await workerRef.current.parse(
+        side,
+        file,
+        dataType,
+        sheetName,
+        reportProgress(label)
+      );
+      if (parsed.needsSheet) {
+        setPendingSheets((prev) => [
+          ...prev,
+          { fileType, file, sheetNames: parsed.sheetNames },
+        ]);
+        return null;
+      }
+
+      return {
+        file,
+        format: parsed.format,
+        sheetName,
+        headers: parsed.headers,
+        rows: parsed.preview,
+        rowCount: parsed.rowCount,
+        sha256: parsed.sha256,
+        signature: getHeaderSignature(parsed.headers),
+      };
+    } finally {
+      setProgress(null);
+    }
+  };
 
+  // Make a file parsed under `side` the statement of `fileType`, check it
+  // against the other uploads and earlier runs, and map its columns.
+  // `detection` says how a dropped file's source was chosen.
+  const placeSource = async (side, fileType, source, detection) => {
+    const { file, sha256 } = source;
+    const duplicate = Object.keys(fileHashesRef.current).find(
+      (other) => other !== fileType && fileHashesRef.current[other] === sha256
+    );
+    if (duplicate) {
+      throw t("errors.duplicateFile", {
+        file: file.name,
+        source: sourceTitle(duplicate),
+      });
+    }
+    await workerRef.current.assign(side, fileType);
+    fileHashesRef.current[fileType] = sha256;
+
+    if (fileType === "internal") {
+      setInternalFile(file);
+    } else if (isProviderSource(fileType)) {
+      // A provider name known from earlier runs is used unless taken
+      const taken = providerStatementsRef.current.map(({ name }) => name);
+      const name =
+        detection?.providerName && !taken.includes(detection.providerName)
+          ? detection.providerName
+          : nameFromFile(file);
+      setProviderStatements((prev) =>
+        prev.some(({ id }) => id === fileType)
+          ? prev.map((statement) =>
+              statement.id === fileType ? { ...statement, file } : statement
+            )
+          : [...prev, { id: fileType, name, file }]
+      );
+    } else {
+      setBankFile(file);
+    }
+    setTransactionCounts((prev) => ({ ...prev, [fileType]: 0 }));
+    setSources(({ [fileType]: replaced, ...rest }) => rest);
+    setValidation(({ [fileType]: replaced, ...rest }) => rest);
+    savedRunRef.current = null; // New inputs start a new history entry
+
+    // Files uploaded to a source their columns were last used elsewhere
+    // for may have been swapped
+    const runs = await readRuns();
+    const profiles = loadMappingProfiles();
+    const [known] = detectSources([source], { profiles, runs });
+    const slot = isProviderSource(fileType) ? "provider" : fileType;
+    setFileChecks((prev) => ({
+      ...prev,
+      [fileType]: {
+        fileType,
+        fileName: file.name,
+        sheetName: source.sheetName,
+        sha256,
+        detection: detection || null,
+        reconciledRuns: findRunsWithFile(sha256, runs),
+        overlaps: [],
+        roleHint:
+          !detection &&
+          ["profile", "history"].includes(known.reason) &&
+          known.role !== slot
+            ? known
+            : null,
+      },
+    }));
+
+    // Re-apply a saved mapping when the column layout is already known
+    const profile = findMappingProfile(source.signature);
+    if (profile) {
+      await applyMapping(fileType, source, profile.mapping, profile.name);
+      dropMapping(fileType);
+    } else {
+      queueMapping({
+        fileType,
+        source,
+        mapping: guessColumnMapping(source.headers),
+      });
+    }
+  };
+
+  // Load a statement uploaded for a known source
+  const loadFile = async (fileType, file, sheetName, detection) => {
+    const side = `upload-${nextUploadRef.current++}`;
     try {
-      if (fileType === "internal") {
-        setInternalFile(file);
-        await parseCSV(file, setInternalData, "Internal System Export");
-      } else {
-        setProviderFile(file);
-        await parseCSV(file, setProviderData, "Provider Statement");
+      const source = await parseSource(
+        side,
+        file,
+        sourceLabel(fileType),
+        sheetName,
+        fileType
+      );
+      if (source) await placeSource(side, fileType, source, detection);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  // Sort dropped files into internal, provider and bank statements by their
+  // columns and load each as if it was uploaded there
+  const loadFiles = async (fileList, sheetName) => {
+    setError("");
+    const parsed = [];
+    for (const file of fileList) {
+      const side = `upload-${nextUploadRef.current++}`;
+      try {
+        const source = await parseSource(
+          side,
+          file,
+          SOURCE_LABELS.upload,
+          sheetName,
+          null
+        );
+        if (source) parsed.push({ side, source });
+      } catch (err) {
+        setError(err);
+      }
+    }
+
+    // A file dropped twice in one go is loaded once
+    const unique = parsed.filter(
+      ({ source }, index) =>
+        parsed.findIndex((other) => other.source.sha256 === source.sha256) ===
+        index
+    );
+    const detected = detectSources(
+      unique.map(({ source }) => source),
+      {
+        profiles: loadMappingProfiles(),
+        runs: await readRuns(),
+        loaded: Object.keys(fileHashesRef.current),
+      }
+    );
+    for (const [index, { side, source }] of unique.entries()) {
+      const detection = detected[index];
+      const fileType =
+        detection.role === "provider"
+          ? `provider-${nextProviderRef.current++}`
+          : detection.role;
+      try {
+        await placeSource(side, fileType, source, detection);
+      } catch (err) {
+        setError(err);
       }
+    }
+  };
+
+  // Move an uploaded file to another source, e.g. when its columns were
+  // taken for the wrong one
+  const reassignSource = (fileType, role) => {
+    const file = files[fileType];
+    const { sheetName } = fileChecks[fileType];
+    clearSource(fileType);
+    setError("");
+    loadFile(
+      role === "provider" ? `provider-${nextProviderRef.current++}` : role,
+      file,
+      sheetName,
+      { role, reason: "chosen" }
+    );
+  };
+
+  // Forget what was checked and pending for a source's file
+  const forgetFile = (fileType) => {
+    delete fileHashesRef.current[fileType];
+    setFileChecks(({ [fileType]: removed, ...rest }) => rest);
+    dropMapping(fileType);
+  };
+
+  // Confirm the column mapping chosen in the wizard
+  const handleMappingConfirm = async (mapping, profileName) => {
+    const { fileType, source } = pendingMapping;
+
+    // The source is saved too so files with these columns are sorted into it
+    // when dropped; a provider name is kept only when it was typed in
+    if (profileName) {
+      const statement = providerStatements.find(({ id }) => id === fileType);
+      saveMappingProfile({
+        name: profileName,
+        signature: source.signature,
+        mapping,
+        source: statement ? "provider" : fileType,
+        ...(statement &&
+          statement.name !== nameFromFile(source.file) && {
+            providerName: statement.name,
+          }),
+      });
+    }
+
+    dropMapping(fileType);
+    try {
+      await applyMapping(fileType, source, mapping, profileName);
     } catch (err) {
       setError(err);
     }
   };
 
-  // Perform reconciliation
-  const reconciliationResults = useMemo(() => {
-    if (!internalData.length || !providerData.length) {
-      return {
-        matched: [],
-        internalOnly: [],
-        providerOnly: [],
-        amountMismatches: [],
-        statusMismatches: [],
-      };
+  const handleMappingCancel = () => {
+    if (!sources[pendingMapping.fileType]) {
+      clearSource(pendingMapping.fileType);
+    } else {
+      dropMapping(pendingMapping.fileType);
     }
+  };
 
-    const matched = [];
-    const internalOnly = [];
-    const providerOnly = [];
-    const amountMismatches = [];
-    const statusMismatches = [];
+  // Remove an uploaded file from its source
+  const clearSource = (fileType) => {
+    if (isProviderSource(fileType)) {
+      removeProviderStatement(fileType);
+      return;
+    }
+    if (fileType === "internal") {
+      setInternalFile(null);
+    } else {
+      setBankFile(null);
+    }
+    setTransactionCounts((prev) => ({ ...prev, [fileType]: 0 }));
+    setSources(({ [fileType]: removed, ...rest }) => rest);
+    setValidation(({ [fileType]: removed, ...rest }) => rest);
+    forgetFile(fileType);
+  };
 
-    // Create maps for quick lookup
-    const internalMap = new Map();
-    const providerMap = new Map();
+  const removeProviderStatement = (id) => {
+    setProviderStatements((prev) =>
+      prev.filter((statement) => statement.id !== id)
+    );
+    setTransactionCounts(({ [id]: removed, ...rest }) => rest);
+    setSources(({ [id]: removed, ...rest }) => rest);
+    setValidation(({ [id]: removed, ...rest }) => rest);
+    forgetFile(id);
+  };
 
-    internalData.forEach((transaction) => {
-      internalMap.set(transaction.transaction_reference, transaction);
-    });
+  const renameProviderStatement = (id, name) =>
+    setProviderStatements((prev) =>
+      prev.map((statement) =>
+        statement.id === id ? { ...statement, name } : statement
+      )
+    );
 
-    providerData.forEach((transaction) => {
-      providerMap.set(transaction.transaction_reference, transaction);
-    });
+  // Reopen the wizard for an already mapped file
+  const editMapping = (fileType) => {
+    const source = sources[fileType];
+    setMappingQueue((prev) => [
+      { fileType, source, mapping: source.mapping },
+      ...prev.filter((entry) => entry.fileType !== fileType),
+    ]);
+  };
 
-    // Check internal transactions
-    internalData.forEach((internalTx) => {
-      const providerTx = providerMap.get(internalTx.transaction_reference);
+  // Perform reconciliation in the worker, ignoring results of superseded runs
+  const runReconciliation = async (overrides = {}) => {
+    latestRunRef.current += 1;
+    const runId = latestRunRef.current;
 
-      if (providerTx) {
-        const matchResult = {
-          transaction_reference: internalTx.transaction_reference,
-          internal: internalTx,
-          provider: providerTx,
-          amountMatch: Math.abs(internalTx.amount - providerTx.amount) < 0.01,
-          statusMatch: internalTx.status === providerTx.status,
-        };
+    setIsProcessing(true);
+    setProgress({ label: t(PROGRESS_LABELS.exact), fraction: 0 });
 
-        matched.push(matchResult);
+    try {
+      const results = await workerRef.current.reconcile(
+        {
+          matchingRules,
+          suggestionDecisions,
+          amountSettings,
+          fxRates,
+          statusMapping,
+          dateSettings,
+          settlementSettings,
+          manualMatches,
+          unmatchedPairs,
+          ...overrides,
+        },
+        providerStatementsRef.current.map(({ id, name }) => ({
+          side: id,
+          name,
+        })),
+        reportProgress(t(PROGRESS_LABELS.exact))
+      );
+      if (runId !== latestRunRef.current) return;
 
-        // Check for mismatches
-        if (!matchResult.amountMatch) {
-          amountMismatches.push(matchResult);
-        }
-        if (!matchResult.statusMatch) {
-          statusMismatches.push(matchResult);
-        }
-      } else {
-        internalOnly.push(internalTx);
+      setReconciliationResults(results);
+      setReconciliationComplete(true);
+    } catch (err) {
+      setError(err);
+    } finally {
+      if (runId === latestRunRef.current) {
+        setIsProcessing(false);
+        setProgress(null);
       }
+    }
+  };
+
+  // Save the run to history; re-runs after settings changes update the
+  // same entry instead of adding a new one. Without results only the run
+  // details (such as resolutions) are updated.
+  // Input files and settings of the current run, as saved and reported
+  const describeRun = () => {
+    if (viewingRun) {
+      return { files: viewingRun.files, config: viewingRun.config };
+    }
+
+    const describeSource = (fileType) => ({
+      name: files[fileType].name,
+      size: files[fileType].size,
+      format: sources[fileType].format,
+      sheetName: sources[fileType].sheetName || null,
+      rowCount: sources[fileType].rowCount,
+      transactionCount: transactionCounts[fileType],
+      sha256: sources[fileType].sha256,
+      signature: sources[fileType].signature,
+      validation: sources[fileType].validation,
+      mapping: sources[fileType].mapping,
+      sensitiveColumns: sources[fileType].sensitiveColumns,
     });
+    return {
+      files: {
+        internal: describeSource("internal"),
+        providers: providerStatements.map(({ id, name }) => ({
+          ...describeSource(id),
+          provider: name,
+        })),
+        ...(sources.bank && { bank: describeSource("bank") }),
+      },
+      config: {
+        matchingRules,
+        suggestionDecisions,
+        amountSettings,
+        fxRates,
+        statusMapping,
+        dateSettings,
+        settlementSettings,
+        manualMatches,
+        unmatchedPairs,
+        journalSettings,
+        privacySettings,
+        locale,
+        exportLayout,
+        profile: activeProfile || null,
+      },
+    };
+  };
+
+  const saveToHistory = (results) => {
+    if (viewingRun) {
+      savedRunRef.current = saveRun({ ...viewingRun, resolutions }).catch(
+        (err) => {
+          console.warn("Could not save run to history:", err);
+          return null;
+        }
+      );
+      return;
+    }
+    if (!results && !savedRunRef.current) return;
+
+    const run = {
+      ...describeRun(),
+      summary: summarizeResults(reconciliationResults),
+      resolutions,
+    };
+
+    savedRunRef.current = (savedRunRef.current || Promise.resolve(null))
+      .then((saved) =>
+        saveRun(
+          saved ? { ...run, id: saved.id, createdAt: saved.createdAt } : run,
+          results
+        )
+      )
+      .catch((err) => {
+        console.warn("Could not save run to history:", err);
+        return null;
+      });
+  };
 
-    // Check provider transactions not in internal
-    providerData.forEach((providerTx) => {
-      if (!internalMap.has(providerTx.transaction_reference)) {
-        providerOnly.push(providerTx);
+  // Save each new set of results once the state they came from is rendered
+  useEffect(() => {
+    if (reconciliationComplete && !viewingRun) {
+      saveToHistory(reconciliationResults);
+    }
+  }, [reconciliationResults]);
+
+  useEffect(() => {
+    if (reconciliationComplete) saveToHistory();
+  }, [resolutions]);
+
+  // Re-run when the matching configuration changes after the first run.
+  // Runs reopened from history have no source rows, so they stay as saved.
+  useEffect(() => {
+    if (reconciliationComplete && !viewingRun) runReconciliation();
+  }, [
+    matchingRules,
+    suggestionDecisions,
+    amountSettings,
+    fxRates,
+    statusMapping,
+    dateSettings,
+    settlementSettings,
+    manualMatches,
+    unmatchedPairs,
+    providerStatements,
+  ]);
+
+  // Clear files and results for a new run, keeping the current settings
+  const startNewRun = () => {
+    latestRunRef.current += 1; // Drop results of a run still in progress
+    savedRunRef.current = null;
+    workerRef.current.reset();
+
+    setInternalFile(null);
+    setProviderStatements([]);
+    setBankFile(null);
+    setTransactionCounts({ internal: 0, provider: 0, bank: 0 });
+    setSources({});
+    setValidation({});
+    setValidationReviewed(false);
+    setMappingQueue([]);
+    setPendingSheets([]);
+    setFileChecks({});
+    fileHashesRef.current = {};
+    setSuggestionDecisions({});
+    setReconciliationResults(EMPTY_RESULTS);
+    setReconciliationComplete(false);
+    setSelectedCategory("matched");
+    setPage(0);
+    setIsProcessing(false);
+    setProgress(null);
+    setError("");
+    setViewingRun(null);
+    setResolutions({});
+    setEditingException(null);
+    setManualMatches([]);
+    setUnmatchedPairs([]);
+    setManualSelection(EMPTY_SELECTION);
+  };
+
+  const toggleHistory = async () => {
+    if (showHistory) {
+      setShowHistory(false);
+      return;
+    }
+
+    try {
+      setSavedRuns(await listRuns());
+      setShowHistory(true);
+    } catch (err) {
+      setError(t("errors.readHistory", { message: err.message }));
+    }
+  };
+
+  const toggleComparison = async () => {
+    if (showComparison) {
+      setShowComparison(false);
+      return;
+    }
+
+    try {
+      setSavedRuns(await listRuns());
+      setShowComparison(true);
+    } catch (err) {
+      setError(t("errors.readHistory", { message: err.message }));
+    }
+  };
+
+  // Show a saved run's results and restore the settings it used
+  const openRun = async (id) => {
+    try {
+      const run = await loadRun(id);
+      if (!run) {
+        setError(t("errors.runMissing"));
+        return;
       }
+
+      startNewRun();
+      const { results, ...details } = run;
+      setMatchingRules(mergeMatchingRules(run.config.matchingRules));
+      setAmountSettings(run.config.amountSettings);
+      setFxRates(run.config.fxRates);
+      setStatusMapping(run.config.statusMapping);
+      setDateSettings(run.config.dateSettings);
+      setLocale(run.config.locale || DEFAULT_LOCALE);
+      setExportLayout(run.config.exportLayout || DEFAULT_EXPORT_LAYOUT);
+      setActiveProfile(run.config.profile || "");
+      setSettlementSettings({
+        ...DEFAULT_SETTLEMENT_SETTINGS,
+        ...run.config.settlementSettings,
+      });
+      setJournalSettings(
+        run.config.journalSettings || DEFAULT_JOURNAL_SETTINGS
+      );
+      setPrivacySettings(
+        run.config.privacySettings || DEFAULT_PRIVACY_SETTINGS
+      );
+      setSuggestionDecisions(run.config.suggestionDecisions);
+      setResolutions(run.resolutions || {});
+      setManualMatches(run.config.manualMatches || []);
+      setUnmatchedPairs(run.config.unmatchedPairs || []);
+      // Runs saved before a category existed show it empty
+      setReconciliationResults({ ...EMPTY_RESULTS, ...results });
+      setReconciliationComplete(true);
+      setViewingRun(details);
+      setShowHistory(false);
+    } catch (err) {
+      setError(t("errors.openRun", { message: err.message }));
+    }
+  };
+
+  // Copy a run made through the HTTP service into the run history and open
+  // it there, so its exceptions are worked like any other run's
+  const openApiRun = async (url, id) => {
+    try {
+      const copied = (await listRuns()).find(
+        (run) => run.apiRun && run.apiRun.url === url && run.apiRun.id === id
+      );
+      if (copied) {
+        await openRun(copied.id);
+        return;
+      }
+
+      const {
+        results,
+        categories,
+        id: apiId,
+        savedAt,
+        ...details
+      } = await loadApiRun(url, id);
+      const saved = await saveRun(
+        { ...details, apiRun: { url, id: apiId } },
+        results
+      );
+      await openRun(saved.id);
+    } catch (err) {
+      setError(t("errors.openApiRun", { message: err.message }));
+    }
+  };
+
+  const removeRun = async (id) => {
+    try {
+      await deleteRun(id);
+      setSavedRuns((prev) => prev.filter((run) => run.id !== id));
+      if (viewingRun && viewingRun.id === id) startNewRun();
+    } catch (err) {
+      setError(t("errors.deleteRun", { message: err.message }));
+    }
+  };
+
+  // Replace the current settings with a saved profile. Its column mappings
+  // are added to the saved mappings so matching files map on upload.
+  const applyProfile = (name) => {
+    const profile = configProfiles.find((candidate) => candidate.name === name);
+    if (!profile) return;
+
+    profile.mappingProfiles.forEach(saveMappingProfile);
+    setMatchingRules(mergeMatchingRules(profile.matchingRules));
+    setAmountSettings(profile.amountSettings);
+    setFxRates(profile.fxRates);
+    setStatusMapping(profile.statusMapping);
+    setDateSettings((prev) => ({
+      ...profile.dateSettings,
+      periodStart: prev.periodStart,
+      periodEnd: prev.periodEnd,
+    }));
+    setSettlementSettings({
+      ...DEFAULT_SETTLEMENT_SETTINGS,
+      ...profile.settlementSettings,
     });
+    setJournalSettings(profile.journalSettings || DEFAULT_JOURNAL_SETTINGS);
+    setPrivacySettings(profile.privacySettings || DEFAULT_PRIVACY_SETTINGS);
+    setLocale(profile.locale);
+    setExportLayout(profile.exportLayout);
+    setActiveProfile(name);
+  };
 
-    return {
-      matched,
-      internalOnly,
-      providerOnly,
-      amountMismatches,
-      statusMismatches,
-    };
-  }, [internalData, providerData]);
+  const saveProfile = (name) => {
+    const profile = createConfigProfile(name, {
+      mappingProfiles: loadMappingProfiles(),
+      matchingRules,
+      amountSettings,
+      fxRates,
+      statusMapping,
+      dateSettings,
+      settlementSettings,
+      journalSettings,
+      privacySettings,
+      locale,
+      exportLayout,
+    });
+    setConfigProfiles(saveConfigProfile(profile));
+    setActiveProfile(name);
+  };
+
+  const removeProfile = (name) => {
+    setConfigProfiles(deleteConfigProfile(name));
+    if (activeProfile === name) setActiveProfile("");
+  };
+
+  // Resolves to the imported profile's name, or null when it is invalid
+  const importProfile = (json) => {
+    try {
+      const profile = parseConfigProfile(json);
+      setConfigProfiles(saveConfigProfile(profile));
+      setError("");
+      return profile.name;
+    } catch (err) {
+      setError(t("errors.invalidProfile", { message: err.message }));
+      return null;
+    }
+  };
+
+  const exportProfile = (name) => {
+    const { savedAt, ...profile } = configProfiles.find(
+      (candidate) => candidate.name === name
+    );
+    downloadFile(
+      serializeConfigProfile(profile),
+      `${name.replace(/[^\w-]+/g, "_")}.json`,
+      "application/json"
+    );
+  };
+
+  const updateLocale = (value) => {
+    try {
+      if (Intl.NumberFormat.supportedLocalesOf([value]).length > 0) {
+        setLocale(value);
+        return;
+      }
+    } catch (err) {
+      // Reported below
+    }
+    setError(t("errors.unknownLocale", { locale: value }));
+  };
+
+  // Accept or reject a suggested match
+  const decideSuggestion = (key, decision) => {
+    setSuggestionDecisions((prev) => ({ ...prev, [key]: decision }));
+  };
+
+  // Every provider statement is mapped and has transactions
+  const providersReady =
+    providerStatements.length > 0 &&
+    providerStatements.every(({ id }) => transactionCounts[id] > 0);
 
   // Process reconciliation
+  // Rows that were rejected or changed must be acknowledged before a run
+  const validationNeedsReview =
+    !validationReviewed &&
+    Object.values(validation).some(({ issues }) => issues.length > 0);
+
+  const downloadIssues = (report) =>
+    downloadFile(
+      Papa.unparse(report.issues),
+      `${report.fileType}_validation_issues.csv`,
+      "text/csv;charset=utf-8;"
+    );
+
   const processReconciliation = async () => {
-    if (!internalData.length || !providerData.length) {
-      setError("Please upload both CSV files before processing");
+    if (!transactionCounts.internal || !providersReady) {
+      setError(t("errors.missingFiles"));
+      return;
+    }
+    const names = providerStatements.map(({ name }) => name);
+    if (names.some((name) => !name) || new Set(names).size !== names.length) {
+      setError(t("errors.providerNames"));
+      return;
+    }
+    if (validationNeedsReview) {
+      setError(t("errors.reviewValidation"));
       return;
     }
 
-    setIsProcessing(true);
     setError("");
 
-    // Simulate processing delay
-    await new Promise((resolve) => setTimeout(resolve, 1500));
+    // Re-apply manual links and broken matches saved for the same files
+    const overrides = {};
+    if (!manualMatches.length && !unmatchedPairs.length) {
+      try {
+        const fingerprint = (fileType, file) => ({
+          name: file.name,
+          size: file.size,
+          sha256: sources[fileType].sha256,
+        });
+        const previous = await findRunForFiles(
+          fingerprint("internal", internalFile),
+          providerStatements.map(({ id, file }) => fingerprint(id, file))
+        );
+        if (previous) {
+          overrides.manualMatches = previous.config.manualMatches || [];
+          overrides.unmatchedPairs = previous.config.unmatchedPairs || [];
+          setManualMatches(overrides.manualMatches);
+          setUnmatchedPairs(overrides.unmatchedPairs);
+        }
+      } catch (err) {
+        console.warn("Could not read run history:", err);
+      }
+    }
+
+    await runReconciliation(overrides);
+  };
 
-    setReconciliationComplete(true);
-    setIsProcessing(false);
+  const toggleSelection = (side, reference) => {
+    setManualSelection((prev) => ({
+      ...prev,
+      [side]: prev[side].includes(reference)
+        ? prev[side].filter((selected) => selected !== reference)
+        : [...prev[side], reference],
+    }));
   };
 
-  // Export CSV function
-  const exportCSV = (data, filename, type) => {
-    let csvData = [];
-
-    if (type === "matched") {
-      csvData = data.map((item) => ({
-        transaction_reference: item.transaction_reference,
-        internal_amount: item.internal.amount,
-        provider_amount: item.provider.amount,
-        internal_status: item.internal.status,
-        provider_status: item.provider.status,
-        amount_match: item.amountMatch ? "Yes" : "No",
-        status_match: item.statusMatch ? "Yes" : "No",
-        internal_date: item.internal.date,
-        provider_date: item.provider.date,
-      }));
+  // Link the selected references as one manual match
+  const linkSelection = (comment) => {
+    setManualMatches((prev) => [
+      ...prev,
+      {
+        id: `manual-${Date.now()}-${prev.length}`,
+        internalReferences: manualSelection.internal,
+        providerReferences: manualSelection.provider,
+        comment,
+        createdAt: new Date().toISOString(),
+      },
+    ]);
+    setManualSelection(EMPTY_SELECTION);
+  };
+
+  // Break a match: manual links are removed, accepted suggestions rejected
+  // and exact matches remembered as broken
+  const unmatch = (match) => {
+    const key = getSuggestionKey(match.internal, match.provider);
+
+    if (match.manualMatch) {
+      setManualMatches((prev) =>
+        prev.filter((link) => link.id !== match.manualMatch.id)
+      );
+    } else if (match.matchType !== "exact") {
+      decideSuggestion(key, "rejected");
     } else {
-      csvData = data;
-    }
-
-    const csv = Papa.unparse(csvData);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    const url = URL.createObjectURL(blob);
-    link.setAttribute("href", url);
-    link.setAttribute("download", filename);
-    link.style.visibility = "hidden";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
-
-  // Format currency
-  const formatCurrency = (amount, currency = "USD") => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: currency,
-      minimumFractionDigits: 2,
-    }).format(amount);
-  };
-
-  const categories = [
-    {
-      id: "matched",
-      label: "Matched Transactions",
-      icon: CheckCircle,
-      color: "green",
-      data: reconciliationResults.matched,
-    },
-    {
-      id: "internal",
-      label: "Internal Only",
-      icon: AlertTriangle,
-      color: "yellow",
-      data: reconciliationResults.internalOnly,
-    },
-    {
-      id: "provider",
-      label: "Provider Only",
-      icon: XCircle,
-      color: "red",
-      data: reconciliationResults.providerOnly,
-    },
-  ];
+      setUnmatchedPairs((prev) => [...prev, key]);
+    }
+  };
+
+  const removeUnappliedManualMatches = () => {
+    const unapplied = reconciliationResults.unappliedManualMatches;
+    setManualMatches((prev) =>
+      prev.filter((link) => !unapplied.includes(link.id))
+    );
+  };
+
+  // Record the workflow state of an exception
+  const saveResolution = (key, resolution) => {
+    setResolutions((prev) => ({ ...prev, [key]: resolution }));
+    setEditingException(null);
+  };
+
+  // Exception keys are numbered over a whole category, so look them up there
+  // even for a filtered or sorted view
+  const getExceptionKeysFor = (type, items) => {
+    const all = reconciliationResults[EXCEPTION_KINDS[type]];
+    const keys = getExceptionKeys(type, all);
+    const keyByItem = new Map(all.map((item, index) => [item, keys[index]]));
+    return items.map((item) => keyByItem.get(item));
+  };
+
+  const getHashKey = () => {
+    if (!hashKeyRef.current) hashKeyRef.current = createHashKey();
+    return hashKeyRef.current;
+  };
+
+  // Export CSV function, with resolution columns for exception categories
+  // and sensitive columns protected as the privacy settings say
+  const exportCSV = async (data, filename, type) => {
+    try {
+      const rows = await protectRows(
+        addExportResolutions(
+          type,
+          toExportRows(type, data),
+          data,
+          resolutions,
+          EXCEPTION_KINDS[type] ? getExceptionKeysFor(type, data) : null
+        ),
+        sensitiveColumns,
+        privacySettings,
+        await getHashKey()
+      );
+
+      const csv = Papa.unparse(applyExportLayout(rows, exportLayout, type), {
+        delimiter: exportLayout.delimiter,
+      });
+      downloadFile(csv, filename, "text/csv;charset=utf-8;");
+    } catch (err) {
+      setError(t("errors.export", { message: err.message }));
+    }
+  };
+
+  // Summary workbook or PDF for sign-off, covering every category
+  const downloadReport = async (format) => {
+    try {
+      const report = buildReport(reconciliationResults, {
+        ...describeRun(),
+        resolutions,
+      });
+      if (format === "pdf") {
+        downloadFile(
+          createReportPdf(report),
+          "reconciliation_report.pdf",
+          "application/pdf"
+        );
+      } else {
+        downloadFile(
+          await createReportWorkbook(
+            report,
+            reconciliationResults,
+            resolutions,
+            {
+              columns: sensitiveColumns,
+              settings: privacySettings,
+              hashKey: await getHashKey(),
+            }
+          ),
+          "reconciliation_report.xlsx",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+      }
+    } catch (err) {
+      setError(t("errors.report", { message: err.message }));
+    }
+  };
+
+  // Payout categories only appear when a bank statement was reconciled
+  const categories = CATEGORIES.filter(
+    (category) => !category.threeWay || reconciliationResults.threeWay
+  ).map((category) => ({
+    ...category,
+    ...CATEGORY_STYLES[category.id],
+    data: reconciliationResults[category.key],
+  }));
+
+  const selectedData =
+    categories.find((cat) => cat.id === selectedCategory)?.data || [];
+
+  // Runs over several provider statements show which provider each row
+  // came from, and break the summary cards down per provider
+  const showProvider = reconciliationResults.providers.length > 1;
+  const providerCounts = useMemo(() => {
+    const counts = {};
+    if (showProvider) {
+      CATEGORIES.forEach((category) => {
+        counts[category.id] = countByProvider(
+          reconciliationResults[category.key]
+        );
+      });
+    }
+    return counts;
+  }, [reconciliationResults]);
+
+  // Day number of a row's date, read with its side's date format
+  const rowDay = (row) => {
+    const format =
+      selectedCategory === "deposits"
+        ? dateSettings.bankFormat
+        : SELECTION_SIDES[selectedCategory] === "provider"
+        ? dateSettings.providerFormat
+        : dateSettings.internalFormat;
+    return toDayNumber(
+      parseDate(row.date, format, dateSettings.timeZone),
+      dateSettings.timeZone
+    );
+  };
+
+  // The filtered, sorted view is what the table shows and exports
+  const viewData = useMemo(
+    () => sortItems(filterItems(selectedData, filters, rowDay), sort, rowDay),
+    [selectedData, filters, sort, dateSettings]
+  );
+  const filterOptions = useMemo(
+    () => getFilterOptions(selectedData),
+    [selectedData]
+  );
+  const extraColumns = useMemo(
+    () => getExtraColumns(selectedData),
+    [selectedData]
+  );
+  const shownColumns = visibleColumns.filter((column) =>
+    extraColumns.includes(column)
+  );
+
+  // Only the current page of the view is rendered
+  const pageCount = Math.max(1, Math.ceil(viewData.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = viewData.slice(
+    currentPage * PAGE_SIZE,
+    (currentPage + 1) * PAGE_SIZE
+  );
+  const pageExceptionKeys = EXCEPTION_KINDS[selectedCategory]
+    ? getExceptionKeysFor(selectedCategory, pageRows)
+    : [];
+
+  const selectCategory = (categoryId) => {
+    setSelectedCategory(categoryId);
+    setPage(0);
+    setEditingException(null);
+    setFilters(EMPTY_FILTERS);
+    setSort(null);
+  };
+
+  const updateFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setPage(0);
+  };
+
+  const updateSort = (nextSort) => {
+    setSort(nextSort);
+    setPage(0);
+  };
+
+  const editException = (key, title) => setEditingException({ key, title });
+
+  // Total of the selected rows on one side, in the first row's currency
+  const selectionTotal = (side) => {
+    const rows = (
+      side === "internal"
+        ? [
+            ...reconciliationResults.internalOnly,
+            ...reconciliationResults.timingDifferences,
+          ]
+        : reconciliationResults.providerOnly
+    ).filter((row) =>
+      manualSelection[side].includes(row.transaction_reference)
+    );
+    return formatCurrency(
+      rows.reduce((sum, row) => sum + row.amount, 0),
+      rows[0]?.currency
+    );
+  };
+  const selectionSide = !viewingRun && SELECTION_SIDES[selectedCategory];
+
+  // Open amount and status breaks, for the mismatch alert
+  const openAmountMismatches = countOpen(
+    "amount",
+    reconciliationResults.amountMismatches,
+    resolutions
+  );
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4">
-      <div className="max-w-7xl mx-auto">
-        {/* Header */}
-        <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
-          <div className="flex items-center justify-between">
-            <div>
-              <h1 className="text-3xl font-bold text-gray-900 mb-2">
-                Payment Reconciliation Tool
-              </h1>
-              <p className="text-gray-600">
-                Compare internal system transactions with payment processor
-                statements
-              </p>
+    <ToolProviders
+      i18n={i18n}
+      privacy={{ columns: sensitiveColumns, settings: privacySettings }}
+    >
+      <div
+        lang={locale}
+        className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-4"
+      >
+        <div className="max-w-7xl mx-auto">
+          {/* Header */}
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900 mb-2">
+                  {t("app.title")}
+                </h1>
+                <p className="text-gray-600">{t("app.subtitle")}</p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <label className="flex items-center text-sm text-gray-700">
+                  <Globe className="w-4 h-4 mr-1" aria-hidden="true" />
+                  <span className="sr-only">{t("app.language")}</span>
+                  <select
+                    value={locale}
+                    onChange={(e) => updateLocale(e.target.value)}
+                    className="border border-gray-300 rounded-lg px-2 py-2"
+                  >
+                    {/* Locales set by a profile stay selectable */}
+                    {!LOCALE_OPTIONS.some((option) => option.id === locale) && (
+                      <option value={locale}>{locale}</option>
+                    )}
+                    {LOCALE_OPTIONS.map((option) => (
+                      <option
+                        key={option.id}
+                        value={option.id}
+                        lang={option.id}
+                      >
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={toggleHistory}
+                  aria-expanded={showHistory}
+                  className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+                >
+                  <History className="w-4 h-4 mr-2" aria-hidden="true" />
+                  {t("app.history")}
+                </button>
+                <button
+                  onClick={toggleComparison}
+                  aria-expanded={showComparison}
+                  className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+                >
+                  <GitCompare className="w-4 h-4 mr-2" aria-hidden="true" />
+                  {t("app.compare")}
+                </button>
+                {(internalFile ||
+                  providerStatements.length > 0 ||
+                  bankFile ||
+                  reconciliationComplete) && (
+                  <button
+                    onClick={startNewRun}
+                    className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                  >
+                    <Plus className="w-4 h-4 mr-2" aria-hidden="true" />
+                    {t("app.newRun")}
+                  </button>
+                )}
+              </div>
             </div>
-            <RefreshCw className="w-8 h-8 text-blue-600" />
           </div>
-        </div>
 
-        {/* File Upload Section */}
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
-          {/* Internal File Upload */}
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
-              <Upload className="w-5 h-5 mr-2 text-blue-600" />
-              Internal System Export
-            </h2>
-
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
-              <input
-                type="file"
-                accept=".csv"
-                onChange={(e) => handleFileUpload(e, "internal")}
-                className="hidden"
-                id="internal-upload"
-              />
-              <label htmlFor="internal-upload" className="cursor-pointer">
-                <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600 mb-2">Upload Internal CSV File</p>
-                <p className="text-sm text-gray-400">
-                  Required columns: transaction_reference, amount, status
+          {/* Run History */}
+          {showHistory && (
+            <RunHistory
+              runs={savedRuns}
+              currentRunId={viewingRun && viewingRun.id}
+              onOpen={openRun}
+              onDelete={removeRun}
+              onClose={() => setShowHistory(false)}
+            />
+          )}
+          {showHistory && (
+            <ApiRunsPanel onOpen={openApiRun} onError={setError} />
+          )}
+
+          {/* Run Comparison */}
+          {showComparison && (
+            <RunComparisonPanel
+              runs={savedRuns}
+              formatCurrency={formatCurrency}
+              onError={setError}
+              onClose={() => setShowComparison(false)}
+            />
+          )}
+
+          {/* Saved Run Banner */}
+          {viewingRun && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 text-sm text-blue-800">
+              <p className="font-semibold">
+                {t("savedRun.title", {
+                  date: formatDateTime(viewingRun.savedAt),
+                })}
+              </p>
+              {[
+                [sourceTitle("internal"), viewingRun.files.internal],
+                ...getProviderFiles(viewingRun.files).map((file) => [
+                  sourceTitle("provider", file.provider),
+                  file,
+                ]),
+                ...(viewingRun.files.bank
+                  ? [[sourceTitle("bank"), viewingRun.files.bank]]
+                  : []),
+              ].map(([label, file]) => (
+                <p key={label}>
+                  {label}: <span className="font-mono">{file.name}</span> (
+                  {t("savedRun.file", {
+                    count: file.transactionCount,
+                    rows: file.rowCount,
+                    format: file.format,
+                  })}
+                  )
                 </p>
-              </label>
+              ))}
+              <p className="text-blue-600 mt-1">{t("savedRun.hint")}</p>
             </div>
+          )}
 
-            {internalFile && (
-              <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-lg">
-                <p className="text-green-800 text-sm">
-                  ✅ {internalFile.name} ({internalData.length} transactions)
-                </p>
+          {/* Configuration Profile */}
+          {!viewingRun && (
+            <ConfigProfilesPanel
+              key={activeProfile}
+              profiles={configProfiles}
+              activeProfile={activeProfile}
+              onApply={applyProfile}
+              onSave={saveProfile}
+              onDelete={removeProfile}
+              onImport={importProfile}
+              onExport={exportProfile}
+              locale={locale}
+              onLocaleChange={updateLocale}
+              exportLayout={exportLayout}
+              onExportLayoutChange={setExportLayout}
+              categories={CATEGORIES}
+            />
+          )}
+
+          {/* Several files at once, sorted into their sources */}
+          {!viewingRun && (
+            <FileDropZone
+              checks={Object.values(fileChecks).map((check) => ({
+                ...check,
+                title: sourceTitle(check.fileType),
+              }))}
+              onFiles={loadFiles}
+              onReassign={reassignSource}
+            />
+          )}
+
+          {/* File Upload Section */}
+          {!viewingRun && (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+              {/* Internal File Upload */}
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                  <Upload
+                    className="w-5 h-5 mr-2 text-blue-600"
+                    aria-hidden="true"
+                  />
+                  {t("sources.internal")}
+                </h2>
+
+                <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
+                  <input
+                    type="file"
+                    accept={SUPPORTED_EXTENSIONS.join(",")}
+                    onChange={(e) => handleFileUpload(e, "internal")}
+                    className="hidden"
+                    id="internal-upload"
+                  />
+                  <label htmlFor="internal-upload" className="cursor-pointer">
+                    <FileText
+                      className="w-12 h-12 text-gray-400 mx-auto mb-4"
+                      aria-hidden="true"
+                    />
+                    <p className="text-gray-600 mb-2">{t("upload.internal")}</p>
+                    <p className="text-sm text-gray-400">
+                      {t("upload.formats")}
+                    </p>
+                  </label>
+                </div>
+
+                {internalFile && sources.internal && (
+                  <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+                    <p className="text-green-800 text-sm">
+                      <span aria-hidden="true">✅ </span>
+                      {internalFile.name} (
+                      {t("common.transactions", {
+                        count: transactionCounts.internal,
+                      })}
+                      ){` · ${sources.internal.format}`}
+                      {sources.internal.sheetName &&
+                        ` (${sources.internal.sheetName})`}
+                      {sources.internal.profileName &&
+                        ` · ${t("upload.mapping", {
+                          name: sources.internal.profileName,
+                        })}`}
+                    </p>
+                    <button
+                      onClick={() => editMapping("internal")}
+                      className="flex items-center text-sm text-green-800 hover:text-blue-600 transition-colors"
+                    >
+                      <Columns className="w-4 h-4 mr-1" aria-hidden="true" />
+                      {t("upload.editMapping")}
+                    </button>
+                  </div>
+                )}
+                {internalFile && !sources.internal && (
+                  <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <p className="text-yellow-800 text-sm">
+                      {internalFile.name} – {t("upload.awaitingMapping")}
+                    </p>
+                  </div>
+                )}
               </div>
-            )}
-          </div>
 
-          {/* Provider File Upload */}
-          <div className="bg-white rounded-xl shadow-lg p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
-              <Upload className="w-5 h-5 mr-2 text-purple-600" />
-              Provider Statement
-            </h2>
-
-            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-purple-400 transition-colors">
-              <input
-                type="file"
-                accept=".csv"
-                onChange={(e) => handleFileUpload(e, "provider")}
-                className="hidden"
-                id="provider-upload"
+              {/* Provider File Uploads */}
+              <ProviderStatements
+                statements={providerStatements}
+                sources={sources}
+                transactionCounts={transactionCounts}
+                onUpload={(e) => handleFileUpload(e, "provider")}
+                onRename={renameProviderStatement}
+                onRemove={removeProviderStatement}
+                onEditMapping={editMapping}
               />
-              <label htmlFor="provider-upload" className="cursor-pointer">
-                <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600 mb-2">Upload Provider CSV File</p>
-                <p className="text-sm text-gray-400">
-                  Required columns: transaction_reference, amount, status
-                </p>
-              </label>
+
+              {/* Bank File Upload */}
+              <div className="bg-white rounded-xl shadow-lg p-6">
+                <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+                  <Upload
+                    className="w-5 h-5 mr-2 text-green-600"
+                    aria-hidden="true"
+                  />
+                  {t("sources.bank")}
+                  <span className="ml-2 text-sm font-normal text-gray-400">
+                    {t("upload.optional")}
+                  </span>
+                </h2>
+
+                <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-green-400 transition-colors">
+                  <input
+                    type="file"
+                    accept={SUPPORTED_EXTENSIONS.join(",")}
+                    onChange={(e) => handleFileUpload(e, "bank")}
+                    className="hidden"
+                    id="bank-upload"
+                  />
+                  <label htmlFor="bank-upload" className="cursor-pointer">
+                    <FileText
+                      className="w-12 h-12 text-gray-400 mx-auto mb-4"
+                      aria-hidden="true"
+                    />
+                    <p className="text-gray-600 mb-2">{t("upload.bank")}</p>
+                    <p className="text-sm text-gray-400">
+                      {t("upload.bankHint")}
+                    </p>
+                  </label>
+                </div>
+
+                {bankFile && sources.bank && (
+                  <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-lg flex items-center justify-between">
+                    <p className="text-green-800 text-sm">
+                      <span aria-hidden="true">✅ </span>
+                      {bankFile.name} (
+                      {t("common.transactions", {
+                        count: transactionCounts.bank,
+                      })}
+                      ){` · ${sources.bank.format}`}
+                      {sources.bank.sheetName && ` (${sources.bank.sheetName})`}
+                      {sources.bank.profileName &&
+                        ` · ${t("upload.mapping", {
+                          name: sources.bank.profileName,
+                        })}`}
+                    </p>
+                    <button
+                      onClick={() => editMapping("bank")}
+                      className="flex items-center text-sm text-green-800 hover:text-blue-600 transition-colors"
+                    >
+                      <Columns className="w-4 h-4 mr-1" aria-hidden="true" />
+                      {t("upload.editMapping")}
+                    </button>
+                  </div>
+                )}
+                {bankFile && !sources.bank && (
+                  <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                    <p className="text-yellow-800 text-sm">
+                      {bankFile.name} – {t("upload.awaitingMapping")}
+                    </p>
+                  </div>
+                )}
+              </div>
             </div>
+          )}
 
-            {providerFile && (
-              <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-lg">
-                <p className="text-green-800 text-sm">
-                  ✅ {providerFile.name} ({providerData.length} transactions)
-                </p>
+          {/* Sheet Selection */}
+          {pendingSheet && (
+            <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+              <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+                <Sheet
+                  className="w-5 h-5 mr-2 text-blue-600"
+                  aria-hidden="true"
+                />
+                {t("sheet.title", {
+                  source: pendingSheet.fileType
+                    ? sourceTitle(pendingSheet.fileType)
+                    : t("sources.upload"),
+                })}
+              </h2>
+              <p className="text-gray-600 mb-4">
+                {t("sheet.description", { file: pendingSheet.file.name })}
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {pendingSheet.sheetNames.map((sheetName) => (
+                  <button
+                    key={sheetName}
+                    onClick={() =>
+                      pendingSheet.fileType
+                        ? loadFile(
+                            pendingSheet.fileType,
+                            pendingSheet.file,
+                            sheetName
+                          )
+                        : loadFiles([pendingSheet.file], sheetName)
+                    }
+                    className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+                  >
+                    {sheetName}
+                  </button>
+                ))}
               </div>
-            )}
-          </div>
-        </div>
+            </div>
+          )}
 
-        {/* Error Display */}
-        {error && (
-          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
-            {error}
-          </div>
-        )}
-
-        {/* Process Button */}
-        {internalFile && providerFile && !reconciliationComplete && (
-          <div className="text-center mb-6">
-            <button
-              onClick={processReconciliation}
-              disabled={isProcessing}
-              className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-8 py-3 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors font-medium disabled:opacity-50 flex items-center mx-auto"
+          {/* Column Mapping */}
+          {pendingMapping && (
+            <ColumnMappingWizard
+              key={`${pendingMapping.fileType}:${pendingMapping.source.file.name}`}
+              title={sourceTitle(pendingMapping.fileType)}
+              fileName={pendingMapping.source.file.name}
+              headers={pendingMapping.source.headers}
+              rows={pendingMapping.source.rows}
+              rowCount={pendingMapping.source.rowCount}
+              initialMapping={pendingMapping.mapping}
+              onConfirm={handleMappingConfirm}
+              onCancel={handleMappingCancel}
+            />
+          )}
+
+          {/* Progress */}
+          {progress && (
+            <div className="bg-white rounded-xl shadow-lg p-4 mb-6">
+              <div className="flex justify-between text-sm text-gray-600 mb-2">
+                <span id="progress-label">{progress.label}</span>
+                <span>{i18n.formatPercent(progress.fraction)}</span>
+              </div>
+              <div
+                role="progressbar"
+                aria-labelledby="progress-label"
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(progress.fraction * 100)}
+                className="w-full bg-gray-200 rounded-full h-2"
+              >
+                <div
+                  className="bg-blue-600 h-2 rounded-full transition-all"
+                  style={{ width: `${Math.round(progress.fraction * 100)}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Error Display */}
+          {error && (
+            <div
+              role="alert"
+              className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6"
             >
-              {isProcessing ? (
-                <>
-                  <RefreshCw className="w-5 h-5 mr-2 animate-spin" />
-                  Processing Reconciliation...
-                </>
-              ) : (
-                <>
-                  <Eye className="w-5 h-5 mr-2" />
-                  Start Reconciliation
-                </>
-              )}
-            </button>
-          </div>
-        )}
-
-        {/* Results Section */}
-        {reconciliationComplete && (
-          <>
-            {/* Summary Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-              {categories.map((category) => {
-                const Icon = category.icon;
-                const colorClasses = {
-                  green: "bg-green-500 border-green-200 text-green-800",
-                  yellow: "bg-yellow-500 border-yellow-200 text-yellow-800",
-                  red: "bg-red-500 border-red-200 text-red-800",
-                };
-
-                return (
-                  <div
-                    key={category.id}
-                    onClick={() => setSelectedCategory(category.id)}
-                    className={`bg-white rounded-xl shadow-lg p-6 cursor-pointer transition-all hover:shadow-xl ${
-                      selectedCategory === category.id
-                        ? "ring-2 ring-blue-500"
-                        : ""
-                    }`}
-                  >
-                    <div className="flex items-center justify-between mb-4">
-                      <Icon
-                        className={`w-8 h-8 ${colorClasses[
-                          category.color
-                        ].replace("bg-", "text-")}`}
-                      />
-                      <span className="text-2xl font-bold text-gray-900">
-                        {category.data.length}
-                      </span>
-                    </div>
-                    <h3 className="font-semibold text-gray-900">
-                      {category.label}
-                    </h3>
-                    <div className="flex justify-between items-center mt-4">
-                      <span className="text-sm text-gray-600">
-                        Click to view details
-                      </span>
-                      <button
-                        onClick={(e) => {
-                          e.stopPropagation();
-                          exportCSV(
-                            category.data,
-                            `${category.id}_transactions.csv`,
-                            category.id
-                          );
-                        }}
-                        className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
-                        title="Export CSV"
-                      >
-                        <Download className="w-4 h-4" />
-                      </button>
-                    </div>
-                  </div>
-                );
-              })}
+              {error}
             </div>
+          )}
 
-            {/* Mismatch Alerts */}
-            {(reconciliationResults.amountMismatches.length > 0 ||
-              reconciliationResults.statusMismatches.length > 0) && (
-              <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6">
-                <h3 className="font-semibold text-orange-800 mb-2">
-                  ⚠️ Data Mismatches Detected
-                </h3>
-                {reconciliationResults.amountMismatches.length > 0 && (
-                  <p className="text-sm text-orange-700">
-                    • {reconciliationResults.amountMismatches.length}{" "}
-                    transactions with amount mismatches
-                  </p>
-                )}
-                {reconciliationResults.statusMismatches.length > 0 && (
-                  <p className="text-sm text-orange-700">
-                    • {reconciliationResults.statusMismatches.length}{" "}
-                    transactions with status mismatches
-                  </p>
+          {/* Matching Rules */}
+          {transactionCounts.internal > 0 &&
+            providersReady &&
+            !pendingMapping && (
+              <>
+                <MatchingRulesPanel
+                  rules={matchingRules}
+                  onChange={setMatchingRules}
+                />
+                <AmountSettingsPanel
+                  settings={amountSettings}
+                  onChange={setAmountSettings}
+                  fxRates={fxRates}
+                  onFxRatesChange={setFxRates}
+                  onError={setError}
+                />
+                <StatusMappingEditor
+                  mapping={statusMapping}
+                  onChange={setStatusMapping}
+                  onError={setError}
+                />
+                <DateSettingsPanel
+                  settings={dateSettings}
+                  onChange={setDateSettings}
+                  showBankFormat={transactionCounts.bank > 0}
+                />
+                {transactionCounts.bank > 0 && (
+                  <SettlementSettingsPanel
+                    settings={settlementSettings}
+                    onChange={setSettlementSettings}
+                  />
                 )}
+              </>
+            )}
+
+          {/* Personal data in the loaded files */}
+          {privacyFiles.length > 0 && (
+            <PrivacySettingsPanel
+              settings={privacySettings}
+              onChange={setPrivacySettings}
+              files={privacyFiles}
+            />
+          )}
+
+          {/* Validation Report */}
+          {!viewingRun &&
+            !reconciliationComplete &&
+            !pendingMapping &&
+            Object.keys(validation).length > 0 && (
+              <ValidationReport
+                reports={Object.keys(files)
+                  .filter((fileType) => validation[fileType])
+                  .map((fileType) => ({
+                    fileType,
+                    title: sourceTitle(fileType),
+                    fileName: files[fileType].name,
+                    ...validation[fileType],
+                  }))}
+                reviewed={validationReviewed}
+                onReviewedChange={setValidationReviewed}
+                onDownload={downloadIssues}
+              />
+            )}
+
+          {/* Process Button */}
+          {transactionCounts.internal > 0 &&
+            providersReady &&
+            !pendingMapping &&
+            !reconciliationComplete && (
+              <div className="text-center mb-6">
+                <button
+                  onClick={processReconciliation}
+                  disabled={isProcessing || validationNeedsReview}
+                  className="bg-gradient-to-r from-blue-600 to-purple-600 text-white px-8 py-3 rounded-lg hover:from-blue-700 hover:to-purple-700 transition-colors font-medium disabled:opacity-50 flex items-center mx-auto"
+                >
+                  {isProcessing ? (
+                    <>
+                      <RefreshCw
+                        className="w-5 h-5 mr-2 animate-spin"
+                        aria-hidden="true"
+                      />
+                      {t("app.processing")}
+                    </>
+                  ) : (
+                    <>
+                      <Eye className="w-5 h-5 mr-2" aria-hidden="true" />
+                      {t("app.start")}
+                    </>
+                  )}
+                </button>
               </div>
             )}
 
-            {/* Detailed View */}
-            <div className="bg-white rounded-xl shadow-lg p-6">
-              <div className="flex justify-between items-center mb-6">
-                <h2 className="text-2xl font-semibold text-gray-900">
-                  {categories.find((cat) => cat.id === selectedCategory)?.label}
-                  (
-                  {
-                    categories.find((cat) => cat.id === selectedCategory)?.data
-                      .length
-                  }
-                  )
-                </h2>
+          {/* Results Section */}
+          {reconciliationComplete && (
+            <>
+              {/* Report Downloads */}
+              <div className="flex justify-end space-x-2 mb-4">
                 <button
-                  onClick={() => {
-                    const selectedData = categories.find(
-                      (cat) => cat.id === selectedCategory
-                    )?.data;
-                    exportCSV(
-                      selectedData,
-                      `${selectedCategory}_detailed.csv`,
-                      selectedCategory
-                    );
-                  }}
-                  className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  onClick={() => downloadReport("xlsx")}
+                  className="flex items-center px-4 py-2 border border-gray-300 bg-white rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
                 >
-                  <Download className="w-4 h-4 mr-2" />
-                  Export CSV
+                  <FileSpreadsheet
+                    className="w-4 h-4 mr-2"
+                    aria-hidden="true"
+                  />
+                  {t("results.reportXlsx")}
+                </button>
+                <button
+                  onClick={() => downloadReport("pdf")}
+                  className="flex items-center px-4 py-2 border border-gray-300 bg-white rounded-lg text-sm text-gray-700 hover:border-blue-400 transition-colors"
+                >
+                  <FileText className="w-4 h-4 mr-2" aria-hidden="true" />
+                  {t("results.reportPdf")}
                 </button>
               </div>
 
-              <div className="overflow-x-auto">
-                {selectedCategory === "matched" ? (
-                  <table className="w-full">
-                    <thead>
-                      <tr className="border-b border-gray-200">
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Reference
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Internal Amount
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Provider Amount
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Internal Status
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Provider Status
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Flags
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {reconciliationResults.matched.map((match) => (
-                        <tr
-                          key={match.transaction_reference}
-                          className="border-b border-gray-100 hover:bg-gray-50"
+              {/* Summary Cards */}
+              <div
+                role="group"
+                aria-label={t("results.summary")}
+                className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mb-6"
+              >
+                {categories.map((category) => {
+                  const Icon = category.icon;
+                  const label = t(`categories.${category.id}`);
+                  const openCount = EXCEPTION_KINDS[category.id]
+                    ? countOpen(category.id, category.data, resolutions)
+                    : category.data.length;
+                  const colorClasses = {
+                    green: "bg-green-500 border-green-200 text-green-800",
+                    yellow: "bg-yellow-500 border-yellow-200 text-yellow-800",
+                    red: "bg-red-500 border-red-200 text-red-800",
+                    blue: "bg-blue-500 border-blue-200 text-blue-800",
+                    purple: "bg-purple-500 border-purple-200 text-purple-800",
+                    gray: "bg-gray-500 border-gray-200 text-gray-800",
+                    orange: "bg-orange-500 border-orange-200 text-orange-800",
+                  };
+
+                  return (
+                    <div
+                      key={category.id}
+                      onClick={() => selectCategory(category.id)}
+                      className={`bg-white rounded-xl shadow-lg p-6 cursor-pointer transition-all hover:shadow-xl ${
+                        selectedCategory === category.id
+                          ? "ring-2 ring-blue-500"
+                          : ""
+                      }`}
+                    >
+                      <div className="flex items-center justify-between mb-4">
+                        <Icon
+                          aria-hidden="true"
+                          className={`w-8 h-8 ${colorClasses[
+                            category.color
+                          ].replace("bg-", "text-")}`}
+                        />
+                        <span className="text-2xl font-bold text-gray-900">
+                          {openCount}
+                        </span>
+                      </div>
+                      <h3 className="font-semibold text-gray-900">{label}</h3>
+                      {openCount !== category.data.length && (
+                        <p className="text-xs text-gray-500">
+                          {t("results.resolvedOf", {
+                            resolved: category.data.length - openCount,
+                            total: category.data.length,
+                          })}
+                        </p>
+                      )}
+                      {providerCounts[category.id] &&
+                        Object.keys(providerCounts[category.id]).length > 0 && (
+                          <ul className="mt-2 text-xs text-gray-600">
+                            {reconciliationResults.providers
+                              .filter(
+                                (provider) =>
+                                  providerCounts[category.id][provider]
+                              )
+                              .map((provider) => (
+                                <li
+                                  key={provider}
+                                  className="flex justify-between"
+                                >
+                                  <span>{provider}</span>
+                                  <span>
+                                    {providerCounts[category.id][provider]}
+                                  </span>
+                                </li>
+                              ))}
+                          </ul>
+                        )}
+                      <div className="flex justify-between items-center mt-4">
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            selectCategory(category.id);
+                          }}
+                          aria-pressed={selectedCategory === category.id}
+                          aria-controls="category-details"
+                          className="text-sm text-gray-600 hover:text-blue-600 transition-colors"
                         >
-                          <td className="py-3 px-4 font-mono text-sm">
-                            {match.transaction_reference}
-                          </td>
-                          <td
-                            className={`py-3 px-4 ${
-                              !match.amountMatch ? "bg-red-50 text-red-700" : ""
-                            }`}
-                          >
-                            {formatCurrency(
-                              match.internal.amount,
-                              match.internal.currency
-                            )}
-                          </td>
-                          <td
-                            className={`py-3 px-4 ${
-                              !match.amountMatch ? "bg-red-50 text-red-700" : ""
-                            }`}
+                          {t("results.viewDetails")}
+                          <span className="sr-only">: {label}</span>
+                        </button>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            exportCSV(
+                              category.data,
+                              `${category.id}_transactions.csv`,
+                              category.id
+                            );
+                          }}
+                          className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
+                          title={t("results.exportCsv")}
+                          aria-label={t("results.exportCategory", {
+                            category: label,
+                          })}
+                        >
+                          <Download className="w-4 h-4" aria-hidden="true" />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Mismatch Alerts */}
+              {(reconciliationResults.amountMismatches.length > 0 ||
+                reconciliationResults.statusMismatches.length > 0 ||
+                reconciliationResults.currencyMismatches.length > 0 ||
+                reconciliationResults.duplicates.length > 0 ||
+                reconciliationResults.slaBreaches.length > 0 ||
+                reconciliationResults.payoutDifferences.length > 0 ||
+                reconciliationResults.missingPayouts.length > 0) && (
+                <div
+                  role="status"
+                  className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6"
+                >
+                  <h3 className="font-semibold text-orange-800 mb-2">
+                    <span aria-hidden="true">⚠️ </span>
+                    {t("alerts.title")}
+                  </h3>
+                  {reconciliationResults.amountMismatches.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      • {t("alerts.amount", { count: openAmountMismatches })}
+                      {openAmountMismatches !==
+                        reconciliationResults.amountMismatches.length &&
+                        ` (${t("alerts.resolved", {
+                          count:
+                            reconciliationResults.amountMismatches.length -
+                            openAmountMismatches,
+                        })})`}
+                    </p>
+                  )}
+                  {[...SEVERITY_LEVELS].reverse().map((level) => {
+                    const mismatches =
+                      reconciliationResults.statusMismatches.filter(
+                        (match) => match.statusSeverity === level
+                      );
+                    const count = countOpen("status", mismatches, resolutions);
+
+                    return (
+                      mismatches.length > 0 && (
+                        <p key={level} className="text-sm text-orange-700">
+                          •{" "}
+                          {t("alerts.status", {
+                            count,
+                            severity: t(`severity.${level}`).toLowerCase(),
+                          })}
+                          {count !== mismatches.length &&
+                            ` (${t("alerts.resolved", {
+                              count: mismatches.length - count,
+                            })})`}
+                        </p>
+                      )
+                    );
+                  })}
+                  {reconciliationResults.currencyMismatches.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      •{" "}
+                      {t("alerts.currency", {
+                        count: reconciliationResults.currencyMismatches.length,
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.duplicates.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      •{" "}
+                      {t("alerts.duplicates", {
+                        count: reconciliationResults.duplicates.length,
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.slaBreaches.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      •{" "}
+                      {t("alerts.sla", {
+                        count: reconciliationResults.slaBreaches.length,
+                        days: dateSettings.settlementSlaDays,
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.payoutDifferences.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      •{" "}
+                      {t("alerts.payoutDifferences", {
+                        count: reconciliationResults.payoutDifferences.length,
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.missingPayouts.length > 0 && (
+                    <p className="text-sm text-orange-700">
+                      •{" "}
+                      {t("alerts.missingPayouts", {
+                        count: reconciliationResults.missingPayouts.length,
+                      })}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Period Summary */}
+              {(reconciliationResults.period.start ||
+                reconciliationResults.period.end ||
+                reconciliationResults.period.timingCutoff ||
+                reconciliationResults.unbatchedProviderRows > 0) && (
+                <div className="bg-white rounded-lg border border-gray-200 px-4 py-3 mb-6 text-sm text-gray-600">
+                  {(reconciliationResults.period.start ||
+                    reconciliationResults.period.end) && (
+                    <p>
+                      {t("period.window", {
+                        start: reconciliationResults.period.start
+                          ? formatDate(reconciliationResults.period.start)
+                          : "…",
+                        end: reconciliationResults.period.end
+                          ? formatDate(reconciliationResults.period.end)
+                          : "…",
+                        internal:
+                          reconciliationResults.period.excluded.internal,
+                        provider:
+                          reconciliationResults.period.excluded.provider,
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.period.timingCutoff && (
+                    <p>
+                      {t("period.cutoff", {
+                        date: formatDate(
+                          reconciliationResults.period.timingCutoff
+                        ),
+                      })}
+                    </p>
+                  )}
+                  {reconciliationResults.unbatchedProviderRows > 0 && (
+                    <p>
+                      {t("period.unbatched", {
+                        count: reconciliationResults.unbatchedProviderRows,
+                      })}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Detailed View */}
+              <div
+                id="category-details"
+                className="bg-white rounded-xl shadow-lg p-6"
+              >
+                <div className="flex justify-between items-center mb-6">
+                  <h2 className="text-2xl font-semibold text-gray-900">
+                    {t(`categories.${selectedCategory}`)} (
+                    {viewData.length !== selectedData.length
+                      ? t("results.shownOf", {
+                          shown: viewData.length,
+                          total: selectedData.length,
+                        })
+                      : i18n.formatNumber(selectedData.length)}
+                    )
+                  </h2>
+                  <button
+                    onClick={() =>
+                      exportCSV(
+                        viewData,
+                        `${selectedCategory}_detailed.csv`,
+                        selectedCategory
+                      )
+                    }
+                    className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    <Download className="w-4 h-4 mr-2" aria-hidden="true" />
+                    {t("results.exportCsv")}
+                  </button>
+                </div>
+
+                {reconciliationResults.unappliedManualMatches.length > 0 && (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 flex items-center justify-between text-sm text-yellow-800">
+                    <span>
+                      {t("results.unapplied", {
+                        count:
+                          reconciliationResults.unappliedManualMatches.length,
+                      })}
+                    </span>
+                    {!viewingRun && (
+                      <button
+                        onClick={removeUnappliedManualMatches}
+                        className="text-yellow-800 hover:text-red-600 underline transition-colors"
+                      >
+                        {t("results.removeUnapplied")}
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {!viewingRun &&
+                  (manualSelection.internal.length > 0 ||
+                    manualSelection.provider.length > 0) && (
+                    <ManualMatchBar
+                      selection={manualSelection}
+                      internalTotal={selectionTotal("internal")}
+                      providerTotal={selectionTotal("provider")}
+                      onConfirm={linkSelection}
+                      onClear={() => setManualSelection(EMPTY_SELECTION)}
+                    />
+                  )}
+
+                {editingException && (
+                  <ExceptionEditor
+                    key={editingException.key}
+                    title={editingException.title}
+                    resolution={resolutions[editingException.key]}
+                    onSave={(resolution) =>
+                      saveResolution(editingException.key, resolution)
+                    }
+                    onCancel={() => setEditingException(null)}
+                  />
+                )}
+
+                <ResultFilters
+                  key={selectedCategory}
+                  filters={filters}
+                  onChange={updateFilters}
+                  options={filterOptions}
+                  showFlags={MATCH_CATEGORIES.includes(selectedCategory)}
+                  extraColumns={extraColumns}
+                  selectedColumns={shownColumns}
+                  onColumnsChange={setVisibleColumns}
+                />
+
+                {selectedCategory === "amount" && (
+                  <VarianceSummary
+                    matches={viewData}
+                    formatCurrency={formatCurrency}
+                  />
+                )}
+
+                <div className="overflow-x-auto">
+                  {selectedCategory === "matched" ? (
+                    <table className="w-full">
+                      <caption className="sr-only">
+                        {t("categories.matched")}
+                      </caption>
+                      <thead>
+                        <tr className="border-b border-gray-200">
+                          <SortableHeader
+                            label={t("columns.reference")}
+                            field="reference"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          {showProvider && (
+                            <SortableHeader
+                              label={t("columns.provider")}
+                              field="provider"
+                              sort={sort}
+                              onSort={updateSort}
+                            />
+                          )}
+                          <SortableHeader
+                            label={t("columns.internalAmount")}
+                            field="amount"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.providerAmount")}
+                            field="providerAmount"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.internalStatus")}
+                            field="status"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.providerStatus")}
+                            field="providerStatus"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.settlementLag")}
+                            field="lag"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <th
+                            scope="col"
+                            className="text-left py-3 px-4 font-medium text-gray-700"
                           >
-                            {formatCurrency(
-                              match.provider.amount,
-                              match.provider.currency
-                            )}
-                          </td>
-                          <td
-                            className={`py-3 px-4 ${
-                              !match.statusMatch
-                                ? "bg-yellow-50 text-yellow-700"
-                                : ""
-                            }`}
+                            {t("columns.flags")}
+                          </th>
+                          <th
+                            scope="col"
+                            className="text-left py-3 px-4 font-medium text-gray-700"
                           >
-                            <span className="px-2 py-1 bg-gray-100 rounded text-xs">
-                              {match.internal.status}
-                            </span>
-                          </td>
-                          <td
-                            className={`py-3 px-4 ${
-                              !match.statusMatch
-                                ? "bg-yellow-50 text-yellow-700"
-                                : ""
-                            }`}
+                            {t("columns.resolution")}
+                          </th>
+                          {shownColumns.map((column) => (
+                            <th
+                              key={column}
+                              scope="col"
+                              className="text-left py-3 px-4 font-medium text-gray-700"
+                            >
+                              {column}
+                            </th>
+                          ))}
+                          {!viewingRun && <td />}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pageRows.map((match) => (
+                          <tr
+                            key={match.transaction_reference}
+                            className="border-b border-gray-100 hover:bg-gray-50"
                           >
-                            <span className="px-2 py-1 bg-gray-100 rounded text-xs">
-                              {match.provider.status}
-                            </span>
-                          </td>
-                          <td className="py-3 px-4">
-                            <div className="flex space-x-1">
+                            <td className="py-3 px-4 font-mono text-sm">
+                              {match.transaction_reference}
+                              {match.provider.transaction_reference !==
+                                match.transaction_reference && (
+                                <div className="text-xs text-gray-500">
+                                  <span aria-hidden="true">↔</span>
+                                  <span className="sr-only">
+                                    {t("table.providerReference")}
+                                  </span>{" "}
+                                  {match.provider.transaction_reference}
+                                </div>
+                              )}
+                            </td>
+                            {showProvider && <ProviderCell item={match} />}
+                            <td
+                              className={`py-3 px-4 ${
+                                !match.amountMatch
+                                  ? "bg-red-50 text-red-700"
+                                  : ""
+                              }`}
+                            >
+                              {formatCurrency(
+                                match.internal.amount,
+                                match.internal.currency
+                              )}
                               {!match.amountMatch && (
-                                <span className="px-2 py-1 bg-red-100 text-red-700 rounded text-xs">
-                                  Amount
-                                </span>
+                                <MismatchNote label={t("flags.amount")} />
+                              )}
+                            </td>
+                            <td
+                              className={`py-3 px-4 ${
+                                !match.amountMatch
+                                  ? "bg-red-50 text-red-700"
+                                  : ""
+                              }`}
+                            >
+                              {formatCurrency(
+                                match.provider.amount,
+                                match.provider.currency
                               )}
+                              {!match.amountMatch && (
+                                <MismatchNote label={t("flags.amount")} />
+                              )}
+                              {match.comparedProviderAmount !== null &&
+                                match.comparedProviderAmount !==
+                                  match.provider.amount && (
+                                  <div className="text-xs text-gray-500">
+                                    {t("table.comparedAs", {
+                                      amount: formatCurrency(
+                                        match.comparedProviderAmount,
+                                        match.internal.currency
+                                      ),
+                                    })}
+                                  </div>
+                                )}
+                            </td>
+                            <td
+                              className={`py-3 px-4 ${
+                                !match.statusMatch
+                                  ? "bg-yellow-50 text-yellow-700"
+                                  : ""
+                              }`}
+                            >
+                              <span className="px-2 py-1 bg-gray-100 rounded text-xs">
+                                {match.internal.status}
+                              </span>
                               {!match.statusMatch && (
-                                <span className="px-2 py-1 bg-yellow-100 text-yellow-700 rounded text-xs">
-                                  Status
-                                </span>
+                                <MismatchNote label={t("flags.status")} />
                               )}
-                              {match.amountMatch && match.statusMatch && (
-                                <span className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs">
-                                  Perfect
-                                </span>
+                            </td>
+                            <td
+                              className={`py-3 px-4 ${
+                                !match.statusMatch
+                                  ? "bg-yellow-50 text-yellow-700"
+                                  : ""
+                              }`}
+                            >
+                              <span className="px-2 py-1 bg-gray-100 rounded text-xs">
+                                {match.provider.status}
+                              </span>
+                              {!match.statusMatch && (
+                                <MismatchNote label={t("flags.status")} />
                               )}
-                            </div>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                ) : (
-                  <table className="w-full">
-                    <thead>
-                      <tr className="border-b border-gray-200">
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Reference
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Amount
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Status
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Date
-                        </th>
-                        <th className="text-left py-3 px-4 font-medium text-gray-700">
-                          Description
-                        </th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {(selectedCategory === "internal"
-                        ? reconciliationResults.internalOnly
-                        : reconciliationResults.providerOnly
-                      ).map((transaction) => (
-                        <tr
-                          key={transaction.transaction_reference}
-                          className="border-b border-gray-100 hover:bg-gray-50"
-                        >
-                          <td className="py-3 px-4 font-mono text-sm">
-                            {transaction.transaction_reference}
-                          </td>
-                          <td className="py-3 px-4">
-                            {formatCurrency(
-                              transaction.amount,
-                              transaction.currency
+                            </td>
+                            <td className="py-3 px-4 text-sm">
+                              {match.settlementLagDays === null
+                                ? "-"
+                                : t("table.lagDays", {
+                                    count: match.settlementLagDays,
+                                  })}
+                            </td>
+                            <td className="py-3 px-4">
+                              <div className="flex space-x-1">
+                                {match.cardinality !== "one-to-one" && (
+                                  <span
+                                    className="px-2 py-1 bg-purple-100 text-purple-700 rounded text-xs"
+                                    title={match.cardinality}
+                                  >
+                                    {match.internalRows.length}:
+                                    {match.providerRows.length}
+                                  </span>
+                                )}
+                                {match.manualMatch ? (
+                                  <span
+                                    className="px-2 py-1 bg-indigo-100 text-indigo-700 rounded text-xs"
+                                    title={match.manualMatch.comment}
+                                  >
+                                    {t("rules.manual")}
+                                  </span>
+                                ) : (
+                                  match.matchType !== "exact" && (
+                                    <span
+                                      className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs"
+                                      title={t("table.confidence", {
+                                        percent: i18n.formatPercent(
+                                          match.confidence
+                                        ),
+                                      })}
+                                    >
+                                      {t(`rules.${match.matchType}`)}
+                                    </span>
+                                  )
+                                )}
+                                {!match.currencyMatch && (
+                                  <span
+                                    className="px-2 py-1 bg-orange-100 text-orange-700 rounded text-xs"
+                                    title={
+                                      match.fxRate
+                                        ? t("table.convertedAt", {
+                                            rate: match.fxRate,
+                                          })
+                                        : t("table.noFxRate")
+                                    }
+                                  >
+                                    {t("flags.currency")}
+                                  </span>
+                                )}
+                                {!match.amountMatch && (
+                                  <span className="px-2 py-1 bg-red-100 text-red-700 rounded text-xs">
+                                    {t("flags.amount")}
+                                  </span>
+                                )}
+                                {!match.statusMatch && (
+                                  <span
+                                    className={`px-2 py-1 rounded text-xs ${
+                                      SEVERITY_CLASSES[match.statusSeverity]
+                                    }`}
+                                    title={`${match.internalCanonical} vs ${match.providerCanonical}`}
+                                  >
+                                    {t("flags.status")} (
+                                    {t(`severity.${match.statusSeverity}`)})
+                                  </span>
+                                )}
+                                {match.slaBreached && (
+                                  <span className="px-2 py-1 bg-orange-100 text-orange-700 rounded text-xs">
+                                    {t("flags.late")}
+                                  </span>
+                                )}
+                                {match.amountMatch && match.statusMatch && (
+                                  <span className="px-2 py-1 bg-green-100 text-green-700 rounded text-xs">
+                                    {t("flags.perfect")}
+                                  </span>
+                                )}
+                              </div>
+                            </td>
+                            <td className="py-3 px-4">
+                              <div className="flex space-x-1">
+                                {["amount", "status"].map((kind) => {
+                                  const key = getMatchExceptionKey(kind, match);
+                                  const label = t(`flags.${kind}`);
+
+                                  return (
+                                    key && (
+                                      <ExceptionBadge
+                                        key={kind}
+                                        label={label}
+                                        resolution={resolutions[key]}
+                                        onEdit={() =>
+                                          editException(
+                                            key,
+                                            `${label} – ${match.transaction_reference}`
+                                          )
+                                        }
+                                      />
+                                    )
+                                  );
+                                })}
+                                {match.amountMatch && match.statusMatch && "-"}
+                              </div>
+                            </td>
+                            <ExtraColumnCells
+                              item={match}
+                              columns={shownColumns}
+                            />
+                            {!viewingRun && (
+                              <td className="py-3 px-4">
+                                <button
+                                  onClick={() => unmatch(match)}
+                                  className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                                  title={t("table.unmatch")}
+                                  aria-label={`${t("table.unmatch")}: ${
+                                    match.transaction_reference
+                                  }`}
+                                >
+                                  <Unlink
+                                    className="w-4 h-4"
+                                    aria-hidden="true"
+                                  />
+                                </button>
+                              </td>
                             )}
-                          </td>
-                          <td className="py-3 px-4">
-                            <span className="px-2 py-1 bg-gray-100 rounded text-xs">
-                              {transaction.status}
-                            </span>
-                          </td>
-                          <td className="py-3 px-4 text-sm">
-                            {transaction.date}
-                          </td>
-                          <td className="py-3 px-4 text-sm text-gray-600">
-                            {transaction.description || "-"}
-                          </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  ) : selectedCategory === "amount" ? (
+                    <AmountMismatchTable
+                      matches={pageRows}
+                      exceptionKeys={pageExceptionKeys}
+                      resolutions={resolutions}
+                      formatCurrency={formatCurrency}
+                      onEditException={editException}
+                      sort={sort}
+                      onSort={updateSort}
+                      showProvider={showProvider}
+                      extraColumns={shownColumns}
+                    />
+                  ) : selectedCategory === "status" ? (
+                    <StatusMismatchTable
+                      matches={pageRows}
+                      exceptionKeys={pageExceptionKeys}
+                      resolutions={resolutions}
+                      onEditException={editException}
+                      sort={sort}
+                      onSort={updateSort}
+                      showProvider={showProvider}
+                      extraColumns={shownColumns}
+                    />
+                  ) : selectedCategory === "suggested" ? (
+                    <SuggestedMatchesTable
+                      suggestions={pageRows}
+                      formatCurrency={formatCurrency}
+                      onDecide={viewingRun ? null : decideSuggestion}
+                      sort={sort}
+                      onSort={updateSort}
+                      showProvider={showProvider}
+                    />
+                  ) : PAYOUT_CATEGORIES.includes(selectedCategory) ? (
+                    <PayoutsTable
+                      payouts={pageRows}
+                      exceptionKeys={pageExceptionKeys}
+                      resolutions={resolutions}
+                      formatCurrency={formatCurrency}
+                      onEditException={
+                        EXCEPTION_KINDS[selectedCategory] ? editException : null
+                      }
+                      title={t(`categories.${selectedCategory}`)}
+                      sort={sort}
+                      onSort={updateSort}
+                      showProvider={showProvider}
+                    />
+                  ) : selectedCategory === "duplicates" ? (
+                    <DuplicatesTable
+                      duplicates={pageRows}
+                      formatCurrency={formatCurrency}
+                      sort={sort}
+                      onSort={updateSort}
+                      showProvider={showProvider}
+                    />
+                  ) : (
+                    <table className="w-full">
+                      <caption className="sr-only">
+                        {t(`categories.${selectedCategory}`)}
+                      </caption>
+                      <thead>
+                        <tr className="border-b border-gray-200">
+                          {selectionSide && (
+                            <th scope="col" className="py-3 pl-4">
+                              <span className="sr-only">
+                                {t("table.select")}
+                              </span>
+                            </th>
+                          )}
+                          <SortableHeader
+                            label={t("columns.reference")}
+                            field="reference"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          {showProvider && (
+                            <SortableHeader
+                              label={t("columns.provider")}
+                              field="provider"
+                              sort={sort}
+                              onSort={updateSort}
+                            />
+                          )}
+                          <SortableHeader
+                            label={t("columns.amount")}
+                            field="amount"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.status")}
+                            field="status"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.date")}
+                            field="date"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          <SortableHeader
+                            label={t("columns.description")}
+                            field="description"
+                            sort={sort}
+                            onSort={updateSort}
+                          />
+                          {EXCEPTION_KINDS[selectedCategory] && (
+                            <th
+                              scope="col"
+                              className="text-left py-3 px-4 font-medium text-gray-700"
+                            >
+                              {t("columns.resolution")}
+                            </th>
+                          )}
+                          {shownColumns.map((column) => (
+                            <th
+                              key={column}
+                              scope="col"
+                              className="text-left py-3 px-4 font-medium text-gray-700"
+                            >
+                              {column}
+                            </th>
+                          ))}
                         </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                )}
+                      </thead>
+                      <tbody>
+                        {pageRows.map((transaction, index) => (
+                          <tr
+                            key={`${transaction.transaction_reference}-${index}`}
+                            className="border-b border-gray-100 hover:bg-gray-50"
+                          >
+                            {selectionSide && (
+                              <td className="py-3 pl-4">
+                                <input
+                                  type="checkbox"
+                                  checked={manualSelection[
+                                    selectionSide
+                                  ].includes(transaction.transaction_reference)}
+                                  onChange={() =>
+                                    toggleSelection(
+                                      selectionSide,
+                                      transaction.transaction_reference
+                                    )
+                                  }
+                                  title={t("table.select")}
+                                  aria-label={`${t("table.select")}: ${
+                                    transaction.transaction_reference
+                                  }`}
+                                />
+                              </td>
+                            )}
+                            <td className="py-3 px-4 font-mono text-sm">
+                              {transaction.transaction_reference}
+                            </td>
+                            {showProvider && (
+                              <ProviderCell item={transaction} />
+                            )}
+                            <td className="py-3 px-4">
+                              {formatCurrency(
+                                transaction.amount,
+                                transaction.currency
+                              )}
+                            </td>
+                            <td className="py-3 px-4">
+                              <span className="px-2 py-1 bg-gray-100 rounded text-xs">
+                                {transaction.status}
+                              </span>
+                            </td>
+                            <td className="py-3 px-4 text-sm">
+                              {formatDate(transaction.date)}
+                            </td>
+                            <td className="py-3 px-4 text-sm text-gray-600">
+                              {displayValue(
+                                "description",
+                                transaction.description
+                              ) || "-"}
+                            </td>
+                            {EXCEPTION_KINDS[selectedCategory] && (
+                              <td className="py-3 px-4">
+                                <ExceptionBadge
+                                  resolution={
+                                    resolutions[pageExceptionKeys[index]]
+                                  }
+                                  onEdit={() =>
+                                    editException(
+                                      pageExceptionKeys[index],
+                                      `${t(
+                                        `categories.${selectedCategory}`
+                                      )} – ${transaction.transaction_reference}`
+                                    )
+                                  }
+                                />
+                              </td>
+                            )}
+                            <ExtraColumnCells
+                              item={transaction}
+                              columns={shownColumns}
+                            />
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
 
-                {categories.find((cat) => cat.id === selectedCategory)?.data
-                  .length === 0 && (
-                  <div className="text-center py-8 text-gray-500">
-                    No transactions in this category
-                  </div>
-                )}
+                  {selectedData.length === 0 && (
+                    <div className="text-center py-8 text-gray-500">
+                      {t("results.emptyCategory")}
+                    </div>
+                  )}
+                  {selectedData.length > 0 && viewData.length === 0 && (
+                    <div className="text-center py-8 text-gray-500">
+                      {t("results.noFilterMatches")}
+                    </div>
+                  )}
+                </div>
+
+                <Pagination
+                  page={currentPage}
+                  pageCount={pageCount}
+                  pageSize={PAGE_SIZE}
+                  totalRows={viewData.length}
+                  onChange={setPage}
+                />
               </div>
-            </div>
-          </>
-        )}
+
+              {/* Journal Entries */}
+              <JournalPanel
+                results={reconciliationResults}
+                resolutions={resolutions}
+                feeInclusive={amountSettings.feeInclusive}
+                settings={journalSettings}
+                onSettingsChange={setJournalSettings}
+                formatCurrency={formatCurrency}
+                onError={setError}
+              />
+            </>
+          )}
+        </div>
       </div>
-    </div>
+    </ToolProviders>
   );
 };
 
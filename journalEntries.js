@@ -0,0 +1,249 @@
+// Adjusting journal entries proposed from reconciliation results: fee
+// expense for net-versus-gross differences, write-offs for small variances
+// and suspense postings for provider-only items.
+import Papa from "papaparse";
+import { getMinorUnits } from "./amountComparison.js";
+import { getExceptionKeys } from "./exceptions.js";
+
+// Ledger roles a proposed line can post to
+export const ACCOUNT_ROLES = [
+  { id: "clearing", label: "Processor clearing" },
+  { id: "feeExpense", label: "Fee expense" },
+  { id: "writeOff", label: "Write-offs" },
+  { id: "suspense", label: "Suspense" },
+];
+
+export const DEFAULT_JOURNAL_SETTINGS = {
+  accounts: {
+    clearing: { code: "1150", name: "Payment processor clearing" },
+    feeExpense: { code: "6150", name: "Payment processing fees" },
+    writeOff: { code: "6990", name: "Reconciliation differences" },
+    suspense: { code: "2990", name: "Suspense" },
+  },
+  // Clearing accounts by provider name, for providers settling separately
+  providerClearing: {},
+  // Variances up to this size, in the internal currency, are written off
+  writeOffThreshold: 1,
+};
+
+const roundFor = (amount, currency) => {
+  const factor = 10 ** getMinorUnits(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+const line = (account, amount, currency) => ({
+  account: account.code,
+  accountName: account.name,
+  debit: amount > 0 ? roundFor(amount, currency) : 0,
+  credit: amount < 0 ? roundFor(-amount, currency) : 0,
+});
+
+const clearingAccount = (settings, provider) =>
+  settings.providerClearing[provider] || settings.accounts.clearing;
+
+/**
+ * Propose journal entries for open amount mismatches and provider-only items.
+ *
+ * @param {Object} results - Output of reconcile()
+ * @param {Object} [settings] - Shaped like {@link DEFAULT_JOURNAL_SETTINGS}
+ * @param {Object} [context]
+ * @param {Object} [context.resolutions] - Exception resolutions by key;
+ *   resolved items get no entry and written-off ones are written off in
+ *   full, whatever their size
+ * @param {boolean} [context.feeInclusive] - Whether provider fees were
+ *   already added back when amounts were compared
+ * @returns {{entries: Object[], skipped: Object[]}} Entries hold { id, key,
+ *   type, date, reference, provider, currency, description, lines }, each
+ *   line { account, accountName, debit, credit }; skipped items hold
+ *   { key, reference, reason }
+ */
+export const proposeJournalEntries = (
+  results,
+  settings = DEFAULT_JOURNAL_SETTINGS,
+  { resolutions = {}, feeInclusive = false } = {}
+) => {
+  const config = { ...DEFAULT_JOURNAL_SETTINGS, ...settings };
+  const { accounts, writeOffThreshold } = config;
+  const entries = [];
+  const skipped = [];
+  const stateOf = (key) => resolutions[key]?.state;
+
+  const amountKeys = getExceptionKeys("amount", results.amountMismatches);
+  results.amountMismatches.forEach((match, index) => {
+    const key = amountKeys[index];
+    const reference = match.transaction_reference;
+    if (stateOf(key) === "resolved") return;
+    if (match.variance === null) {
+      skipped.push({ key, reference, reason: "No FX rate for the variance" });
+      return;
+    }
+
+    // Internal amounts are gross; a provider paying out net leaves the fee
+    // as a positive variance
+    const currency = match.internal.currency || match.provider.currency;
+    const fee =
+      feeInclusive || !(match.provider.fee > 0)
+        ? 0
+        : roundFor(match.provider.fee * match.fxRate, currency);
+    const feePart = Math.max(0, Math.min(fee, match.variance));
+    const remainder = roundFor(match.variance - feePart, currency);
+    const writeOff =
+      remainder !== 0 &&
+      (Math.abs(remainder) <= writeOffThreshold ||
+        stateOf(key) === "written_off");
+    if (remainder !== 0 && !writeOff) {
+      skipped.push({
+        key,
+        reference,
+        reason: `Variance of ${remainder} is above the write-off threshold`,
+      });
+    }
+
+    const lines = [];
+    if (feePart > 0) lines.push(line(accounts.feeExpense, feePart, currency));
+    if (writeOff) lines.push(line(accounts.writeOff, remainder, currency));
+    if (lines.length === 0) return;
+
+    const provider = match.providerRows[0]?.provider_name || "";
+    const posted = feePart + (writeOff ? remainder : 0);
+    lines.push(line(clearingAccount(config, provider), -posted, currency));
+    entries.push({
+      key,
+      type: feePart > 0 ? "fee" : "writeOff",
+      date: match.internal.date || match.provider.date || "",
+      reference,
+      provider,
+      currency,
+      description:
+        feePart > 0
+          ? `Processing fee on ${reference}`
+          : `Write-off of variance on ${reference}`,
+      lines,
+    });
+  });
+
+  // Money the provider holds that the books do not know about yet
+  const providerKeys = getExceptionKeys("provider", results.providerOnly);
+  results.providerOnly.forEach((transaction, index) => {
+    const key = providerKeys[index];
+    if (stateOf(key) === "resolved") return;
+    if (!transaction.amount) {
+      skipped.push({
+        key,
+        reference: transaction.transaction_reference,
+        reason: "No amount",
+      });
+      return;
+    }
+
+    const provider = transaction.provider_name || "";
+    const currency = transaction.currency || "";
+    entries.push({
+      key,
+      type: "suspense",
+      date: transaction.date || "",
+      reference: transaction.transaction_reference,
+      provider,
+      currency,
+      description: `Unidentified provider item ${transaction.transaction_reference}`,
+      lines: [
+        line(clearingAccount(config, provider), transaction.amount, currency),
+        line(accounts.suspense, -transaction.amount, currency),
+      ],
+    });
+  });
+
+  return {
+    entries: entries.map((entry, index) => ({
+      id: `JE-${String(index + 1).padStart(4, "0")}`,
+      ...entry,
+    })),
+    skipped,
+  };
+};
+
+/**
+ * Check that every entry, and so the journal, has equal debits and credits.
+ *
+ * @param {Object[]} entries - From {@link proposeJournalEntries}
+ * @returns {{balanced: boolean, unbalanced: string[], totals: Object[]}}
+ *   Ids of unbalanced entries, and { currency, debit, credit } per currency
+ */
+export const checkJournalBalance = (entries) => {
+  const totals = new Map();
+  const unbalanced = [];
+
+  entries.forEach((entry) => {
+    const debit = roundFor(
+      entry.lines.reduce((sum, { debit }) => sum + debit, 0),
+      entry.currency
+    );
+    const credit = roundFor(
+      entry.lines.reduce((sum, { credit }) => sum + credit, 0),
+      entry.currency
+    );
+    if (debit !== credit) unbalanced.push(entry.id);
+
+    const total = totals.get(entry.currency) || {
+      currency: entry.currency,
+      debit: 0,
+      credit: 0,
+    };
+    total.debit = roundFor(total.debit + debit, entry.currency);
+    total.credit = roundFor(total.credit + credit, entry.currency);
+    totals.set(entry.currency, total);
+  });
+
+  return {
+    balanced: unbalanced.length === 0,
+    unbalanced,
+    totals: [...totals.values()].sort((a, b) =>
+      a.currency.localeCompare(b.currency)
+    ),
+  };
+};
+
+// One row per journal line, as most ledgers import them
+const toJournalRows = (entries) =>
+  entries.flatMap((entry) =>
+    entry.lines.map((entryLine) => ({
+      entry_id: entry.id,
+      date: entry.date,
+      account: entryLine.account,
+      account_name: entryLine.accountName,
+      debit: entryLine.debit || "",
+      credit: entryLine.credit || "",
+      currency: entry.currency,
+      description: entry.description,
+      reference: entry.reference,
+      provider: entry.provider,
+    }))
+  );
+
+/**
+ * Write the journal as CSV or JSON, refusing unbalanced entries.
+ *
+ * @param {Object[]} entries - From {@link proposeJournalEntries}
+ * @param {string} format - "csv" or "json"
+ * @returns {string}
+ * @throws {Error} When debits and credits differ
+ */
+export const exportJournal = (entries, format) => {
+  const { balanced, unbalanced, totals } = checkJournalBalance(entries);
+  if (!balanced) {
+    throw new Error(
+      `Debits and credits differ in ${unbalanced.join(
+        ", "
+      )}; nothing was exported`
+    );
+  }
+
+  if (format === "json") {
+    return JSON.stringify(
+      { generatedAt: new Date().toISOString(), totals, entries },
+      null,
+      2
+    );
+  }
+  return Papa.unparse(toJournalRows(entries));
+};
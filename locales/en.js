@@ -0,0 +1,691 @@
+// English UI messages. Keys missing from other languages fall back to these.
+// Messages with a count are { one, other } and picked by plural rules.
+export default {
+  app: {
+    title: "Payment Reconciliation Tool",
+    subtitle:
+      "Compare internal system transactions with payment processor statements",
+    language: "Language and number format",
+    history: "History",
+    compare: "Compare",
+    newRun: "New run",
+    processing: "Processing Reconciliation...",
+    start: "Start Reconciliation",
+  },
+  common: {
+    cancel: "Cancel",
+    save: "Save",
+    open: "Open",
+    import: "Import",
+    export: "Export",
+    importJson: "Import JSON",
+    exportJson: "Export JSON",
+    exportFormat: "Export {format}",
+    transactions: {
+      one: "{count} transaction",
+      other: "{count} transactions",
+    },
+  },
+  sources: {
+    internal: "Internal System Export",
+    provider: "Provider Statement",
+    bank: "Bank Statement",
+    upload: "Uploaded File",
+  },
+  progress: {
+    reading: "Reading {file}",
+    exact: "Matching transactions",
+    suggestions: "Finding suggested matches",
+  },
+  errors: {
+    readHistory: "Could not read run history: {message}",
+    runMissing: "This run is no longer in the history",
+    openRun: "Could not open run: {message}",
+    openApiRun: "Could not open API run: {message}",
+    deleteRun: "Could not delete run: {message}",
+    invalidProfile: "Invalid configuration profile: {message}",
+    unknownLocale: 'Unknown locale "{locale}"',
+    missingFiles:
+      "Please upload the internal export and at least one provider statement before processing",
+    providerNames: "Please give each provider statement a unique name",
+    reviewValidation: "Please review the validation report before reconciling",
+    report: "Could not create report: {message}",
+    duplicateFile:
+      "{file} has the same contents as the {source}, which is already uploaded",
+    export: "Could not export: {message}",
+  },
+  upload: {
+    internal: "Upload Internal Statement",
+    bank: "Upload Bank Statement",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 or JSON – map columns after upload",
+    bankHint: "Adds a three-way match: provider payouts against bank deposits",
+    optional: "optional",
+    editMapping: "Edit mapping",
+    mapping: "Mapping: {name}",
+    awaitingMapping: "awaiting column mapping",
+    dropTitle: "Upload Statements",
+    drop: "Drop several files here or click to choose them",
+    dropHint:
+      "Each file is sorted into the internal export, a provider statement or the bank statement by its columns",
+    useAs: "Use as",
+    reasons: {
+      profile: "columns of saved mapping “{name}”",
+      history: "same columns as in the run of {date}",
+      format: "bank statement format",
+      columns: "has fee or payout columns",
+      default: "columns not recognised",
+      chosen: "chosen by you",
+    },
+    reconciledFile:
+      "This exact file was already reconciled in the run of {date}, as the {source}.",
+    reconciledReferences: {
+      one: "{count} reference was already reconciled in the run of {date}.",
+      other: "{count} references were already reconciled in the run of {date}.",
+    },
+    roleHint:
+      "Files with these columns were used as the {source} before. Check it was uploaded in the right place.",
+  },
+  providers: {
+    title: "Provider Statements",
+    upload: "Upload Provider Statement",
+    addAnother: "Add Another Provider Statement",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 or JSON – one file per provider, mapped after upload",
+    name: "Provider name",
+    nameHint: "Provider name shown in the results",
+    remove: "Remove statement",
+    duplicateName: "Another statement already uses this provider name",
+  },
+  sheet: {
+    title: "Choose a Sheet – {source}",
+    description:
+      "{file} contains several sheets. Which one holds the transactions?",
+  },
+  savedRun: {
+    title: "Saved run from {date}",
+    file: {
+      one: "{count} transaction from {rows} rows, {format}",
+      other: "{count} transactions from {rows} rows, {format}",
+    },
+    hint: "Results are shown as saved. Start a new run to reconcile again with these settings.",
+  },
+  mapping: {
+    title: "Map Columns – {source}",
+    description:
+      "Assign the columns detected in {file} to the fields used for reconciliation.",
+    required: "Required",
+    notMapped: "— Not mapped —",
+    amountFormat: "Amount format",
+    detectFormat: "Detect automatically",
+    preview: "Preview of {file}",
+    showing: "Showing {shown} of {count} rows",
+    missing: "Please map the required fields: {fields}",
+    saveProfile: "Save as mapping profile",
+    profileName: "Profile name",
+    apply: "Apply Mapping",
+  },
+  fields: {
+    transaction_reference: "Reference",
+    amount: "Amount",
+    status: "Status",
+    date: "Date",
+    currency: "Currency",
+    description: "Description",
+    fee: "Fee",
+    payout_id: "Payout / Batch ID",
+  },
+  matchingRules: {
+    title: "Suggested Match Rules",
+    description:
+      "Applied to transactions without an exact reference match. Suggestions must be accepted before they count as matched.",
+    stripPrefixes: "Prefixes to strip",
+    minLength: "Min. truncated length",
+    amountTolerance: "Amount tolerance",
+    maxDaysApart: "Max. days apart",
+    minSharedTokens: "Min. shared words",
+    maxGroupRows: "Max. rows per group",
+    groupTotalHint:
+      "Matched without review when leftover rows in one currency add up to a single row on the other side. Off by default, since some sums agree by chance.",
+  },
+  rules: {
+    exact: "Exact reference",
+    normalizedReference: "Normalized reference",
+    amountDate: "Amount + date",
+    descriptionTokens: "Description tokens",
+    groupTotal: "Group total",
+    manual: "Manual",
+  },
+  amounts: {
+    title: "Amount Comparison",
+    description:
+      "Amounts are rounded to each currency's minor unit, then compared within the tolerance for the internal currency.",
+    tolerances: "Tolerances by currency",
+    currency: "Currency",
+    absolute: "Absolute",
+    percent: "Percent",
+    allOthers: "All others",
+    removeTolerance: "Remove tolerance",
+    currencyPlaceholder: "e.g. JPY",
+    addCurrency: "Add currency",
+    feeInclusive: "Fee-inclusive comparison",
+    feeInclusiveHint:
+      "Adds the provider fee column back to net amounts before comparing with internal gross amounts",
+    uploadFx: "Upload FX rate table",
+    fxHint:
+      "Columns: from_currency, to_currency, rate. Provider amounts are converted into the internal currency.",
+    fxLoaded: {
+      one: "{count} FX rate loaded",
+      other: "{count} FX rates loaded",
+    },
+    clearFx: "Clear FX rates",
+    fxParseError: "Error parsing FX rates: {message}",
+  },
+  statusMapping: {
+    title: "Status Equivalence",
+    description:
+      "Statuses are translated to canonical values before comparison.",
+    defaultSeverity:
+      "Mismatches not listed under severity rules are treated as",
+    invalidFile: "Invalid status mapping file: {message}",
+    equivalences: "Equivalences",
+    source: "Source",
+    status: "Status",
+    canonical: "Canonical",
+    internal: "Internal",
+    provider: "Provider",
+    severity: "Severity",
+    sides: {
+      any: "Any",
+      internal: "Internal",
+      provider: "Provider",
+    },
+    removeEquivalence: "Remove equivalence",
+    addEquivalence: "Add equivalence",
+    severityRules: "Severity rules",
+    removeRule: "Remove rule",
+    addRule: "Add severity rule",
+  },
+  severity: {
+    info: "Info",
+    warning: "Warning",
+    critical: "Critical",
+  },
+  dates: {
+    title: "Dates & Period",
+    description:
+      "Dates are read with the formats below and compared as calendar days in the reporting time zone. Leave the period empty to use every row.",
+    internalFormat: "Internal date format",
+    providerFormat: "Provider date format",
+    bankFormat: "Bank date format",
+    autoFormat: "Auto-detect (ISO 8601)",
+    timeZone: "Reporting time zone",
+    timeZonePlaceholder: "e.g. Africa/Nairobi",
+    timeZoneHint: "Used for timestamps without an offset",
+    unknownTimeZone: "Unknown time zone",
+    periodStart: "Period start",
+    periodEnd: "Period end",
+    cutoffDays: "Timing window (days before period end)",
+    cutoffDaysHint:
+      "Internal-only items booked in this window are expected on the next statement",
+    settlementSla: "Settlement SLA (days)",
+    settlementSlaHint: "Matches settled later than this are flagged",
+  },
+  settlement: {
+    title: "Payout Matching",
+    description:
+      "Provider rows are grouped by their payout or batch ID, and each payout is matched to a bank deposit that mentions it or has the same amount.",
+    maxDaysApart: "Days between payout and deposit",
+    maxDaysApartHint: "Counted from the payout's last transaction",
+    tolerance: "Tolerance",
+    toleranceHint: "Smaller differences count as received in full",
+    feesDeducted: "Fees are deducted from payouts",
+    feesDeductedHint: "The bank receives the gross amount less the fee column",
+    maxShortPercent: "Largest shortfall (%)",
+    maxShortPercentHint:
+      "A smaller deposit that does not mention the payout only counts as the payout received short within this share of its amount",
+  },
+  privacy: {
+    title: "Personal Data",
+    description:
+      "Columns holding card numbers, email addresses, phone numbers or IBANs are found from their values. Set a type to correct the detection.",
+    panWarning:
+      "Full card numbers found in {files}. Card numbers should not be in statements; mask them at the source where possible.",
+    maskDisplay: "Mask values on screen",
+    maskDisplayHint: "Shows only the last digits, such as ************1111",
+    exportMode: "In exports and reports",
+    exportModes: {
+      redact: "Redact",
+      hash: "Hash",
+      mask: "Mask as on screen",
+      keep: "Keep",
+    },
+    exportModeHints: {
+      redact: "Values are replaced by [redacted]",
+      hash: "Values are replaced by a keyed hash; equal values stay equal within a session",
+      mask: "Values are masked the way they are shown",
+      keep: "Values are exported in full",
+    },
+    types: {
+      pan: "Card number (PAN)",
+      email: "Email address",
+      phone: "Phone number",
+      iban: "IBAN",
+    },
+    columnsCaption: "Columns holding personal data",
+    columns: {
+      column: "Column",
+      foundIn: "Found in",
+      type: "Type",
+      remove: "Remove",
+    },
+    typeFor: "Type of column {column}",
+    notSensitive: "Not sensitive",
+    useDetection: "Use detection",
+    noneFound: "No columns with personal data were found.",
+    newColumn: "Column name",
+    addColumn: "Add column",
+  },
+  profiles: {
+    title: "Configuration Profile",
+    description:
+      "A profile holds column mappings, matching rules, tolerances, status mappings, date and payout settings, the chart of accounts, the display locale and the export layout. Profiles are saved in this browser; export them to share.",
+    choose: "Choose a profile",
+    apply: "Apply",
+    delete: "Delete profile",
+    name: "Profile name",
+    save: "Save current settings",
+    displayAndExport: "Display and export settings",
+    locale: "Locale for language, amounts and dates",
+    localePlaceholder: "e.g. en-KE",
+    delimiter: "CSV delimiter",
+    delimiters: {
+      comma: "Comma",
+      semicolon: "Semicolon",
+      tab: "Tab",
+    },
+    exportColumns:
+      "Export columns per category, comma-separated in order. Leave empty to export every column.",
+  },
+  validation: {
+    title: "Validation Report",
+    download: "Download issues",
+    read: {
+      one: "{count} row read",
+      other: "{count} rows read",
+    },
+    accepted: "{count} accepted",
+    rejected: "{count} rejected",
+    coerced: "{count} coerced",
+    warnings: "{count} with warnings",
+    caption: "Issues in {file}",
+    actions: {
+      rejected: "Rejected",
+      coerced: "Coerced",
+      warning: "Warning",
+    },
+    reviewed:
+      "I have reviewed these issues and want to reconcile with the cleaned data",
+    clean: "Every row was read without changes.",
+  },
+  history: {
+    title: "Run History",
+    close: "Close history",
+    empty:
+      "No saved runs yet. Runs are saved in this browser when reconciliation completes.",
+    current: "Shown now",
+    fromApi: "Submitted through the API",
+    delete: "Delete run",
+    columns: {
+      run: "Run",
+      internal: "Internal",
+      provider: "Provider",
+      files: "Files",
+      matched: "Matched",
+      unmatched: "Unmatched",
+    },
+  },
+  apiRuns: {
+    title: "API Runs",
+    url: "Reconciliation service URL",
+    load: "Load runs",
+    empty: "No runs on this server yet. Submit files with POST /runs.",
+    listError: "Could not list API runs: {message}",
+  },
+  comparison: {
+    title: "Compare Runs",
+    close: "Close comparison",
+    description:
+      "Pick saved runs or upload earlier exports: a report workbook, or the category CSVs of one run together. Runs are ordered by date; breaks are open exceptions, so resolved and written-off ones count as cleared.",
+    savedRuns: "Saved runs",
+    noRuns: "No saved runs yet",
+    exports: "Exported results",
+    upload: "Upload one run's export",
+    removeExport: "Remove export",
+    needTwo: "Add at least two runs to compare them.",
+    previous: "Previous",
+    current: "Current",
+    summary: {
+      one: "{count} break still open · match rate {previous} → {current}",
+      other: "{count} breaks still open · match rate {previous} → {current}",
+    },
+    newBreaks: "New breaks",
+    clearedBreaks: "Cleared breaks",
+    longOpen: "Long-open breaks",
+    none: "None",
+    byAge: "Open breaks by age",
+    ageHint: {
+      one: "Consecutive runs up to the current one, of the {count} compared",
+      other: "Consecutive runs up to the current one, of the {count} compared",
+    },
+    minRunsBefore: "List breaks open for more than",
+    minRunsAfter: "runs",
+    runs: {
+      one: "{count} run",
+      other: "{count} runs",
+    },
+    bucketOpen: "{min}+ runs",
+    bucketRange: "{min} – {max} runs",
+    trend: "Trend",
+    columns: {
+      run: "Run",
+      matchRate: "Match rate",
+      openBreaks: "Open breaks",
+      netVariance: "Net variance",
+    },
+    runMissing: "This run is no longer in the history",
+    openError: "Could not open run: {message}",
+    readError: "Could not read export: {message}",
+  },
+  results: {
+    reportXlsx: "Download report (XLSX)",
+    reportPdf: "Download report (PDF)",
+    summary: "Result categories",
+    viewDetails: "View details",
+    exportCsv: "Export CSV",
+    exportCategory: "Export {category} as CSV",
+    resolvedOf: "{resolved} resolved of {total}",
+    shownOf: "{shown} of {total}",
+    unapplied: {
+      one: "{count} manual match could not be applied because its rows are no longer unmatched.",
+      other:
+        "{count} manual matches could not be applied because their rows are no longer unmatched.",
+    },
+    removeUnapplied: "Remove them",
+    emptyCategory: "No transactions in this category",
+    noFilterMatches: "No transactions match the current filters",
+  },
+  categories: {
+    matched: "Matched Transactions",
+    internal: "Internal Only",
+    provider: "Provider Only",
+    timing: "Timing Differences",
+    amount: "Amount Mismatches",
+    status: "Status Mismatches",
+    suggested: "Suggested Matches",
+    duplicates: "Duplicates",
+    payouts: "Settled Payouts",
+    shortPayouts: "Short or Over Payouts",
+    missingPayouts: "Payouts Not Received",
+    deposits: "Unmatched Deposits",
+  },
+  alerts: {
+    title: "Data Mismatches Detected",
+    amount: {
+      one: "{count} open transaction with an amount mismatch",
+      other: "{count} open transactions with amount mismatches",
+    },
+    status: {
+      one: "{count} open transaction with a {severity} status mismatch",
+      other: "{count} open transactions with {severity} status mismatches",
+    },
+    resolved: "{count} resolved",
+    currency: {
+      one: "{count} transaction with a currency mismatch",
+      other: "{count} transactions with currency mismatches",
+    },
+    duplicates: {
+      one: "{count} reference with duplicate rows",
+      other: "{count} references with duplicate rows",
+    },
+    sla: {
+      one: "{count} match settled later than the {days}-day SLA",
+      other: "{count} matches settled later than the {days}-day SLA",
+    },
+    payoutDifferences: {
+      one: "{count} payout received short or over the expected amount",
+      other: "{count} payouts received short or over the expected amount",
+    },
+    missingPayouts: {
+      one: "{count} payout not found on the bank statement",
+      other: "{count} payouts not found on the bank statement",
+    },
+  },
+  period: {
+    window:
+      "Period {start} to {end}: {internal} internal and {provider} provider rows outside the window were left out.",
+    cutoff:
+      "Internal-only items dated from {date} are treated as timing differences expected next period.",
+    unbatched: {
+      one: "{count} provider row has no payout ID and is not part of any payout.",
+      other:
+        "{count} provider rows have no payout ID and are not part of any payout.",
+    },
+  },
+  columns: {
+    reference: "Reference",
+    provider: "Provider",
+    amount: "Amount",
+    status: "Status",
+    date: "Date",
+    description: "Description",
+    currency: "Currency",
+    internalAmount: "Internal Amount",
+    providerAmount: "Provider Amount",
+    internalStatus: "Internal Status",
+    providerStatus: "Provider Status",
+    internalReference: "Internal Reference",
+    providerReference: "Provider Reference",
+    settlementLag: "Settlement Lag",
+    flags: "Flags",
+    resolution: "Resolution",
+    fee: "Fee",
+    variance: "Variance",
+    severity: "Severity",
+    dates: "Dates",
+    rule: "Rule",
+    confidence: "Confidence",
+    actions: "Actions",
+    internalRows: "Internal Rows",
+    internalTotal: "Internal Total",
+    providerRows: "Provider Rows",
+    providerTotal: "Provider Total",
+    outcome: "Outcome",
+    payoutId: "Payout ID",
+    transactions: "Transactions",
+    payoutDate: "Payout Date",
+    expected: "Expected",
+    received: "Received",
+    difference: "Difference",
+    deposit: "Deposit",
+    line: "Line",
+    field: "Field",
+    value: "Value",
+    action: "Action",
+    reason: "Reason",
+  },
+  table: {
+    sort: {
+      asc: "Sort by {column}, ascending",
+      desc: "Sort by {column}, descending",
+    },
+    providerReference: "Provider reference:",
+    comparedAs: "compared as {amount}",
+    noFxRate: "No FX rate available",
+    convertedAt: "Converted at {rate}",
+    canonicalStatus: "Canonical status:",
+    confidence: "Confidence {percent}",
+    lagDays: {
+      one: "{count} d",
+      other: "{count} d",
+    },
+    unmatch: "Unmatch",
+    select: "Select for manual match",
+  },
+  flags: {
+    split: "Split (n:m)",
+    rule: "Rule-based match",
+    manual: "Manual match",
+    currency: "Currency mismatch",
+    amount: "Amount mismatch",
+    status: "Status mismatch",
+    late: "Late settlement",
+    perfect: "Perfect",
+  },
+  filters: {
+    label: "Filter results",
+    search: "Search reference or description",
+    allStatuses: "All statuses",
+    allCurrencies: "All currencies",
+    allProviders: "All providers",
+    allFlags: "All flags",
+    min: "Min",
+    minAmount: "Minimum amount",
+    max: "Max",
+    maxAmount: "Maximum amount",
+    dateFrom: "From date",
+    dateTo: "To date",
+    clear: "Clear filters",
+    columns: "Columns ({count})",
+  },
+  pagination: {
+    label: "Result pages",
+    showing: "Showing {first}–{last} of {total}",
+    previous: "Previous page",
+    next: "Next page",
+    page: "Page {page} of {count}",
+  },
+  manualMatch: {
+    title: "Manual match:",
+    selection: "{internal} with {provider}",
+    internalReferences: {
+      one: "{count} internal reference ({total})",
+      other: "{count} internal references ({total})",
+    },
+    providerReferences: {
+      one: "{count} provider reference ({total})",
+      other: "{count} provider references ({total})",
+    },
+    clear: "Clear selection",
+    comment: "Why these rows belong together",
+    commentPlaceholder: "Why do these belong together? (required)",
+    link: "Link as match",
+    hint: "Select rows from both the Internal Only and Provider Only tables.",
+  },
+  exceptions: {
+    editResolution: "Edit resolution",
+    state: "State",
+    assignee: "Assignee",
+    assigneePlaceholder: "Who is handling this",
+    reasonCode: "Reason code",
+    notes: "Notes",
+  },
+  exceptionStates: {
+    open: "Open",
+    investigating: "Investigating",
+    resolved: "Resolved",
+    written_off: "Written off",
+  },
+  reasonCodes: {
+    none: "No reason",
+    timing: "Timing difference",
+    missing_provider: "Missing from provider",
+    missing_internal: "Missing internally",
+    fee: "Fee or charge",
+    fx: "FX difference",
+    duplicate: "Duplicate",
+    data_entry: "Data entry error",
+    refund: "Refund or reversal",
+    other: "Other",
+  },
+  suggestions: {
+    accept: "Accept match",
+    reject: "Reject match",
+  },
+  duplicates: {
+    providerOnly: "Provider only",
+    internalOnly: "Internal only",
+    totalsAgree: "Totals agree",
+    totalsDiffer: "Totals differ",
+  },
+  payouts: {
+    matchedBy: {
+      reference: "by reference",
+      amount: "by amount",
+      short: "by the closest smaller deposit",
+    },
+    status: {
+      received: "Received",
+      short: "Short",
+      over: "Over",
+      not_received: "Not received",
+    },
+  },
+  variance: {
+    net: "Net variance",
+    none: "No variances to show",
+    rows: {
+      one: "{count} row",
+      other: "{count} rows",
+    },
+    absolute: "absolute {amount}",
+    unconverted: {
+      one: "{count} row has no FX rate and is left out",
+      other: "{count} rows have no FX rate and are left out",
+    },
+    netHint: "Internal minus provider, in the internal currency",
+    size: "Variance size",
+    recurring: "Recurring variances",
+    noRecurring: "No variance amount repeats across rows",
+    recurringHint:
+      "The same difference on many rows often means a fixed fee deduction",
+  },
+  journal: {
+    title: "Proposed Journal Entries ({count})",
+    description:
+      "Fee expense for net-versus-gross differences, write-offs for variances up to the threshold and suspense postings for provider-only items. Resolved exceptions are left out; written-off ones are written off in full.",
+    balanced: "Debits equal credits",
+    unbalanced: "Debits and credits differ in {currencies}",
+    accounts: "Chart of accounts and write-off threshold",
+    code: "Code",
+    accountName: "Account name",
+    writeOffThreshold: "Write off variances up to",
+    providerClearing:
+      "Clearing account per provider; empty fields use the processor clearing account",
+    usesFallback: "Uses {account}",
+    empty: "No adjustments to propose",
+    skipped: {
+      one: "{count} item needs a manual entry",
+      other: "{count} items need a manual entry",
+    },
+    roles: {
+      clearing: "Processor clearing",
+      feeExpense: "Fee expense",
+      writeOff: "Write-offs",
+      suspense: "Suspense",
+    },
+    types: {
+      fee: "Fee expense",
+      writeOff: "Write-off",
+      suspense: "Suspense",
+    },
+    columns: {
+      entry: "Entry",
+      date: "Date",
+      type: "Type",
+      account: "Account",
+      debit: "Debit",
+      credit: "Credit",
+    },
+  },
+};
@@ -0,0 +1,715 @@
+// French UI messages
+export default {
+  app: {
+    title: "Outil de rapprochement des paiements",
+    subtitle:
+      "Comparez les transactions du système interne avec les relevés des prestataires de paiement",
+    language: "Langue et format des nombres",
+    history: "Historique",
+    compare: "Comparer",
+    newRun: "Nouveau rapprochement",
+    processing: "Rapprochement en cours...",
+    start: "Lancer le rapprochement",
+  },
+  common: {
+    cancel: "Annuler",
+    save: "Enregistrer",
+    open: "Ouvrir",
+    import: "Importer",
+    export: "Exporter",
+    importJson: "Importer JSON",
+    exportJson: "Exporter JSON",
+    exportFormat: "Exporter {format}",
+    transactions: {
+      one: "{count} transaction",
+      other: "{count} transactions",
+    },
+  },
+  sources: {
+    internal: "Export du système interne",
+    provider: "Relevé du prestataire",
+    bank: "Relevé bancaire",
+    upload: "Fichier importé",
+  },
+  progress: {
+    reading: "Lecture de {file}",
+    exact: "Rapprochement des transactions",
+    suggestions: "Recherche de rapprochements suggérés",
+  },
+  errors: {
+    readHistory: "Impossible de lire l'historique : {message}",
+    runMissing: "Ce rapprochement ne figure plus dans l'historique",
+    openRun: "Impossible d'ouvrir le rapprochement : {message}",
+    openApiRun: "Impossible d'ouvrir le rapprochement de l'API : {message}",
+    deleteRun: "Impossible de supprimer le rapprochement : {message}",
+    invalidProfile: "Profil de configuration non valide : {message}",
+    unknownLocale: "Paramètre régional inconnu « {locale} »",
+    missingFiles:
+      "Chargez l'export interne et au moins un relevé de prestataire avant de lancer le traitement",
+    providerNames: "Donnez un nom unique à chaque relevé de prestataire",
+    reviewValidation:
+      "Consultez le rapport de validation avant de lancer le rapprochement",
+    report: "Impossible de créer le rapport : {message}",
+    duplicateFile:
+      "{file} a le même contenu que le fichier « {source} » déjà importé",
+    export: "Impossible d’exporter : {message}",
+  },
+  upload: {
+    internal: "Charger le relevé interne",
+    bank: "Charger le relevé bancaire",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 ou JSON – colonnes à associer après le chargement",
+    bankHint:
+      "Ajoute un rapprochement à trois voies : versements du prestataire face aux dépôts bancaires",
+    optional: "facultatif",
+    editMapping: "Modifier l'association",
+    mapping: "Association : {name}",
+    awaitingMapping: "association des colonnes en attente",
+    dropTitle: "Importer des relevés",
+    drop: "Déposez plusieurs fichiers ici ou cliquez pour les choisir",
+    dropHint:
+      "Chaque fichier est classé comme export interne, relevé de prestataire ou relevé bancaire d’après ses colonnes",
+    useAs: "Utiliser comme",
+    reasons: {
+      profile: "colonnes de l’association enregistrée « {name} »",
+      history: "mêmes colonnes que dans l’exécution du {date}",
+      format: "format de relevé bancaire",
+      columns: "contient des colonnes de frais ou de versement",
+      default: "colonnes non reconnues",
+      chosen: "choisi par vous",
+    },
+    reconciledFile:
+      "Ce même fichier a déjà été rapproché dans l’exécution du {date}, comme « {source} ».",
+    reconciledReferences: {
+      one: "{count} référence a déjà été rapprochée dans l’exécution du {date}.",
+      other:
+        "{count} références ont déjà été rapprochées dans l’exécution du {date}.",
+    },
+    roleHint:
+      "Des fichiers avec ces colonnes ont déjà servi de « {source} ». Vérifiez qu’il a été importé au bon endroit.",
+  },
+  providers: {
+    title: "Relevés des prestataires",
+    upload: "Charger un relevé de prestataire",
+    addAnother: "Ajouter un autre relevé de prestataire",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 ou JSON – un fichier par prestataire, associé après le chargement",
+    name: "Nom du prestataire",
+    nameHint: "Nom du prestataire affiché dans les résultats",
+    remove: "Retirer le relevé",
+    duplicateName: "Un autre relevé utilise déjà ce nom de prestataire",
+  },
+  sheet: {
+    title: "Choisir une feuille – {source}",
+    description:
+      "{file} contient plusieurs feuilles. Laquelle contient les transactions ?",
+  },
+  savedRun: {
+    title: "Rapprochement enregistré le {date}",
+    file: {
+      one: "{count} transaction sur {rows} lignes, {format}",
+      other: "{count} transactions sur {rows} lignes, {format}",
+    },
+    hint: "Les résultats sont affichés tels qu'enregistrés. Lancez un nouveau rapprochement pour recommencer avec ces paramètres.",
+  },
+  mapping: {
+    title: "Associer les colonnes – {source}",
+    description:
+      "Associez les colonnes détectées dans {file} aux champs utilisés pour le rapprochement.",
+    required: "Obligatoire",
+    notMapped: "— Non associée —",
+    amountFormat: "Format des montants",
+    detectFormat: "Détection automatique",
+    preview: "Aperçu de {file}",
+    showing: "{shown} lignes affichées sur {count}",
+    missing: "Associez les champs obligatoires : {fields}",
+    saveProfile: "Enregistrer comme profil d'association",
+    profileName: "Nom du profil",
+    apply: "Appliquer l'association",
+  },
+  fields: {
+    transaction_reference: "Référence",
+    amount: "Montant",
+    status: "Statut",
+    date: "Date",
+    currency: "Devise",
+    description: "Description",
+    fee: "Frais",
+    payout_id: "ID de versement / lot",
+  },
+  matchingRules: {
+    title: "Règles de rapprochement suggéré",
+    description:
+      "Appliquées aux transactions sans correspondance exacte de référence. Les suggestions doivent être acceptées avant d'être comptées comme rapprochées.",
+    stripPrefixes: "Préfixes à retirer",
+    minLength: "Longueur tronquée min.",
+    amountTolerance: "Tolérance de montant",
+    maxDaysApart: "Écart max. en jours",
+    minSharedTokens: "Mots communs min.",
+    maxGroupRows: "Lignes max. par groupe",
+    groupTotalHint:
+      "Rapprochées sans validation lorsque des lignes restantes d'une même devise totalisent une seule ligne de l'autre côté. Désactivée par défaut, car certaines sommes coïncident par hasard.",
+  },
+  rules: {
+    exact: "Référence exacte",
+    normalizedReference: "Référence normalisée",
+    amountDate: "Montant + date",
+    descriptionTokens: "Mots de la description",
+    groupTotal: "Total groupé",
+    manual: "Manuel",
+  },
+  amounts: {
+    title: "Comparaison des montants",
+    description:
+      "Les montants sont arrondis à l'unité mineure de chaque devise, puis comparés selon la tolérance de la devise interne.",
+    tolerances: "Tolérances par devise",
+    currency: "Devise",
+    absolute: "Absolue",
+    percent: "Pourcentage",
+    allOthers: "Toutes les autres",
+    removeTolerance: "Retirer la tolérance",
+    currencyPlaceholder: "p. ex. JPY",
+    addCurrency: "Ajouter une devise",
+    feeInclusive: "Comparaison frais inclus",
+    feeInclusiveHint:
+      "Rajoute la colonne des frais du prestataire aux montants nets avant de les comparer aux montants bruts internes",
+    uploadFx: "Charger une table de taux de change",
+    fxHint:
+      "Colonnes : from_currency, to_currency, rate. Les montants du prestataire sont convertis dans la devise interne.",
+    fxLoaded: {
+      one: "{count} taux de change chargé",
+      other: "{count} taux de change chargés",
+    },
+    clearFx: "Effacer les taux de change",
+    fxParseError: "Erreur de lecture des taux de change : {message}",
+  },
+  statusMapping: {
+    title: "Équivalence des statuts",
+    description:
+      "Les statuts sont convertis en valeurs canoniques avant la comparaison.",
+    defaultSeverity:
+      "Les écarts absents des règles de gravité sont traités comme",
+    invalidFile: "Fichier d'équivalence des statuts non valide : {message}",
+    equivalences: "Équivalences",
+    source: "Source",
+    status: "Statut",
+    canonical: "Canonique",
+    internal: "Interne",
+    provider: "Prestataire",
+    severity: "Gravité",
+    sides: {
+      any: "Tous",
+      internal: "Interne",
+      provider: "Prestataire",
+    },
+    removeEquivalence: "Retirer l'équivalence",
+    addEquivalence: "Ajouter une équivalence",
+    severityRules: "Règles de gravité",
+    removeRule: "Retirer la règle",
+    addRule: "Ajouter une règle de gravité",
+  },
+  severity: {
+    info: "Info",
+    warning: "Avertissement",
+    critical: "Critique",
+  },
+  dates: {
+    title: "Dates et période",
+    description:
+      "Les dates sont lues avec les formats ci-dessous et comparées en jours calendaires dans le fuseau horaire de référence. Laissez la période vide pour utiliser toutes les lignes.",
+    internalFormat: "Format de date interne",
+    providerFormat: "Format de date du prestataire",
+    bankFormat: "Format de date bancaire",
+    autoFormat: "Détection automatique (ISO 8601)",
+    timeZone: "Fuseau horaire de référence",
+    timeZonePlaceholder: "p. ex. Europe/Paris",
+    timeZoneHint: "Utilisé pour les horodatages sans décalage",
+    unknownTimeZone: "Fuseau horaire inconnu",
+    periodStart: "Début de période",
+    periodEnd: "Fin de période",
+    cutoffDays: "Fenêtre de décalage (jours avant la fin de période)",
+    cutoffDaysHint:
+      "Les éléments internes seuls comptabilisés dans cette fenêtre sont attendus sur le prochain relevé",
+    settlementSla: "Délai de règlement (jours)",
+    settlementSlaHint: "Les rapprochements réglés plus tard sont signalés",
+  },
+  settlement: {
+    title: "Rapprochement des versements",
+    description:
+      "Les lignes du prestataire sont regroupées par ID de versement ou de lot, et chaque versement est rapproché d'un dépôt bancaire qui le mentionne ou qui a le même montant.",
+    maxDaysApart: "Jours entre versement et dépôt",
+    maxDaysApartHint:
+      "Comptés à partir de la dernière transaction du versement",
+    tolerance: "Tolérance",
+    toleranceHint: "Les écarts plus faibles comptent comme reçus en totalité",
+    feesDeducted: "Les frais sont déduits des versements",
+    feesDeductedHint:
+      "La banque reçoit le montant brut moins la colonne des frais",
+    maxShortPercent: "Écart maximal (%)",
+    maxShortPercentHint:
+      "Un dépôt inférieur qui ne mentionne pas le versement ne compte comme versement reçu en moins que dans cette part de son montant",
+  },
+  privacy: {
+    title: "Données personnelles",
+    description:
+      "Les colonnes contenant des numéros de carte, des adresses e-mail, des numéros de téléphone ou des IBAN sont repérées d’après leurs valeurs. Choisissez un type pour corriger la détection.",
+    panWarning:
+      "Numéros de carte complets trouvés dans {files}. Les relevés ne devraient pas contenir de numéros de carte ; masquez-les à la source si possible.",
+    maskDisplay: "Masquer les valeurs à l’écran",
+    maskDisplayHint:
+      "N’affiche que les derniers chiffres, par exemple ************1111",
+    exportMode: "Dans les exports et rapports",
+    exportModes: {
+      redact: "Supprimer",
+      hash: "Hacher",
+      mask: "Masquer comme à l’écran",
+      keep: "Conserver",
+    },
+    exportModeHints: {
+      redact: "Les valeurs sont remplacées par [redacted]",
+      hash: "Les valeurs sont remplacées par un hachage à clé ; des valeurs égales restent égales pendant la session",
+      mask: "Les valeurs sont masquées comme à l’écran",
+      keep: "Les valeurs sont exportées en entier",
+    },
+    types: {
+      pan: "Numéro de carte (PAN)",
+      email: "Adresse e-mail",
+      phone: "Numéro de téléphone",
+      iban: "IBAN",
+    },
+    columnsCaption: "Colonnes contenant des données personnelles",
+    columns: {
+      column: "Colonne",
+      foundIn: "Trouvée dans",
+      type: "Type",
+      remove: "Retirer",
+    },
+    typeFor: "Type de la colonne {column}",
+    notSensitive: "Non sensible",
+    useDetection: "Utiliser la détection",
+    noneFound:
+      "Aucune colonne contenant des données personnelles n’a été trouvée.",
+    newColumn: "Nom de colonne",
+    addColumn: "Ajouter la colonne",
+  },
+  profiles: {
+    title: "Profil de configuration",
+    description:
+      "Un profil contient les associations de colonnes, les règles de rapprochement, les tolérances, les équivalences de statuts, les paramètres de dates et de versements, le plan comptable, le paramètre régional et la mise en forme des exports. Les profils sont enregistrés dans ce navigateur ; exportez-les pour les partager.",
+    choose: "Choisir un profil",
+    apply: "Appliquer",
+    delete: "Supprimer le profil",
+    name: "Nom du profil",
+    save: "Enregistrer les paramètres actuels",
+    displayAndExport: "Paramètres d'affichage et d'export",
+    locale: "Paramètre régional pour la langue, les montants et les dates",
+    localePlaceholder: "p. ex. fr-FR",
+    delimiter: "Séparateur CSV",
+    delimiters: {
+      comma: "Virgule",
+      semicolon: "Point-virgule",
+      tab: "Tabulation",
+    },
+    exportColumns:
+      "Colonnes exportées par catégorie, séparées par des virgules et dans l'ordre. Laissez vide pour exporter toutes les colonnes.",
+  },
+  validation: {
+    title: "Rapport de validation",
+    download: "Télécharger les anomalies",
+    read: {
+      one: "{count} ligne lue",
+      other: "{count} lignes lues",
+    },
+    accepted: {
+      one: "{count} acceptée",
+      other: "{count} acceptées",
+    },
+    rejected: {
+      one: "{count} rejetée",
+      other: "{count} rejetées",
+    },
+    coerced: {
+      one: "{count} corrigée",
+      other: "{count} corrigées",
+    },
+    warnings: "{count} avec avertissements",
+    caption: "Anomalies dans {file}",
+    actions: {
+      rejected: "Rejetée",
+      coerced: "Corrigée",
+      warning: "Avertissement",
+    },
+    reviewed:
+      "J'ai examiné ces anomalies et je veux lancer le rapprochement avec les données nettoyées",
+    clean: "Toutes les lignes ont été lues sans modification.",
+  },
+  history: {
+    title: "Historique des rapprochements",
+    close: "Fermer l'historique",
+    empty:
+      "Aucun rapprochement enregistré. Les rapprochements sont enregistrés dans ce navigateur à la fin du traitement.",
+    current: "Affiché",
+    fromApi: "Soumis par l'API",
+    delete: "Supprimer le rapprochement",
+    columns: {
+      run: "Rapprochement",
+      internal: "Interne",
+      provider: "Prestataire",
+      files: "Fichiers",
+      matched: "Rapprochées",
+      unmatched: "Non rapprochées",
+    },
+  },
+  apiRuns: {
+    title: "Rapprochements de l'API",
+    url: "URL du service de rapprochement",
+    load: "Charger les rapprochements",
+    empty:
+      "Aucun rapprochement sur ce serveur. Soumettez des fichiers avec POST /runs.",
+    listError: "Impossible de lister les rapprochements de l'API : {message}",
+  },
+  comparison: {
+    title: "Comparer des rapprochements",
+    close: "Fermer la comparaison",
+    description:
+      "Choisissez des rapprochements enregistrés ou chargez des exports antérieurs : un classeur de rapport, ou les CSV par catégorie d'un même rapprochement. Les rapprochements sont triés par date ; les écarts sont les exceptions ouvertes, donc celles résolues ou passées en perte comptent comme soldées.",
+    savedRuns: "Rapprochements enregistrés",
+    noRuns: "Aucun rapprochement enregistré",
+    exports: "Résultats exportés",
+    upload: "Charger l'export d'un rapprochement",
+    removeExport: "Retirer l'export",
+    needTwo: "Ajoutez au moins deux rapprochements pour les comparer.",
+    previous: "Précédent",
+    current: "Actuel",
+    summary: {
+      one: "{count} écart toujours ouvert · taux de rapprochement {previous} → {current}",
+      other:
+        "{count} écarts toujours ouverts · taux de rapprochement {previous} → {current}",
+    },
+    newBreaks: "Nouveaux écarts",
+    clearedBreaks: "Écarts soldés",
+    longOpen: "Écarts ouverts depuis longtemps",
+    none: "Aucun",
+    byAge: "Écarts ouverts par ancienneté",
+    ageHint: {
+      one: "Rapprochements consécutifs jusqu'à l'actuel, sur {count} comparé",
+      other:
+        "Rapprochements consécutifs jusqu'à l'actuel, sur {count} comparés",
+    },
+    minRunsBefore: "Lister les écarts ouverts depuis plus de",
+    minRunsAfter: "rapprochements",
+    runs: {
+      one: "{count} rapprochement",
+      other: "{count} rapprochements",
+    },
+    bucketOpen: "{min} rapprochements ou plus",
+    bucketRange: "{min} à {max} rapprochements",
+    trend: "Tendance",
+    columns: {
+      run: "Rapprochement",
+      matchRate: "Taux de rapprochement",
+      openBreaks: "Écarts ouverts",
+      netVariance: "Écart net",
+    },
+    runMissing: "Ce rapprochement ne figure plus dans l'historique",
+    openError: "Impossible d'ouvrir le rapprochement : {message}",
+    readError: "Impossible de lire l'export : {message}",
+  },
+  results: {
+    reportXlsx: "Télécharger le rapport (XLSX)",
+    reportPdf: "Télécharger le rapport (PDF)",
+    summary: "Catégories de résultats",
+    viewDetails: "Voir le détail",
+    exportCsv: "Exporter en CSV",
+    exportCategory: "Exporter {category} en CSV",
+    resolvedOf: "{resolved} résolues sur {total}",
+    shownOf: "{shown} sur {total}",
+    unapplied: {
+      one: "{count} rapprochement manuel n'a pas pu être appliqué car ses lignes ne sont plus non rapprochées.",
+      other:
+        "{count} rapprochements manuels n'ont pas pu être appliqués car leurs lignes ne sont plus non rapprochées.",
+    },
+    removeUnapplied: "Les retirer",
+    emptyCategory: "Aucune transaction dans cette catégorie",
+    noFilterMatches: "Aucune transaction ne correspond aux filtres",
+  },
+  categories: {
+    matched: "Transactions rapprochées",
+    internal: "Interne uniquement",
+    provider: "Prestataire uniquement",
+    timing: "Décalages temporels",
+    amount: "Écarts de montant",
+    status: "Écarts de statut",
+    suggested: "Rapprochements suggérés",
+    duplicates: "Doublons",
+    payouts: "Versements réglés",
+    shortPayouts: "Versements insuffisants ou excédentaires",
+    missingPayouts: "Versements non reçus",
+    deposits: "Dépôts non rapprochés",
+  },
+  alerts: {
+    title: "Écarts de données détectés",
+    amount: {
+      one: "{count} transaction ouverte avec un écart de montant",
+      other: "{count} transactions ouvertes avec des écarts de montant",
+    },
+    status: {
+      one: "{count} transaction ouverte avec un écart de statut de gravité « {severity} »",
+      other:
+        "{count} transactions ouvertes avec des écarts de statut de gravité « {severity} »",
+    },
+    resolved: {
+      one: "{count} résolue",
+      other: "{count} résolues",
+    },
+    currency: {
+      one: "{count} transaction avec un écart de devise",
+      other: "{count} transactions avec des écarts de devise",
+    },
+    duplicates: {
+      one: "{count} référence avec des lignes en double",
+      other: "{count} références avec des lignes en double",
+    },
+    sla: {
+      one: "{count} rapprochement réglé au-delà du délai de {days} jours",
+      other: "{count} rapprochements réglés au-delà du délai de {days} jours",
+    },
+    payoutDifferences: {
+      one: "{count} versement reçu en dessous ou au-dessus du montant attendu",
+      other:
+        "{count} versements reçus en dessous ou au-dessus du montant attendu",
+    },
+    missingPayouts: {
+      one: "{count} versement introuvable sur le relevé bancaire",
+      other: "{count} versements introuvables sur le relevé bancaire",
+    },
+  },
+  period: {
+    window:
+      "Période du {start} au {end} : {internal} lignes internes et {provider} lignes du prestataire hors de la fenêtre ont été écartées.",
+    cutoff:
+      "Les éléments internes seuls datés à partir du {date} sont traités comme des décalages attendus sur la période suivante.",
+    unbatched: {
+      one: "{count} ligne du prestataire n'a pas d'ID de versement et ne fait partie d'aucun versement.",
+      other:
+        "{count} lignes du prestataire n'ont pas d'ID de versement et ne font partie d'aucun versement.",
+    },
+  },
+  columns: {
+    reference: "Référence",
+    provider: "Prestataire",
+    amount: "Montant",
+    status: "Statut",
+    date: "Date",
+    description: "Description",
+    currency: "Devise",
+    internalAmount: "Montant interne",
+    providerAmount: "Montant prestataire",
+    internalStatus: "Statut interne",
+    providerStatus: "Statut prestataire",
+    internalReference: "Référence interne",
+    providerReference: "Référence prestataire",
+    settlementLag: "Délai de règlement",
+    flags: "Indicateurs",
+    resolution: "Résolution",
+    fee: "Frais",
+    variance: "Écart",
+    severity: "Gravité",
+    dates: "Dates",
+    rule: "Règle",
+    confidence: "Confiance",
+    actions: "Actions",
+    internalRows: "Lignes internes",
+    internalTotal: "Total interne",
+    providerRows: "Lignes prestataire",
+    providerTotal: "Total prestataire",
+    outcome: "Résultat",
+    payoutId: "ID de versement",
+    transactions: "Transactions",
+    payoutDate: "Date du versement",
+    expected: "Attendu",
+    received: "Reçu",
+    difference: "Différence",
+    deposit: "Dépôt",
+    line: "Ligne",
+    field: "Champ",
+    value: "Valeur",
+    action: "Action",
+    reason: "Motif",
+  },
+  table: {
+    sort: {
+      asc: "Trier par {column}, ordre croissant",
+      desc: "Trier par {column}, ordre décroissant",
+    },
+    providerReference: "Référence prestataire :",
+    comparedAs: "comparé comme {amount}",
+    noFxRate: "Aucun taux de change disponible",
+    convertedAt: "Converti au taux de {rate}",
+    canonicalStatus: "Statut canonique :",
+    confidence: "Confiance {percent}",
+    lagDays: {
+      one: "{count} j",
+      other: "{count} j",
+    },
+    unmatch: "Annuler le rapprochement",
+    select: "Sélectionner pour un rapprochement manuel",
+  },
+  flags: {
+    split: "Fractionné (n:m)",
+    rule: "Rapprochement par règle",
+    manual: "Rapprochement manuel",
+    currency: "Écart de devise",
+    amount: "Écart de montant",
+    status: "Écart de statut",
+    late: "Règlement tardif",
+    perfect: "Parfait",
+  },
+  filters: {
+    label: "Filtrer les résultats",
+    search: "Rechercher une référence ou une description",
+    allStatuses: "Tous les statuts",
+    allCurrencies: "Toutes les devises",
+    allProviders: "Tous les prestataires",
+    allFlags: "Tous les indicateurs",
+    min: "Min",
+    minAmount: "Montant minimum",
+    max: "Max",
+    maxAmount: "Montant maximum",
+    dateFrom: "Date de début",
+    dateTo: "Date de fin",
+    clear: "Effacer les filtres",
+    columns: "Colonnes ({count})",
+  },
+  pagination: {
+    label: "Pages de résultats",
+    showing: "{first}–{last} sur {total}",
+    previous: "Page précédente",
+    next: "Page suivante",
+    page: "Page {page} sur {count}",
+  },
+  manualMatch: {
+    title: "Rapprochement manuel :",
+    selection: "{internal} avec {provider}",
+    internalReferences: {
+      one: "{count} référence interne ({total})",
+      other: "{count} références internes ({total})",
+    },
+    providerReferences: {
+      one: "{count} référence prestataire ({total})",
+      other: "{count} références prestataire ({total})",
+    },
+    clear: "Effacer la sélection",
+    comment: "Pourquoi ces lignes vont ensemble",
+    commentPlaceholder:
+      "Pourquoi ces lignes vont-elles ensemble ? (obligatoire)",
+    link: "Rapprocher",
+    hint: "Sélectionnez des lignes dans les tableaux Interne uniquement et Prestataire uniquement.",
+  },
+  exceptions: {
+    editResolution: "Modifier la résolution",
+    state: "État",
+    assignee: "Responsable",
+    assigneePlaceholder: "Qui traite ce point",
+    reasonCode: "Code motif",
+    notes: "Notes",
+  },
+  exceptionStates: {
+    open: "Ouverte",
+    investigating: "En cours d'analyse",
+    resolved: "Résolue",
+    written_off: "Passée en perte",
+  },
+  reasonCodes: {
+    none: "Aucun motif",
+    timing: "Décalage temporel",
+    missing_provider: "Absente chez le prestataire",
+    missing_internal: "Absente en interne",
+    fee: "Frais ou commission",
+    fx: "Écart de change",
+    duplicate: "Doublon",
+    data_entry: "Erreur de saisie",
+    refund: "Remboursement ou annulation",
+    other: "Autre",
+  },
+  suggestions: {
+    accept: "Accepter le rapprochement",
+    reject: "Rejeter le rapprochement",
+  },
+  duplicates: {
+    providerOnly: "Prestataire uniquement",
+    internalOnly: "Interne uniquement",
+    totalsAgree: "Totaux concordants",
+    totalsDiffer: "Totaux divergents",
+  },
+  payouts: {
+    matchedBy: {
+      reference: "par référence",
+      amount: "par montant",
+      short: "par le dépôt inférieur le plus proche",
+    },
+    status: {
+      received: "Reçu",
+      short: "Insuffisant",
+      over: "Excédentaire",
+      not_received: "Non reçu",
+    },
+  },
+  variance: {
+    net: "Écart net",
+    none: "Aucun écart à afficher",
+    rows: {
+      one: "{count} ligne",
+      other: "{count} lignes",
+    },
+    absolute: "absolu {amount}",
+    unconverted: {
+      one: "{count} ligne sans taux de change est écartée",
+      other: "{count} lignes sans taux de change sont écartées",
+    },
+    netHint: "Interne moins prestataire, dans la devise interne",
+    size: "Taille des écarts",
+    recurring: "Écarts récurrents",
+    noRecurring: "Aucun montant d'écart ne se répète d'une ligne à l'autre",
+    recurringHint:
+      "Un même écart sur de nombreuses lignes indique souvent une déduction de frais fixe",
+  },
+  journal: {
+    title: "Écritures comptables proposées ({count})",
+    description:
+      "Charges de frais pour les écarts entre net et brut, pertes pour les écarts jusqu'au seuil et écritures d'attente pour les éléments du prestataire seul. Les exceptions résolues sont écartées ; celles passées en perte le sont en totalité.",
+    balanced: "Les débits égalent les crédits",
+    unbalanced: "Les débits et les crédits diffèrent en {currencies}",
+    accounts: "Plan comptable et seuil de passage en perte",
+    code: "Code",
+    accountName: "Intitulé du compte",
+    writeOffThreshold: "Passer en perte les écarts jusqu'à",
+    providerClearing:
+      "Compte de compensation par prestataire ; les champs vides utilisent le compte de compensation du processeur",
+    usesFallback: "Utilise {account}",
+    empty: "Aucun ajustement à proposer",
+    skipped: {
+      one: "{count} élément nécessite une écriture manuelle",
+      other: "{count} éléments nécessitent une écriture manuelle",
+    },
+    roles: {
+      clearing: "Compensation du processeur",
+      feeExpense: "Charges de frais",
+      writeOff: "Pertes",
+      suspense: "Compte d'attente",
+    },
+    types: {
+      fee: "Charge de frais",
+      writeOff: "Perte",
+      suspense: "Attente",
+    },
+    columns: {
+      entry: "Écriture",
+      date: "Date",
+      type: "Type",
+      account: "Compte",
+      debit: "Débit",
+      credit: "Crédit",
+    },
+  },
+};
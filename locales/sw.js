@@ -0,0 +1,694 @@
+// Swahili UI messages
+export default {
+  app: {
+    title: "Zana ya Kulinganisha Malipo",
+    subtitle:
+      "Linganisha miamala ya mfumo wa ndani na taarifa za watoa huduma za malipo",
+    language: "Lugha na muundo wa namba",
+    history: "Historia",
+    compare: "Linganisha",
+    newRun: "Ulinganishaji mpya",
+    processing: "Inalinganisha...",
+    start: "Anza Kulinganisha",
+  },
+  common: {
+    cancel: "Ghairi",
+    save: "Hifadhi",
+    open: "Fungua",
+    import: "Leta",
+    export: "Hamisha",
+    importJson: "Leta JSON",
+    exportJson: "Hamisha JSON",
+    exportFormat: "Hamisha {format}",
+    transactions: {
+      one: "muamala {count}",
+      other: "miamala {count}",
+    },
+  },
+  sources: {
+    internal: "Data ya Mfumo wa Ndani",
+    provider: "Taarifa ya Mtoa Huduma",
+    bank: "Taarifa ya Benki",
+    upload: "Faili Lililopakiwa",
+  },
+  progress: {
+    reading: "Inasoma {file}",
+    exact: "Inalinganisha miamala",
+    suggestions: "Inatafuta mapendekezo ya ulinganifu",
+  },
+  errors: {
+    readHistory: "Imeshindwa kusoma historia: {message}",
+    runMissing: "Ulinganishaji huu haupo tena kwenye historia",
+    openRun: "Imeshindwa kufungua ulinganishaji: {message}",
+    openApiRun: "Imeshindwa kufungua ulinganishaji wa API: {message}",
+    deleteRun: "Imeshindwa kufuta ulinganishaji: {message}",
+    invalidProfile: "Wasifu wa mipangilio si sahihi: {message}",
+    unknownLocale: 'Lugha ya eneo "{locale}" haijulikani',
+    missingFiles:
+      "Tafadhali pakia data ya ndani na angalau taarifa moja ya mtoa huduma kabla ya kuchakata",
+    providerNames: "Tafadhali ipe kila taarifa ya mtoa huduma jina la kipekee",
+    reviewValidation:
+      "Tafadhali kagua ripoti ya uthibitishaji kabla ya kulinganisha",
+    report: "Imeshindwa kuunda ripoti: {message}",
+    duplicateFile:
+      '{file} lina maudhui sawa na "{source}" ambalo tayari limepakiwa',
+    export: "Imeshindwa kuhamisha: {message}",
+  },
+  upload: {
+    internal: "Pakia Taarifa ya Ndani",
+    bank: "Pakia Taarifa ya Benki",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 au JSON – linganisha safu baada ya kupakia",
+    bankHint:
+      "Huongeza ulinganishaji wa pande tatu: malipo ya mtoa huduma dhidi ya amana za benki",
+    optional: "si lazima",
+    editMapping: "Hariri ulinganifu wa safu",
+    mapping: "Ulinganifu: {name}",
+    awaitingMapping: "inasubiri ulinganifu wa safu",
+    dropTitle: "Pakia Taarifa",
+    drop: "Dondosha faili kadhaa hapa au bofya kuzichagua",
+    dropHint:
+      "Kila faili hupangwa kama data ya ndani, taarifa ya mtoa huduma au taarifa ya benki kulingana na safu zake",
+    useAs: "Tumia kama",
+    reasons: {
+      profile: "safu za ulinganifu uliohifadhiwa “{name}”",
+      history: "safu sawa na za uendeshaji wa {date}",
+      format: "muundo wa taarifa ya benki",
+      columns: "ina safu za ada au malipo",
+      default: "safu hazijatambuliwa",
+      chosen: "umechagua wewe",
+    },
+    reconciledFile:
+      'Faili hili hili tayari lilisuluhishwa katika uendeshaji wa {date}, kama "{source}".',
+    reconciledReferences: {
+      one: "Rejea {count} tayari ilisuluhishwa katika uendeshaji wa {date}.",
+      other: "Rejea {count} tayari zilisuluhishwa katika uendeshaji wa {date}.",
+    },
+    roleHint:
+      'Faili zenye safu hizi zilitumika kama "{source}" hapo awali. Hakikisha limepakiwa mahali sahihi.',
+  },
+  providers: {
+    title: "Taarifa za Watoa Huduma",
+    upload: "Pakia Taarifa ya Mtoa Huduma",
+    addAnother: "Ongeza Taarifa Nyingine ya Mtoa Huduma",
+    formats:
+      "CSV, Excel, OFX/QFX, MT940, CAMT.053 au JSON – faili moja kwa kila mtoa huduma, hulinganishwa baada ya kupakia",
+    name: "Jina la mtoa huduma",
+    nameHint: "Jina la mtoa huduma linaloonyeshwa kwenye matokeo",
+    remove: "Ondoa taarifa",
+    duplicateName: "Taarifa nyingine tayari inatumia jina hili la mtoa huduma",
+  },
+  sheet: {
+    title: "Chagua Laha – {source}",
+    description: "{file} ina laha kadhaa. Ipi ina miamala?",
+  },
+  savedRun: {
+    title: "Ulinganishaji uliohifadhiwa {date}",
+    file: {
+      one: "muamala {count} kutoka mistari {rows}, {format}",
+      other: "miamala {count} kutoka mistari {rows}, {format}",
+    },
+    hint: "Matokeo yanaonyeshwa kama yalivyohifadhiwa. Anza ulinganishaji mpya ili kulinganisha tena kwa mipangilio hii.",
+  },
+  mapping: {
+    title: "Linganisha Safu – {source}",
+    description:
+      "Linganisha safu zilizogunduliwa katika {file} na sehemu zinazotumika kulinganisha.",
+    required: "Lazima",
+    notMapped: "— Haijalinganishwa —",
+    amountFormat: "Muundo wa kiasi",
+    detectFormat: "Gundua kiotomatiki",
+    preview: "Onyesho la {file}",
+    showing: "Inaonyesha mistari {shown} kati ya {count}",
+    missing: "Tafadhali linganisha sehemu za lazima: {fields}",
+    saveProfile: "Hifadhi kama wasifu wa ulinganifu",
+    profileName: "Jina la wasifu",
+    apply: "Tumia Ulinganifu",
+  },
+  fields: {
+    transaction_reference: "Kumbukumbu",
+    amount: "Kiasi",
+    status: "Hali",
+    date: "Tarehe",
+    currency: "Sarafu",
+    description: "Maelezo",
+    fee: "Ada",
+    payout_id: "Kitambulisho cha Malipo / Kundi",
+  },
+  matchingRules: {
+    title: "Kanuni za Mapendekezo ya Ulinganifu",
+    description:
+      "Hutumika kwa miamala isiyo na kumbukumbu inayolingana kikamilifu. Mapendekezo lazima yakubaliwe kabla ya kuhesabiwa kama yamelingana.",
+    stripPrefixes: "Viambishi vya kuondoa",
+    minLength: "Urefu mdogo uliofupishwa",
+    amountTolerance: "Uvumilivu wa kiasi",
+    maxDaysApart: "Siku nyingi zaidi za tofauti",
+    minSharedTokens: "Maneno machache zaidi yanayofanana",
+    maxGroupRows: "Safu nyingi zaidi kwa kundi",
+    groupTotalHint:
+      "Hulinganishwa bila ukaguzi safu zilizobaki za sarafu moja zinapojumlika kuwa safu moja upande mwingine. Imezimwa kwa chaguo-msingi, kwa kuwa baadhi ya jumla hulingana kwa bahati.",
+  },
+  rules: {
+    exact: "Kumbukumbu kamili",
+    normalizedReference: "Kumbukumbu iliyosawazishwa",
+    amountDate: "Kiasi + tarehe",
+    descriptionTokens: "Maneno ya maelezo",
+    groupTotal: "Jumla ya kundi",
+    manual: "Kwa mkono",
+  },
+  amounts: {
+    title: "Ulinganishaji wa Kiasi",
+    description:
+      "Kiasi huzungushwa hadi kipimo kidogo cha kila sarafu, kisha hulinganishwa ndani ya uvumilivu wa sarafu ya ndani.",
+    tolerances: "Uvumilivu kwa sarafu",
+    currency: "Sarafu",
+    absolute: "Kamili",
+    percent: "Asilimia",
+    allOthers: "Nyingine zote",
+    removeTolerance: "Ondoa uvumilivu",
+    currencyPlaceholder: "k.m. JPY",
+    addCurrency: "Ongeza sarafu",
+    feeInclusive: "Ulinganishaji pamoja na ada",
+    feeInclusiveHint:
+      "Hurudisha safu ya ada ya mtoa huduma kwenye kiasi halisi kabla ya kulinganisha na kiasi ghafi cha ndani",
+    uploadFx: "Pakia jedwali la viwango vya ubadilishaji",
+    fxHint:
+      "Safu: from_currency, to_currency, rate. Kiasi cha mtoa huduma hubadilishwa kuwa sarafu ya ndani.",
+    fxLoaded: {
+      one: "Kiwango {count} cha ubadilishaji kimepakiwa",
+      other: "Viwango {count} vya ubadilishaji vimepakiwa",
+    },
+    clearFx: "Futa viwango vya ubadilishaji",
+    fxParseError: "Hitilafu katika kusoma viwango vya ubadilishaji: {message}",
+  },
+  statusMapping: {
+    title: "Ulinganifu wa Hali",
+    description:
+      "Hali hubadilishwa kuwa thamani za kawaida kabla ya kulinganisha.",
+    defaultSeverity:
+      "Tofauti zisizoorodheshwa katika kanuni za uzito huchukuliwa kama",
+    invalidFile: "Faili ya ulinganifu wa hali si sahihi: {message}",
+    equivalences: "Ulinganifu",
+    source: "Chanzo",
+    status: "Hali",
+    canonical: "Ya kawaida",
+    internal: "Ndani",
+    provider: "Mtoa huduma",
+    severity: "Uzito",
+    sides: {
+      any: "Yoyote",
+      internal: "Ndani",
+      provider: "Mtoa huduma",
+    },
+    removeEquivalence: "Ondoa ulinganifu",
+    addEquivalence: "Ongeza ulinganifu",
+    severityRules: "Kanuni za uzito",
+    removeRule: "Ondoa kanuni",
+    addRule: "Ongeza kanuni ya uzito",
+  },
+  severity: {
+    info: "Taarifa",
+    warning: "Onyo",
+    critical: "Hatari",
+  },
+  dates: {
+    title: "Tarehe na Kipindi",
+    description:
+      "Tarehe husomwa kwa miundo iliyo hapa chini na kulinganishwa kama siku za kalenda katika saa za eneo la ripoti. Acha kipindi wazi ili kutumia mistari yote.",
+    internalFormat: "Muundo wa tarehe wa ndani",
+    providerFormat: "Muundo wa tarehe wa mtoa huduma",
+    bankFormat: "Muundo wa tarehe wa benki",
+    autoFormat: "Gundua kiotomatiki (ISO 8601)",
+    timeZone: "Saa za eneo la ripoti",
+    timeZonePlaceholder: "k.m. Africa/Nairobi",
+    timeZoneHint: "Hutumika kwa nyakati zisizo na tofauti ya saa",
+    unknownTimeZone: "Saa za eneo hazijulikani",
+    periodStart: "Mwanzo wa kipindi",
+    periodEnd: "Mwisho wa kipindi",
+    cutoffDays: "Dirisha la muda (siku kabla ya mwisho wa kipindi)",
+    cutoffDaysHint:
+      "Vipengee vya ndani pekee vilivyorekodiwa katika dirisha hili vinatarajiwa kwenye taarifa inayofuata",
+    settlementSla: "Muda wa makubaliano wa malipo (siku)",
+    settlementSlaHint: "Ulinganifu uliolipwa baada ya muda huu huwekewa alama",
+  },
+  settlement: {
+    title: "Ulinganishaji wa Malipo",
+    description:
+      "Mistari ya mtoa huduma hupangwa kwa kitambulisho cha malipo au kundi, na kila malipo hulinganishwa na amana ya benki inayoyataja au yenye kiasi sawa.",
+    maxDaysApart: "Siku kati ya malipo na amana",
+    maxDaysApartHint: "Huhesabiwa kutoka muamala wa mwisho wa malipo",
+    tolerance: "Uvumilivu",
+    toleranceHint:
+      "Tofauti ndogo zaidi huhesabiwa kama zimepokelewa kikamilifu",
+    feesDeducted: "Ada hukatwa kwenye malipo",
+    feesDeductedHint: "Benki hupokea kiasi ghafi ukiondoa safu ya ada",
+    maxShortPercent: "Upungufu mkubwa zaidi (%)",
+    maxShortPercentHint:
+      "Amana ndogo isiyotaja malipo huhesabiwa tu kama malipo yaliyopokelewa pungufu ndani ya sehemu hii ya kiasi chake",
+  },
+  privacy: {
+    title: "Taarifa Binafsi",
+    description:
+      "Safu zenye namba za kadi, anwani za barua pepe, namba za simu au IBAN hutambuliwa kutokana na thamani zake. Chagua aina ili kusahihisha utambuzi.",
+    panWarning:
+      "Namba kamili za kadi zimepatikana katika {files}. Taarifa hazipaswi kuwa na namba za kadi; zifiche kwenye chanzo inapowezekana.",
+    maskDisplay: "Ficha thamani kwenye skrini",
+    maskDisplayHint: "Huonyesha tarakimu za mwisho tu, kama ************1111",
+    exportMode: "Katika uhamishaji na ripoti",
+    exportModes: {
+      redact: "Ondoa",
+      hash: "Hashi",
+      mask: "Ficha kama kwenye skrini",
+      keep: "Acha",
+    },
+    exportModeHints: {
+      redact: "Thamani hubadilishwa na [redacted]",
+      hash: "Thamani hubadilishwa na hashi yenye ufunguo; thamani sawa hubaki sawa ndani ya kipindi",
+      mask: "Thamani hufichwa kama zinavyoonyeshwa",
+      keep: "Thamani huhamishwa zikiwa kamili",
+    },
+    types: {
+      pan: "Namba ya kadi (PAN)",
+      email: "Barua pepe",
+      phone: "Namba ya simu",
+      iban: "IBAN",
+    },
+    columnsCaption: "Safu zenye taarifa binafsi",
+    columns: {
+      column: "Safu",
+      foundIn: "Imepatikana katika",
+      type: "Aina",
+      remove: "Ondoa",
+    },
+    typeFor: "Aina ya safu {column}",
+    notSensitive: "Si nyeti",
+    useDetection: "Tumia utambuzi",
+    noneFound: "Hakuna safu zenye taarifa binafsi zilizopatikana.",
+    newColumn: "Jina la safu",
+    addColumn: "Ongeza safu",
+  },
+  profiles: {
+    title: "Wasifu wa Mipangilio",
+    description:
+      "Wasifu una ulinganifu wa safu, kanuni za ulinganishaji, uvumilivu, ulinganifu wa hali, mipangilio ya tarehe na malipo, chati ya akaunti, lugha ya eneo na mpangilio wa uhamishaji. Wasifu huhifadhiwa kwenye kivinjari hiki; zihamishe ili kuzishiriki.",
+    choose: "Chagua wasifu",
+    apply: "Tumia",
+    delete: "Futa wasifu",
+    name: "Jina la wasifu",
+    save: "Hifadhi mipangilio ya sasa",
+    displayAndExport: "Mipangilio ya maonyesho na uhamishaji",
+    locale: "Lugha ya eneo kwa maandishi, kiasi na tarehe",
+    localePlaceholder: "k.m. sw-KE",
+    delimiter: "Kitenganishi cha CSV",
+    delimiters: {
+      comma: "Koma",
+      semicolon: "Nukta-koma",
+      tab: "Kichupo",
+    },
+    exportColumns:
+      "Safu za kuhamisha kwa kila kundi, zikitenganishwa kwa koma kwa mpangilio. Acha wazi ili kuhamisha safu zote.",
+  },
+  validation: {
+    title: "Ripoti ya Uthibitishaji",
+    download: "Pakua matatizo",
+    read: {
+      one: "mstari {count} umesomwa",
+      other: "mistari {count} imesomwa",
+    },
+    accepted: "{count} imekubaliwa",
+    rejected: "{count} imekataliwa",
+    coerced: "{count} imerekebishwa",
+    warnings: "{count} zenye maonyo",
+    caption: "Matatizo katika {file}",
+    actions: {
+      rejected: "Imekataliwa",
+      coerced: "Imerekebishwa",
+      warning: "Onyo",
+    },
+    reviewed:
+      "Nimekagua matatizo haya na ninataka kulinganisha kwa data iliyosafishwa",
+    clean: "Kila mstari ulisomwa bila mabadiliko.",
+  },
+  history: {
+    title: "Historia ya Ulinganishaji",
+    close: "Funga historia",
+    empty:
+      "Bado hakuna ulinganishaji uliohifadhiwa. Ulinganishaji huhifadhiwa kwenye kivinjari hiki unapokamilika.",
+    current: "Inaonyeshwa sasa",
+    fromApi: "Uliwasilishwa kupitia API",
+    delete: "Futa ulinganishaji",
+    columns: {
+      run: "Ulinganishaji",
+      internal: "Ndani",
+      provider: "Mtoa huduma",
+      files: "Faili",
+      matched: "Zimelingana",
+      unmatched: "Hazijalingana",
+    },
+  },
+  apiRuns: {
+    title: "Ulinganishaji wa API",
+    url: "URL ya huduma ya ulinganishaji",
+    load: "Pakia ulinganishaji",
+    empty:
+      "Bado hakuna ulinganishaji kwenye seva hii. Wasilisha faili kwa POST /runs.",
+    listError: "Imeshindwa kuorodhesha ulinganishaji wa API: {message}",
+  },
+  comparison: {
+    title: "Linganisha Ulinganishaji",
+    close: "Funga ulinganisho",
+    description:
+      "Chagua ulinganishaji uliohifadhiwa au pakia data zilizohamishwa awali: kitabu cha ripoti, au CSV za makundi za ulinganishaji mmoja kwa pamoja. Ulinganishaji hupangwa kwa tarehe; tofauti ni hitilafu zilizo wazi, hivyo zilizotatuliwa au kufutwa huhesabiwa kama zimemalizika.",
+    savedRuns: "Ulinganishaji uliohifadhiwa",
+    noRuns: "Bado hakuna ulinganishaji uliohifadhiwa",
+    exports: "Matokeo yaliyohamishwa",
+    upload: "Pakia data iliyohamishwa ya ulinganishaji mmoja",
+    removeExport: "Ondoa data iliyohamishwa",
+    needTwo: "Ongeza angalau ulinganishaji miwili ili kuilinganisha.",
+    previous: "Uliotangulia",
+    current: "Wa sasa",
+    summary: {
+      one: "tofauti {count} bado iko wazi · kiwango cha ulinganifu {previous} → {current}",
+      other:
+        "tofauti {count} bado ziko wazi · kiwango cha ulinganifu {previous} → {current}",
+    },
+    newBreaks: "Tofauti mpya",
+    clearedBreaks: "Tofauti zilizomalizika",
+    longOpen: "Tofauti zilizo wazi muda mrefu",
+    none: "Hakuna",
+    byAge: "Tofauti zilizo wazi kwa umri",
+    ageHint:
+      "Ulinganishaji mfululizo hadi wa sasa, kati ya {count} iliyolinganishwa",
+    minRunsBefore: "Orodhesha tofauti zilizo wazi kwa zaidi ya ulinganishaji",
+    minRunsAfter: "",
+    runs: {
+      one: "ulinganishaji {count}",
+      other: "ulinganishaji {count}",
+    },
+    bucketOpen: "ulinganishaji {min} au zaidi",
+    bucketRange: "ulinganishaji {min} – {max}",
+    trend: "Mwelekeo",
+    columns: {
+      run: "Ulinganishaji",
+      matchRate: "Kiwango cha ulinganifu",
+      openBreaks: "Tofauti zilizo wazi",
+      netVariance: "Tofauti halisi",
+    },
+    runMissing: "Ulinganishaji huu haupo tena kwenye historia",
+    openError: "Imeshindwa kufungua ulinganishaji: {message}",
+    readError: "Imeshindwa kusoma data iliyohamishwa: {message}",
+  },
+  results: {
+    reportXlsx: "Pakua ripoti (XLSX)",
+    reportPdf: "Pakua ripoti (PDF)",
+    summary: "Makundi ya matokeo",
+    viewDetails: "Angalia maelezo",
+    exportCsv: "Hamisha CSV",
+    exportCategory: "Hamisha {category} kama CSV",
+    resolvedOf: "{resolved} zimetatuliwa kati ya {total}",
+    shownOf: "{shown} kati ya {total}",
+    unapplied: {
+      one: "Ulinganifu {count} wa mkono haukuweza kutumika kwa sababu mistari yake haiko tena bila ulinganifu.",
+      other:
+        "Ulinganifu {count} wa mkono haukuweza kutumika kwa sababu mistari yake haiko tena bila ulinganifu.",
+    },
+    removeUnapplied: "Iondoe",
+    emptyCategory: "Hakuna miamala katika kundi hili",
+    noFilterMatches: "Hakuna miamala inayolingana na vichujio vya sasa",
+  },
+  categories: {
+    matched: "Miamala Iliyolingana",
+    internal: "Ndani Pekee",
+    provider: "Mtoa Huduma Pekee",
+    timing: "Tofauti za Muda",
+    amount: "Tofauti za Kiasi",
+    status: "Tofauti za Hali",
+    suggested: "Mapendekezo ya Ulinganifu",
+    duplicates: "Nakala",
+    payouts: "Malipo Yaliyokamilika",
+    shortPayouts: "Malipo Pungufu au Ziada",
+    missingPayouts: "Malipo Yasiyopokelewa",
+    deposits: "Amana Zisizolingana",
+  },
+  alerts: {
+    title: "Tofauti za Data Zimegunduliwa",
+    amount: {
+      one: "muamala {count} ulio wazi wenye tofauti ya kiasi",
+      other: "miamala {count} iliyo wazi yenye tofauti za kiasi",
+    },
+    status: {
+      one: 'muamala {count} ulio wazi wenye tofauti ya hali ya uzito "{severity}"',
+      other:
+        'miamala {count} iliyo wazi yenye tofauti za hali za uzito "{severity}"',
+    },
+    resolved: "{count} zimetatuliwa",
+    currency: {
+      one: "muamala {count} wenye tofauti ya sarafu",
+      other: "miamala {count} yenye tofauti za sarafu",
+    },
+    duplicates: {
+      one: "kumbukumbu {count} yenye mistari iliyojirudia",
+      other: "kumbukumbu {count} zenye mistari iliyojirudia",
+    },
+    sla: {
+      one: "ulinganifu {count} ulilipwa baada ya muda wa siku {days}",
+      other: "ulinganifu {count} ulilipwa baada ya muda wa siku {days}",
+    },
+    payoutDifferences: {
+      one: "malipo {count} yamepokelewa pungufu au zaidi ya kiasi kilichotarajiwa",
+      other:
+        "malipo {count} yamepokelewa pungufu au zaidi ya kiasi kilichotarajiwa",
+    },
+    missingPayouts: {
+      one: "malipo {count} hayakupatikana kwenye taarifa ya benki",
+      other: "malipo {count} hayakupatikana kwenye taarifa ya benki",
+    },
+  },
+  period: {
+    window:
+      "Kipindi {start} hadi {end}: mistari {internal} ya ndani na {provider} ya mtoa huduma nje ya dirisha iliachwa.",
+    cutoff:
+      "Vipengee vya ndani pekee vya kuanzia {date} vinachukuliwa kama tofauti za muda zinazotarajiwa kipindi kijacho.",
+    unbatched: {
+      one: "Mstari {count} wa mtoa huduma hauna kitambulisho cha malipo na si sehemu ya malipo yoyote.",
+      other:
+        "Mistari {count} ya mtoa huduma haina kitambulisho cha malipo na si sehemu ya malipo yoyote.",
+    },
+  },
+  columns: {
+    reference: "Kumbukumbu",
+    provider: "Mtoa huduma",
+    amount: "Kiasi",
+    status: "Hali",
+    date: "Tarehe",
+    description: "Maelezo",
+    currency: "Sarafu",
+    internalAmount: "Kiasi cha Ndani",
+    providerAmount: "Kiasi cha Mtoa Huduma",
+    internalStatus: "Hali ya Ndani",
+    providerStatus: "Hali ya Mtoa Huduma",
+    internalReference: "Kumbukumbu ya Ndani",
+    providerReference: "Kumbukumbu ya Mtoa Huduma",
+    settlementLag: "Ucheleweshaji wa Malipo",
+    flags: "Alama",
+    resolution: "Utatuzi",
+    fee: "Ada",
+    variance: "Tofauti",
+    severity: "Uzito",
+    dates: "Tarehe",
+    rule: "Kanuni",
+    confidence: "Uhakika",
+    actions: "Vitendo",
+    internalRows: "Mistari ya Ndani",
+    internalTotal: "Jumla ya Ndani",
+    providerRows: "Mistari ya Mtoa Huduma",
+    providerTotal: "Jumla ya Mtoa Huduma",
+    outcome: "Matokeo",
+    payoutId: "Kitambulisho cha Malipo",
+    transactions: "Miamala",
+    payoutDate: "Tarehe ya Malipo",
+    expected: "Kilichotarajiwa",
+    received: "Kilichopokelewa",
+    difference: "Tofauti",
+    deposit: "Amana",
+    line: "Mstari",
+    field: "Sehemu",
+    value: "Thamani",
+    action: "Kitendo",
+    reason: "Sababu",
+  },
+  table: {
+    sort: {
+      asc: "Panga kwa {column}, kupanda",
+      desc: "Panga kwa {column}, kushuka",
+    },
+    providerReference: "Kumbukumbu ya mtoa huduma:",
+    comparedAs: "imelinganishwa kama {amount}",
+    noFxRate: "Hakuna kiwango cha ubadilishaji",
+    convertedAt: "Imebadilishwa kwa kiwango {rate}",
+    canonicalStatus: "Hali ya kawaida:",
+    confidence: "Uhakika {percent}",
+    lagDays: {
+      one: "siku {count}",
+      other: "siku {count}",
+    },
+    unmatch: "Tenganisha",
+    select: "Chagua kwa ulinganifu wa mkono",
+  },
+  flags: {
+    split: "Imegawanywa (n:m)",
+    rule: "Ulinganifu kwa kanuni",
+    manual: "Ulinganifu wa mkono",
+    currency: "Tofauti ya sarafu",
+    amount: "Tofauti ya kiasi",
+    status: "Tofauti ya hali",
+    late: "Malipo yaliyochelewa",
+    perfect: "Kamili",
+  },
+  filters: {
+    label: "Chuja matokeo",
+    search: "Tafuta kumbukumbu au maelezo",
+    allStatuses: "Hali zote",
+    allCurrencies: "Sarafu zote",
+    allProviders: "Watoa huduma wote",
+    allFlags: "Alama zote",
+    min: "Chini",
+    minAmount: "Kiasi cha chini",
+    max: "Juu",
+    maxAmount: "Kiasi cha juu",
+    dateFrom: "Kuanzia tarehe",
+    dateTo: "Hadi tarehe",
+    clear: "Futa vichujio",
+    columns: "Safu ({count})",
+  },
+  pagination: {
+    label: "Kurasa za matokeo",
+    showing: "Inaonyesha {first}–{last} kati ya {total}",
+    previous: "Ukurasa uliotangulia",
+    next: "Ukurasa unaofuata",
+    page: "Ukurasa {page} kati ya {count}",
+  },
+  manualMatch: {
+    title: "Ulinganifu wa mkono:",
+    selection: "{internal} na {provider}",
+    internalReferences: {
+      one: "kumbukumbu {count} ya ndani ({total})",
+      other: "kumbukumbu {count} za ndani ({total})",
+    },
+    providerReferences: {
+      one: "kumbukumbu {count} ya mtoa huduma ({total})",
+      other: "kumbukumbu {count} za mtoa huduma ({total})",
+    },
+    clear: "Futa uteuzi",
+    comment: "Kwa nini mistari hii inahusiana",
+    commentPlaceholder: "Kwa nini hizi zinahusiana? (lazima)",
+    link: "Unganisha kama ulinganifu",
+    hint: "Chagua mistari kutoka majedwali ya Ndani Pekee na Mtoa Huduma Pekee.",
+  },
+  exceptions: {
+    editResolution: "Hariri utatuzi",
+    state: "Hali",
+    assignee: "Anayeshughulikia",
+    assigneePlaceholder: "Nani anashughulikia hili",
+    reasonCode: "Msimbo wa sababu",
+    notes: "Maelezo",
+  },
+  exceptionStates: {
+    open: "Wazi",
+    investigating: "Inachunguzwa",
+    resolved: "Imetatuliwa",
+    written_off: "Imefutwa",
+  },
+  reasonCodes: {
+    none: "Hakuna sababu",
+    timing: "Tofauti ya muda",
+    missing_provider: "Haipo kwa mtoa huduma",
+    missing_internal: "Haipo ndani",
+    fee: "Ada au tozo",
+    fx: "Tofauti ya ubadilishaji",
+    duplicate: "Nakala",
+    data_entry: "Kosa la uingizaji data",
+    refund: "Marejesho au ubatilishaji",
+    other: "Nyingine",
+  },
+  suggestions: {
+    accept: "Kubali ulinganifu",
+    reject: "Kataa ulinganifu",
+  },
+  duplicates: {
+    providerOnly: "Mtoa huduma pekee",
+    internalOnly: "Ndani pekee",
+    totalsAgree: "Jumla zinalingana",
+    totalsDiffer: "Jumla zinatofautiana",
+  },
+  payouts: {
+    matchedBy: {
+      reference: "kwa kumbukumbu",
+      amount: "kwa kiasi",
+      short: "kwa amana ndogo iliyo karibu zaidi",
+    },
+    status: {
+      received: "Yamepokelewa",
+      short: "Pungufu",
+      over: "Ziada",
+      not_received: "Hayajapokelewa",
+    },
+  },
+  variance: {
+    net: "Tofauti halisi",
+    none: "Hakuna tofauti za kuonyesha",
+    rows: {
+      one: "mstari {count}",
+      other: "mistari {count}",
+    },
+    absolute: "kamili {amount}",
+    unconverted: {
+      one: "mstari {count} hauna kiwango cha ubadilishaji na umeachwa",
+      other: "mistari {count} haina kiwango cha ubadilishaji na imeachwa",
+    },
+    netHint: "Ndani ukiondoa mtoa huduma, kwa sarafu ya ndani",
+    size: "Ukubwa wa tofauti",
+    recurring: "Tofauti zinazojirudia",
+    noRecurring: "Hakuna kiasi cha tofauti kinachojirudia kwenye mistari",
+    recurringHint:
+      "Tofauti ileile kwenye mistari mingi mara nyingi humaanisha ada isiyobadilika iliyokatwa",
+  },
+  journal: {
+    title: "Maingizo ya Jarida Yanayopendekezwa ({count})",
+    description:
+      "Gharama za ada kwa tofauti kati ya halisi na ghafi, ufutaji kwa tofauti hadi kiwango kilichowekwa na maingizo ya akaunti ya kusubiri kwa vipengee vya mtoa huduma pekee. Hitilafu zilizotatuliwa huachwa; zilizofutwa hufutwa kikamilifu.",
+    balanced: "Debiti ni sawa na kredit",
+    unbalanced: "Debiti na kredit zinatofautiana katika {currencies}",
+    accounts: "Chati ya akaunti na kiwango cha ufutaji",
+    code: "Msimbo",
+    accountName: "Jina la akaunti",
+    writeOffThreshold: "Futa tofauti hadi",
+    providerClearing:
+      "Akaunti ya usuluhishi kwa kila mtoa huduma; sehemu tupu hutumia akaunti ya usuluhishi ya mchakataji",
+    usesFallback: "Inatumia {account}",
+    empty: "Hakuna marekebisho ya kupendekeza",
+    skipped: {
+      one: "kipengee {count} kinahitaji ingizo la mkono",
+      other: "vipengee {count} vinahitaji maingizo ya mkono",
+    },
+    roles: {
+      clearing: "Usuluhishi wa mchakataji",
+      feeExpense: "Gharama za ada",
+      writeOff: "Ufutaji",
+      suspense: "Akaunti ya kusubiri",
+    },
+    types: {
+      fee: "Gharama ya ada",
+      writeOff: "Ufutaji",
+      suspense: "Kusubiri",
+    },
+    columns: {
+      entry: "Ingizo",
+      date: "Tarehe",
+      type: "Aina",
+      account: "Akaunti",
+      debit: "Debiti",
+      credit: "Kredit",
+    },
+  },
+};
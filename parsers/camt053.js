@@ -0,0 +1,97 @@
+import { STATEMENT_HEADERS, decodeEntities, hasExtension } from "./shared.js";
+
+// Tags may carry a namespace prefix (e.g. <ns2:Ntry>)
+const openTag = (tag) => `<(?:[\\w-]+:)?${tag}\\b[^>]*>`;
+const closeTag = (tag) => `</(?:[\\w-]+:)?${tag}>`;
+
+const findBlocks = (xml, tag) =>
+  xml.match(new RegExp(`${openTag(tag)}[\\s\\S]*?${closeTag(tag)}`, "g")) || [];
+
+// Text of the first element at the end of a tag path, e.g. "BookgDt/Dt"
+const readPath = (xml, path) => {
+  const block = path
+    .split("/")
+    .reduce((scope, tag) => (scope ? findBlocks(scope, tag)[0] : null), xml);
+  if (!block) return "";
+  return decodeEntities(block.replace(/^<[^>]*>/, "").replace(/<[^>]*>$/, ""));
+};
+
+// The amount stays text for validation to read and report
+const readAmount = (xml) => {
+  const match = xml.match(
+    new RegExp(`${openTag("Amt")}([^<]*)${closeTag("Amt")}`)
+  );
+  const currency = xml.match(/<(?:[\w-]+:)?Amt\b[^>]*Ccy="([A-Z]{3})"/);
+  return {
+    amount: match ? decodeEntities(match[1]) : "",
+    currency: currency ? currency[1] : "",
+  };
+};
+
+const readReference = (scope) =>
+  [
+    readPath(scope, "Refs/EndToEndId"),
+    readPath(scope, "Refs/TxId"),
+    readPath(scope, "AcctSvcrRef"),
+    readPath(scope, "NtryRef"),
+  ].find((reference) => reference && reference !== "NOTPROVIDED") || "";
+
+export default {
+  id: "camt053",
+  label: "CAMT.053",
+  extensions: [".xml"],
+  detect: (name, sample) =>
+    /camt\.053|BkToCstmrStmt/.test(sample) ||
+    (hasExtension(name, [".xml"]) && /<(?:[\w-]+:)?Stmt\b/.test(sample)),
+  // One row per entry, or per transaction detail for batched entries
+  parse: async (source, { dataType }) => {
+    const rows = [];
+
+    findBlocks(await source.text(), "Ntry").forEach((entry) => {
+      const isDebit = readPath(entry, "CdtDbtInd") === "DBIT";
+      const status =
+        readPath(entry, "Sts/Cd") || readPath(entry, "Sts") || "BOOK";
+      const date =
+        readPath(entry, "BookgDt/Dt") ||
+        readPath(entry, "BookgDt/DtTm") ||
+        readPath(entry, "ValDt/Dt");
+      const entryAmount = readAmount(entry);
+      const details = findBlocks(entry, "TxDtls");
+
+      const toRow = (scope, { amount, currency }) => ({
+        transaction_reference: readReference(scope) || readReference(entry),
+        amount: isDebit && amount ? `-${amount}` : amount,
+        status: status.toLowerCase(),
+        date: date.slice(0, 10),
+        currency: currency || entryAmount.currency,
+        description:
+          readPath(scope, "RmtInf/Ustrd") ||
+          readPath(entry, "AddtlNtryInf") ||
+          "",
+        entry_reference: readPath(entry, "NtryRef"),
+        account_servicer_reference: readPath(entry, "AcctSvcrRef"),
+      });
+
+      if (details.length > 1) {
+        details.forEach((detail) =>
+          rows.push(toRow(detail, readAmount(detail)))
+        );
+      } else {
+        rows.push(toRow(details[0] || entry, entryAmount));
+      }
+    });
+
+    if (rows.length === 0) {
+      throw `No <Ntry> entries found in ${dataType}`;
+    }
+
+    return {
+      headers: [
+        ...STATEMENT_HEADERS,
+        "entry_reference",
+        "account_servicer_reference",
+      ],
+      rows,
+    };
+  },
+};
@@ -0,0 +1,58 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import camt053 from "./camt053.js";
+
+const name = "statement.xml";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("camt053 parser", () => {
+  it("detects CAMT.053 statements", () => {
+    const sample = readFileSync(
+      new URL(`./fixtures/${name}`, import.meta.url),
+      {
+        encoding: "utf8",
+      }
+    );
+    assert.equal(camt053.detect("download", sample), true);
+    assert.equal(camt053.detect("feed.xml", "<rss></rss>"), false);
+  });
+
+  it("reads entries and splits batched ones per transaction", async () => {
+    const { rows } = await camt053.parse(source, { dataType: name });
+    assert.deepEqual(
+      rows.map(({ transaction_reference, amount, currency, date }) => ({
+        transaction_reference,
+        amount,
+        currency,
+        date,
+      })),
+      [
+        {
+          transaction_reference: "CAMT001",
+          amount: "1234.50",
+          currency: "EUR",
+          date: "2024-01-05",
+        },
+        {
+          transaction_reference: "CAMT002",
+          amount: "-25.00",
+          currency: "EUR",
+          date: "2024-01-06",
+        },
+        {
+          transaction_reference: "CAMT003",
+          amount: "-15.00",
+          currency: "EUR",
+          date: "2024-01-06",
+        },
+      ]
+    );
+    assert.equal(rows[0].status, "book");
+    assert.equal(rows[0].description, "Payout 17");
+    assert.equal(rows[0].account_servicer_reference, "BANK-1");
+  });
+});
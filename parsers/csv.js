@@ -0,0 +1,17 @@
+import { parseCSV } from "../reconciliationEngine.js";
+import { hasExtension } from "./shared.js";
+
+export default {
+  id: "csv",
+  label: "CSV",
+  extensions: [".csv", ".txt"],
+  detect: (name) => hasExtension(name, [".csv", ".txt"]),
+  // Papa Parse streams files where FileReader exists (browser and worker);
+  // under Node the text is read up front
+  parse: async (source, { dataType, onProgress }) =>
+    parseCSV(
+      typeof FileReader !== "undefined" ? source : await source.text(),
+      dataType,
+      onProgress
+    ),
+};
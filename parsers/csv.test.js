@@ -0,0 +1,32 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import csv from "./csv.js";
+
+const name = "statement.csv";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("csv parser", () => {
+  it("detects CSV files by extension", () => {
+    assert.equal(csv.detect(name, ""), true);
+    assert.equal(csv.detect("statement.ofx", "OFXHEADER:100"), false);
+  });
+
+  it("reads rows with normalized headers and text values", async () => {
+    const { headers, rows } = await csv.parse(source, { dataType: name });
+    assert.deepEqual(headers, [
+      "reference",
+      "amount",
+      "date",
+      "status",
+      "currency",
+      "description",
+    ]);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].description, "Order 1, paid");
+    assert.equal(rows[1].amount, "1,234.50");
+  });
+});
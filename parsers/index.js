@@ -0,0 +1,57 @@
+// Statement parsers turn each supported format into the same { headers, rows }
+// shape that the column mapping step expects. Add a format by writing a
+// parser with id, label, extensions, detect(name, sample) and
+// parse(source, options), then listing it here.
+import camt053 from "./camt053.js";
+import csv from "./csv.js";
+import json from "./json.js";
+import mt940 from "./mt940.js";
+import ofx from "./ofx.js";
+import xlsx from "./xlsx.js";
+
+// Content-specific formats first; CSV is the fallback
+export const STATEMENT_PARSERS = [xlsx, ofx, camt053, mt940, json, csv];
+
+export const SUPPORTED_EXTENSIONS = STATEMENT_PARSERS.flatMap(
+  (parser) => parser.extensions
+);
+
+const SAMPLE_SIZE = 4096;
+
+export const detectFormat = async (source) => {
+  const sample = await source.slice(0, SAMPLE_SIZE).text();
+  return (
+    STATEMENT_PARSERS.find((parser) => parser.detect(source.name, sample)) ||
+    null
+  );
+};
+
+/**
+ * Detect the format of a statement and parse it.
+ *
+ * @param {File|Blob} source - The uploaded file; needs name, slice(), text()
+ *   and arrayBuffer()
+ * @param {Object} options
+ * @param {string} options.dataType - Source name used in error messages
+ * @param {string} [options.sheetName] - Worksheet to read from Excel files
+ * @param {function(number): void} [options.onProgress]
+ * @returns {Promise<Object>} { format, headers, rows }, or
+ *   { format, needsSheet, sheetNames } for multi-sheet workbooks
+ */
+export const parseStatement = async (source, options) => {
+  const parser = await detectFormat(source);
+  if (!parser) {
+    throw `Unsupported file format for ${options.dataType}: ${source.name}`;
+  }
+
+  const { onProgress } = options;
+  if (onProgress) onProgress(0);
+  const result = await parser.parse(source, options);
+  if (onProgress) onProgress(1);
+
+  if (!result.needsSheet && result.rows.length === 0) {
+    throw `No rows found in ${options.dataType}`;
+  }
+
+  return { format: parser.label, ...result };
+};
@@ -0,0 +1,55 @@
+import { normalizeHeader } from "../columnMapping.js";
+import { hasExtension } from "./shared.js";
+
+const isRecordList = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.every((item) => item && typeof item === "object");
+
+// Nested objects become underscore-joined columns: {fee: {amount}} -> fee_amount
+const flatten = (record, prefix = "", row = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const column = normalizeHeader(prefix ? `${prefix}_${key}` : key);
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      flatten(value, column, row);
+    } else {
+      row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+  return row;
+};
+
+// Accept a top-level array or the first array of records inside an object
+const findRecords = (data) => {
+  if (isRecordList(data)) return data;
+  if (data && typeof data === "object") {
+    const nested = Object.values(data).find(isRecordList);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+export default {
+  id: "json",
+  label: "JSON",
+  extensions: [".json"],
+  detect: (name, sample) =>
+    hasExtension(name, [".json"]) || /^\s*[[{]/.test(sample),
+  parse: async (source, { dataType }) => {
+    let data;
+    try {
+      data = JSON.parse(await source.text());
+    } catch (err) {
+      throw `Invalid JSON in ${dataType}: ${err.message}`;
+    }
+
+    const records = findRecords(data);
+    if (!records) {
+      throw `No list of transactions found in ${dataType}`;
+    }
+
+    const rows = records.map((record) => flatten(record));
+    const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    return { headers, rows };
+  },
+};
@@ -0,0 +1,46 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import json from "./json.js";
+
+const name = "statement.json";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("json parser", () => {
+  it("detects JSON by extension or content", () => {
+    assert.equal(json.detect("export.txt", '  [{"id": 1}]'), true);
+    assert.equal(json.detect("export.txt", "reference,amount"), false);
+  });
+
+  it("flattens the records of the first list", async () => {
+    const { headers, rows } = await json.parse(source, { dataType: name });
+    assert.deepEqual(headers, [
+      "id",
+      "amount",
+      "status",
+      "created",
+      "fee_amount",
+      "fee_currency",
+      "tags",
+    ]);
+    assert.deepEqual(rows[0], {
+      id: "JSON001",
+      amount: 150,
+      status: "succeeded",
+      created: "2024-01-05",
+      fee_amount: 4.65,
+      fee_currency: "usd",
+      tags: '["web","card"]',
+    });
+  });
+
+  it("rejects invalid JSON", async () => {
+    await assert.rejects(
+      json.parse(new File(["{"], "broken.json"), { dataType: "broken.json" }),
+      /Invalid JSON in broken\.json/
+    );
+  });
+});
@@ -0,0 +1,90 @@
+import { STATEMENT_HEADERS, hasExtension } from "./shared.js";
+
+// :61: statement line - value date, optional entry date, debit/credit mark,
+// optional funds code, amount, transaction type, customer and bank refs
+const STATEMENT_LINE =
+  /^(\d{6})(\d{4})?(R?[CD])([A-Z])?([\d,]+)([A-Z]\w{3})([^/\n]*)(?:\/\/([^\n]*))?/;
+
+// YYMMDD -> YYYY-MM-DD (SWIFT years are always 20xx here)
+const parseSwiftDate = (value) =>
+  `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+
+// Split a message into [tag, value] pairs, keeping multi-line values
+const splitFields = (text) => {
+  const fields = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push([match[1], match[2]]);
+    } else if (fields.length > 0 && line.trim() && !line.startsWith("-")) {
+      fields[fields.length - 1][1] += `\n${line}`;
+    }
+  });
+  return fields;
+};
+
+export default {
+  id: "mt940",
+  label: "MT940",
+  extensions: [".sta", ".mt940", ".940"],
+  detect: (name, sample) =>
+    hasExtension(name, [".sta", ".mt940", ".940"]) ||
+    (/^:20:/m.test(sample) && /^:6[01]/m.test(sample)),
+  parse: async (source, { dataType }) => {
+    const rows = [];
+    let currency = "";
+    let statementId = "";
+
+    splitFields(await source.text()).forEach(([tag, value]) => {
+      if (tag === "20") {
+        statementId = value.trim();
+      } else if (tag === "60F" || tag === "60M") {
+        // Opening balance: mark, date, currency, amount
+        currency = value.slice(7, 10);
+      } else if (tag === "61") {
+        const match = value.match(STATEMENT_LINE);
+        if (!match) return;
+
+        const [, valueDate, , mark, , amount, type, customerRef, bankRef] =
+          match;
+        const absolute = parseFloat(amount.replace(",", "."));
+        const isDebit = mark === "D" || mark === "RC";
+        const reference = customerRef.trim();
+
+        rows.push({
+          transaction_reference:
+            reference && reference !== "NONREF"
+              ? reference
+              : (bankRef || "").trim(),
+          amount: isDebit ? -absolute : absolute,
+          status: mark.startsWith("R") ? "reversed" : "booked",
+          date: parseSwiftDate(valueDate),
+          currency,
+          description: "",
+          transaction_type: type,
+          bank_reference: (bankRef || "").trim(),
+          statement_id: statementId,
+        });
+      } else if (tag === "86" && rows.length > 0) {
+        // Narrative belongs to the preceding :61: line
+        rows[rows.length - 1].description = value
+          .replace(/\s*\n\s*/g, " ")
+          .trim();
+      }
+    });
+
+    if (rows.length === 0) {
+      throw `No :61: statement lines found in ${dataType}`;
+    }
+
+    return {
+      headers: [
+        ...STATEMENT_HEADERS,
+        "transaction_type",
+        "bank_reference",
+        "statement_id",
+      ],
+      rows,
+    };
+  },
+};
@@ -0,0 +1,48 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mt940 from "./mt940.js";
+
+const name = "statement.sta";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("mt940 parser", () => {
+  it("detects MT940 messages", () => {
+    assert.equal(
+      mt940.detect("bank.txt", ":20:STMT\n:61:2401050105C1,00"),
+      true
+    );
+    assert.equal(mt940.detect("bank.txt", "reference,amount"), false);
+  });
+
+  it("reads statement lines with their narratives", async () => {
+    const { rows } = await mt940.parse(source, { dataType: name });
+    assert.deepEqual(rows, [
+      {
+        transaction_reference: "MT001",
+        amount: 1234.5,
+        status: "booked",
+        date: "2024-01-05",
+        currency: "EUR",
+        description: "Payout 17 Acme Payments",
+        transaction_type: "NTRF",
+        bank_reference: "BANK-1",
+        statement_id: "STMT240105",
+      },
+      {
+        transaction_reference: "BANK-2",
+        amount: -25,
+        status: "booked",
+        date: "2024-01-06",
+        currency: "EUR",
+        description: "Bank fee",
+        transaction_type: "NCHG",
+        bank_reference: "BANK-2",
+        statement_id: "STMT240105",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+import { STATEMENT_HEADERS, decodeEntities, hasExtension } from "./shared.js";
+
+// Value of a tag in OFX 1.x SGML (closing tags optional) or OFX 2.x XML
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? decodeEntities(match[1]) : "";
+};
+
+// 20240131120000.000[-5:EST] -> 2024-01-31
+const parseOfxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : "";
+};
+
+export default {
+  id: "ofx",
+  label: "OFX/QFX",
+  extensions: [".ofx", ".qfx"],
+  detect: (name, sample) =>
+    hasExtension(name, [".ofx", ".qfx"]) || /OFXHEADER|<OFX>/i.test(sample),
+  parse: async (source, { dataType }) => {
+    const text = await source.text();
+    const currency = readTag(text, "CURDEF");
+    const blocks = text.match(
+      /<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi
+    );
+
+    if (!blocks) {
+      throw `No transactions found in ${dataType}`;
+    }
+
+    const rows = blocks.map((block) => ({
+      transaction_reference: readTag(block, "FITID"),
+      // Left as text so validation reads it and reports what it cannot
+      amount: readTag(block, "TRNAMT"),
+      status: "posted",
+      date: parseOfxDate(readTag(block, "DTPOSTED")),
+      currency: readTag(block, "CURRENCY") || currency,
+      description: [readTag(block, "NAME"), readTag(block, "MEMO")]
+        .filter(Boolean)
+        .join(" - "),
+      transaction_type: readTag(block, "TRNTYPE"),
+      check_number: readTag(block, "CHECKNUM"),
+    }));
+
+    return {
+      headers: [...STATEMENT_HEADERS, "transaction_type", "check_number"],
+      rows,
+    };
+  },
+};
@@ -0,0 +1,59 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { guessColumnMapping, validateRows } from "../columnMapping.js";
+import ofx from "./ofx.js";
+
+const name = "statement.ofx";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("ofx parser", () => {
+  it("detects OFX content under any name", () => {
+    assert.equal(ofx.detect("export.txt", "OFXHEADER:100\nDATA:OFXSGML"), true);
+    assert.equal(ofx.detect("export.txt", "reference,amount"), false);
+  });
+
+  it("reads one row per transaction", async () => {
+    const { rows } = await ofx.parse(source, { dataType: name });
+    assert.deepEqual(rows, [
+      {
+        transaction_reference: "OFX001",
+        amount: "1,234.50",
+        status: "posted",
+        date: "2024-01-05",
+        currency: "USD",
+        description: "Acme Payments - Payout 17",
+        transaction_type: "CREDIT",
+        check_number: "",
+      },
+      {
+        transaction_reference: "OFX002",
+        amount: "-25.00",
+        status: "posted",
+        date: "2024-01-06",
+        currency: "USD",
+        description: "Bank fee",
+        transaction_type: "DEBIT",
+        check_number: "1001",
+      },
+    ]);
+  });
+
+  it("leaves amounts for validation to read and report", async () => {
+    const { headers, rows } = await ofx.parse(source, { dataType: name });
+    const unreadable = { ...rows[1], amount: "12..5" };
+    const { transactions, issues } = validateRows(
+      [...rows, unreadable],
+      guessColumnMapping(headers)
+    );
+    assert.deepEqual(
+      transactions.map(({ amount }) => amount),
+      [1234.5, -25, 0]
+    );
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].reason, "Unreadable amount, used 0");
+  });
+});
@@ -0,0 +1,47 @@
+import { normalizeHeader } from "../columnMapping.js";
+
+// Rows handed to the column mapping step use these canonical column names
+// when a format defines its own fields (OFX, MT940, CAMT.053)
+export const STATEMENT_HEADERS = [
+  "transaction_reference",
+  "amount",
+  "status",
+  "date",
+  "currency",
+  "description",
+];
+
+// Build rows from a header row and data rows, normalizing headers the same
+// way as CSV uploads. `headerLine` is the sheet row the header is on; empty
+// rows are skipped but still counted for the `lines` of the rows below.
+export const rowsFromTable = (table, headerLine = 1) => {
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map((header) => normalizeHeader(String(header)));
+  const rows = [];
+  const lines = [];
+
+  dataRows.forEach((cells, index) => {
+    if (!cells.some((cell) => cell !== "" && cell !== null)) return;
+    const row = {};
+    headers.forEach((header, column) => {
+      row[header] = cells[column] ?? "";
+    });
+    rows.push(row);
+    lines.push(headerLine + 1 + index);
+  });
+
+  return { headers, rows, lines };
+};
+
+// Decode the XML/SGML entities used in bank statement text
+export const decodeEntities = (text) =>
+  String(text)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+export const hasExtension = (name, extensions) =>
+  extensions.some((extension) => name.toLowerCase().endsWith(extension));
@@ -0,0 +1,75 @@
+import * as XLSX from "xlsx";
+import { hasExtension, rowsFromTable } from "./shared.js";
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Serial 1 is 1900-01-01. Excel counts a 1900-02-29 that never existed, so
+// serials from 61 on are one day ahead of a plain count.
+const EXCEL_EPOCH = Date.UTC(1899, 11, 31);
+const DATE_1904_OFFSET = 1462; // Days from 1900-01-01 to 1904-01-01
+
+// A number format shows a date or time when it has d, m, y, h or s codes
+// outside quoted text, escapes and [Red] or [$-409] sections
+const isDateFormat = (format) =>
+  /[dmyhs]/i.test(format.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, ""));
+
+// Date cells hold a day serial number. Reading them as JavaScript Dates goes
+// through the machine's time zone and can land on the day before, so the
+// wall-clock date and time are worked out from the serial in UTC instead.
+const formatDate = (serial, date1904) => {
+  let seconds = Math.round(
+    (serial + (date1904 ? DATE_1904_OFFSET : 0)) * DAY_SECONDS
+  );
+  if (seconds >= 61 * DAY_SECONDS) seconds -= DAY_SECONDS;
+  const iso = new Date(EXCEL_EPOCH + seconds * 1000).toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso.slice(0, 19);
+};
+
+const formatDateCells = (sheet, date1904) => {
+  Object.keys(sheet).forEach((address) => {
+    const cell = sheet[address];
+    if (address[0] === "!" || cell.t !== "n" || !cell.z) return;
+    if (isDateFormat(cell.z)) {
+      sheet[address] = { t: "s", v: formatDate(cell.v, date1904) };
+    }
+  });
+};
+
+export default {
+  id: "xlsx",
+  label: "Excel",
+  extensions: [".xlsx", ".xls"],
+  detect: (name, sample) =>
+    hasExtension(name, [".xlsx", ".xls"]) || sample.startsWith("PK"),
+  // Workbooks with several sheets need a sheet name; without one the sheet
+  // names are returned so the caller can ask which to use
+  parse: async (source, { dataType, sheetName }) => {
+    const workbook = XLSX.read(await source.arrayBuffer(), {
+      type: "array",
+      cellNF: true,
+    });
+
+    if (!sheetName && workbook.SheetNames.length > 1) {
+      return { needsSheet: true, sheetNames: workbook.SheetNames };
+    }
+
+    const sheet = workbook.Sheets[sheetName || workbook.SheetNames[0]];
+    if (!sheet) {
+      throw `Sheet "${sheetName}" not found in ${dataType}`;
+    }
+
+    formatDateCells(sheet, Boolean(workbook.Workbook?.WBProps?.date1904));
+    // The table starts at the first used row, which is not always row 1
+    const firstRow = sheet["!ref"]
+      ? XLSX.utils.decode_range(sheet["!ref"]).s.r + 1
+      : 1;
+    return rowsFromTable(
+      XLSX.utils.sheet_to_json(sheet, {
+        header: 1,
+        defval: "",
+        raw: true,
+        blankrows: true,
+      }),
+      firstRow
+    );
+  },
+};
@@ -0,0 +1,62 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "./xlsx.js";
+
+const name = "statement.xlsx";
+const source = new File(
+  [readFileSync(new URL(`./fixtures/${name}`, import.meta.url))],
+  name
+);
+
+describe("xlsx parser", () => {
+  it("detects workbooks by extension or zip signature", () => {
+    assert.equal(xlsx.detect(name, ""), true);
+    assert.equal(xlsx.detect("upload", "PK\u0003\u0004"), true);
+    assert.equal(xlsx.detect("upload.csv", "reference"), false);
+  });
+
+  it("asks for a sheet when the workbook has several", async () => {
+    assert.deepEqual(await xlsx.parse(source, { dataType: name }), {
+      needsSheet: true,
+      sheetNames: ["Transactions", "Notes"],
+    });
+  });
+
+  // Date cells used to shift to the day before east of UTC
+  ["UTC", "Africa/Nairobi", "Europe/Paris", "America/New_York"].forEach(
+    (timeZone) =>
+      it(`reads date cells as written in ${timeZone}`, async () => {
+        const previous = process.env.TZ;
+        process.env.TZ = timeZone;
+        try {
+          const { headers, rows } = await xlsx.parse(source, {
+            dataType: name,
+            sheetName: "Transactions",
+          });
+          assert.deepEqual(headers, [
+            "reference",
+            "amount",
+            "date",
+            "status",
+            "currency",
+          ]);
+          assert.equal(rows[0].date, "2024-01-05");
+          assert.equal(rows[1].date, "2024-01-06T14:30:00");
+          assert.equal(rows[0].amount, 150);
+          assert.equal(rows[1].amount, "1,234.50");
+        } finally {
+          // Assigning undefined would store the string "undefined"
+          if (previous === undefined) delete process.env.TZ;
+          else process.env.TZ = previous;
+        }
+      })
+  );
+
+  it("rejects a missing sheet", async () => {
+    await assert.rejects(
+      xlsx.parse(source, { dataType: name, sheetName: "Payouts" }),
+      /Sheet "Payouts" not found/
+    );
+  });
+});
@@ -0,0 +1,345 @@
+import { normalizeHeader } from "./columnMapping.js";
+
+// Kinds of personal data a source column can hold
+export const SENSITIVE_TYPES = [
+  { id: "pan", label: "Card number (PAN)" },
+  { id: "email", label: "Email address" },
+  { id: "phone", label: "Phone number" },
+  { id: "iban", label: "IBAN" },
+];
+
+// What exports do with sensitive columns
+export const EXPORT_MODES = [
+  { id: "redact", label: "Redact" },
+  { id: "hash", label: "Hash" },
+  { id: "mask", label: "Mask as on screen" },
+  { id: "keep", label: "Keep" },
+];
+
+// `columns` sets a type per column name on top of detection; an empty
+// type marks a column as not sensitive
+export const DEFAULT_PRIVACY_SETTINGS = {
+  maskDisplay: true,
+  exportMode: "redact",
+  columns: {},
+};
+
+export const REDACTED = "[redacted]";
+
+// Cleaned fields the match is made on; masking them would hide what the run
+// matched, so they are never treated as sensitive
+const MATCH_FIELDS = new Set([
+  "transaction_reference",
+  "amount",
+  "fee",
+  "date",
+  "status",
+  "currency",
+  "payout_id",
+  "provider_name",
+]);
+
+// Rows sampled per column, and the share of filled values that has to look
+// like a type for the column to count as that type. Card numbers are looked
+// for in every row instead: one is enough for a column to count as holding
+// card numbers, wherever in the file it is.
+const SAMPLE_SIZE = 200;
+const MIN_SHARE = 0.8;
+
+const PHONE_HEADER = /phone|mobile|msisdn|tel/;
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Luhn checksum of a card number
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: move the first four characters to the end, turn letters
+// into numbers and take the remainder by 97 piece by piece
+const passesIbanCheck = (iban) => {
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) =>
+    String(c.charCodeAt(0) - 55)
+  );
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+const compact = (value) => String(value).replace(/[\s-]/g, "");
+
+// Tests per type. Phone numbers without a country code look like any other
+// number, so they only count in a column named like a phone column.
+const DETECTORS = {
+  pan: (value) => {
+    const digits = compact(value);
+    return /^\d{13,19}$/.test(digits) && passesLuhn(digits);
+  },
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(value).trim()),
+  phone: (value, column) => {
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, "").length;
+    return (
+      /^\+?[\d\s().-]+$/.test(text) &&
+      digits >= 7 &&
+      digits <= 15 &&
+      (text.startsWith("+") || PHONE_HEADER.test(column))
+    );
+  },
+  iban: (value) => {
+    const iban = compact(value).toUpperCase();
+    return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && passesIbanCheck(iban);
+  },
+};
+
+/**
+ * Find the columns of some rows that hold card numbers, email addresses,
+ * phone numbers or IBANs, from the values of the first rows. A column with
+ * a value in any row that passes the card number check is a "pan" column.
+ *
+ * @param {Object[]} rows - Parsed or cleaned rows
+ * @returns {Object<string, string>} Column name to type id (see
+ *   SENSITIVE_TYPES)
+ */
+export const detectSensitiveColumns = (rows) => {
+  const sample = rows.slice(0, SAMPLE_SIZE);
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  const detected = {};
+
+  columns.forEach((column) => {
+    if (MATCH_FIELDS.has(column)) return;
+    if (
+      rows.some(
+        (row) => !isBlank(row[column]) && DETECTORS.pan(row[column], column)
+      )
+    ) {
+      detected[column] = "pan";
+      return;
+    }
+
+    const values = sample
+      .map((row) => row[column])
+      .filter((value) => !isBlank(value));
+    if (!values.length) return;
+
+    const type = SENSITIVE_TYPES.find(
+      ({ id }) =>
+        id !== "pan" &&
+        values.filter((value) => DETECTORS[id](value, column)).length >=
+          values.length * MIN_SHARE
+    );
+    if (type) detected[column] = type.id;
+  });
+
+  return detected;
+};
+
+/**
+ * Apply configured column types to detected ones. Names are compared the
+ * way CSV headers are normalized, so "Card Number" covers "card_number";
+ * look columns up with getSensitiveType().
+ *
+ * @param {Object<string, string>} detected - From detectSensitiveColumns()
+ * @param {Object<string, string>} [configured] - Column to type id, or ""
+ *   for a column that is not sensitive
+ * @returns {Object<string, string>} Normalized column name to type id
+ */
+export const getSensitiveColumns = (detected, configured = {}) => {
+  const columns = {};
+  Object.entries(detected).forEach(([column, type]) => {
+    columns[normalizeHeader(column)] = type;
+  });
+  Object.entries(configured).forEach(([column, type]) => {
+    const key = normalizeHeader(column);
+    if (MATCH_FIELDS.has(key)) return;
+    if (type) {
+      columns[key] = type;
+    } else {
+      delete columns[key];
+    }
+  });
+  return columns;
+};
+
+// Type of a column in getSensitiveColumns() output, or undefined
+export const getSensitiveType = (columns, column) =>
+  columns[normalizeHeader(column)];
+
+/**
+ * Mask a value for display, keeping enough to recognise it: the last four
+ * digits of a card number, the first letter and domain of an email address,
+ * the last three digits of a phone number and the country and last four
+ * characters of an IBAN.
+ *
+ * @param {*} value
+ * @param {string} type - One of SENSITIVE_TYPES
+ * @returns {string}
+ */
+export const maskValue = (value, type) => {
+  if (isBlank(value)) return value;
+  const text = String(value).trim();
+
+  if (type === "pan") {
+    const digits = text.replace(/\D/g, "");
+    return `${"*".repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+  }
+  if (type === "email") {
+    const at = text.lastIndexOf("@");
+    if (at < 1) return "***";
+    return `${text[0]}***${text.slice(at)}`;
+  }
+  if (type === "phone") {
+    return text.replace(/\d(?=(?:\D*\d){3})/g, "*");
+  }
+  if (type === "iban") {
+    const iban = compact(text).toUpperCase();
+    return `${iban.slice(0, 2)}${"*".repeat(
+      Math.max(iban.length - 6, 0)
+    )}${iban.slice(-4)}`;
+  }
+  return "***";
+};
+
+/**
+ * Create a secret key for hashing export values. Hashes are keyed so that
+ * card numbers and phone numbers, which have few possible values, cannot be
+ * recovered by hashing guesses; the same value hashes the same way for as
+ * long as the key is kept.
+ *
+ * @returns {Promise<CryptoKey>}
+ */
+export const createHashKey = () =>
+  crypto.subtle.generateKey({ name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+
+const hashValue = async (key, value) => {
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(value)
+  );
+  return Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+};
+
+/**
+ * Protect the sensitive columns of export rows as `settings.exportMode`
+ * says: "redact" replaces values with REDACTED, "hash" with a keyed SHA-256
+ * hash (equal values get equal hashes, so rows can still be matched up),
+ * "mask" as on screen and "keep" leaves them. The columns are the ones found
+ * in the source files rather than in the rows, so a category with only a few
+ * rows is protected like the files it came from.
+ *
+ * @param {Object[]} rows - Export rows
+ * @param {Object<string, string>} sensitiveColumns - From
+ *   getSensitiveColumns(), with the configured types applied
+ * @param {Object} [settings] - See DEFAULT_PRIVACY_SETTINGS
+ * @param {CryptoKey} [hashKey] - From createHashKey(); needed for "hash"
+ * @returns {Promise<Object[]>} New rows; blank values stay blank
+ */
+export const protectRows = async (
+  rows,
+  sensitiveColumns,
+  settings = DEFAULT_PRIVACY_SETTINGS,
+  hashKey
+) => {
+  const { exportMode } = { ...DEFAULT_PRIVACY_SETTINGS, ...settings };
+  if (exportMode === "keep") return rows;
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+    .map((column) => [column, getSensitiveType(sensitiveColumns, column)])
+    .filter(([, type]) => type);
+  if (!columns.length) return rows;
+
+  const hashes = new Map();
+  if (exportMode === "hash") {
+    const values = new Set(
+      rows.flatMap((row) =>
+        columns
+          .map(([column]) => row[column])
+          .filter((value) => !isBlank(value))
+          .map(String)
+      )
+    );
+    for (const value of values) {
+      hashes.set(value, await hashValue(hashKey, value));
+    }
+  }
+
+  const protect = (value, type) => {
+    if (isBlank(value)) return value;
+    if (exportMode === "hash") return hashes.get(String(value));
+    if (exportMode === "mask") return maskValue(value, type);
+    return REDACTED;
+  };
+  return rows.map((row) => {
+    const copy = { ...row };
+    columns.forEach(([column, type]) => {
+      if (column in copy) copy[column] = protect(copy[column], type);
+    });
+    return copy;
+  });
+};
+
+/**
+ * Protect every row held in stored results, as protectRows() does, keeping
+ * the results' shape so a run can be opened from them as it was saved.
+ *
+ * @param {Object} results - From reconcile()
+ * @param {Object<string, string>} sensitiveColumns - From
+ *   getSensitiveColumns(), with the configured types applied
+ * @param {Object} [settings] - See DEFAULT_PRIVACY_SETTINGS
+ * @param {CryptoKey} [hashKey] - From createHashKey(); needed for "hash"
+ * @returns {Promise<Object>} New results
+ */
+export const protectResults = async (
+  results,
+  sensitiveColumns,
+  settings,
+  hashKey
+) => {
+  // Rows and the items around them alike; items only hold match fields
+  const objects = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === "object") {
+      objects.push(value);
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(results);
+
+  const protectedObjects = await protectRows(
+    objects,
+    sensitiveColumns,
+    settings,
+    hashKey
+  );
+  if (protectedObjects === objects) return results;
+  const copies = new Map(
+    objects.map((object, index) => [object, protectedObjects[index]])
+  );
+  const rebuild = (value) => {
+    if (Array.isArray(value)) return value.map(rebuild);
+    if (!copies.has(value)) return value;
+    const copy = copies.get(value);
+    Object.keys(copy).forEach((key) => {
+      if (copy[key] === value[key]) copy[key] = rebuild(value[key]);
+    });
+    return copy;
+  };
+  return rebuild(results);
+};
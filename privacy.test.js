@@ -0,0 +1,163 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  REDACTED,
+  createHashKey,
+  detectSensitiveColumns,
+  getSensitiveColumns,
+  protectResults,
+  protectRows,
+} from "./privacy.js";
+
+const CARD = "4111 1111 1111 1111";
+const OTHER_CARD = "5555555555554444";
+
+const rowsOf = (values, column) =>
+  values.map((value, index) => ({
+    transaction_reference: `TX${index + 1}`,
+    [column]: value,
+  }));
+
+describe("detectSensitiveColumns", () => {
+  it("finds card numbers in a column mixed with other values", () => {
+    const rows = rowsOf(
+      [...Array(7).fill(CARD), "N/A", "N/A", "N/A"],
+      "card_number"
+    );
+    assert.deepEqual(detectSensitiveColumns(rows), { card_number: "pan" });
+  });
+
+  it("finds a single card number among free text", () => {
+    const rows = rowsOf(["refund", "cash", OTHER_CARD, "cash"], "note");
+    assert.deepEqual(detectSensitiveColumns(rows), { note: "pan" });
+  });
+
+  it("finds a card number past the rows sampled for other types", () => {
+    const rows = rowsOf([...Array(500).fill("cash"), OTHER_CARD], "note");
+    assert.deepEqual(detectSensitiveColumns(rows), { note: "pan" });
+  });
+
+  it("needs most values to match for other types", () => {
+    const mostly = rowsOf(
+      [...Array(8).fill("jane@example.com"), "unknown", "unknown"],
+      "contact"
+    );
+    const few = rowsOf(
+      ["jane@example.com", "unknown", "unknown", "unknown"],
+      "contact"
+    );
+    assert.deepEqual(detectSensitiveColumns(mostly), { contact: "email" });
+    assert.deepEqual(detectSensitiveColumns(few), {});
+  });
+
+  it("ignores long numbers that fail the card check", () => {
+    const rows = rowsOf(["4111111111111112", "1234567890123"], "order_id");
+    assert.deepEqual(detectSensitiveColumns(rows), {});
+  });
+
+  it("never flags the fields a match is made on", () => {
+    assert.deepEqual(
+      detectSensitiveColumns([{ transaction_reference: OTHER_CARD }]),
+      {}
+    );
+  });
+});
+
+describe("protectRows", () => {
+  // Columns as found in a whole source file, while the exported rows happen
+  // to hold no card number in the first rows
+  const sensitive = getSensitiveColumns(
+    detectSensitiveColumns(
+      rowsOf([...Array(7).fill(CARD), "N/A", "N/A", "N/A"], "Card Number")
+    )
+  );
+  const rows = rowsOf(["N/A", "N/A", "N/A", CARD], "Card Number");
+
+  it("redacts the columns found in the source files", async () => {
+    const protectedRows = await protectRows(rows, sensitive);
+    assert.deepEqual(
+      protectedRows.map((row) => row["Card Number"]),
+      Array(4).fill(REDACTED)
+    );
+    assert.equal(protectedRows[3].transaction_reference, "TX4");
+    assert.equal(rows[3]["Card Number"], CARD);
+  });
+
+  it("hashes equal values the same way", async () => {
+    const protectedRows = await protectRows(
+      [...rows, ...rowsOf([CARD], "Card Number")],
+      sensitive,
+      { exportMode: "hash" },
+      await createHashKey()
+    );
+    const hashes = protectedRows.map((row) => row["Card Number"]);
+    assert.match(hashes[3], /^[0-9a-f]{64}$/);
+    assert.equal(hashes[4], hashes[3]);
+    assert.notEqual(hashes[0], hashes[3]);
+    assert.ok(!hashes.includes(CARD));
+  });
+
+  it("applies configured types and leaves rows alone in keep mode", async () => {
+    const configured = getSensitiveColumns(
+      {},
+      { "Card Number": "pan", transaction_reference: "pan" }
+    );
+    const masked = await protectRows(rows, configured, { exportMode: "mask" });
+    assert.equal(masked[3]["Card Number"], "************1111");
+    assert.equal(masked[3].transaction_reference, "TX4");
+    assert.equal(
+      await protectRows(rows, sensitive, { exportMode: "keep" }),
+      rows
+    );
+  });
+});
+
+describe("protectResults", () => {
+  const sensitive = getSensitiveColumns({ card_number: "pan" });
+  const internal = { transaction_reference: "TX1", card_number: CARD };
+  const provider = { transaction_reference: "TX1", card_number: CARD };
+  const results = {
+    matched: [
+      {
+        transaction_reference: "TX1",
+        internal,
+        provider,
+        internalRows: [internal],
+        providerRows: [provider],
+      },
+    ],
+    internalOnly: [{ transaction_reference: "TX2", card_number: OTHER_CARD }],
+    summary: { total: 2 },
+  };
+
+  it("protects rows wherever the results hold them", async () => {
+    const protectedResults = await protectResults(results, sensitive);
+    const [item] = protectedResults.matched;
+    assert.equal(item.transaction_reference, "TX1");
+    assert.equal(item.internal.card_number, REDACTED);
+    assert.equal(item.providerRows[0].card_number, REDACTED);
+    assert.equal(protectedResults.internalOnly[0].card_number, REDACTED);
+    assert.deepEqual(protectedResults.summary, { total: 2 });
+    assert.ok(!JSON.stringify(protectedResults).includes(OTHER_CARD));
+    assert.equal(internal.card_number, CARD);
+  });
+
+  it("hashes a value the same way in every row", async () => {
+    const protectedResults = await protectResults(
+      results,
+      sensitive,
+      { exportMode: "hash" },
+      await createHashKey()
+    );
+    const [item] = protectedResults.matched;
+    assert.match(item.internal.card_number, /^[0-9a-f]{64}$/);
+    assert.equal(item.provider.card_number, item.internal.card_number);
+  });
+
+  it("returns the results as they are in keep mode", async () => {
+    assert.equal(
+      await protectResults(results, sensitive, { exportMode: "keep" }),
+      results
+    );
+  });
+});
@@ -0,0 +1,36 @@
+import { createContext, useContext, useMemo } from "react";
+import {
+  detectSensitiveColumns,
+  getSensitiveColumns,
+  getSensitiveType,
+  maskValue,
+} from "./privacy";
+
+// Sensitive columns of the loaded files, as getSensitiveColumns() returns
+// them, with the privacy settings they were found under
+export const PrivacyContext = createContext({
+  columns: {},
+  settings: { maskDisplay: false, columns: {} },
+});
+
+// Display function for source values: masked when the column holds personal
+// data and masking is on. `rows` adds columns found in rows that are not
+// reconciled yet, such as the preview of a file being mapped.
+export const useMask = (rows) => {
+  const { columns, settings } = useContext(PrivacyContext);
+  const sensitive = useMemo(
+    () =>
+      rows
+        ? getSensitiveColumns(
+            { ...detectSensitiveColumns(rows), ...columns },
+            settings.columns
+          )
+        : columns,
+    [rows, columns, settings.columns]
+  );
+
+  return (column, value) => {
+    const type = getSensitiveType(sensitive, column);
+    return settings.maskDisplay && type ? maskValue(value, type) : value;
+  };
+};
@@ -0,0 +1,124 @@
+// Web Worker that parses, cleans and reconciles off the main thread. Parsed
+// rows stay here; the page only receives previews, counts and results.
+import {
+  combineProviderStatements,
+  reconcile,
+} from "./reconciliationEngine.js";
+import { validateRows } from "./columnMapping.js";
+import { parseStatement } from "./parsers/index.js";
+import { hashFile } from "./fileHash.js";
+import { detectSensitiveColumns } from "./privacy.js";
+
+const PREVIEW_ROWS = 5;
+
+const parsedRows = {};
+const parseErrors = {};
+const parsedLines = {};
+const transactions = {};
+
+const handlers = {
+  parse: async ({ side, file, dataType, sheetName }, reportProgress) => {
+    const { format, headers, rows, errors, lines, needsSheet, sheetNames } =
+      await parseStatement(file, {
+        dataType,
+        sheetName,
+        onProgress: (fraction) => reportProgress("parse", fraction),
+      });
+    if (needsSheet) return { format, needsSheet, sheetNames };
+
+    parsedRows[side] = rows;
+    parseErrors[side] = errors || [];
+    parsedLines[side] = lines;
+    delete transactions[side];
+
+    return {
+      format,
+      headers,
+      preview: rows.slice(0, PREVIEW_ROWS),
+      rowCount: rows.length,
+      sha256: await hashFile(file),
+    };
+  },
+
+  // Move a parsed file to the source it was found to be. Dropped files are
+  // parsed under a temporary side before their source is known.
+  assign: async ({ from, to }) => {
+    parsedRows[to] = parsedRows[from];
+    parseErrors[to] = parseErrors[from];
+    parsedLines[to] = parsedLines[from];
+    delete parsedRows[from];
+    delete parseErrors[from];
+    delete parsedLines[from];
+    delete transactions[to];
+    return null;
+  },
+
+  // Clean with the chosen mapping and report the rows that needed fixing,
+  // and the columns holding personal data
+  clean: async ({ side, mapping }) => {
+    const validation = validateRows(
+      parsedRows[side],
+      mapping,
+      parseErrors[side],
+      parsedLines[side]
+    );
+    transactions[side] = validation.transactions;
+    return {
+      count: validation.transactions.length,
+      summary: validation.summary,
+      issues: validation.issues,
+      sensitiveColumns: detectSensitiveColumns(validation.transactions),
+    };
+  },
+
+  // Distinct references of a cleaned source
+  references: async ({ side }) => [
+    ...new Set(
+      (transactions[side] || []).map((tx) => tx.transaction_reference)
+    ),
+  ],
+
+  // `providers` lists the provider statements to include as { side, name }.
+  // The bank statement is optional; with it the payouts are matched too.
+  reconcile: async ({ options, providers }, reportProgress) =>
+    reconcile(
+      transactions.internal || [],
+      combineProviderStatements(
+        providers.map(({ side, name }) => ({
+          provider: name,
+          transactions: transactions[side] || [],
+        }))
+      ),
+      {
+        ...options,
+        bankData: transactions.bank || null,
+        onProgress: reportProgress,
+      }
+    ),
+
+  // Forget every source before a new run
+  reset: async () => {
+    Object.keys(parsedRows).forEach((side) => delete parsedRows[side]);
+    Object.keys(parseErrors).forEach((side) => delete parseErrors[side]);
+    Object.keys(parsedLines).forEach((side) => delete parsedLines[side]);
+    Object.keys(transactions).forEach((side) => delete transactions[side]);
+    return null;
+  },
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const reportProgress = (phase, fraction) =>
+    self.postMessage({ id, type: "progress", phase, fraction });
+
+  try {
+    const result = await handlers[type](payload, reportProgress);
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    self.postMessage({
+      id,
+      type: "error",
+      message: err instanceof Error ? err.message : String(err),
+    });
+  }
+};
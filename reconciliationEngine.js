@@ -0,0 +1,756 @@
+// Framework-free reconciliation engine shared by the React UI and the CLI.
+// Imports carry explicit extensions so the module also runs under Node.
+import Papa from "papaparse";
+import { applyColumnMapping, normalizeHeader } from "./columnMapping.js";
+import {
+  DEFAULT_MATCHING_RULES,
+  RULE_LABELS,
+  findGroupMatches,
+  findSuggestedMatches,
+  getSuggestionKey,
+  mergeMatchingRules,
+} from "./fuzzyMatching.js";
+import { DEFAULT_AMOUNT_SETTINGS, compareAmounts } from "./amountComparison.js";
+import { DEFAULT_STATUS_MAPPING, compareStatuses } from "./statusMapping.js";
+import {
+  DEFAULT_DATE_SETTINGS,
+  dayNumberToIsoDate,
+  isValidTimeZone,
+  isoDateToDayNumber,
+  parseDate,
+  toDayNumber,
+} from "./dateHandling.js";
+import {
+  DEFAULT_SETTLEMENT_SETTINGS,
+  reconcileSettlements,
+} from "./settlementMatching.js";
+
+export const DEFAULT_OPTIONS = {
+  matchingRules: DEFAULT_MATCHING_RULES,
+  amountSettings: DEFAULT_AMOUNT_SETTINGS,
+  fxRates: [],
+  statusMapping: DEFAULT_STATUS_MAPPING,
+  dateSettings: DEFAULT_DATE_SETTINGS,
+  suggestionDecisions: {},
+  manualMatches: [], // [{id, internalReferences, providerReferences, comment}]
+  unmatchedPairs: [], // "internalRef::providerRef" keys of broken matches
+  bankData: null, // Cleaned bank statement rows for a three-way match
+  settlementSettings: DEFAULT_SETTLEMENT_SETTINGS,
+  onProgress: null, // (phase, fraction) => void, for long-running matches
+};
+
+const PROGRESS_INTERVAL = 5000; // Groups between progress reports
+
+// Result categories, in display order, with the results key holding each.
+// `threeWay` categories only apply when a bank statement is reconciled.
+export const CATEGORIES = [
+  { id: "matched", label: "Matched Transactions", key: "matched" },
+  { id: "internal", label: "Internal Only", key: "internalOnly" },
+  { id: "provider", label: "Provider Only", key: "providerOnly" },
+  { id: "timing", label: "Timing Differences", key: "timingDifferences" },
+  { id: "amount", label: "Amount Mismatches", key: "amountMismatches" },
+  { id: "status", label: "Status Mismatches", key: "statusMismatches" },
+  { id: "suggested", label: "Suggested Matches", key: "suggested" },
+  { id: "duplicates", label: "Duplicates", key: "duplicates" },
+  {
+    id: "payouts",
+    label: "Settled Payouts",
+    key: "settledPayouts",
+    threeWay: true,
+  },
+  {
+    id: "shortPayouts",
+    label: "Short or Over Payouts",
+    key: "payoutDifferences",
+    threeWay: true,
+  },
+  {
+    id: "missingPayouts",
+    label: "Payouts Not Received",
+    key: "missingPayouts",
+    threeWay: true,
+  },
+  {
+    id: "deposits",
+    label: "Unmatched Deposits",
+    key: "unmatchedDeposits",
+    threeWay: true,
+  },
+];
+
+const PARSE_CHUNK_SIZE = 1024 * 1024; // Characters per streamed chunk
+const FIRST_DATA_LINE = 2; // Below the header row
+
+// A blank line parses as a row with one empty field
+const isBlankLine = (row) => {
+  const values = Object.values(row);
+  return values.length <= 1 && values.every((value) => value === "");
+};
+
+// Quoted values may span lines; their line breaks count towards the lines
+// of the rows below
+const countLineBreaks = (row) =>
+  Object.values(row).reduce(
+    (count, value) => count + (String(value).match(/\r\n|\r|\n/g) || []).length,
+    0
+  );
+
+/**
+ * Parse CSV input into raw rows with normalized headers. The input is
+ * streamed in chunks so large files report progress as they load.
+ *
+ * @param {File|string} input - A browser File or the CSV text itself
+ * @param {string} dataType - Source name used in error messages
+ * @param {function(number): void} [onProgress] - Called with the fraction
+ *   of the input read so far
+ * @returns {Promise<{headers: string[], rows: Object[], errors: Object[],
+ *   lines: number[]}>} Values stay as text so amounts and references reach
+ *   validation unchanged; `errors` hold { row, message } for malformed rows
+ *   and `lines` the file line each row starts on. Rejects with a message
+ *   string when the file is empty or unreadable
+ */
+export const parseCSV = (input, dataType, onProgress) => {
+  const total = typeof input === "string" ? input.length : input.size;
+  const rows = [];
+  const lines = [];
+  const errors = [];
+  let headers = [];
+  let line = FIRST_DATA_LINE;
+
+  return new Promise((resolve, reject) => {
+    Papa.parse(input, {
+      header: true,
+      dynamicTyping: false,
+      // Blank lines are skipped here instead, so they still count as lines
+      skipEmptyLines: false,
+      transformHeader: normalizeHeader,
+      chunkSize: PARSE_CHUNK_SIZE,
+      chunk: (results) => {
+        // Error rows are counted from the start of their chunk
+        const rowIndexes = results.data.map((row) => {
+          const start = line;
+          line += 1 + countLineBreaks(row);
+          if (isBlankLine(row)) return null;
+          rows.push(row);
+          lines.push(start);
+          return rows.length - 1;
+        });
+        results.errors.forEach((error) => {
+          const row = error.row === undefined ? null : rowIndexes[error.row];
+          if (row === null && error.row !== undefined) return;
+          errors.push({ row, message: error.message });
+        });
+        headers = results.meta.fields || headers;
+        if (onProgress && total) onProgress(results.meta.cursor / total);
+      },
+      complete: () => {
+        if (rows.length === 0) {
+          reject(`No rows found in ${dataType}`);
+          return;
+        }
+
+        resolve({ headers, rows, errors, lines });
+      },
+      error: (error) => reject(`Error parsing ${dataType}: ${error.message}`),
+    });
+  });
+};
+
+/**
+ * Clean raw rows into transactions using a column mapping.
+ *
+ * @param {Object[]} rows - Rows from {@link parseCSV}
+ * @param {Object<string, string>} mapping - Field id to source column
+ * @returns {Object[]} Transactions with transaction_reference, amount,
+ *   status, date, description, currency, fee and payout_id, plus the raw
+ *   columns
+ */
+export const cleanTransactions = applyColumnMapping;
+
+/**
+ * Merge several provider statements into one set of provider rows, tagging
+ * each row with the statement's provider name so results can be split by
+ * provider again.
+ *
+ * @param {{provider: string, transactions: Object[]}[]} statements
+ * @returns {Object[]} Provider transactions with `provider_name`
+ */
+export const combineProviderStatements = (statements) =>
+  statements.flatMap(({ provider, transactions }) =>
+    transactions.map((row) =>
+      Object.assign({}, row, { provider_name: provider })
+    )
+  );
+
+// Distinct provider names of some rows, in order of appearance
+export const getProviderNames = (rows) => [
+  ...new Set(rows.map((row) => row.provider_name).filter(Boolean)),
+];
+
+// Group transactions by reference, keeping every row
+const groupByReference = (rows) => {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const reference = row.transaction_reference;
+    if (!groups.has(reference)) groups.set(reference, []);
+    groups.get(reference).push(row);
+  });
+  return groups;
+};
+
+const sumAmounts = (rows) => rows.reduce((sum, row) => sum + row.amount, 0);
+
+// Collapse several rows for one reference into a single comparable row
+const combineRows = (rows) => {
+  const statuses = new Set(rows.map((row) => row.status));
+  return {
+    ...rows[0],
+    amount: sumAmounts(rows),
+    fee: rows.reduce((sum, row) => sum + (row.fee || 0), 0),
+    status: statuses.size === 1 ? rows[0].status : "mixed",
+  };
+};
+
+// Record the calendar day of each row's date in the reporting time zone
+const addRowDays = (days, rows, format, timeZone) => {
+  rows.forEach((row) =>
+    days.set(row, toDayNumber(parseDate(row.date, format, timeZone), timeZone))
+  );
+};
+
+const getCardinality = (internalCount, providerCount) => {
+  if (internalCount === 1 && providerCount === 1) return "one-to-one";
+  if (internalCount === 1) return "one-to-many";
+  if (providerCount === 1) return "many-to-one";
+  return "many-to-many";
+};
+
+/**
+ * Reconcile internal transactions against a provider statement, and
+ * optionally the provider's payouts against a bank statement. Several
+ * statements can be reconciled together by merging them with
+ * {@link combineProviderStatements} first.
+ *
+ * @param {Object[]} internalData - Cleaned internal transactions
+ * @param {Object[]} providerData - Cleaned provider transactions
+ * @param {Object} [options] - Overrides for {@link DEFAULT_OPTIONS}
+ * @returns {{matched: Object[], internalOnly: Object[],
+ *   providerOnly: Object[], timingDifferences: Object[],
+ *   amountMismatches: Object[], statusMismatches: Object[],
+ *   currencyMismatches: Object[], slaBreaches: Object[],
+ *   suggested: Object[], duplicates: Object[], threeWay: boolean,
+ *   settledPayouts: Object[], payoutDifferences: Object[],
+ *   missingPayouts: Object[], unmatchedDeposits: Object[],
+ *   unbatchedProviderRows: number, providers: string[], period: Object,
+ *   unappliedManualMatches: string[]}} The payout categories stay empty
+ *   unless `options.bankData` is given; `providers` lists the provider
+ *   names found on the provider rows
+ */
+export const reconcile = (internalData, providerData, options = {}) => {
+  const {
+    matchingRules,
+    amountSettings,
+    fxRates,
+    statusMapping,
+    dateSettings,
+    suggestionDecisions,
+    manualMatches,
+    unmatchedPairs,
+    bankData,
+    settlementSettings,
+    onProgress,
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const brokenPairs = new Set(unmatchedPairs);
+  const rules = mergeMatchingRules(matchingRules);
+  const dates = { ...DEFAULT_DATE_SETTINGS, ...dateSettings };
+  const reportProgress = (phase, fraction) => {
+    if (onProgress) onProgress(phase, fraction);
+  };
+
+  const matched = [];
+  const internalOnly = [];
+  const providerOnly = [];
+  const timingDifferences = [];
+  const amountMismatches = [];
+  const statusMismatches = [];
+  const suggested = [];
+  const duplicates = [];
+  const currencyMismatches = [];
+  const slaBreaches = [];
+
+  if (!isValidTimeZone(dates.timeZone)) {
+    throw new Error(`Unknown time zone "${dates.timeZone}"`);
+  }
+
+  const days = new Map();
+  addRowDays(days, internalData, dates.internalFormat, dates.timeZone);
+  addRowDays(days, providerData, dates.providerFormat, dates.timeZone);
+  if (bankData) addRowDays(days, bankData, dates.bankFormat, dates.timeZone);
+  const getDay = (row) => days.get(row) ?? null;
+
+  // Restrict both sides to the statement window; undated rows are kept
+  const periodStart = isoDateToDayNumber(dates.periodStart);
+  const periodEnd = isoDateToDayNumber(dates.periodEnd);
+  const excluded = { internal: 0, provider: 0 };
+  const inPeriod = (side) => (row) => {
+    const day = getDay(row);
+    const inside =
+      day === null ||
+      ((periodStart === null || day >= periodStart) &&
+        (periodEnd === null || day <= periodEnd));
+    if (!inside) excluded[side] += 1;
+    return inside;
+  };
+  const periodInternal = internalData.filter(inPeriod("internal"));
+  const periodProvider = providerData.filter(inPeriod("provider"));
+
+  // Record a pair as matched and check it for mismatches
+  const addMatch = (
+    internalTx,
+    providerTx,
+    matchType,
+    confidence = 1,
+    internalRows = [internalTx],
+    providerRows = [providerTx],
+    details = {}
+  ) => {
+    // Lag from the first internal booking to the last provider settlement
+    const internalDays = internalRows.map(getDay).filter((d) => d !== null);
+    const providerDays = providerRows.map(getDay).filter((d) => d !== null);
+    const settlementLagDays =
+      internalDays.length && providerDays.length
+        ? Math.max(...providerDays) - Math.min(...internalDays)
+        : null;
+
+    const matchResult = {
+      transaction_reference: internalTx.transaction_reference,
+      internal: internalTx,
+      provider: providerTx,
+      internalRows,
+      providerRows,
+      cardinality: getCardinality(internalRows.length, providerRows.length),
+      matchType,
+      confidence,
+      ...compareAmounts(internalTx, providerTx, amountSettings, fxRates),
+      ...compareStatuses(internalTx.status, providerTx.status, statusMapping),
+      settlementLagDays,
+      slaBreached:
+        settlementLagDays !== null &&
+        settlementLagDays > dates.settlementSlaDays,
+      ...details,
+    };
+
+    matched.push(matchResult);
+
+    // Check for mismatches
+    if (!matchResult.amountMatch) {
+      amountMismatches.push(matchResult);
+    }
+    if (!matchResult.statusMatch) {
+      statusMismatches.push(matchResult);
+    }
+    if (!matchResult.currencyMatch) {
+      currencyMismatches.push(matchResult);
+    }
+    if (matchResult.slaBreached) {
+      slaBreaches.push(matchResult);
+    }
+  };
+
+  // Group rows by reference so duplicates are kept instead of overwritten
+  const internalGroups = groupByReference(periodInternal);
+  const providerGroups = groupByReference(periodProvider);
+
+  // Check internal references
+  const unmatchedInternal = [];
+  let processedGroups = 0;
+  internalGroups.forEach((internalRows, reference) => {
+    const providerRows = providerGroups.get(reference) || [];
+
+    processedGroups += 1;
+    if (processedGroups % PROGRESS_INTERVAL === 0) {
+      reportProgress("exact", processedGroups / internalGroups.size);
+    }
+
+    if (internalRows.length > 1 || providerRows.length > 1) {
+      duplicates.push({
+        transaction_reference: reference,
+        internalRows,
+        providerRows,
+        internalTotal: sumAmounts(internalRows),
+        providerTotal: sumAmounts(providerRows),
+      });
+    }
+
+    const broken =
+      providerRows.length > 0 &&
+      brokenPairs.has(getSuggestionKey(internalRows[0], providerRows[0]));
+
+    if (providerRows.length === 0 || broken) {
+      unmatchedInternal.push(...internalRows);
+    } else if (internalRows.length === 1 && providerRows.length === 1) {
+      addMatch(internalRows[0], providerRows[0], "exact");
+    } else {
+      // Split captures/refunds: compare the group totals
+      addMatch(
+        combineRows(internalRows),
+        combineRows(providerRows),
+        "exact",
+        1,
+        internalRows,
+        providerRows
+      );
+    }
+  });
+
+  // Check provider references not in internal, or whose match was broken
+  const unmatchedProvider = [];
+  providerGroups.forEach((providerRows, reference) => {
+    const internalRows = internalGroups.get(reference);
+    if (
+      internalRows &&
+      !brokenPairs.has(getSuggestionKey(internalRows[0], providerRows[0]))
+    ) {
+      return;
+    }
+
+    unmatchedProvider.push(...providerRows);
+    if (providerRows.length > 1 && !internalRows) {
+      duplicates.push({
+        transaction_reference: reference,
+        internalRows: [],
+        providerRows,
+        internalTotal: 0,
+        providerTotal: sumAmounts(providerRows),
+      });
+    }
+  });
+
+  // Manual links pair leftover rows by reference. A link is only applied
+  // when every one of its references is still unmatched.
+  const pairedInternal = new Set();
+  const pairedProvider = new Set();
+  const unappliedManualMatches = [];
+  const unmatchedInternalGroups = groupByReference(unmatchedInternal);
+  const unmatchedProviderGroups = groupByReference(unmatchedProvider);
+  const pickRows = (groups, paired, references) => {
+    const rows = references.map((reference) =>
+      (groups.get(reference) || []).filter((row) => !paired.has(row))
+    );
+    return rows.some((group) => group.length === 0) ? [] : rows.flat();
+  };
+
+  manualMatches.forEach((link) => {
+    const internalRows = pickRows(
+      unmatchedInternalGroups,
+      pairedInternal,
+      link.internalReferences
+    );
+    const providerRows = pickRows(
+      unmatchedProviderGroups,
+      pairedProvider,
+      link.providerReferences
+    );
+    if (!internalRows.length || !providerRows.length) {
+      unappliedManualMatches.push(link.id);
+      return;
+    }
+
+    addMatch(
+      internalRows.length === 1 ? internalRows[0] : combineRows(internalRows),
+      providerRows.length === 1 ? providerRows[0] : combineRows(providerRows),
+      "manual",
+      1,
+      internalRows,
+      providerRows,
+      { manualMatch: { id: link.id, comment: link.comment } }
+    );
+    internalRows.forEach((row) => pairedInternal.add(row));
+    providerRows.forEach((row) => pairedProvider.add(row));
+  });
+
+  // Second pass: rule-based suggestions for the leftovers. Broken matches
+  // are not suggested again.
+  reportProgress("suggestions", 0);
+  findSuggestedMatches(
+    unmatchedInternal.filter((row) => !pairedInternal.has(row)),
+    unmatchedProvider.filter((row) => !pairedProvider.has(row)),
+    rules,
+    getDay
+  ).forEach((suggestion) => {
+    const decision = brokenPairs.has(suggestion.key)
+      ? "rejected"
+      : suggestionDecisions[suggestion.key];
+
+    if (decision === "accepted") {
+      addMatch(
+        suggestion.internal,
+        suggestion.provider,
+        suggestion.rule,
+        suggestion.confidence
+      );
+      pairedInternal.add(suggestion.internal);
+      pairedProvider.add(suggestion.provider);
+    } else if (decision !== "rejected") {
+      suggested.push(suggestion);
+    }
+  });
+
+  // Last pass: leftover rows whose amounts add up to a single row on the
+  // other side across different references. Rows in a pending suggestion
+  // are left to it, and a broken group is not formed again.
+  if (rules.groupTotal.enabled) {
+    const suggestedRows = new Set(
+      suggested.flatMap((suggestion) => [
+        suggestion.internal,
+        suggestion.provider,
+      ])
+    );
+    const isFree = (paired) => (row) =>
+      !paired.has(row) && !suggestedRows.has(row);
+    findGroupMatches(
+      unmatchedInternal.filter(isFree(pairedInternal)),
+      unmatchedProvider.filter(isFree(pairedProvider)),
+      rules.groupTotal,
+      getDay
+    ).forEach(({ internalRows, providerRows }) => {
+      const key = getSuggestionKey(internalRows[0], providerRows[0]);
+      if (brokenPairs.has(key) || suggestionDecisions[key] === "rejected") {
+        return;
+      }
+      addMatch(
+        internalRows.length === 1 ? internalRows[0] : combineRows(internalRows),
+        providerRows.length === 1 ? providerRows[0] : combineRows(providerRows),
+        "groupTotal",
+        1,
+        internalRows,
+        providerRows
+      );
+      internalRows.forEach((row) => pairedInternal.add(row));
+      providerRows.forEach((row) => pairedProvider.add(row));
+    });
+  }
+
+  // Internal items booked close to the period end are expected on the next
+  // statement. Without a period every internal-only row is a break, so the
+  // unmatched count does not depend on where the provider file happens to end.
+  const timingCutoff =
+    periodEnd === null || dates.cutoffDays <= 0
+      ? null
+      : periodEnd - dates.cutoffDays + 1;
+
+  unmatchedInternal.forEach((internalTx) => {
+    if (pairedInternal.has(internalTx)) return;
+    const day = getDay(internalTx);
+    if (timingCutoff !== null && day !== null && day >= timingCutoff) {
+      timingDifferences.push(internalTx);
+    } else {
+      internalOnly.push(internalTx);
+    }
+  });
+  unmatchedProvider.forEach((providerTx) => {
+    if (!pairedProvider.has(providerTx)) providerOnly.push(providerTx);
+  });
+
+  // Three-way: every provider row in the period counts towards its payout,
+  // whether or not it matched an internal row. Deposits are not limited to
+  // the period since payouts land after it closes.
+  const settlements = bankData
+    ? reconcileSettlements(periodProvider, bankData, settlementSettings, getDay)
+    : {
+        settledPayouts: [],
+        payoutDifferences: [],
+        missingPayouts: [],
+        unmatchedDeposits: [],
+        unbatched: 0,
+      };
+
+  return {
+    matched,
+    internalOnly,
+    providerOnly,
+    timingDifferences,
+    amountMismatches,
+    statusMismatches,
+    currencyMismatches,
+    slaBreaches,
+    suggested,
+    duplicates,
+    threeWay: Boolean(bankData),
+    settledPayouts: settlements.settledPayouts,
+    payoutDifferences: settlements.payoutDifferences,
+    missingPayouts: settlements.missingPayouts,
+    unmatchedDeposits: settlements.unmatchedDeposits,
+    unbatchedProviderRows: settlements.unbatched,
+    providers: getProviderNames(providerData),
+    period: {
+      start: dates.periodStart || null,
+      end: dates.periodEnd || null,
+      timingCutoff:
+        timingCutoff === null ? null : dayNumberToIsoDate(timingCutoff),
+      excluded,
+    },
+    unappliedManualMatches,
+  };
+};
+
+// Results with every category empty, for before the first run
+export const EMPTY_RESULTS = reconcile([], []);
+
+/**
+ * Flatten a category's results into rows for CSV export.
+ *
+ * @param {string} type - One of the {@link CATEGORIES} ids
+ * @param {Object[]} data - The category's results
+ * @returns {Object[]}
+ */
+export const toExportRows = (type, data) => {
+  const providerOf = (rows) => getProviderNames(rows).join(" / ");
+
+  if (type === "matched") {
+    return data.map((item) => ({
+      transaction_reference: item.transaction_reference,
+      provider_reference: item.provider.transaction_reference,
+      provider: providerOf(item.providerRows),
+      match_type: RULE_LABELS[item.matchType],
+      manual_comment: item.manualMatch ? item.manualMatch.comment : "",
+      cardinality: item.cardinality,
+      internal_rows: item.internalRows.length,
+      provider_rows: item.providerRows.length,
+      internal_amount: item.internal.amount,
+      provider_amount: item.provider.amount,
+      provider_fee: item.provider.fee,
+      internal_currency: item.internal.currency,
+      provider_currency: item.provider.currency,
+      fx_rate: item.fxRate ?? "",
+      compared_provider_amount: item.comparedProviderAmount ?? "",
+      variance: item.variance ?? "",
+      internal_status: item.internal.status,
+      provider_status: item.provider.status,
+      amount_match: item.amountMatch ? "Yes" : "No",
+      currency_match: item.currencyMatch ? "Yes" : "No",
+      status_match: item.statusMatch ? "Yes" : "No",
+      status_severity: item.statusSeverity || "",
+      internal_canonical_status: item.internalCanonical,
+      provider_canonical_status: item.providerCanonical,
+      internal_date: item.internal.date,
+      provider_date: item.provider.date,
+      settlement_lag_days: item.settlementLagDays ?? "",
+      sla_breached: item.slaBreached ? "Yes" : "No",
+    }));
+  }
+  if (type === "amount") {
+    return data.map((item) => ({
+      transaction_reference: item.transaction_reference,
+      provider_reference: item.provider.transaction_reference,
+      provider: providerOf(item.providerRows),
+      match_type: RULE_LABELS[item.matchType],
+      internal_amount: item.internal.amount,
+      internal_currency: item.internal.currency,
+      provider_amount: item.provider.amount,
+      provider_currency: item.provider.currency,
+      provider_fee: item.provider.fee,
+      fx_rate: item.fxRate ?? "",
+      compared_provider_amount: item.comparedProviderAmount ?? "",
+      variance: item.variance ?? "",
+    }));
+  }
+  if (type === "status") {
+    return data.map((item) => ({
+      transaction_reference: item.transaction_reference,
+      provider_reference: item.provider.transaction_reference,
+      provider: providerOf(item.providerRows),
+      match_type: RULE_LABELS[item.matchType],
+      internal_status: item.internal.status,
+      provider_status: item.provider.status,
+      internal_canonical_status: item.internalCanonical,
+      provider_canonical_status: item.providerCanonical,
+      severity: item.statusSeverity,
+    }));
+  }
+  if (type === "suggested") {
+    return data.map((item) => ({
+      internal_reference: item.internal.transaction_reference,
+      provider_reference: item.provider.transaction_reference,
+      provider: providerOf([item.provider]),
+      rule: RULE_LABELS[item.rule],
+      confidence: item.confidence,
+      internal_amount: item.internal.amount,
+      provider_amount: item.provider.amount,
+      internal_date: item.internal.date,
+      provider_date: item.provider.date,
+    }));
+  }
+  if (["payouts", "shortPayouts", "missingPayouts"].includes(type)) {
+    return data.map((item) => ({
+      payout_id: item.payoutId,
+      provider: providerOf(item.providerRows),
+      currency: item.currency,
+      transactions: item.providerRows.length,
+      payout_date:
+        item.payoutDay === null ? "" : dayNumberToIsoDate(item.payoutDay),
+      expected_amount: item.expected,
+      received_amount: item.received,
+      difference: item.difference,
+      payout_status: item.payoutStatus,
+      deposit_reference: item.bankRows[0]?.transaction_reference ?? "",
+      deposit_date: item.bankRows[0]?.date ?? "",
+      matched_by: item.matchedBy ?? "",
+    }));
+  }
+  if (type === "duplicates") {
+    return data.map((item) => ({
+      transaction_reference: item.transaction_reference,
+      provider: providerOf(item.providerRows),
+      internal_rows: item.internalRows.length,
+      provider_rows: item.providerRows.length,
+      internal_total: item.internalTotal,
+      provider_total: item.providerTotal,
+      difference: item.internalTotal - item.providerTotal,
+    }));
+  }
+
+  return data;
+};
+
+// References of the pairs a run reconciled with nothing to follow up, by
+// side. Pairs with a mismatch are left out because they are still open.
+export const getReconciledReferences = (results) => {
+  const reconciled = results.matched.filter(
+    (match) => match.amountMatch && match.statusMatch && match.currencyMatch
+  );
+  const referencesOf = (rowsKey) => [
+    ...new Set(
+      reconciled.flatMap((match) =>
+        match[rowsKey].map((row) => row.transaction_reference)
+      )
+    ),
+  ];
+  return {
+    internal: referencesOf("internalRows"),
+    provider: referencesOf("providerRows"),
+  };
+};
+
+// Counts per category plus the mismatch totals used for alerting
+export const summarizeResults = (results) => {
+  const counts = {};
+  CATEGORIES.forEach((category) => {
+    counts[category.id] = results[category.key].length;
+  });
+
+  const mismatched = results.matched.filter(
+    (match) => !match.amountMatch || !match.statusMatch || !match.currencyMatch
+  ).length;
+
+  return {
+    counts,
+    unmatched: results.internalOnly.length + results.providerOnly.length,
+    mismatched,
+    amountMismatches: results.amountMismatches.length,
+    statusMismatches: results.statusMismatches.length,
+    currencyMismatches: results.currencyMismatches.length,
+    timingDifferences: results.timingDifferences.length,
+    slaBreaches: results.slaBreaches.length,
+  };
+};
@@ -0,0 +1,164 @@
+import { readFileSync } from "fs";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { guessColumnMapping } from "./columnMapping.js";
+import {
+  cleanTransactions,
+  parseCSV,
+  reconcile,
+  summarizeResults,
+} from "./reconciliationEngine.js";
+
+const loadFixture = async (name) => {
+  const text = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), {
+    encoding: "utf8",
+  });
+  const { headers, rows } = await parseCSV(text, name);
+  return cleanTransactions(rows, guessColumnMapping(headers));
+};
+
+const referencesOf = (rows) => rows.map((row) => row.transaction_reference);
+
+describe("reconcile", async () => {
+  const internal = await loadFixture("internal.csv");
+  const provider = await loadFixture("provider.csv");
+  const results = reconcile(internal, provider);
+
+  it("cleans the fixture rows", () => {
+    assert.equal(internal.length, 4);
+    const [first] = internal;
+    assert.equal(first.transaction_reference, "TX1001");
+    assert.equal(first.amount, 150);
+    assert.equal(first.status, "completed");
+    assert.equal(first.date, "2024-03-01");
+    assert.equal(first.currency, "USD");
+    assert.equal(first.description, "Order 1001");
+    assert.equal(first.fee, 0);
+    assert.equal(provider[0].fee, 1.5);
+  });
+
+  it("matches references found on both sides", () => {
+    assert.deepEqual(
+      results.matched.map((match) => match.transaction_reference),
+      ["TX1001", "TX1004", "TX1005"]
+    );
+    const clean = results.matched.find(
+      (match) => match.transaction_reference === "TX1001"
+    );
+    assert.equal(clean.amountMatch, true);
+    assert.equal(clean.statusMatch, true);
+  });
+
+  it("lists internal-only rows", () => {
+    assert.deepEqual(referencesOf(results.internalOnly), ["TX1002"]);
+  });
+
+  it("lists provider-only rows", () => {
+    assert.deepEqual(referencesOf(results.providerOnly), ["TX1003"]);
+  });
+
+  it("flags amount mismatches", () => {
+    assert.deepEqual(
+      results.amountMismatches.map((match) => match.transaction_reference),
+      ["TX1004"]
+    );
+    assert.equal(results.amountMismatches[0].internal.amount, 200);
+    assert.equal(results.amountMismatches[0].provider.amount, 180);
+  });
+
+  it("flags status mismatches", () => {
+    assert.deepEqual(
+      results.statusMismatches.map((match) => match.transaction_reference),
+      ["TX1005"]
+    );
+  });
+
+  it("summarizes the categories", () => {
+    const summary = summarizeResults(results);
+    assert.equal(summary.counts.matched, 3);
+    assert.equal(summary.unmatched, 2);
+    assert.equal(summary.mismatched, 2);
+  });
+});
+
+describe("timing differences", () => {
+  const internal = [
+    { transaction_reference: "TX1", amount: 10, date: "2024-03-10" },
+    { transaction_reference: "TX2", amount: 20, date: "2024-03-30" },
+    { transaction_reference: "TX3", amount: 30, date: "2024-03-31" },
+  ];
+  const provider = [
+    { transaction_reference: "TX1", amount: 10, date: "2024-03-31" },
+  ];
+
+  it("keeps internal-only rows as breaks when no period is set", () => {
+    const results = reconcile(internal, provider);
+    assert.deepEqual(referencesOf(results.internalOnly), ["TX2", "TX3"]);
+    assert.deepEqual(results.timingDifferences, []);
+    assert.equal(results.period.timingCutoff, null);
+    assert.equal(summarizeResults(results).unmatched, 2);
+  });
+
+  it("moves rows booked in the days before period end", () => {
+    const results = reconcile(internal, provider, {
+      dateSettings: { periodEnd: "2024-03-31", cutoffDays: 1 },
+    });
+    assert.deepEqual(referencesOf(results.internalOnly), ["TX2"]);
+    assert.deepEqual(referencesOf(results.timingDifferences), ["TX3"]);
+    assert.equal(results.period.timingCutoff, "2024-03-31");
+  });
+});
+
+describe("grouped totals", () => {
+  const internal = [
+    {
+      transaction_reference: "ORD1",
+      amount: 40,
+      currency: "USD",
+      date: "2024-03-01",
+    },
+    {
+      transaction_reference: "ORD2",
+      amount: 25.5,
+      currency: "USD",
+      date: "2024-03-01",
+    },
+    {
+      transaction_reference: "ORD3",
+      amount: 12,
+      currency: "USD",
+      date: "2024-03-01",
+    },
+  ];
+  const provider = [
+    {
+      transaction_reference: "BATCH1",
+      amount: 65.5,
+      currency: "USD",
+      date: "2024-03-02",
+    },
+  ];
+
+  const matchingRules = { groupTotal: { enabled: true } };
+
+  it("matches internal rows settled in one provider row", () => {
+    const results = reconcile(internal, provider, { matchingRules });
+    const [match] = results.matched;
+    assert.equal(match.matchType, "groupTotal");
+    assert.equal(match.cardinality, "many-to-one");
+    assert.deepEqual(referencesOf(match.internalRows), ["ORD1", "ORD2"]);
+    assert.equal(match.amountMatch, true);
+    assert.deepEqual(referencesOf(results.internalOnly), ["ORD3"]);
+    assert.deepEqual(results.providerOnly, []);
+  });
+
+  it("leaves the rows unmatched when the rule is off or the group broken", () => {
+    assert.deepEqual(reconcile(internal, provider).matched, []);
+    const broken = reconcile(internal, provider, {
+      matchingRules,
+      unmatchedPairs: ["ORD1::BATCH1"],
+    });
+    assert.deepEqual(broken.matched, []);
+    assert.deepEqual(referencesOf(broken.providerOnly), ["BATCH1"]);
+  });
+});
@@ -0,0 +1,46 @@
+// Promise-based wrapper around reconciliation.worker.js
+export const createReconciliationWorker = () => {
+  const worker = new Worker(
+    new URL("./reconciliation.worker.js", import.meta.url),
+    { type: "module" }
+  );
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = (event) => {
+    const { id, type, result, message, phase, fraction } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+
+    if (type === "progress") {
+      if (request.onProgress) request.onProgress(phase, fraction);
+      return;
+    }
+
+    pending.delete(id);
+    if (type === "done") {
+      request.resolve(result);
+    } else {
+      request.reject(message);
+    }
+  };
+
+  const send = (type, payload, onProgress) =>
+    new Promise((resolve, reject) => {
+      nextId += 1;
+      pending.set(nextId, { resolve, reject, onProgress });
+      worker.postMessage({ id: nextId, type, payload });
+    });
+
+  return {
+    parse: (side, file, dataType, sheetName, onProgress) =>
+      send("parse", { side, file, dataType, sheetName }, onProgress),
+    assign: (from, to) => send("assign", { from, to }),
+    clean: (side, mapping) => send("clean", { side, mapping }),
+    references: (side) => send("references", { side }),
+    reconcile: (options, providers, onProgress) =>
+      send("reconcile", { options, providers }, onProgress),
+    reset: () => send("reset", {}),
+    terminate: () => worker.terminate(),
+  };
+};
@@ -0,0 +1,432 @@
+// Sign-off report for a reconciliation run: one summary shared by the XLSX
+// workbook and the PDF, so both documents always agree.
+import * as XLSX from "xlsx";
+import { jsPDF } from "jspdf";
+import { summarizeVariances } from "./amountComparison.js";
+import { CATEGORIES, toExportRows } from "./reconciliationEngine.js";
+import {
+  EXCEPTION_KINDS,
+  addExportResolutions,
+  getExceptionKeys,
+  getStateLabel,
+  isOpen,
+} from "./exceptions.js";
+import { protectRows } from "./privacy.js";
+import { getProviderFiles } from "./runStorage.js";
+
+const TOP_EXCEPTIONS = 20;
+
+const SIDE_LABELS = {
+  internal: "Internal",
+  provider: "Provider",
+  bank: "Bank",
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Source rows behind one result item, by side
+const getSides = (categoryId, item) => {
+  if (item.internalRows) {
+    return {
+      internal: item.internalRows,
+      provider: item.providerRows,
+      bank: item.bankRows || [],
+    };
+  }
+  if (item.internal) {
+    return { internal: [item.internal], provider: [item.provider], bank: [] };
+  }
+  const side = { provider: "provider", deposits: "bank" }[categoryId];
+  return { internal: [], provider: [], bank: [], [side || "internal"]: [item] };
+};
+
+// Internal and provider totals per currency for one category
+const totalByCurrency = (categoryId, items) => {
+  const totals = new Map();
+  items.forEach((item) => {
+    const sides = getSides(categoryId, item);
+    Object.keys(SIDE_LABELS).forEach((side) =>
+      sides[side].forEach((row) => {
+        const currency = String(row.currency || "").toUpperCase();
+        if (!totals.has(currency)) {
+          totals.set(currency, { currency, internal: 0, provider: 0, bank: 0 });
+        }
+        totals.get(currency)[side] += row.amount;
+      })
+    );
+  });
+  return [...totals.values()]
+    .map((total) => ({
+      ...total,
+      internal: round(total.internal),
+      provider: round(total.provider),
+      bank: round(total.bank),
+    }))
+    .sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+// What makes an open exception worth looking at, for the PDF listing
+const describeException = (kind, item) => {
+  switch (kind) {
+    case "amount":
+      return {
+        currency: item.internal.currency,
+        size: Math.abs(item.variance ?? item.internal.amount),
+        detail:
+          item.variance === null
+            ? "No FX rate"
+            : `Variance ${round(item.variance).toFixed(2)}`,
+      };
+    case "shortPayouts":
+      return {
+        currency: item.currency,
+        size: Math.abs(item.difference),
+        detail: `Payout ${item.payoutStatus} by ${Math.abs(
+          item.difference
+        ).toFixed(2)}`,
+      };
+    case "status":
+      return {
+        currency: item.internal.currency,
+        size: Math.abs(item.internal.amount),
+        detail: `${item.internal.status} vs ${item.provider.status} (${item.statusSeverity})`,
+      };
+    default:
+      return {
+        currency: item.currency,
+        size: Math.abs(item.amount),
+        detail: {
+          internal: "Missing from provider",
+          provider: "Missing internally",
+          timing: "Awaiting provider settlement",
+          missingPayouts: "Payout not received",
+          deposits: "Deposit without a payout",
+        }[kind],
+      };
+  }
+};
+
+// Largest open exceptions across every exception kind
+const getTopExceptions = (results, resolutions) =>
+  Object.entries(EXCEPTION_KINDS)
+    .flatMap(([kind, key]) => {
+      const label = CATEGORIES.find((category) => category.id === kind).label;
+      const keys = getExceptionKeys(kind, results[key]);
+      return results[key]
+        .map((item, index) => ({ item, resolution: resolutions[keys[index]] }))
+        .filter(({ resolution }) => isOpen(resolution))
+        .map(({ item, resolution }) => ({
+          category: label,
+          reference: item.transaction_reference,
+          state: getStateLabel(resolution),
+          assignee: resolution?.assignee || "",
+          ...describeException(kind, item),
+        }));
+    })
+    .sort((a, b) => b.size - a.size)
+    .slice(0, TOP_EXCEPTIONS);
+
+/**
+ * Gather everything a report shows about one run.
+ *
+ * @param {Object} results - Output of reconcile()
+ * @param {Object} context
+ * @param {Object} context.files - { internal, providers, bank? } with name,
+ *   rowCount, transactionCount and sha256; provider files also carry their
+ *   provider name
+ * @param {Object} context.config - Options the run was reconciled with
+ * @param {Object} [context.resolutions] - Exception resolutions by key
+ * @param {string} [context.generatedAt] - ISO timestamp, defaults to now
+ * @returns {Object} { generatedAt, files, threeWay, categories, variances,
+ *   config, topExceptions }
+ */
+export const buildReport = (
+  results,
+  { files, config, resolutions = {}, generatedAt = new Date().toISOString() }
+) => ({
+  generatedAt,
+  files: [
+    { ...files.internal, side: SIDE_LABELS.internal },
+    ...getProviderFiles(files).map((file) => ({
+      ...file,
+      side: file.provider
+        ? `${SIDE_LABELS.provider} (${file.provider})`
+        : SIDE_LABELS.provider,
+    })),
+    ...(files.bank ? [{ ...files.bank, side: SIDE_LABELS.bank }] : []),
+  ].map((file) => ({
+    side: file.side,
+    name: file.name,
+    rowCount: file.rowCount,
+    transactionCount: file.transactionCount,
+    sha256: file.sha256 || "",
+  })),
+  threeWay: Boolean(results.threeWay),
+  categories: CATEGORIES.filter(
+    (category) => results.threeWay || !category.threeWay
+  ).map((category) => {
+    const items = results[category.key];
+    return {
+      id: category.id,
+      label: category.label,
+      count: items.length,
+      open: EXCEPTION_KINDS[category.id]
+        ? getExceptionKeys(category.id, items).filter((key) =>
+            isOpen(resolutions[key])
+          ).length
+        : null,
+      totals: totalByCurrency(category.id, items),
+    };
+  }),
+  variances: summarizeVariances(results.amountMismatches).byCurrency.map(
+    (variance) => ({
+      ...variance,
+      netVariance: round(variance.netVariance),
+      absoluteVariance: round(variance.absoluteVariance),
+    })
+  ),
+  config: Object.entries(config).map(([setting, value]) => ({
+    setting,
+    value: JSON.stringify(value),
+  })),
+  topExceptions: getTopExceptions(results, resolutions),
+});
+
+const CATEGORY_HEADERS = [
+  "Category",
+  "Count",
+  "Open",
+  "Currency",
+  "Internal total",
+  "Provider total",
+  "Bank total",
+];
+
+// Category table headers; the bank column only applies to three-way runs
+const categoryHeaders = (report) =>
+  report.threeWay ? CATEGORY_HEADERS : CATEGORY_HEADERS.slice(0, -1);
+
+// One row per category and currency; the first row of a category carries its
+// counts
+const categoryRows = (report) =>
+  report.categories.flatMap((category) =>
+    (category.totals.length ? category.totals : [{}]).map((total, index) =>
+      [
+        index === 0 ? category.label : "",
+        index === 0 ? category.count : "",
+        index === 0 && category.open !== null ? category.open : "",
+        total.currency ?? "",
+        total.internal ?? "",
+        total.provider ?? "",
+        total.bank ?? "",
+      ].slice(0, categoryHeaders(report).length)
+    )
+  );
+
+const summaryTable = (report) => [
+  ["Reconciliation report"],
+  ["Generated", report.generatedAt],
+  [],
+  ["Inputs"],
+  ["Side", "File", "Rows", "Transactions", "SHA-256"],
+  ...report.files.map((file) => [
+    file.side,
+    file.name,
+    file.rowCount,
+    file.transactionCount,
+    file.sha256,
+  ]),
+  [],
+  ["Categories"],
+  categoryHeaders(report),
+  ...categoryRows(report),
+  [],
+  ["Net variance"],
+  ["Currency", "Mismatches", "Net variance", "Absolute variance"],
+  ...report.variances.map((variance) => [
+    variance.currency,
+    variance.count,
+    variance.netVariance,
+    variance.absoluteVariance,
+  ]),
+  [],
+  ["Configuration"],
+  ["Setting", "Value"],
+  ...report.config.map(({ setting, value }) => [setting, value]),
+];
+
+/**
+ * Build the report workbook: a Summary sheet followed by one sheet per
+ * category with the same columns as the CSV export, sensitive columns
+ * protected as the CSV export protects them.
+ *
+ * @param {Object} report - Output of buildReport()
+ * @param {Object} results - Output of reconcile()
+ * @param {Object} [resolutions] - Exception resolutions by key
+ * @param {Object} [privacy] - { columns, settings, hashKey } for
+ *   protectRows()
+ * @returns {Promise<ArrayBuffer>} XLSX file contents
+ */
+export const createReportWorkbook = async (
+  report,
+  results,
+  resolutions = {},
+  { columns = {}, settings, hashKey } = {}
+) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(summaryTable(report)),
+    "Summary"
+  );
+
+  for (const category of CATEGORIES) {
+    if (category.threeWay && !results.threeWay) continue;
+    const items = results[category.key];
+    const rows = await protectRows(
+      addExportResolutions(
+        category.id,
+        toExportRows(category.id, items),
+        items,
+        resolutions
+      ),
+      columns,
+      settings,
+      hashKey
+    );
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(rows),
+      category.label
+    );
+  }
+
+  return XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+};
+
+const PAGE_MARGIN = 40;
+const LINE_HEIGHT = 14;
+
+// Minimal flowing layout: text lines and fixed-column tables with page breaks
+const createPdfWriter = (doc) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const maxWidth = doc.internal.pageSize.getWidth() - PAGE_MARGIN * 2;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const text = (value, { size = 10, bold = false, gap = 0 } = {}) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(size);
+    doc.splitTextToSize(String(value), maxWidth).forEach((line) => {
+      ensureSpace(LINE_HEIGHT);
+      doc.text(line, PAGE_MARGIN, y);
+      y += LINE_HEIGHT;
+    });
+    y += gap;
+  };
+
+  // `widths` are fractions of the page width; long cells are cut to fit
+  const table = (headers, rows, widths) => {
+    const drawRow = (cells, bold) => {
+      ensureSpace(LINE_HEIGHT);
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(8);
+      let x = PAGE_MARGIN;
+      cells.forEach((cell, index) => {
+        const width = widths[index] * maxWidth;
+        doc.text(doc.splitTextToSize(String(cell), width - 4)[0] || "", x, y);
+        x += width;
+      });
+      y += LINE_HEIGHT;
+    };
+
+    drawRow(headers, true);
+    rows.forEach((cells) => drawRow(cells, false));
+    y += LINE_HEIGHT / 2;
+  };
+
+  return { text, table };
+};
+
+const formatAmount = (amount) => (amount === "" ? "" : amount.toFixed(2));
+
+/**
+ * Render the report summary and the largest open exceptions as a PDF.
+ *
+ * @param {Object} report - Output of buildReport()
+ * @returns {ArrayBuffer} PDF file contents
+ */
+export const createReportPdf = (report) => {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const { text, table } = createPdfWriter(doc);
+
+  text("Reconciliation report", { size: 16, bold: true });
+  text(`Generated ${report.generatedAt}`, { gap: LINE_HEIGHT / 2 });
+
+  text("Inputs", { size: 12, bold: true });
+  report.files.forEach((file) => {
+    text(
+      `${file.side}: ${file.name} – ${file.rowCount} rows, ${file.transactionCount} transactions`
+    );
+    text(`SHA-256 ${file.sha256 || "unknown"}`, { size: 8, gap: 4 });
+  });
+
+  text("Categories", { size: 12, bold: true });
+  table(
+    categoryHeaders(report),
+    categoryRows(report).map((row) => [
+      ...row.slice(0, 4),
+      ...row.slice(4).map(formatAmount),
+    ]),
+    report.threeWay
+      ? [0.25, 0.08, 0.08, 0.1, 0.17, 0.16, 0.16]
+      : [0.28, 0.1, 0.1, 0.12, 0.2, 0.2]
+  );
+
+  text("Net variance", { size: 12, bold: true });
+  if (report.variances.length) {
+    table(
+      ["Currency", "Mismatches", "Net variance", "Absolute variance"],
+      report.variances.map((variance) => [
+        variance.currency,
+        variance.count,
+        variance.netVariance.toFixed(2),
+        variance.absoluteVariance.toFixed(2),
+      ]),
+      [0.25, 0.25, 0.25, 0.25]
+    );
+  } else {
+    text("No amount mismatches", { gap: LINE_HEIGHT / 2 });
+  }
+
+  text("Top open exceptions", { size: 12, bold: true });
+  if (report.topExceptions.length) {
+    table(
+      ["Category", "Reference", "Currency", "Detail", "State", "Assignee"],
+      report.topExceptions.map((exception) => [
+        exception.category,
+        exception.reference,
+        exception.currency,
+        exception.detail,
+        exception.state,
+        exception.assignee,
+      ]),
+      [0.18, 0.2, 0.1, 0.26, 0.12, 0.14]
+    );
+  } else {
+    text("No open exceptions", { gap: LINE_HEIGHT / 2 });
+  }
+
+  text("Configuration", { size: 12, bold: true });
+  report.config.forEach(({ setting, value }) =>
+    text(`${setting}: ${value}`, { size: 8 })
+  );
+
+  return doc.output("arraybuffer");
+};
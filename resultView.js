@@ -0,0 +1,238 @@
+import { MAPPING_FIELDS } from "./columnMapping.js";
+import { SEVERITY_LEVELS } from "./statusMapping.js";
+import { isoDateToDayNumber } from "./dateHandling.js";
+import { getProviderNames } from "./reconciliationEngine.js";
+
+export const EMPTY_FILTERS = {
+  search: "",
+  status: "",
+  currency: "",
+  provider: "",
+  minAmount: "",
+  maxAmount: "",
+  dateFrom: "",
+  dateTo: "",
+  flag: "",
+};
+
+// Flags a matched pair can carry, as shown in the Flags column
+export const FLAG_FILTERS = [
+  {
+    id: "split",
+    label: "Split (n:m)",
+    test: (match) => match.cardinality !== "one-to-one",
+  },
+  {
+    id: "rule",
+    label: "Rule-based match",
+    test: (match) => !["exact", "manual"].includes(match.matchType),
+  },
+  {
+    id: "manual",
+    label: "Manual match",
+    test: (match) => match.matchType === "manual",
+  },
+  {
+    id: "currency",
+    label: "Currency mismatch",
+    test: (match) => !match.currencyMatch,
+  },
+  {
+    id: "amount",
+    label: "Amount mismatch",
+    test: (match) => !match.amountMatch,
+  },
+  {
+    id: "status",
+    label: "Status mismatch",
+    test: (match) => !match.statusMatch,
+  },
+  { id: "late", label: "Late settlement", test: (match) => match.slaBreached },
+  {
+    id: "perfect",
+    label: "Perfect",
+    test: (match) => match.amountMatch && match.statusMatch,
+  },
+];
+
+const STANDARD_COLUMNS = new Set([
+  ...MAPPING_FIELDS.map((field) => field.id),
+  "provider_name",
+]);
+const COLUMN_SAMPLE_SIZE = 200;
+
+// Matches and suggestions pair two rows; duplicates and payouts hold several
+export const getItemRows = (item) => {
+  if (item.internalRows && !item.internal) {
+    return [
+      ...item.internalRows,
+      ...item.providerRows,
+      ...(item.bankRows || []),
+    ];
+  }
+  if (item.internal) return [item.internal, item.provider];
+  return [item];
+};
+
+// Row used for amount, date and sorting: the internal side when there is one
+export const getPrimaryRow = (item) => getItemRows(item)[0];
+
+// Providers whose statements an item's rows came from
+export const getItemProviders = (item) => getProviderNames(getItemRows(item));
+
+// Sort accessors by field id; `getDay` turns a row's date into a day number
+export const SORT_FIELDS = {
+  reference: (item) =>
+    item.transaction_reference ?? getPrimaryRow(item).transaction_reference,
+  amount: (item) => item.expected ?? getPrimaryRow(item).amount,
+  providerAmount: (item) => item.provider?.amount,
+  status: (item) => getPrimaryRow(item).status,
+  providerStatus: (item) => item.provider?.status,
+  date: (item, getDay) => getDay(getPrimaryRow(item)),
+  description: (item) => getPrimaryRow(item).description,
+  provider: (item) => getItemProviders(item).join(" / "),
+  fee: (item) => item.provider?.fee,
+  variance: (item) => item.variance,
+  severity: (item) => SEVERITY_LEVELS.indexOf(item.statusSeverity),
+  lag: (item) => item.settlementLagDays,
+  confidence: (item) => item.confidence,
+  internalTotal: (item) => item.internalTotal,
+  providerTotal: (item) => item.providerTotal,
+  expected: (item) => item.expected,
+  received: (item) => item.received,
+  difference: (item) => item.difference,
+  payoutDate: (item) => item.payoutDay,
+};
+
+const toNumber = (value) => (value === "" ? null : parseFloat(value));
+
+/**
+ * Keep the items matching every active filter.
+ *
+ * @param {Object[]} items - One category's results
+ * @param {Object} filters - Values shaped like {@link EMPTY_FILTERS}
+ * @param {function(Object): ?number} getDay - Day number of a row's date
+ * @returns {Object[]}
+ */
+export const filterItems = (items, filters, getDay) => {
+  const search = filters.search.trim().toLowerCase();
+  const minAmount = toNumber(filters.minAmount);
+  const maxAmount = toNumber(filters.maxAmount);
+  const dateFrom = isoDateToDayNumber(filters.dateFrom);
+  const dateTo = isoDateToDayNumber(filters.dateTo);
+  const flag = FLAG_FILTERS.find((candidate) => candidate.id === filters.flag);
+
+  return items.filter((item) => {
+    const rows = getItemRows(item);
+    const primary = rows[0];
+
+    if (
+      search &&
+      !rows.some((row) =>
+        [row.transaction_reference, row.description].some((value) =>
+          String(value || "")
+            .toLowerCase()
+            .includes(search)
+        )
+      )
+    ) {
+      return false;
+    }
+    if (filters.status && !rows.some((row) => row.status === filters.status)) {
+      return false;
+    }
+    if (
+      filters.currency &&
+      !rows.some(
+        (row) => String(row.currency || "").toUpperCase() === filters.currency
+      )
+    ) {
+      return false;
+    }
+    if (
+      filters.provider &&
+      !rows.some((row) => row.provider_name === filters.provider)
+    ) {
+      return false;
+    }
+    const amount = item.expected ?? primary.amount; // Payouts use their total
+    if (minAmount !== null && amount < minAmount) return false;
+    if (maxAmount !== null && amount > maxAmount) return false;
+    if (dateFrom !== null || dateTo !== null) {
+      const day = getDay(primary);
+      if (day === null) return false;
+      if (dateFrom !== null && day < dateFrom) return false;
+      if (dateTo !== null && day > dateTo) return false;
+    }
+    if (flag && !(item.internal && item.provider && flag.test(item))) {
+      return false;
+    }
+
+    return true;
+  });
+};
+
+// Sort a copy of the items; empty values always go last
+export const sortItems = (items, sort, getDay) => {
+  if (!sort) return items;
+  const value = SORT_FIELDS[sort.field];
+  const direction = sort.direction === "desc" ? -1 : 1;
+
+  return items
+    .map((item) => ({ item, key: value(item, getDay) }))
+    .sort((a, b) => {
+      const aEmpty = a.key === null || a.key === undefined || a.key === "";
+      const bEmpty = b.key === null || b.key === undefined || b.key === "";
+      if (aEmpty || bEmpty) return aEmpty - bEmpty;
+      if (typeof a.key === "number" && typeof b.key === "number") {
+        return (a.key - b.key) * direction;
+      }
+      return String(a.key).localeCompare(String(b.key)) * direction;
+    })
+    .map(({ item }) => item);
+};
+
+// Distinct statuses, currencies and providers across a category, for filter
+// options
+export const getFilterOptions = (items) => {
+  const statuses = new Set();
+  const currencies = new Set();
+  const providers = new Set();
+  items.forEach((item) =>
+    getItemRows(item).forEach((row) => {
+      if (row.status) statuses.add(row.status);
+      if (row.currency) currencies.add(String(row.currency).toUpperCase());
+      if (row.provider_name) providers.add(row.provider_name);
+    })
+  );
+  return {
+    statuses: [...statuses].sort(),
+    currencies: [...currencies].sort(),
+    providers: [...providers].sort(),
+  };
+};
+
+// Number of items per provider; an item from several providers counts for
+// each of them
+export const countByProvider = (items) => {
+  const counts = {};
+  items.forEach((item) =>
+    getItemProviders(item).forEach((provider) => {
+      counts[provider] = (counts[provider] || 0) + 1;
+    })
+  );
+  return counts;
+};
+
+// Source columns kept alongside the mapped fields, from a sample of rows
+export const getExtraColumns = (items) => {
+  const columns = new Set();
+  items.slice(0, COLUMN_SAMPLE_SIZE).forEach((item) =>
+    getItemRows(item).forEach((row) =>
+      Object.keys(row).forEach((column) => {
+        if (!STANDARD_COLUMNS.has(column)) columns.add(column);
+      })
+    )
+  );
+  return [...columns].sort();
+};
@@ -0,0 +1,342 @@
+// Period-over-period comparison of reconciliation runs. Each run is reduced
+// to a snapshot of its open breaks, match rate and net variance, built from a
+// saved run's results or from result files exported earlier.
+import * as XLSX from "xlsx";
+import Papa from "papaparse";
+import { roundToMinorUnits, summarizeVariances } from "./amountComparison.js";
+import { CATEGORIES } from "./reconciliationEngine.js";
+import {
+  EXCEPTION_KINDS,
+  EXCEPTION_STATES,
+  getExceptionKeys,
+  isOpen,
+} from "./exceptions.js";
+
+// Consecutive runs a break has been open for, inclusive
+export const AGING_BUCKETS = [
+  { min: 1, max: 1 },
+  { min: 2, max: 3 },
+  { min: 4, max: 7 },
+  { min: 8, max: Infinity },
+];
+
+const toNumber = (value) =>
+  value === "" || value === null || value === undefined
+    ? null
+    : Number.isFinite(Number(value))
+    ? Number(value)
+    : null;
+
+const categoryLabel = (kind) =>
+  CATEGORIES.find((category) => category.id === kind).label;
+
+// Size of a break in the units its category is measured in
+const breakAmount = (kind, item) => {
+  switch (kind) {
+    case "amount":
+      return item.variance;
+    case "status":
+      return item.internal.amount;
+    case "shortPayouts":
+      return item.difference;
+    default:
+      return item.amount;
+  }
+};
+
+// Rows counted towards the match rate: every matched group plus everything
+// left unmatched on either side
+const matchRate = (matched, unmatched) =>
+  matched + unmatched ? matched / (matched + unmatched) : null;
+
+/**
+ * Snapshot of a reconcile() result.
+ *
+ * @param {Object} results - Output of reconcile()
+ * @param {Object} details
+ * @param {string} details.id - Unique within a comparison
+ * @param {string} details.label - Shown in the comparison tables
+ * @param {string} details.createdAt - ISO timestamp the run is ordered by
+ * @param {Object} [details.resolutions] - Exception resolutions by key;
+ *   resolved and written-off exceptions are not breaks
+ * @returns {Object} { id, label, createdAt, matchRate, netVariance, breaks },
+ *   where `netVariance` is [{ currency, netVariance }] and `breaks` maps
+ *   exception keys to { key, kind, category, reference, provider, amount,
+ *   currency }
+ */
+export const snapshotFromResults = (
+  results,
+  { id, label, createdAt, resolutions = {} }
+) => {
+  const breaks = {};
+  Object.entries(EXCEPTION_KINDS).forEach(([kind, resultsKey]) => {
+    const items = results[resultsKey] || [];
+    getExceptionKeys(kind, items).forEach((key, index) => {
+      if (!isOpen(resolutions[key])) return;
+      const item = items[index];
+      const row = item.internal || item;
+      breaks[key] = {
+        key,
+        kind,
+        category: categoryLabel(kind),
+        reference: item.transaction_reference,
+        provider:
+          (item.providerRows || [item.provider || item])[0]?.provider_name ||
+          "",
+        amount: breakAmount(kind, item) ?? null,
+        currency: row.currency || "",
+      };
+    });
+  });
+
+  return {
+    id,
+    label,
+    createdAt,
+    matchRate: matchRate(
+      results.matched.length,
+      results.internalOnly.length +
+        results.providerOnly.length +
+        results.timingDifferences.length
+    ),
+    netVariance: summarizeVariances(results.amountMismatches).byCurrency.map(
+      ({ currency, netVariance }) => ({
+        currency,
+        netVariance: roundToMinorUnits(netVariance, currency),
+      })
+    ),
+    breaks,
+  };
+};
+
+// Export columns holding each exception kind's reference, amount and
+// currency
+const EXPORT_FIELDS = {
+  amount: {
+    amount: "variance",
+    currency: "internal_currency",
+  },
+  status: {
+    amount: "internal_amount",
+    currency: "internal_currency",
+  },
+  shortPayouts: { reference: "payout_id", amount: "difference" },
+  missingPayouts: { reference: "payout_id", amount: "expected_amount" },
+};
+
+// Kinds whose exception keys pair the internal and provider references
+const MATCH_KINDS = ["amount", "status"];
+
+const isClosedLabel = (label) => {
+  const state = EXCEPTION_STATES.find((entry) => entry.label === label);
+  return Boolean(state) && !isOpen({ state: state.id });
+};
+
+/**
+ * Snapshot of exported result rows, as written by the category CSV exports
+ * or the report workbook.
+ *
+ * @param {Object<string, Object[]>} rowsByCategory - Export rows by
+ *   category id; categories left out count as empty
+ * @param {Object} details - { id, label, createdAt } as for
+ *   {@link snapshotFromResults}
+ * @returns {Object} A snapshot; `matchRate` is null when the matched rows
+ *   were not exported
+ */
+export const snapshotFromExportRows = (rowsByCategory, details) => {
+  const rowsOf = (categoryId) => rowsByCategory[categoryId] || [];
+
+  const breaks = {};
+  Object.keys(EXCEPTION_KINDS).forEach((kind) => {
+    const fields = EXPORT_FIELDS[kind] || {};
+    const rows = rowsOf(kind);
+    const items = rows.map((row) => ({
+      transaction_reference: String(
+        row[fields.reference || "transaction_reference"] ?? ""
+      ),
+      provider: MATCH_KINDS.includes(kind) && {
+        transaction_reference: String(row.provider_reference ?? ""),
+      },
+    }));
+    getExceptionKeys(kind, items).forEach((key, index) => {
+      const row = rows[index];
+      if (isClosedLabel(row.exception_state)) return;
+      breaks[key] = {
+        key,
+        kind,
+        category: categoryLabel(kind),
+        reference: items[index].transaction_reference,
+        provider: String(row.provider ?? row.provider_name ?? ""),
+        amount: toNumber(row[fields.amount || "amount"]),
+        currency: String(row[fields.currency || "currency"] ?? ""),
+      };
+    });
+  });
+
+  const netVariance = new Map();
+  rowsOf("amount").forEach((row) => {
+    const variance = toNumber(row.variance);
+    if (variance === null) return;
+    const currency = String(row.internal_currency || "").toUpperCase();
+    netVariance.set(currency, (netVariance.get(currency) || 0) + variance);
+  });
+
+  return {
+    ...details,
+    matchRate: rowsByCategory.matched
+      ? matchRate(
+          rowsOf("matched").length,
+          rowsOf("internal").length +
+            rowsOf("provider").length +
+            rowsOf("timing").length
+        )
+      : null,
+    netVariance: [...netVariance.entries()]
+      .map(([currency, total]) => ({
+        currency,
+        netVariance: roundToMinorUnits(total, currency),
+      }))
+      .sort((a, b) => a.currency.localeCompare(b.currency)),
+    breaks,
+  };
+};
+
+// Generation time written on the report workbook's Summary sheet
+const readGeneratedAt = (workbook) => {
+  const summary = workbook.Sheets.Summary;
+  if (!summary) return null;
+  const row = XLSX.utils
+    .sheet_to_json(summary, { header: 1, defval: "" })
+    .find((cells) => cells[0] === "Generated");
+  return row ? String(row[1]) : null;
+};
+
+const readWorkbook = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: "array" });
+  const rowsByCategory = {};
+  CATEGORIES.forEach((category) => {
+    const sheet = workbook.Sheets[category.label];
+    if (sheet) {
+      rowsByCategory[category.id] = XLSX.utils.sheet_to_json(sheet, {
+        defval: "",
+      });
+    }
+  });
+  if (Object.keys(rowsByCategory).length === 0) {
+    throw `${file.name} is not a reconciliation report workbook`;
+  }
+  return { rowsByCategory, generatedAt: readGeneratedAt(workbook) };
+};
+
+// Category of an exported CSV, from the `<category>_` file name prefix
+const csvCategory = (file) =>
+  CATEGORIES.find((category) => file.name.startsWith(`${category.id}_`));
+
+/**
+ * Read one run's exported results: a report workbook, or category CSVs
+ * picked together.
+ *
+ * @param {File[]} files - Needs name, lastModified, text() and arrayBuffer()
+ * @returns {Promise<Object>} A snapshot; rejects with a message string when
+ *   a file is not a result export
+ */
+export const readExportedRun = async (files) => {
+  const createdAt = new Date(
+    Math.max(...files.map((file) => file.lastModified))
+  ).toISOString();
+  const workbook = files.find((file) => /\.xlsx?$/i.test(file.name));
+
+  if (workbook) {
+    if (files.length > 1) {
+      throw "Pick one report workbook, or the CSV exports of one run";
+    }
+    const { rowsByCategory, generatedAt } = await readWorkbook(workbook);
+    return snapshotFromExportRows(rowsByCategory, {
+      id: `export:${workbook.name}:${workbook.lastModified}`,
+      label: workbook.name,
+      createdAt: generatedAt || createdAt,
+    });
+  }
+
+  const rowsByCategory = {};
+  for (const file of files) {
+    const category = csvCategory(file);
+    if (!category) {
+      throw `${file.name} is not a category export; expected a name like amount_transactions.csv`;
+    }
+    const { data } = Papa.parse(await file.text(), {
+      header: true,
+      skipEmptyLines: true,
+    });
+    rowsByCategory[category.id] = data;
+  }
+  return snapshotFromExportRows(rowsByCategory, {
+    id: `export:${files.map((file) => file.name).join(",")}:${createdAt}`,
+    label: files.length === 1 ? files[0].name : `${files.length} CSV exports`,
+    createdAt,
+  });
+};
+
+/**
+ * Breaks that appeared or cleared between two snapshots.
+ *
+ * @param {Object} previous - Snapshot of the earlier run
+ * @param {Object} current - Snapshot of the later run
+ * @returns {Object} { newBreaks, clearedBreaks, continuing,
+ *   matchRateChange }, the break lists sorted by category and reference
+ */
+export const compareSnapshots = (previous, current) => {
+  const sorted = (breaks) =>
+    breaks.sort(
+      (a, b) =>
+        a.category.localeCompare(b.category) ||
+        a.reference.localeCompare(b.reference)
+    );
+  const currentBreaks = Object.values(current.breaks);
+
+  return {
+    newBreaks: sorted(currentBreaks.filter(({ key }) => !previous.breaks[key])),
+    clearedBreaks: sorted(
+      Object.values(previous.breaks).filter(({ key }) => !current.breaks[key])
+    ),
+    continuing: currentBreaks.filter(({ key }) => previous.breaks[key]).length,
+    matchRateChange:
+      previous.matchRate === null || current.matchRate === null
+        ? null
+        : current.matchRate - previous.matchRate,
+  };
+};
+
+/**
+ * How many consecutive runs each break of the last snapshot has been open.
+ *
+ * @param {Object[]} snapshots - Oldest first, ending with the run to age
+ * @param {number} minRuns - Breaks open for more runs than this are listed
+ * @returns {Object} { buckets, aged }: {@link AGING_BUCKETS} with a count
+ *   each, and the listed breaks with their `runs`, longest open first
+ */
+export const ageBreaks = (snapshots, minRuns) => {
+  const latest = snapshots[snapshots.length - 1];
+  const withAges = Object.values(latest.breaks).map((entry) => {
+    let runs = 1;
+    while (
+      runs < snapshots.length &&
+      snapshots[snapshots.length - 1 - runs].breaks[entry.key]
+    ) {
+      runs += 1;
+    }
+    return { ...entry, runs };
+  });
+
+  return {
+    buckets: AGING_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: withAges.filter(
+        ({ runs }) => runs >= bucket.min && runs <= bucket.max
+      ).length,
+    })),
+    aged: withAges
+      .filter(({ runs }) => runs > minRuns)
+      .sort((a, b) => b.runs - a.runs),
+  };
+};
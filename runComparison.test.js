@@ -0,0 +1,58 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { reconcile } from "./reconciliationEngine.js";
+import {
+  snapshotFromExportRows,
+  snapshotFromResults,
+} from "./runComparison.js";
+
+const details = { id: "run-1", label: "March", createdAt: "2024-04-01" };
+const row = (reference, amount, currency) => ({
+  transaction_reference: reference,
+  amount,
+  currency,
+  status: "completed",
+  date: "2024-03-01",
+});
+
+describe("net variance", () => {
+  it("rounds to each currency's minor units", () => {
+    const results = reconcile(
+      [row("TX1", 10.125, "KWD"), row("TX2", 1000, "JPY")],
+      [row("TX1", 10, "KWD"), row("TX2", 900, "JPY")]
+    );
+    assert.deepEqual(snapshotFromResults(results, details).netVariance, [
+      { currency: "KWD", netVariance: 0.125 },
+      { currency: "JPY", netVariance: 100 },
+    ]);
+  });
+
+  it("rounds exported variances the same way", () => {
+    const snapshot = snapshotFromExportRows(
+      {
+        amount: [
+          {
+            transaction_reference: "TX1",
+            variance: "0.125",
+            internal_currency: "KWD",
+          },
+          {
+            transaction_reference: "TX2",
+            variance: "0.1",
+            internal_currency: "BHD",
+          },
+          {
+            transaction_reference: "TX3",
+            variance: "0.2",
+            internal_currency: "BHD",
+          },
+        ],
+      },
+      details
+    );
+    assert.deepEqual(snapshot.netVariance, [
+      { currency: "BHD", netVariance: 0.3 },
+      { currency: "KWD", netVariance: 0.125 },
+    ]);
+  });
+});
@@ -0,0 +1,182 @@
+import { getReconciledReferences } from "./reconciliationEngine.js";
+
+// Reconciliation runs saved in IndexedDB. Run metadata and results live in
+// separate stores so the history list never loads full result sets; the
+// references each run reconciled have their own store for upload checks.
+const DB_NAME = "reconciliation";
+const DB_VERSION = 2;
+const RUNS_STORE = "runs";
+const RESULTS_STORE = "runResults";
+const REFERENCES_STORE = "runReferences";
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore(RUNS_STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          db.createObjectStore(RESULTS_STORE);
+        }
+        // Runs saved before version 2 have no references to check against
+        if (event.oldVersion < 2) db.createObjectStore(REFERENCES_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // Let the next call retry
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve once it commits
+const withStores = async (mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(
+      [RUNS_STORE, RESULTS_STORE, REFERENCES_STORE],
+      mode
+    );
+    let value;
+    transaction.oncomplete = () => resolve(value);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+
+    work(
+      {
+        runs: transaction.objectStore(RUNS_STORE),
+        results: transaction.objectStore(RESULTS_STORE),
+        references: transaction.objectStore(REFERENCES_STORE),
+      },
+      (result) => {
+        value = result;
+      }
+    );
+  });
+};
+
+/**
+ * Save a run, or replace it when `run.id` is set.
+ *
+ * @param {Object} run - Files, config and summary describing the run
+ * @param {Object} [results] - The full reconcile() results; omit to update
+ *   only the run details
+ * @returns {Promise<Object>} The saved run details, including its id
+ */
+export const saveRun = (run, results) =>
+  withStores("readwrite", (stores, setValue) => {
+    const now = new Date().toISOString();
+    const record = { createdAt: now, ...run, savedAt: now };
+    const request = stores.runs.put(record);
+    request.onsuccess = () => {
+      if (results) {
+        stores.results.put(results, request.result);
+        stores.references.put(getReconciledReferences(results), request.result);
+      }
+      setValue({ ...record, id: request.result });
+    };
+  });
+
+// Saved runs without their results, newest first
+export const listRuns = () =>
+  withStores("readonly", (stores, setValue) => {
+    const request = stores.runs.getAll();
+    request.onsuccess = () =>
+      setValue(
+        [...request.result].sort((a, b) =>
+          b.createdAt.localeCompare(a.createdAt)
+        )
+      );
+  });
+
+// A saved run with its results, or undefined when it no longer exists
+export const loadRun = (id) =>
+  withStores("readonly", (stores, setValue) => {
+    const runRequest = stores.runs.get(id);
+    const resultsRequest = stores.results.get(id);
+    resultsRequest.onsuccess = () =>
+      setValue(
+        runRequest.result && {
+          ...runRequest.result,
+          results: resultsRequest.result,
+        }
+      );
+  });
+
+export const deleteRun = (id) =>
+  withStores("readwrite", (stores) => {
+    stores.runs.delete(id);
+    stores.results.delete(id);
+    stores.references.delete(id);
+  });
+
+// Provider statements of a saved run. Runs saved before several providers
+// were supported hold a single `provider` entry.
+export const getProviderFiles = (files) => files.providers || [files.provider];
+
+// Most recent run made from the same files: files given as { name, size,
+// sha256 } are compared by fingerprint when both sides have one, and by name
+// and size for runs saved before files were fingerprinted
+export const findRunForFiles = async (internalFile, providerFiles) => {
+  const sameFile = (saved, file) =>
+    saved.sha256 && file.sha256
+      ? saved.sha256 === file.sha256
+      : saved.name === file.name && saved.size === file.size;
+
+  return (await listRuns()).find((run) => {
+    const saved = getProviderFiles(run.files);
+    return (
+      sameFile(run.files.internal, internalFile) &&
+      saved.length === providerFiles.length &&
+      saved.every((file, index) => sameFile(file, providerFiles[index]))
+    );
+  });
+};
+
+/**
+ * Saved runs that already reconciled some of these references on the same
+ * side, newest first.
+ *
+ * @param {string} side - "internal" or "provider"
+ * @param {string[]} references - References of an uploaded file
+ * @param {number} [excludeId] - Id of the current run, which is not a
+ *   previous one
+ * @returns {Promise<Object[]>} { run, count } per run, `count` being the
+ *   number of references in common
+ */
+export const findReconciledReferences = (side, references, excludeId) =>
+  withStores("readonly", (stores, setValue) => {
+    const wanted = new Set(references);
+    const counts = new Map();
+
+    // Walk the stored references one run at a time instead of loading all
+    const cursorRequest = stores.references.openCursor();
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (cursor) {
+        const count = (cursor.value[side] || []).filter((reference) =>
+          wanted.has(reference)
+        ).length;
+        if (count && cursor.key !== excludeId) counts.set(cursor.key, count);
+        cursor.continue();
+        return;
+      }
+
+      const runsRequest = stores.runs.getAll();
+      runsRequest.onsuccess = () =>
+        setValue(
+          runsRequest.result
+            .filter((run) => counts.has(run.id))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map((run) => ({ run, count: counts.get(run.id) }))
+        );
+    };
+  });
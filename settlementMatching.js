@@ -0,0 +1,237 @@
+import { roundToMinorUnits } from "./amountComparison.js";
+
+// Third leg of a three-way reconciliation: provider payouts (transactions
+// grouped by payout or batch ID) against credits on the bank statement.
+export const DEFAULT_SETTLEMENT_SETTINGS = {
+  maxDaysApart: 5, // Days between a payout's last transaction and its deposit
+  feesDeducted: true, // Payouts are net of the fees on their transactions
+  tolerance: 0.01, // Largest difference still treated as received in full
+  // Largest shortfall, in percent of the payout, for a deposit that does not
+  // mention the payout to be taken as the payout received short
+  maxShortPercent: 5,
+};
+
+// Payout IDs shorter than this are not searched for in deposit text
+const MIN_MENTION_LENGTH = 4;
+
+const normalizeCurrency = (currency) =>
+  String(currency || "")
+    .trim()
+    .toUpperCase();
+
+const compact = (value) =>
+  String(value ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+// Provider rows grouped into payouts, with the amount the bank should receive.
+// Payout IDs are only unique within one provider's statement.
+const groupPayouts = (providerRows, feesDeducted, getDay) => {
+  const groups = new Map();
+  let unbatched = 0;
+  providerRows.forEach((row) => {
+    const payoutId = String(row.payout_id ?? "").trim();
+    if (!payoutId) {
+      unbatched += 1;
+      return;
+    }
+    const key = `${row.provider_name || ""}::${payoutId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const payouts = [...groups.values()].map((rows) => {
+    const payoutId = String(rows[0].payout_id).trim();
+    const currency = normalizeCurrency(rows[0].currency);
+    const days = rows.map(getDay).filter((day) => day !== null);
+    const fees = roundToMinorUnits(
+      rows.reduce((sum, row) => sum + (row.fee || 0), 0),
+      currency
+    );
+    const expected = roundToMinorUnits(
+      rows.reduce((sum, row) => sum + row.amount, 0) -
+        (feesDeducted ? fees : 0),
+      currency
+    );
+    return {
+      transaction_reference: payoutId,
+      payoutId,
+      currency,
+      amount: expected,
+      expected,
+      fees,
+      payoutDay: days.length
+        ? days.reduce((latest, day) => Math.max(latest, day))
+        : null,
+      internalRows: [],
+      providerRows: rows,
+      bankRows: [],
+    };
+  });
+
+  return { payouts, unbatched };
+};
+
+/**
+ * Match provider payouts to bank deposits. A deposit is tied to a payout
+ * when its reference or description mentions the payout ID, then by equal
+ * amount, then as a short receipt (the largest smaller deposit no more than
+ * `maxShortPercent` below the payout, or below it by its fees when they are
+ * not deducted), always within `maxDaysApart` days and in the same currency.
+ * Anything further off leaves the payout not received.
+ *
+ * @param {Object[]} providerRows - Cleaned provider transactions with
+ *   payout_id
+ * @param {Object[]} bankRows - Cleaned bank statement lines; only credits
+ *   are considered
+ * @param {Object} [settings] - Overrides for
+ *   {@link DEFAULT_SETTLEMENT_SETTINGS}
+ * @param {function(Object): ?number} getDay - Day number of a row's date
+ * @returns {{settledPayouts: Object[], payoutDifferences: Object[],
+ *   missingPayouts: Object[], unmatchedDeposits: Object[],
+ *   unbatched: number}} Payouts carry expected, received, difference,
+ *   payoutStatus ("received", "short", "over" or "not_received") and
+ *   matchedBy; `unbatched` counts provider rows without a payout ID
+ */
+export const reconcileSettlements = (
+  providerRows,
+  bankRows,
+  settings,
+  getDay
+) => {
+  const { maxDaysApart, feesDeducted, tolerance, maxShortPercent } = {
+    ...DEFAULT_SETTLEMENT_SETTINGS,
+    ...settings,
+  };
+  const { payouts, unbatched } = groupPayouts(
+    providerRows,
+    feesDeducted,
+    getDay
+  );
+  const deposits = bankRows.filter((row) => row.amount > 0);
+  const used = new Set();
+
+  const dayGap = (payout, deposit) => {
+    const depositDay = getDay(deposit);
+    return payout.payoutDay === null || depositDay === null
+      ? 0
+      : Math.abs(depositDay - payout.payoutDay);
+  };
+  const candidates = (payout) =>
+    deposits.filter(
+      (deposit) =>
+        !used.has(deposit) &&
+        (!deposit.currency ||
+          normalizeCurrency(deposit.currency) === payout.currency) &&
+        dayGap(payout, deposit) <= maxDaysApart
+    );
+  const closest = (payout, list) =>
+    list.reduce(
+      (best, deposit) =>
+        !best || dayGap(payout, deposit) < dayGap(payout, best)
+          ? deposit
+          : best,
+      null
+    );
+
+  const attach = (payout, deposit, matchedBy) => {
+    used.add(deposit);
+    const difference = roundToMinorUnits(
+      deposit.amount - payout.expected,
+      payout.currency
+    );
+    Object.assign(payout, {
+      bankRows: [deposit],
+      received: deposit.amount,
+      difference,
+      matchedBy,
+      payoutStatus:
+        Math.abs(difference) <= tolerance
+          ? "received"
+          : difference < 0
+          ? "short"
+          : "over",
+    });
+  };
+
+  const passes = [
+    // Deposit text names the payout
+    [
+      "reference",
+      (payout, list) => {
+        const id = compact(payout.payoutId);
+        if (id.length < MIN_MENTION_LENGTH) return null;
+        return closest(
+          payout,
+          list.filter(
+            (deposit) =>
+              compact(deposit.transaction_reference).includes(id) ||
+              compact(deposit.description).includes(id)
+          )
+        );
+      },
+    ],
+    // Same amount
+    [
+      "amount",
+      (payout, list) =>
+        closest(
+          payout,
+          list.filter(
+            (deposit) => Math.abs(deposit.amount - payout.expected) <= tolerance
+          )
+        ),
+    ],
+    // Received short: the largest deposit a little below the expected amount.
+    // An unrelated smaller deposit must not hide a payout never received.
+    [
+      "short",
+      (payout, list) => {
+        const floor =
+          payout.expected -
+          (payout.expected * maxShortPercent) / 100 -
+          (feesDeducted ? 0 : payout.fees);
+        return list
+          .filter(
+            (deposit) =>
+              deposit.amount < payout.expected && deposit.amount >= floor
+          )
+          .reduce(
+            (best, deposit) =>
+              !best || deposit.amount > best.amount ? deposit : best,
+            null
+          );
+      },
+    ],
+  ];
+
+  passes.forEach(([matchedBy, pick]) =>
+    payouts.forEach((payout) => {
+      if (payout.bankRows.length) return;
+      const deposit = pick(payout, candidates(payout));
+      if (deposit) attach(payout, deposit, matchedBy);
+    })
+  );
+
+  const missingPayouts = payouts.filter((payout) => !payout.bankRows.length);
+  missingPayouts.forEach((payout) =>
+    Object.assign(payout, {
+      received: 0,
+      difference: -payout.expected,
+      matchedBy: null,
+      payoutStatus: "not_received",
+    })
+  );
+
+  return {
+    settledPayouts: payouts.filter(
+      (payout) => payout.payoutStatus === "received"
+    ),
+    payoutDifferences: payouts.filter((payout) =>
+      ["short", "over"].includes(payout.payoutStatus)
+    ),
+    missingPayouts,
+    unmatchedDeposits: deposits.filter((deposit) => !used.has(deposit)),
+    unbatched,
+  };
+};
@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isoDateToDayNumber } from "./dateHandling.js";
+import { reconcileSettlements } from "./settlementMatching.js";
+
+const getDay = (row) => isoDateToDayNumber(row.date);
+
+const payout = (payoutId, amount, currency = "USD", fee = 0) => ({
+  transaction_reference: `${payoutId}-TX`,
+  payout_id: payoutId,
+  amount,
+  fee,
+  currency,
+  date: "2024-03-01",
+});
+
+const deposit = (amount, description = "", currency = "USD") => ({
+  transaction_reference: "",
+  amount,
+  currency,
+  description,
+  date: "2024-03-02",
+});
+
+describe("reconcileSettlements", () => {
+  it("matches payouts by reference mention or equal amount", () => {
+    const results = reconcileSettlements(
+      [payout("PO-1001", 500), payout("PO-1002", 300)],
+      [deposit(480, "Transfer PO-1001"), deposit(300)],
+      {},
+      getDay
+    );
+    assert.deepEqual(
+      results.payoutDifferences.map(({ payoutId, matchedBy, difference }) => ({
+        payoutId,
+        matchedBy,
+        difference,
+      })),
+      [{ payoutId: "PO-1001", matchedBy: "reference", difference: -20 }]
+    );
+    assert.equal(results.settledPayouts[0].payoutId, "PO-1002");
+  });
+
+  it("takes a slightly smaller deposit as a short payout", () => {
+    const results = reconcileSettlements(
+      [payout("PO-2001", 5000)],
+      [deposit(4900)],
+      {},
+      getDay
+    );
+    assert.equal(results.payoutDifferences[0].payoutStatus, "short");
+    assert.equal(results.payoutDifferences[0].difference, -100);
+  });
+
+  it("leaves a payout not received next to an unrelated small deposit", () => {
+    const results = reconcileSettlements(
+      [payout("PO-3001", 5000)],
+      [deposit(12)],
+      {},
+      getDay
+    );
+    assert.deepEqual(results.payoutDifferences, []);
+    assert.equal(results.missingPayouts[0].payoutStatus, "not_received");
+    assert.equal(results.missingPayouts[0].difference, -5000);
+    assert.equal(results.unmatchedDeposits.length, 1);
+  });
+
+  it("allows for fees that were not deducted", () => {
+    const results = reconcileSettlements(
+      [payout("PO-4001", 1000, "USD", 80)],
+      [deposit(920)],
+      { feesDeducted: false },
+      getDay
+    );
+    assert.equal(results.payoutDifferences[0].difference, -80);
+  });
+
+  it("rounds to the currency's minor units", () => {
+    const results = reconcileSettlements(
+      [payout("PO-5001", 1000.4, "JPY"), payout("PO-5002", 10.1234, "BHD")],
+      [deposit(990, "", "JPY"), deposit(10.0004, "PO-5002", "BHD")],
+      {},
+      getDay
+    );
+    const byId = Object.fromEntries(
+      results.payoutDifferences.map((item) => [item.payoutId, item])
+    );
+    assert.equal(byId["PO-5001"].expected, 1000);
+    assert.equal(byId["PO-5001"].difference, -10);
+    assert.equal(byId["PO-5002"].expected, 10.123);
+    assert.equal(byId["PO-5002"].difference, -0.123);
+  });
+});
@@ -0,0 +1,116 @@
+import { guessColumnMapping } from "./columnMapping.js";
+import { getProviderFiles } from "./runStorage.js";
+
+// Formats only banks issue, so a file in one of them is the bank statement
+const BANK_FORMATS = ["OFX", "MT940", "CAMT.053"];
+
+// The source a saved run used the first of its files matching `test` for
+const findRunFile = (run, test) => {
+  const { internal, bank } = run.files;
+  if (internal && test(internal)) return { role: "internal" };
+  const provider = getProviderFiles(run.files).find(
+    (file) => file && test(file)
+  );
+  if (provider) return { role: "provider", providerName: provider.provider };
+  if (bank && test(bank)) return { role: "bank" };
+  return null;
+};
+
+// The most recent saved run with a file of this header signature
+const findInHistory = (signature, runs) => {
+  for (const run of runs) {
+    const file = findRunFile(run, (saved) => saved.signature === signature);
+    if (file) return { ...file, run };
+  }
+  return null;
+};
+
+// What a file's header signature or format says about its source, or null
+// when only its columns can tell
+const detectKnownSource = (file, profiles, runs, bankTaken) => {
+  const profile = profiles.find(
+    ({ signature, source }) => source && signature === file.signature
+  );
+  if (profile) {
+    return {
+      role: profile.source,
+      providerName: profile.providerName,
+      reason: "profile",
+      profileName: profile.name,
+    };
+  }
+
+  const saved = findInHistory(file.signature, runs);
+  if (saved) {
+    return {
+      role: saved.role,
+      providerName: saved.providerName,
+      reason: "history",
+      runDate: saved.run.createdAt,
+    };
+  }
+
+  if (!bankTaken && BANK_FORMATS.includes(file.format)) {
+    return { role: "bank", reason: "format" };
+  }
+
+  // Internal exports rarely carry processing fees or payout batches
+  const mapping = guessColumnMapping(file.headers);
+  if (mapping.fee || mapping.payout_id) {
+    return { role: "provider", reason: "columns" };
+  }
+  return null;
+};
+
+/**
+ * Decide which source each of several uploaded files is: "internal",
+ * "provider" or "bank".
+ *
+ * A file is recognised by its header signature from a saved column mapping
+ * that records its source, then from the most recent saved run that used
+ * the same columns (which also gives the provider name). Otherwise bank
+ * statement formats make it the bank statement and fee or payout columns a
+ * provider statement. The rest fill the internal slot if it is free and
+ * are provider statements after that.
+ *
+ * @param {Object[]} files - { signature, headers, format } per file
+ * @param {Object} [known]
+ * @param {Object[]} [known.profiles] - Saved column mappings
+ * @param {Object[]} [known.runs] - Saved runs, newest first
+ * @param {string[]} [known.loaded] - Sources already uploaded
+ * @returns {Object[]} { role, providerName, reason, profileName, runDate }
+ *   per file, in order. `reason` is "profile", "history", "format",
+ *   "columns" or "default".
+ */
+export const detectSources = (
+  files,
+  { profiles = [], runs = [], loaded = [] } = {}
+) => {
+  // Only the first file in a bank format is taken for the bank statement
+  let bankTaken = loaded.includes("bank");
+  const detected = files.map((file) => {
+    const source = detectKnownSource(file, profiles, runs, bankTaken);
+    if (source?.role === "bank") bankTaken = true;
+    return source;
+  });
+
+  let internalTaken =
+    loaded.includes("internal") ||
+    detected.some((source) => source?.role === "internal");
+  return detected.map((source) => {
+    if (source) return source;
+    const role = internalTaken ? "provider" : "internal";
+    internalTaken = true;
+    return { role, reason: "default" };
+  });
+};
+
+// Saved runs that already reconciled a file with these exact contents, with
+// the source it was used for
+export const findRunsWithFile = (sha256, runs) =>
+  runs
+    .map((run) => ({
+      run,
+      ...findRunFile(run, (saved) => saved.sha256 === sha256),
+    }))
+    .filter(({ role }) => role);
@@ -0,0 +1,120 @@
+export const SEVERITY_LEVELS = ["info", "warning", "critical"];
+
+// Raw statuses are mapped to canonical ones before comparing. `side` limits
+// an equivalence to one source ("internal" or "provider"); "any" applies to
+// both. Mismatched canonical pairs are critical unless a severity rule
+// says otherwise.
+export const DEFAULT_STATUS_MAPPING = {
+  equivalences: [
+    { side: "any", status: "completed", canonical: "success" },
+    { side: "any", status: "complete", canonical: "success" },
+    { side: "any", status: "succeeded", canonical: "success" },
+    { side: "any", status: "success", canonical: "success" },
+    { side: "any", status: "settled", canonical: "success" },
+    { side: "any", status: "paid", canonical: "success" },
+    { side: "any", status: "captured", canonical: "success" },
+    { side: "any", status: "booked", canonical: "success" },
+    { side: "any", status: "book", canonical: "success" },
+    { side: "any", status: "posted", canonical: "success" },
+    { side: "any", status: "pending", canonical: "pending" },
+    { side: "any", status: "processing", canonical: "pending" },
+    { side: "any", status: "authorized", canonical: "pending" },
+    { side: "any", status: "initiated", canonical: "pending" },
+    { side: "any", status: "failed", canonical: "failed" },
+    { side: "any", status: "declined", canonical: "failed" },
+    { side: "any", status: "rejected", canonical: "failed" },
+    { side: "any", status: "error", canonical: "failed" },
+    { side: "any", status: "cancelled", canonical: "cancelled" },
+    { side: "any", status: "canceled", canonical: "cancelled" },
+    { side: "any", status: "voided", canonical: "cancelled" },
+    { side: "any", status: "refunded", canonical: "refunded" },
+    { side: "any", status: "reversed", canonical: "refunded" },
+  ],
+  severities: [
+    { internal: "pending", provider: "success", severity: "warning" },
+    { internal: "success", provider: "pending", severity: "warning" },
+    { internal: "pending", provider: "failed", severity: "warning" },
+    { internal: "failed", provider: "cancelled", severity: "info" },
+    { internal: "cancelled", provider: "failed", severity: "info" },
+  ],
+  defaultSeverity: "critical",
+};
+
+export const toCanonicalStatus = (status, side, mapping) => {
+  const normalized = String(status || "")
+    .trim()
+    .toLowerCase();
+  const matches = mapping.equivalences.filter(
+    (entry) => entry.status === normalized
+  );
+  const entry =
+    matches.find((e) => e.side === side) ||
+    matches.find((e) => e.side === "any");
+  return entry ? entry.canonical : normalized;
+};
+
+// Compare statuses through the equivalence table and grade any mismatch
+export const compareStatuses = (internalStatus, providerStatus, mapping) => {
+  const internalCanonical = toCanonicalStatus(
+    internalStatus,
+    "internal",
+    mapping
+  );
+  const providerCanonical = toCanonicalStatus(
+    providerStatus,
+    "provider",
+    mapping
+  );
+
+  if (internalCanonical === providerCanonical) {
+    return {
+      statusMatch: true,
+      statusSeverity: null,
+      internalCanonical,
+      providerCanonical,
+    };
+  }
+
+  const rule = mapping.severities.find(
+    (r) => r.internal === internalCanonical && r.provider === providerCanonical
+  );
+
+  return {
+    statusMatch: false,
+    statusSeverity: rule ? rule.severity : mapping.defaultSeverity,
+    internalCanonical,
+    providerCanonical,
+  };
+};
+
+// Validate a mapping loaded from a JSON file
+export const parseStatusMapping = (json) => {
+  const mapping = JSON.parse(json);
+
+  if (
+    !Array.isArray(mapping.equivalences) ||
+    !Array.isArray(mapping.severities)
+  ) {
+    throw new Error(
+      "Status mapping must contain equivalences and severities lists"
+    );
+  }
+
+  const invalidSeverity = [
+    mapping.defaultSeverity,
+    ...mapping.severities.map((rule) => rule.severity),
+  ].find((severity) => !SEVERITY_LEVELS.includes(severity));
+  if (invalidSeverity !== undefined) {
+    throw new Error(`Unknown severity level: ${invalidSeverity}`);
+  }
+
+  return {
+    equivalences: mapping.equivalences.map((entry) => ({
+      side: entry.side || "any",
+      status: String(entry.status).trim().toLowerCase(),
+      canonical: String(entry.canonical).trim().toLowerCase(),
+    })),
+    severities: mapping.severities,
+    defaultSeverity: mapping.defaultSeverity,
+  };
+};